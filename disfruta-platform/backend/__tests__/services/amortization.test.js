@@ -0,0 +1,69 @@
+const {
+  addMonths,
+  calculateInstallmentAmount,
+  buildAmortizationSchedule,
+  summarizeSchedule
+} = require('../../services/amortization');
+
+describe('amortization', () => {
+  describe('calculateInstallmentAmount', () => {
+    it('computes the level installment from a percentage rate', () => {
+      expect(calculateInstallmentAmount(10000, 12, 12)).toBe(888.49);
+      expect(calculateInstallmentAmount(1000, 7.5, 36)).toBe(31.11);
+    });
+
+    it('splits principal evenly at a zero rate', () => {
+      expect(calculateInstallmentAmount(5000, 0, 7)).toBe(714.29);
+    });
+  });
+
+  describe('buildAmortizationSchedule', () => {
+    const schedule = buildAmortizationSchedule({
+      principal: 10000,
+      annualRate: 12,
+      termMonths: 12,
+      startDate: new Date(2024, 0, 15)
+    });
+
+    it('charges the level installment up to the last one', () => {
+      schedule.slice(0, -1).forEach(installment => {
+        expect(installment.amount).toBe(888.49);
+      });
+    });
+
+    it('lets the last installment absorb the rounding residue', () => {
+      const [previous, last] = schedule.slice(-2);
+
+      expect(last.principalAmount).toBe(previous.remainingBalance);
+      expect(last.principalAmount).toBe(879.67);
+      expect(last.interestAmount).toBe(8.8);
+      expect(last.amount).toBe(888.47);
+      expect(last.remainingBalance).toBe(0);
+    });
+
+    it('repays exactly the original principal', () => {
+      expect(summarizeSchedule(schedule)).toEqual({
+        totalPrincipal: 10000,
+        totalInterest: 661.86,
+        totalRepayment: 10661.86
+      });
+    });
+
+    it('shortens the last installment of a zero-rate loan', () => {
+      const zeroRate = buildAmortizationSchedule({ principal: 5000, annualRate: 0, termMonths: 7 });
+
+      expect(zeroRate[5].amount).toBe(714.29);
+      expect(zeroRate[6].amount).toBe(714.26);
+      expect(summarizeSchedule(zeroRate).totalPrincipal).toBe(5000);
+    });
+  });
+
+  describe('addMonths', () => {
+    it('clamps to the last day of shorter months', () => {
+      const due = addMonths(new Date(2024, 0, 31), 1);
+
+      expect(due.getMonth()).toBe(1);
+      expect(due.getDate()).toBe(29);
+    });
+  });
+});
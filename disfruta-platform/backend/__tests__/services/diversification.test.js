@@ -0,0 +1,59 @@
+const { herfindahl, suggestNotes } = require('../../services/diversification');
+
+// Index of loan exposure after adding equal notes
+const hhiWith = (amounts, notes, amountPerNote) => herfindahl([...amounts, ...Array(notes).fill(amountPerNote)]);
+
+describe('diversification', () => {
+  describe('herfindahl', () => {
+    it('is 1/n for n equal positions', () => {
+      expect(herfindahl([1, 1, 1, 1])).toBe(0.25);
+    });
+
+    it('sums the squared shares', () => {
+      expect(herfindahl([3, 1])).toBe(0.625);
+    });
+
+    it('returns null when nothing is held', () => {
+      expect(herfindahl([])).toBeNull();
+      expect(herfindahl([0, 0])).toBeNull();
+    });
+  });
+
+  describe('suggestNotes', () => {
+    it('suggests the fewest notes that reach the target', () => {
+      const amounts = [1000, 100, 50];
+      const suggestion = suggestNotes(amounts, 20);
+
+      expect(suggestion).toEqual({
+        targetEffectiveNotes: 20,
+        amountPerNote: 57,
+        additionalNotes: 67,
+        additionalCapital: 3819,
+        totalNotes: 70
+      });
+      expect(hhiWith(amounts, 67, 57)).toBeLessThanOrEqual(1 / 20);
+      expect(hhiWith(amounts, 66, 57)).toBeGreaterThan(1 / 20);
+    });
+
+    it('suggests nothing once the target is met', () => {
+      expect(suggestNotes([100, 100, 100, 100], 4).additionalNotes).toBe(0);
+    });
+
+    it('sizes each note from the current exposure', () => {
+      const suggestion = suggestNotes([100, 100, 100, 100], 5);
+
+      expect(suggestion.amountPerNote).toBe(80);
+      expect(suggestion.additionalNotes).toBe(2);
+    });
+
+    it('asks an empty portfolio for the target number of minimum notes', () => {
+      expect(suggestNotes([], 10)).toEqual({
+        targetEffectiveNotes: 10,
+        amountPerNote: 25,
+        additionalNotes: 10,
+        additionalCapital: 250,
+        totalNotes: 10
+      });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { xirr, timeWeightedReturn } = require('../../services/investorReturns');
+
+const flow = (date, amount) => ({ date: new Date(date), amount });
+
+describe('investorReturns', () => {
+  describe('xirr', () => {
+    it('returns the annual rate of a one-year holding', () => {
+      const rate = xirr([flow('2023-01-01', -1000), flow('2024-01-01', 1100)]);
+
+      expect(rate).toBeCloseTo(0.1, 6);
+    });
+
+    it('discounts each flow from its own date', () => {
+      const flows = [flow('2023-01-01', -1000), flow('2023-07-02', 500), flow('2024-01-01', 600)];
+      const rate = xirr(flows);
+
+      expect(rate).toBeCloseTo(0.1321, 4);
+      // The rate found brings net present value back to zero
+      const start = flows[0].date.getTime();
+      const npv = flows.reduce((sum, { date, amount }) => (
+        sum + amount / Math.pow(1 + rate, (date.getTime() - start) / (365 * 24 * 60 * 60 * 1000))
+      ), 0);
+      expect(npv).toBeCloseTo(0, 6);
+    });
+
+    it('returns -1 when nothing came back', () => {
+      expect(xirr([flow('2023-01-01', -1000)])).toBe(-1);
+    });
+
+    it('returns -1 for a short holding that lost nearly everything', () => {
+      expect(xirr([flow('2023-01-01', -1000), flow('2023-01-02', 1)])).toBe(-1);
+    });
+
+    it('returns null when nothing was invested', () => {
+      expect(xirr([])).toBeNull();
+      expect(xirr([flow('2023-01-01', 100)])).toBeNull();
+    });
+  });
+
+  describe('timeWeightedReturn', () => {
+    it('chains the return of each period between money movements', () => {
+      const events = [
+        { date: new Date('2023-01-01'), cash: -1000, bookChange: 1000 },
+        // 20 of income on 1000 held
+        { date: new Date('2023-07-02'), cash: 520, bookChange: -500 },
+        // 100 written off of 500 held
+        { date: new Date('2024-01-01'), cash: 0, bookChange: -100 }
+      ];
+      const { cumulative, annualized } = timeWeightedReturn(events, new Date('2024-01-01'));
+
+      expect(cumulative).toBeCloseTo(1.02 * 0.8 - 1, 10);
+      expect(annualized).toBeCloseTo(cumulative, 10);
+    });
+
+    it('returns nulls when nothing was held', () => {
+      expect(timeWeightedReturn([], new Date())).toEqual({ cumulative: null, annualized: null });
+    });
+  });
+});
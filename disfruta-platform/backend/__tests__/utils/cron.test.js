@@ -0,0 +1,57 @@
+const { parseCronExpression, matchesCron, getNextRun } = require('../../utils/cron');
+
+describe('cron', () => {
+  describe('parseCronExpression', () => {
+    it('expands steps over the whole field', () => {
+      const cron = parseCronExpression('*/15 */6 * * *');
+
+      expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hour]).toEqual([0, 6, 12, 18]);
+    });
+
+    it('expands ranges, stepped ranges and lists', () => {
+      const cron = parseCronExpression('0 9-17/4 1,15 * 1-5');
+
+      expect([...cron.hour]).toEqual([9, 13, 17]);
+      expect([...cron.dayOfMonth]).toEqual([1, 15]);
+      expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('runs a stepped single value to the end of the field', () => {
+      expect([...parseCronExpression('50/5 * * * *').minute]).toEqual([50, 55]);
+    });
+
+    it('treats 7 as Sunday', () => {
+      expect(parseCronExpression('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+    });
+
+    it.each([
+      ['0 0 * *', /must have 5 fields/],
+      ['*/0 * * * *', /Invalid step/],
+      ['60 * * * *', /Invalid value/],
+      ['0 5-2 * * *', /Invalid value/],
+      ['0 0 0 * *', /Invalid value/]
+    ])('rejects "%s"', (expression, message) => {
+      expect(() => parseCronExpression(expression)).toThrow(message);
+    });
+  });
+
+  describe('matchesCron', () => {
+    it('matches either day field when both are restricted', () => {
+      // The 1st of the month, or any Monday
+      const cron = '0 8 1 * 1';
+
+      expect(matchesCron(cron, new Date(2024, 5, 1, 8, 0))).toBe(true); // Saturday the 1st
+      expect(matchesCron(cron, new Date(2024, 5, 3, 8, 0))).toBe(true); // Monday the 3rd
+      expect(matchesCron(cron, new Date(2024, 5, 4, 8, 0))).toBe(false);
+    });
+  });
+
+  describe('getNextRun', () => {
+    it('finds the next matching minute after the given time', () => {
+      const next = getNextRun('30 2 * * *', new Date(2024, 5, 1, 2, 30, 15));
+
+      expect(next).toEqual(new Date(2024, 5, 2, 2, 30));
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const {
+  toCents,
+  roundToCents,
+  sumMoney,
+  subtractMoney,
+  allocate
+} = require('../../utils/money');
+
+const totalCents = shares => shares.reduce((sum, share) => sum + toCents(share), 0);
+
+describe('money', () => {
+  describe('rounding', () => {
+    it('rounds half away from zero without float residue', () => {
+      expect(toCents(1.005)).toBe(101);
+      expect(roundToCents(-2.675)).toBe(-2.68);
+    });
+
+    it('adds and subtracts in whole cents', () => {
+      expect(sumMoney([0.1, 0.2])).toBe(0.3);
+      expect(subtractMoney(1, 0.9)).toBe(0.1);
+    });
+  });
+
+  describe('allocate', () => {
+    it('gives the leftover cent to the largest remainder', () => {
+      expect(allocate(100, [1, 1, 1])).toEqual([33.34, 33.33, 33.33]);
+    });
+
+    it('breaks remainder ties by weight, then by position', () => {
+      // Exact shares are 428.57, 428.57 and 142.86 cents; two cents are left over
+      expect(allocate(10, [3, 3, 1])).toEqual([4.29, 4.28, 1.43]);
+    });
+
+    it('always sums to the exact cent', () => {
+      const weights = [1234.56, 0.01, 999.99, 25, 3333.33];
+      [0.01, 0.1, 17.77, 1000, 98765.43].forEach(amount => {
+        expect(totalCents(allocate(amount, weights))).toBe(toCents(amount));
+      });
+    });
+
+    it('splits negative amounts the same way', () => {
+      expect(allocate(-0.05, [1, 1])).toEqual([-0.03, -0.02]);
+    });
+
+    it('rejects zero total weight', () => {
+      expect(() => allocate(10, [0, 0])).toThrow(/zero total weight/);
+      expect(allocate(10, [])).toEqual([]);
+    });
+  });
+});
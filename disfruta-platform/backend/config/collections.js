@@ -0,0 +1,28 @@
+const { getEnvVar } = require('../utils/helpers');
+
+// Delinquency buckets by days past due on a loan's oldest outstanding installment.
+// Actions run once when a case enters the bucket: email, late_fee, credit_report, default.
+const defaultBuckets = [
+  { id: 'dpd_1_15', label: '1-15 days', minDays: 1, maxDays: 15, escalationLevel: 1, actions: ['email'] },
+  { id: 'dpd_16_30', label: '16-30 days', minDays: 16, maxDays: 30, escalationLevel: 1, actions: ['email', 'late_fee'] },
+  { id: 'dpd_31_60', label: '31-60 days', minDays: 31, maxDays: 60, escalationLevel: 2, actions: ['email', 'credit_report'] },
+  { id: 'dpd_61_90', label: '61-90 days', minDays: 61, maxDays: 90, escalationLevel: 3, actions: ['email', 'credit_report'] },
+  { id: 'dpd_90_plus', label: '90+ days', minDays: 91, maxDays: Infinity, escalationLevel: 3, actions: ['default'] }
+];
+
+// COLLECTIONS_ACTIONS overrides actions per bucket, e.g. {"dpd_1_15":["email"],"dpd_16_30":["late_fee"]}
+const actionOverrides = getEnvVar('COLLECTIONS_ACTIONS', {}, 'json');
+
+const buckets = defaultBuckets.map(bucket => ({
+  ...bucket,
+  actions: actionOverrides[bucket.id] || bucket.actions
+}));
+
+const BUCKET_IDS = buckets.map(bucket => bucket.id);
+const ACTIONS = ['email', 'late_fee', 'credit_report', 'default'];
+
+module.exports = {
+  buckets,
+  BUCKET_IDS,
+  ACTIONS
+};
@@ -0,0 +1,35 @@
+const { getEnvVar } = require('../utils/helpers');
+
+// Ways a portfolio is broken down to measure concentration, with the largest share of exposure any
+// one group should hold before it is flagged
+const defaultThresholds = {
+  loan: 0.05,
+  borrower: 0.05,
+  grade: 0.4,
+  purpose: 0.4,
+  term: 0.6,
+  region: 0.3
+};
+
+// DIVERSIFICATION_THRESHOLDS overrides dimensions, e.g. {"region":0.25}
+const overrides = getEnvVar('DIVERSIFICATION_THRESHOLDS', {}, 'json');
+
+const thresholds = Object.keys(defaultThresholds).reduce((result, dimension) => ({
+  ...result,
+  [dimension]: Number(overrides[dimension]) > 0 ? Number(overrides[dimension]) : defaultThresholds[dimension]
+}), {});
+
+const DIMENSIONS = Object.keys(thresholds);
+
+// Target number of equally sized notes, as measured by the inverse Herfindahl index of loan exposure
+const TARGET_NOTES = getEnvVar('DIVERSIFICATION_TARGET_NOTES', 100, 'number');
+
+// Smallest amount that can be invested in a note (the Investment schema minimum)
+const MIN_NOTE_AMOUNT = 25;
+
+module.exports = {
+  thresholds,
+  DIMENSIONS,
+  TARGET_NOTES,
+  MIN_NOTE_AMOUNT
+};
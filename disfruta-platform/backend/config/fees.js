@@ -0,0 +1,36 @@
+const { getEnvVar } = require('../utils/helpers');
+
+const FEE_TYPES = ['origination', 'servicing', 'late', 'nsf'];
+
+// Processor failure codes that mean the borrower's account could not cover the payment
+const NSF_FAILURE_CODES = ['R01', 'R09', 'insufficient_funds', 'insufficient_balance'];
+
+// Schedule in force until an admin publishes one. Rates are fractions, e.g. 0.01 is 1%.
+// The late fee keeps the original rule: 5% of the installment plus $25, capped at 10%.
+const defaultSchedule = {
+  version: 0,
+  effectiveFrom: new Date(0),
+  origination: {
+    rate: getEnvVar('FEE_ORIGINATION_RATE', 0.01, 'number'),
+    minimum: 0,
+    maximum: null
+  },
+  servicing: {
+    rate: getEnvVar('FEE_SERVICING_RATE', 0.005, 'number')
+  },
+  late: {
+    rate: 0.05,
+    flat: 25,
+    cap: 0.1,
+    graceDays: getEnvVar('FEE_LATE_GRACE_DAYS', 0, 'number')
+  },
+  nsf: {
+    flat: getEnvVar('FEE_NSF_AMOUNT', 15, 'number')
+  }
+};
+
+module.exports = {
+  FEE_TYPES,
+  NSF_FAILURE_CODES,
+  defaultSchedule
+};
@@ -0,0 +1,86 @@
+const { processExpiredLoans } = require('../services/fundingExpiry');
+const { sendPaymentReminders, updateMissedPayments } = require('../services/servicingJobs');
+const { runCollections } = require('../services/collections');
+const { expireListings } = require('../services/secondaryMarket');
+const { pollProcessingPayments } = require('../services/paymentSettlement');
+const { generatePreviousYearTaxDocuments } = require('../services/taxDocuments');
+const { issuePreviousMonthStatements } = require('../services/statements');
+const { runScheduledReports } = require('../services/reports');
+const { refreshPlatformStats } = require('../services/platformStats');
+
+// Recurring servicing jobs. Schedules are five-field cron expressions in server local time.
+const jobs = [
+  {
+    name: 'funding-expiry',
+    schedule: '5 * * * *',
+    description: 'Cancel or partially fund loans past their funding deadline',
+    handler: () => processExpiredLoans()
+  },
+  {
+    name: 'payment-reminders',
+    schedule: '0 9 * * *',
+    description: 'Email borrowers about upcoming and overdue installments',
+    handler: () => sendPaymentReminders()
+  },
+  {
+    name: 'missed-payments',
+    schedule: '15 1 * * *',
+    description: 'Recount missed installments on every loan in repayment',
+    handler: () => updateMissedPayments()
+  },
+  {
+    name: 'collections',
+    schedule: '0 2 * * *',
+    description: 'Move delinquent loans through collections buckets and run bucket actions',
+    handler: () => runCollections()
+  },
+  {
+    name: 'note-listing-expiry',
+    schedule: '30 * * * *',
+    description: 'Close secondary market listings past their expiry date',
+    handler: () => expireListings()
+  },
+  {
+    name: 'payment-settlement',
+    schedule: '*/5 * * * *',
+    description: 'Check the payment processor for payments still awaiting settlement',
+    handler: () => pollProcessingPayments()
+  },
+  {
+    name: 'monthly-statements',
+    schedule: '0 4 1 * *',
+    description: 'Issue investor statements for the month that just ended and email a notice',
+    handler: () => issuePreviousMonthStatements()
+  },
+  {
+    name: 'tax-documents',
+    schedule: '0 3 15 1 *',
+    description: 'Generate investor tax documents for the year that just ended',
+    handler: () => generatePreviousYearTaxDocuments()
+  },
+  {
+    name: 'scheduled-reports',
+    schedule: '30 2 * * *',
+    description: 'Generate scheduled admin reports and delete files past their retention period',
+    handler: () => runScheduledReports()
+  },
+  {
+    name: 'platform-stats',
+    schedule: '0 * * * *',
+    description: 'Recompute public platform metrics into a new snapshot',
+    handler: async () => {
+      const snapshot = await refreshPlatformStats();
+      return { snapshot: snapshot._id, totalLoans: snapshot.totalLoans, defaultRate: snapshot.defaultRate };
+    }
+  }
+];
+
+const registerJobs = (scheduler) => {
+  jobs.forEach(({ name, ...definition }) => scheduler.register(name, definition));
+  return scheduler;
+};
+
+module.exports = {
+  jobs,
+  registerJobs
+};
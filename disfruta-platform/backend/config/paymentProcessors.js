@@ -0,0 +1,41 @@
+const { getEnvVar } = require('../utils/helpers');
+
+// Payment methods grouped by the rail that moves the money
+const methodRails = {
+  ach: 'ach',
+  bank_transfer: 'ach',
+  other: 'ach',
+  debit_card: 'card',
+  credit_card: 'card',
+  wire: 'wire',
+  crypto: 'crypto'
+};
+
+const RAILS = ['ach', 'card', 'wire', 'crypto'];
+
+// PAYMENT_PROCESSORS picks the adapter for each rail, e.g. {"card":"mock"}. Every rail uses the mock by default.
+const adapterOverrides = getEnvVar('PAYMENT_PROCESSORS', {}, 'json');
+const adapters = RAILS.reduce((result, rail) => {
+  result[rail] = adapterOverrides[rail] || 'mock';
+  return result;
+}, {});
+
+// The mock settles payments without moving any money, so production has to name a real adapter for every rail
+const mockRails = RAILS.filter(rail => adapters[rail] === 'mock');
+if (process.env.NODE_ENV === 'production' && mockRails.length > 0) {
+  throw new Error(`PAYMENT_PROCESSORS must name a real processor for ${mockRails.join(', ')}; the mock cannot run in production`);
+}
+
+// MOCK_PROCESSOR_SCRIPT queues outcomes for the mock processor, e.g. "settle,nsf,settle_late"
+const mock = {
+  script: getEnvVar('MOCK_PROCESSOR_SCRIPT', '').split(',').map(step => step.trim()).filter(Boolean),
+  defaultOutcome: getEnvVar('MOCK_PROCESSOR_DEFAULT', 'settle'),
+  delayMs: getEnvVar('MOCK_PROCESSOR_DELAY_MS', 60 * 1000, 'number')
+};
+
+module.exports = {
+  methodRails,
+  RAILS,
+  adapters,
+  mock
+};
@@ -0,0 +1,40 @@
+const { getEnvVar } = require('../utils/helpers');
+
+// Yearly probabilities by loan grade used to simulate remaining payments. defaultRate is the chance a
+// performing loan defaults within a year, prepaymentRate the chance it is paid off early, and
+// recoveryRate the share of outstanding principal investors get back after a default.
+const defaultAssumptions = {
+  A: { defaultRate: 0.01, prepaymentRate: 0.12, recoveryRate: 0.1 },
+  B: { defaultRate: 0.025, prepaymentRate: 0.11, recoveryRate: 0.1 },
+  C: { defaultRate: 0.045, prepaymentRate: 0.1, recoveryRate: 0.08 },
+  D: { defaultRate: 0.07, prepaymentRate: 0.09, recoveryRate: 0.06 },
+  E: { defaultRate: 0.1, prepaymentRate: 0.08, recoveryRate: 0.05 },
+  F: { defaultRate: 0.14, prepaymentRate: 0.07, recoveryRate: 0.04 },
+  G: { defaultRate: 0.18, prepaymentRate: 0.06, recoveryRate: 0.03 }
+};
+
+// PROJECTION_ASSUMPTIONS overrides grades, e.g. {"C":{"defaultRate":0.05}}
+const overrides = getEnvVar('PROJECTION_ASSUMPTIONS', {}, 'json');
+
+const gradeAssumptions = Object.entries(defaultAssumptions).reduce((result, [grade, assumptions]) => ({
+  ...result,
+  [grade]: { ...assumptions, ...overrides[grade] }
+}), {});
+
+// Simulated paths per projection; more gives smoother bands at the cost of response time.
+// Requests may ask for fewer, never more.
+const SIMULATIONS = getEnvVar('PROJECTION_SIMULATIONS', 1000, 'number');
+const MIN_SIMULATIONS = 100;
+
+// How long an investor's projection is reused before it is simulated again
+const CACHE_TTL_MS = getEnvVar('PROJECTION_CACHE_TTL_MS', 10 * 60 * 1000, 'number');
+
+const PERCENTILES = [5, 50, 95];
+
+module.exports = {
+  gradeAssumptions,
+  SIMULATIONS,
+  MIN_SIMULATIONS,
+  CACHE_TTL_MS,
+  PERCENTILES
+};
@@ -0,0 +1,25 @@
+const { getEnvVar } = require('../utils/helpers');
+
+const REPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+// Formats a report can be stored in for later download
+const FILE_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Date ranges a scheduled report covers, worked out in UTC when it runs
+const REPORT_PERIODS = ['previous_day', 'month_to_date', 'previous_month', 'all_time'];
+
+// Days a generated report file is kept before the nightly run deletes it
+const RETENTION_DAYS = getEnvVar('REPORT_RETENTION_DAYS', 30, 'number');
+
+module.exports = {
+  REPORT_FORMATS,
+  FILE_FORMATS,
+  CONTENT_TYPES,
+  REPORT_PERIODS,
+  RETENTION_DAYS
+};
@@ -0,0 +1,17 @@
+const { getEnvVar } = require('../utils/helpers');
+
+// WEBHOOK_SECRETS holds the signing secret for each payment provider, e.g. {"mock":"whsec_..."}
+const secrets = getEnvVar('WEBHOOK_SECRETS', {}, 'json');
+
+// Signed requests older (or further in the future) than this are rejected as replays
+const TOLERANCE_SECONDS = getEnvVar('WEBHOOK_TOLERANCE_SECONDS', 300, 'number');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+module.exports = {
+  secrets,
+  TOLERANCE_SECONDS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+};
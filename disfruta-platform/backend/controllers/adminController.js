@@ -3,6 +3,17 @@ const Loan = require('../models/Loan');
 const Investment = require('../models/Investment');
 const Payment = require('../models/Payment');
 const mongoose = require('mongoose');
+const { runForLoan } = require('../services/autoInvest');
+const { getRevenueReport } = require('../services/fees');
+const { issueAgreement, sendAgreementNotification } = require('../services/loanAgreements');
+const {
+  getReport,
+  parseRange,
+  collectReport,
+  writeReport,
+  reportFileName
+} = require('../services/reports');
+const { REPORT_FORMATS, CONTENT_TYPES } = require('../config/reports');
 
 // @desc    Get platform statistics
 // @route   GET /api/admin/stats
@@ -274,6 +285,19 @@ const reviewLoanApplication = async (req, res) => {
     
     await loan.save();
     
+    if (loan.status === 'funding') {
+      // The borrower can review and accept the agreement while the loan is funding
+      const agreement = await issueAgreement(loan);
+      await sendAgreementNotification(loan, agreement);
+
+      // Offer the loan to investors with auto-invest rules
+      try {
+        await runForLoan(loan);
+      } catch (error) {
+        console.error('Auto-invest error:', error);
+      }
+    }
+    
     res.json({
       status: 'success',
       message: `Loan ${status} successfully`,
@@ -384,98 +408,52 @@ const updateUserStatus = async (req, res) => {
 };
 
 // @desc    Generate platform report
-// @route   GET /api/admin/reports/:type
+// @route   GET /api/admin/reports/:type?format=json|csv|xlsx
 // @access  Private (Admin only)
 const generateReport = async (req, res) => {
   try {
     const { type } = req.params;
-    const { startDate, endDate } = req.query;
-    
-    const dateFilter = {};
-    if (startDate && endDate) {
-      dateFilter.createdAt = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+    const { startDate, endDate, format = 'json' } = req.query;
+
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Format must be one of: ${REPORT_FORMATS.join(', ')}`
+      });
     }
-    
-    let reportData;
-    
-    switch (type) {
-      case 'users':
-        reportData = await User.aggregate([
-          { $match: dateFilter },
-          {
-            $group: {
-              _id: {
-                year: { $year: '$createdAt' },
-                month: { $month: '$createdAt' }
-              },
-              count: { $sum: 1 },
-              verified: { $sum: { $cond: ['$isVerified', 1, 0] } },
-              kycVerified: { $sum: { $cond: [{ $eq: ['$kycStatus', 'verified'] }, 1, 0] } }
-            }
-          },
-          { $sort: { '_id.year': 1, '_id.month': 1 } }
-        ]);
-        break;
-        
-      case 'loans':
-        reportData = await Loan.aggregate([
-          { $match: dateFilter },
-          {
-            $group: {
-              _id: '$status',
-              count: { $sum: 1 },
-              totalAmount: { $sum: '$amount' },
-              averageAmount: { $avg: '$amount' }
-            }
-          }
-        ]);
-        break;
-        
-      case 'investments':
-        reportData = await Investment.aggregate([
-          { $match: dateFilter },
-          {
-            $group: {
-              _id: '$status',
-              count: { $sum: 1 },
-              totalAmount: { $sum: '$amount' },
-              totalEarned: { $sum: '$interestEarned' }
-            }
-          }
-        ]);
-        break;
-        
-      case 'payments':
-        reportData = await Payment.aggregate([
-          { $match: dateFilter },
-          {
-            $group: {
-              _id: '$status',
-              count: { $sum: 1 },
-              totalAmount: { $sum: '$amount' },
-              averageAmount: { $avg: '$amount' }
-            }
-          }
-        ]);
-        break;
-        
-      default:
-        return res.status(400).json({
-          status: 'error',
-          message: 'Invalid report type'
-        });
+
+    getReport(type);
+    const range = parseRange({ startDate, endDate });
+
+    if (format === 'json') {
+      // Revenue keeps its monthly breakdown with totals by fee type
+      const reportData = type === 'revenue'
+        ? await getRevenueReport(range)
+        : await collectReport(type, range);
+
+      return res.json({
+        status: 'success',
+        reportType: type,
+        dateRange: { startDate, endDate },
+        data: reportData
+      });
     }
-    
-    res.json({
-      status: 'success',
-      reportType: type,
-      dateRange: { startDate, endDate },
-      data: reportData
-    });
+
+    // Files are streamed row by row so large date ranges never sit in memory
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${reportFileName(type, range, format)}"`);
+    await writeReport(type, range, format, res);
   } catch (error) {
+    if (res.headersSent) {
+      console.error('Generate report stream error:', error);
+      return res.destroy(error);
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
     console.error('Generate report error:', error);
     res.status(500).json({
       status: 'error',
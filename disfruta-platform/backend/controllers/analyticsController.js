@@ -0,0 +1,34 @@
+const { getVintageAnalytics } = require('../services/vintageAnalytics');
+
+// @desc    Loan performance by origination cohort and grade, by month on book
+// @route   GET /api/admin/analytics/vintages?grade=C&from=2026-01&to=2026-09&period=quarter
+// @access  Private (Admin only)
+const getVintages = async (req, res) => {
+  try {
+    const { grade, from, to, period } = req.query;
+
+    const analytics = await getVintageAnalytics({ grade, from, to, period });
+
+    res.json({
+      status: 'success',
+      ...analytics
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Get vintage analytics error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error computing vintage analytics'
+    });
+  }
+};
+
+module.exports = {
+  getVintages
+};
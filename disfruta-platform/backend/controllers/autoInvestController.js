@@ -0,0 +1,137 @@
+const User = require('../models/User');
+const { findOpenLoans, getInvestableCash, planAllocations, runForInvestor } = require('../services/autoInvest');
+
+// @desc    Get the current user's auto-invest settings
+// @route   GET /api/investments/auto-invest
+// @access  Private
+const getAutoInvestSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('autoInvest preferences');
+
+    res.json({
+      status: 'success',
+      autoInvest: user.autoInvest,
+      riskTolerance: user.preferences.riskTolerance
+    });
+  } catch (error) {
+    console.error('Get auto-invest settings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching auto-invest settings'
+    });
+  }
+};
+
+// @desc    Update auto-invest settings
+// @route   PUT /api/investments/auto-invest
+// @access  Private
+const updateAutoInvestSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!['lender', 'both'].includes(user.userType)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'User is not authorized to invest'
+      });
+    }
+
+    // Only allow updating certain fields
+    const allowedFields = ['enabled', 'availableCash', 'maxPerLoan', 'criteria'];
+    const updateFields = Object.keys(req.body);
+    const invalidFields = updateFields.filter(field => !allowedFields.includes(field));
+
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot update fields: ${invalidFields.join(', ')}`
+      });
+    }
+
+    updateFields.forEach(field => {
+      user.autoInvest[field] = req.body[field];
+    });
+    await user.save();
+
+    // Put newly enabled cash to work straight away
+    let result = null;
+    if (user.autoInvest.enabled) {
+      result = await runForInvestor(user);
+    }
+
+    const updated = await User.findById(req.user.id).select('autoInvest');
+
+    res.json({
+      status: 'success',
+      message: 'Auto-invest settings updated successfully',
+      autoInvest: updated.autoInvest,
+      result
+    });
+  } catch (error) {
+    console.error('Update auto-invest settings error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating auto-invest settings'
+    });
+  }
+};
+
+// @desc    Dry-run auto-invest rules against loans open for funding
+// @route   GET /api/investments/auto-invest/preview
+// @access  Private
+const previewAutoInvest = async (req, res) => {
+  try {
+    const { cash } = req.query;
+
+    const user = await User.findById(req.user.id);
+    const loans = await findOpenLoans();
+
+    const availableCash = cash !== undefined ? parseFloat(cash) : await getInvestableCash(user);
+    const { criteria, allocations, remainingCash } = await planAllocations(user, loans, { cash: availableCash });
+
+    res.json({
+      status: 'success',
+      criteria,
+      maxPerLoan: user.autoInvest.maxPerLoan,
+      availableCash,
+      remainingCash,
+      totalAllocated: allocations.reduce((sum, allocation) => sum + allocation.amount, 0),
+      matches: allocations.map(({ loan, matched, amount, reasons }) => ({
+        loan: {
+          _id: loan._id,
+          amount: loan.amount,
+          fundedAmount: loan.fundedAmount,
+          purpose: loan.purpose,
+          grade: loan.grade,
+          interestRate: loan.interestRate,
+          term: loan.term,
+          riskLevel: loan.riskAssessment?.riskLevel,
+          fundingDeadline: loan.fundingDeadline
+        },
+        matched,
+        amount,
+        reasons
+      }))
+    });
+  } catch (error) {
+    console.error('Preview auto-invest error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error previewing auto-invest rules'
+    });
+  }
+};
+
+module.exports = {
+  getAutoInvestSettings,
+  updateAutoInvestSettings,
+  previewAutoInvest
+};
@@ -0,0 +1,314 @@
+const CashTransaction = require('../models/CashTransaction');
+const User = require('../models/User');
+const cashAccounts = require('../services/cashAccount');
+const { roundToCents } = require('../utils/money');
+
+const MIN_DEPOSIT = 1; // Smallest single deposit request, the CashTransaction minimum
+const MAX_DEPOSIT = 100000; // Largest single deposit request
+
+// @desc    Get the current user's cash account
+// @route   GET /api/cash
+// @access  Private
+const getCashAccount = async (req, res) => {
+  try {
+    const account = await cashAccounts.getAccount(req.user.id);
+
+    const recentTransactions = await CashTransaction.find({ user: req.user.id })
+      .sort({ requestedAt: -1 })
+      .limit(5);
+
+    res.json({
+      status: 'success',
+      account: {
+        available: account.available,
+        pendingDeposits: account.pendingDeposits,
+        pendingWithdrawals: account.pendingWithdrawals,
+        currency: account.currency,
+        lastActivityAt: account.lastActivityAt
+      },
+      recentTransactions
+    });
+  } catch (error) {
+    console.error('Get cash account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching cash account'
+    });
+  }
+};
+
+// @desc    Get the current user's deposits and withdrawals
+// @route   GET /api/cash/transactions
+// @access  Private
+const getCashTransactions = async (req, res) => {
+  try {
+    const { type, status, page = 1, limit = 20 } = req.query;
+
+    const query = { user: req.user.id };
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const transactions = await CashTransaction.find(query)
+      .sort({ requestedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CashTransaction.countDocuments(query);
+
+    res.json({
+      status: 'success',
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get cash transactions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching cash transactions'
+    });
+  }
+};
+
+// @desc    Request a deposit into the cash account
+// @route   POST /api/cash/deposits
+// @access  Private (Lender)
+const requestDeposit = async (req, res) => {
+  try {
+    const { method, externalReference } = req.body;
+    const amount = roundToCents(req.body.amount);
+
+    const user = await User.findById(req.user.id);
+    if (!['lender', 'both'].includes(user.userType)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only lenders can hold a cash account'
+      });
+    }
+
+    if (!(amount >= MIN_DEPOSIT) || amount > MAX_DEPOSIT) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Deposit must be between $${MIN_DEPOSIT} and $${MAX_DEPOSIT.toLocaleString()}`
+      });
+    }
+
+    const transaction = await cashAccounts.requestDeposit(req.user.id, amount, { method, externalReference });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Deposit requested; funds become available once received',
+      transaction
+    });
+  } catch (error) {
+    console.error('Request deposit error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error requesting deposit'
+    });
+  }
+};
+
+// @desc    Request a withdrawal from the cash account
+// @route   POST /api/cash/withdrawals
+// @access  Private (KYC verified)
+const requestWithdrawal = async (req, res) => {
+  try {
+    const { amount, method } = req.body;
+
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Withdrawal amount must be greater than zero'
+      });
+    }
+
+    const transaction = await cashAccounts.requestWithdrawal(req.user.id, amount, { method });
+    if (!transaction) {
+      const { available } = await cashAccounts.getAccount(req.user.id);
+      return res.status(400).json({
+        status: 'error',
+        message: `Insufficient available cash: $${available.toFixed(2)} available`
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Withdrawal requested successfully',
+      transaction
+    });
+  } catch (error) {
+    console.error('Request withdrawal error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error requesting withdrawal'
+    });
+  }
+};
+
+// @desc    Cancel a pending deposit or withdrawal
+// @route   DELETE /api/cash/transactions/:id
+// @access  Private
+const cancelCashTransaction = async (req, res) => {
+  try {
+    const transaction = await CashTransaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Transaction not found'
+      });
+    }
+
+    if (transaction.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to cancel this transaction'
+      });
+    }
+
+    const cancelled = await cashAccounts.closeTransaction(transaction._id, {
+      status: 'cancelled',
+      reason: 'Cancelled by user',
+      processedBy: req.user.id
+    });
+    if (!cancelled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only pending transactions can be cancelled'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: `${cancelled.type === 'deposit' ? 'Deposit' : 'Withdrawal'} cancelled successfully`,
+      transaction: cancelled
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Cancel cash transaction error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error cancelling transaction'
+    });
+  }
+};
+
+// @desc    List deposits and withdrawals awaiting settlement
+// @route   GET /api/admin/cash/transactions
+// @access  Private (Admin only)
+const getPendingCashTransactions = async (req, res) => {
+  try {
+    const { status = 'pending', type, page = 1, limit = 20 } = req.query;
+
+    const query = { status };
+    if (type) query.type = type;
+
+    const transactions = await CashTransaction.find(query)
+      .populate('user', 'firstName lastName email')
+      .sort({ requestedAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CashTransaction.countDocuments(query);
+
+    res.json({
+      status: 'success',
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get pending cash transactions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching cash transactions'
+    });
+  }
+};
+
+// @desc    Settle or fail a pending deposit or withdrawal
+// @route   PUT /api/admin/cash/transactions/:id
+// @access  Private (Admin only)
+const processCashTransaction = async (req, res) => {
+  try {
+    const { decision, externalReference, reason } = req.body;
+
+    if (!['settled', 'failed'].includes(decision)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Decision must be settled or failed'
+      });
+    }
+
+    const transaction = decision === 'settled'
+      ? await cashAccounts.settleTransaction(req.params.id, { processedBy: req.user.id, externalReference })
+      : await cashAccounts.closeTransaction(req.params.id, { reason, processedBy: req.user.id });
+
+    if (!transaction) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Transaction not found or no longer pending'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: `Transaction ${decision} successfully`,
+      transaction
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Process cash transaction error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error processing transaction'
+    });
+  }
+};
+
+module.exports = {
+  getCashAccount,
+  getCashTransactions,
+  requestDeposit,
+  requestWithdrawal,
+  cancelCashTransaction,
+  getPendingCashTransactions,
+  processCashTransaction
+};
@@ -0,0 +1,196 @@
+const CollectionCase = require('../models/CollectionCase');
+const User = require('../models/User');
+const { buckets } = require('../config/collections');
+
+// @desc    Get the collections work queue
+// @route   GET /api/admin/collections
+// @access  Private (Admin only)
+const getCollectionQueue = async (req, res) => {
+  try {
+    const {
+      status = 'open',
+      bucket,
+      assignedTo,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const query = { status };
+    if (bucket) query.bucket = bucket;
+    if (assignedTo) query.assignedTo = assignedTo === 'unassigned' ? null : assignedTo;
+
+    const cases = await CollectionCase.find(query)
+      .populate('loan', 'amount purpose grade status remainingBalance nextPaymentDate')
+      .populate('borrower', 'firstName lastName email phone')
+      .populate('assignedTo', 'firstName lastName email')
+      .select('-notes -actions')
+      .sort({ daysPastDue: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CollectionCase.countDocuments(query);
+
+    const bucketTotals = await CollectionCase.aggregate([
+      { $match: { status: 'open' } },
+      {
+        $group: {
+          _id: '$bucket',
+          count: { $sum: 1 },
+          amountPastDue: { $sum: '$amountPastDue' }
+        }
+      }
+    ]);
+    const totalsByBucket = new Map(bucketTotals.map(entry => [entry._id, entry]));
+
+    res.json({
+      status: 'success',
+      cases,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      summary: buckets.map(entry => ({
+        bucket: entry.id,
+        label: entry.label,
+        actions: entry.actions,
+        count: totalsByBucket.get(entry.id)?.count || 0,
+        amountPastDue: totalsByBucket.get(entry.id)?.amountPastDue || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get collection queue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching collection queue'
+    });
+  }
+};
+
+// @desc    Get a collection case
+// @route   GET /api/admin/collections/:id
+// @access  Private (Admin only)
+const getCollectionCase = async (req, res) => {
+  try {
+    const collectionCase = await CollectionCase.findById(req.params.id)
+      .populate('loan')
+      .populate('borrower', 'firstName lastName email phone creditScore')
+      .populate('assignedTo', 'firstName lastName email')
+      .populate('overduePayments')
+      .populate('notes.author', 'firstName lastName email');
+
+    if (!collectionCase) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection case not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      case: collectionCase
+    });
+  } catch (error) {
+    console.error('Get collection case error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching collection case'
+    });
+  }
+};
+
+// @desc    Add a note to a collection case
+// @route   POST /api/admin/collections/:id/notes
+// @access  Private (Admin only)
+const addCollectionNote = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Note text is required'
+      });
+    }
+
+    const collectionCase = await CollectionCase.findById(req.params.id);
+
+    if (!collectionCase) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection case not found'
+      });
+    }
+
+    collectionCase.notes.push({
+      author: req.user.id,
+      text
+    });
+    await collectionCase.save();
+
+    await collectionCase.populate('notes.author', 'firstName lastName email');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Note added successfully',
+      notes: collectionCase.notes
+    });
+  } catch (error) {
+    console.error('Add collection note error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error adding note'
+    });
+  }
+};
+
+// @desc    Assign a collection case to an admin
+// @route   PUT /api/admin/collections/:id/assign
+// @access  Private (Admin only)
+const assignCollectionCase = async (req, res) => {
+  try {
+    const { assignedTo } = req.body;
+
+    const collectionCase = await CollectionCase.findById(req.params.id);
+
+    if (!collectionCase) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection case not found'
+      });
+    }
+
+    if (assignedTo) {
+      const assignee = await User.findById(assignedTo);
+      if (!assignee || !['admin', 'moderator'].includes(assignee.role)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Cases can only be assigned to admins or moderators'
+        });
+      }
+    }
+
+    collectionCase.assignedTo = assignedTo || null;
+    await collectionCase.save();
+
+    res.json({
+      status: 'success',
+      message: assignedTo ? 'Case assigned successfully' : 'Case unassigned successfully',
+      case: collectionCase
+    });
+  } catch (error) {
+    console.error('Assign collection case error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error assigning collection case'
+    });
+  }
+};
+
+module.exports = {
+  getCollectionQueue,
+  getCollectionCase,
+  addCollectionNote,
+  assignCollectionCase
+};
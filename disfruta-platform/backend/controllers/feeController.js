@@ -0,0 +1,79 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const fees = require('../services/fees');
+
+// @desc    List published fee schedules and the one in force now
+// @route   GET /api/admin/fees/schedules
+// @access  Private (Admin only)
+const getFeeSchedules = async (req, res) => {
+  try {
+    const schedules = await FeeSchedule.find()
+      .populate('createdBy', 'firstName lastName')
+      .sort({ version: -1 });
+
+    const current = await fees.getSchedule();
+
+    res.json({
+      status: 'success',
+      current,
+      schedules
+    });
+  } catch (error) {
+    console.error('Get fee schedules error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching fee schedules'
+    });
+  }
+};
+
+// @desc    Publish a new fee schedule version
+// @route   POST /api/admin/fees/schedules
+// @access  Private (Admin only)
+const createFeeSchedule = async (req, res) => {
+  try {
+    const { effectiveFrom, origination, servicing, late, nsf, notes } = req.body;
+
+    const schedule = await fees.publishSchedule(
+      { effectiveFrom, origination, servicing, late, nsf, notes },
+      req.user.id
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: `Fee schedule v${schedule.version} takes effect ${schedule.effectiveFrom.toISOString()}`,
+      schedule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Another fee schedule was published at the same time, please try again'
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Create fee schedule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error publishing fee schedule'
+    });
+  }
+};
+
+module.exports = {
+  getFeeSchedules,
+  createFeeSchedule
+};
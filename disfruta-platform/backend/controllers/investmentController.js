@@ -1,7 +1,17 @@
+const mongoose = require('mongoose');
 const Investment = require('../models/Investment');
 const Loan = require('../models/Loan');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
+const ledger = require('../services/ledger');
+const cashAccounts = require('../services/cashAccount');
+const { projectPortfolio } = require('../services/portfolioProjection');
+const { calculateReturns } = require('../services/investorReturns');
+const { analyzeDiversification } = require('../services/diversification');
+const { sendAgreementNotification } = require('../services/loanAgreements');
+const { withTransaction } = require('../utils/transaction');
+const { createHttpError } = require('../utils/helpers');
+const { sumMoney } = require('../utils/money');
 
 // @desc    Create a new investment
 // @route   POST /api/investments
@@ -78,29 +88,49 @@ const createInvestment = async (req, res) => {
       });
     }
 
-    // Calculate investment percentage
-    const percentage = (amount / loan.amount) * 100;
+    // Cash, investment, ledger, schedule, loan total and statistics change together or not at all
+    const { investment, agreement } = await withTransaction(async () => {
+      // Pay for the investment out of the investor's cash account
+      const account = await cashAccounts.debit(req.user.id, amount);
+      if (!account) {
+        const { available } = await cashAccounts.getAccount(req.user.id);
+        throw createHttpError(400, `Insufficient available cash: $${available.toFixed(2)} available`);
+      }
 
-    // Create investment
-    const investment = await Investment.create({
-      investor: req.user.id,
-      loan: loanId,
-      amount,
-      percentage,
-      status: 'pending'
-    });
+      // Re-read the loan inside the transaction; the funding update checks it has not moved since
+      const fundingLoan = await Loan.findById(loanId);
+
+      // Calculate investment percentage
+      const percentage = (amount / fundingLoan.amount) * 100;
+
+      const created = await Investment.create({
+        investor: req.user.id,
+        loan: loanId,
+        amount,
+        percentage,
+        status: 'pending'
+      });
+      await ledger.recordFunding(created);
+
+      // Generate a projected payment schedule for the investment
+      await created.generatePaymentSchedule(fundingLoan);
 
-    // Update loan funded amount
-    await loan.updateFundingAmount(amount);
+      // Update loan funded amount (activates investments once the loan is fully funded)
+      const issued = await fundingLoan.updateFundingAmount(amount);
 
-    // Generate payment schedule for the investment
-    await investment.generatePaymentSchedule();
+      // Update investor statistics
+      await User.findByIdAndUpdate(req.user.id, {
+        $inc: { 'statistics.totalInvested': amount }
+      });
 
-    // Update investor statistics
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { 'statistics.totalInvested': amount }
+      return { investment: created, agreement: issued };
     });
 
+    // Filling the loan may have issued an agreement for the borrower to sign
+    if (agreement) {
+      await sendAgreementNotification(loan, agreement);
+    }
+
     await investment.populate([
       { path: 'investor', select: 'name email' },
       { path: 'loan', select: 'amount purpose status grade interestRate term' }
@@ -112,6 +142,13 @@ const createInvestment = async (req, res) => {
       investment
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Create investment error:', error);
     res.status(500).json({
       status: 'error',
@@ -263,7 +300,7 @@ const updateInvestment = async (req, res) => {
     // Check authorization
     const canUpdate = 
       req.user.role === 'admin' ||
-      (investment.investor.toString() === req.user.id && investment.status === 'pending');
+      (investment.investor.toString() === req.user.id && ['pending', 'active'].includes(investment.status));
 
     if (!canUpdate) {
       return res.status(403).json({
@@ -321,40 +358,62 @@ const cancelInvestment = async (req, res) => {
     }
 
     // Check authorization
-    const canCancel = 
-      req.user.role === 'admin' ||
-      (investment.investor.toString() === req.user.id && investment.status === 'pending');
+    const canCancel = req.user.role === 'admin' || investment.investor.toString() === req.user.id;
 
     if (!canCancel) {
       return res.status(403).json({
         status: 'error',
-        message: 'Cannot cancel investment in current status'
+        message: 'Not authorized to cancel this investment'
       });
     }
 
-    // Update loan funded amount
-    const loan = await Loan.findById(investment.loan);
-    if (loan) {
-      loan.fundedAmount -= investment.amount;
-      if (loan.status === 'funded' && loan.fundedAmount < loan.amount) {
-        loan.status = 'funding';
-      }
-      await loan.save();
+    // Only money still waiting for the loan to disburse can be refunded
+    if (investment.status !== 'pending') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Cannot cancel an investment that is ${investment.status}`
+      });
     }
 
-    // Update investor statistics
-    await User.findByIdAndUpdate(investment.investor, {
-      $inc: { 'statistics.totalInvested': -investment.amount }
-    });
+    await withTransaction(async () => {
+      // Claim the investment so a repeated cancel cannot refund it twice
+      const cancelled = await Investment.findOneAndUpdate(
+        { _id: investment._id, status: 'pending' },
+        { $set: { status: 'cancelled', cancelledDate: new Date() } },
+        { new: true }
+      );
+      if (!cancelled) {
+        throw createHttpError(409, 'Investment changed while cancelling, please try again');
+      }
 
-    investment.status = 'cancelled';
-    await investment.save();
+      // Update loan funded amount; refuses once the loan has been disbursed
+      const loan = await Loan.findById(investment.loan);
+      if (!loan) {
+        throw createHttpError(409, 'Loan not found for this investment');
+      }
+      await loan.releaseFunding(investment.amount);
+
+      // Update investor statistics
+      await User.findByIdAndUpdate(investment.investor, {
+        $inc: { 'statistics.totalInvested': -investment.amount }
+      });
+
+      await ledger.recordRefund(cancelled);
+      await cashAccounts.credit(investment.investor, investment.amount);
+    });
 
     res.json({
       status: 'success',
-      message: 'Investment cancelled successfully'
+      message: 'Investment cancelled and refunded to your cash account'
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Cancel investment error:', error);
     res.status(500).json({
       status: 'error',
@@ -388,16 +447,25 @@ const getInvestmentPerformance = async (req, res) => {
 
     // Calculate performance metrics
     investment.calculatePerformanceMetrics();
+    const { byInvestment } = await calculateReturns([investment]);
+    const returns = byInvestment.get(investment._id.toString());
+    investment.performance.xirr = returns.xirr;
+    investment.performance.timeWeightedReturn = returns.timeWeightedReturn;
     await investment.save();
 
     const performance = {
       roi: investment.performance.roi,
       annualizedReturn: investment.performance.annualizedReturn,
+      xirr: returns.xirr,
+      timeWeightedReturn: returns.timeWeightedReturn,
+      cumulativeTimeWeightedReturn: returns.cumulativeTimeWeightedReturn,
+      cashFlows: returns.cashFlows,
       daysInvested: investment.performance.daysInvested,
       paymentConsistency: investment.performance.paymentConsistency,
       totalReceived: investment.totalReceived,
       principalReceived: investment.principalReceived,
       interestEarned: investment.interestEarned,
+      servicingFeesPaid: investment.servicingFeesPaid,
       remainingAmount: investment.remainingAmount,
       paymentsReceived: investment.paymentsReceived,
       expectedPayments: investment.expectedPayments,
@@ -432,9 +500,11 @@ const getPortfolioSummary = async (req, res) => {
     // Calculate portfolio metrics
     const totalInvested = investments.reduce((sum, inv) => sum + inv.amount, 0);
     const totalReceived = investments.reduce((sum, inv) => sum + inv.totalReceived, 0);
+    const totalServicingFees = sumMoney(investments.map(inv => inv.servicingFeesPaid || 0));
     const activeInvestments = investments.filter(inv => inv.isActive).length;
     const completedInvestments = investments.filter(inv => inv.status === 'completed').length;
     const defaultedInvestments = investments.filter(inv => inv.status === 'defaulted').length;
+    const modifiedInvestments = investments.filter(inv => inv.isActive && inv.loanModification.modified).length;
     
     // Calculate weighted average return
     const weightedReturn = investments.reduce((sum, inv) => {
@@ -442,6 +512,9 @@ const getPortfolioSummary = async (req, res) => {
       return sum + (inv.performance.annualizedReturn * weight);
     }, 0);
 
+    // Returns that account for when money went in and came back
+    const returns = await calculateReturns(investments);
+
     // Grade distribution
     const gradeDistribution = investments.reduce((acc, inv) => {
       const grade = inv.loan.grade;
@@ -449,9 +522,9 @@ const getPortfolioSummary = async (req, res) => {
       return acc;
     }, {});
 
-    // Monthly cash flow (upcoming payments)
+    // Monthly cash flow (upcoming payments), following any restructured schedules
     const upcomingPayments = await Investment.aggregate([
-      { $match: { investor: investorId, status: 'active' } },
+      { $match: { investor: new mongoose.Types.ObjectId(investorId), status: 'active' } },
       { $unwind: '$paymentSchedule' },
       { $match: { 'paymentSchedule.status': 'pending' } },
       {
@@ -460,7 +533,12 @@ const getPortfolioSummary = async (req, res) => {
             year: { $year: '$paymentSchedule.dueDate' },
             month: { $month: '$paymentSchedule.dueDate' }
           },
-          expectedAmount: { $sum: '$paymentSchedule.totalAmount' }
+          expectedAmount: { $sum: '$paymentSchedule.totalAmount' },
+          modifiedAmount: {
+            $sum: {
+              $cond: ['$loanModification.modified', '$paymentSchedule.totalAmount', 0]
+            }
+          }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1 } },
@@ -472,12 +550,17 @@ const getPortfolioSummary = async (req, res) => {
       portfolio: {
         totalInvested,
         totalReceived,
+        totalServicingFees,
         netReturn: totalReceived - totalInvested,
         roi: totalInvested > 0 ? ((totalReceived - totalInvested) / totalInvested) * 100 : 0,
         weightedAverageReturn: weightedReturn,
+        xirr: returns.portfolio.xirr,
+        timeWeightedReturn: returns.portfolio.timeWeightedReturn,
+        cumulativeTimeWeightedReturn: returns.portfolio.cumulativeTimeWeightedReturn,
         activeInvestments,
         completedInvestments,
         defaultedInvestments,
+        modifiedInvestments,
         totalInvestments: investments.length,
         gradeDistribution,
         upcomingPayments
@@ -492,6 +575,48 @@ const getPortfolioSummary = async (req, res) => {
   }
 };
 
+// @desc    Simulated range of outcomes for the investor's active investments
+// @route   GET /api/investments/portfolio/projection
+// @access  Private
+const getPortfolioProjection = async (req, res) => {
+  try {
+    const { simulations, seed } = req.query;
+
+    const projection = await projectPortfolio(req.user.id, { simulations, seed });
+
+    res.json({
+      status: 'success',
+      projection
+    });
+  } catch (error) {
+    console.error('Get portfolio projection error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error projecting portfolio'
+    });
+  }
+};
+
+// @desc    Concentration of the investor's active investments and how to spread them further
+// @route   GET /api/investments/portfolio/diversification
+// @access  Private
+const getPortfolioDiversification = async (req, res) => {
+  try {
+    const diversification = await analyzeDiversification(req.user.id, { target: req.query.target });
+
+    res.json({
+      status: 'success',
+      diversification
+    });
+  } catch (error) {
+    console.error('Get portfolio diversification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error analyzing portfolio diversification'
+    });
+  }
+};
+
 module.exports = {
   createInvestment,
   getInvestments,
@@ -499,5 +624,7 @@ module.exports = {
   updateInvestment,
   cancelInvestment,
   getInvestmentPerformance,
-  getPortfolioSummary
+  getPortfolioSummary,
+  getPortfolioProjection,
+  getPortfolioDiversification
 };
\ No newline at end of file
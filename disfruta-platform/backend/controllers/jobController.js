@@ -0,0 +1,168 @@
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+const jobScheduler = require('../services/jobScheduler');
+
+// @desc    List scheduled jobs with their latest run
+// @route   GET /api/admin/jobs
+// @access  Private (Admin only)
+const getJobs = async (req, res) => {
+  try {
+    const jobs = jobScheduler.listJobs();
+    const names = jobs.map(job => job.name);
+
+    const lastRuns = await JobRun.aggregate([
+      { $match: { job: { $in: names } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: '$job', lastRun: { $first: '$$ROOT' } } }
+    ]);
+    const locks = await JobLock.find({ _id: { $in: names } });
+
+    const lastRunByJob = new Map(lastRuns.map(entry => [entry._id, entry.lastRun]));
+    const lockByJob = new Map(locks.map(lock => [lock._id, lock]));
+    const now = new Date();
+
+    res.json({
+      status: 'success',
+      jobs: jobs.map(job => {
+        const lock = lockByJob.get(job.name);
+        return {
+          ...job,
+          lastRun: lastRunByJob.get(job.name) || null,
+          isRunning: !!(lock && lock.lockedUntil > now),
+          lockedBy: lock && lock.lockedUntil > now ? lock.lockedBy : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching jobs'
+    });
+  }
+};
+
+// @desc    Trigger a job run now
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private (Admin only)
+const triggerJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!jobScheduler.getJob(name)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Job ${name} not found`
+      });
+    }
+
+    const started = await jobScheduler.startJob(name, {
+      trigger: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    if (!started) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Job ${name} is already running`
+      });
+    }
+
+    // The job keeps running after the response; its outcome is recorded on the run
+    started.finished.catch(error => console.error(`Job ${name} error:`, error));
+
+    res.status(202).json({
+      status: 'success',
+      message: `Job ${name} started`,
+      run: started.run
+    });
+  } catch (error) {
+    console.error('Trigger job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error running job'
+    });
+  }
+};
+
+// Shared query for run history listings
+const findJobRuns = async (query, { page = 1, limit = 20 }) => {
+  const runs = await JobRun.find(query)
+    .populate('triggeredBy', 'firstName lastName email')
+    .sort({ startedAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await JobRun.countDocuments(query);
+
+  return {
+    runs,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// @desc    Get job run history
+// @route   GET /api/admin/jobs/runs
+// @access  Private (Admin only)
+const getJobRuns = async (req, res) => {
+  try {
+    const { job, status, trigger } = req.query;
+
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const { runs, pagination } = await findJobRuns(query, req.query);
+
+    res.json({
+      status: 'success',
+      runs,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching job runs'
+    });
+  }
+};
+
+// @desc    Get failed job runs
+// @route   GET /api/admin/jobs/failures
+// @access  Private (Admin only)
+const getJobFailures = async (req, res) => {
+  try {
+    const { job } = req.query;
+
+    const query = { status: 'failed' };
+    if (job) query.job = job;
+
+    const { runs, pagination } = await findJobRuns(query, req.query);
+
+    res.json({
+      status: 'success',
+      failures: runs,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get job failures error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching job failures'
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  triggerJob,
+  getJobRuns,
+  getJobFailures
+};
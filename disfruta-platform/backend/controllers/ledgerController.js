@@ -0,0 +1,109 @@
+const JournalEntry = require('../models/JournalEntry');
+const LedgerAccount = require('../models/LedgerAccount');
+const ledger = require('../services/ledger');
+
+// @desc    Get the trial balance of every ledger account
+// @route   GET /api/admin/ledger/trial-balance
+// @access  Private (Admin only)
+const getTrialBalance = async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    const trialBalance = await ledger.getTrialBalance();
+    const accounts = category
+      ? trialBalance.accounts.filter(account => account.category === category)
+      : trialBalance.accounts;
+
+    res.json({
+      status: 'success',
+      trialBalance: {
+        ...trialBalance,
+        accounts
+      },
+      generatedAt: new Date()
+    });
+  } catch (error) {
+    console.error('Get trial balance error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error generating trial balance'
+    });
+  }
+};
+
+// @desc    List journal entries
+// @route   GET /api/admin/ledger/entries
+// @access  Private (Admin only)
+const getJournalEntries = async (req, res) => {
+  try {
+    const { type, loan, payment, investment, account, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (loan) query['references.loan'] = loan;
+    if (payment) query['references.payment'] = payment;
+    if (investment) query['lines.investment'] = investment;
+    if (account) {
+      const ledgerAccount = await LedgerAccount.findOne({ code: account });
+      if (!ledgerAccount) {
+        return res.status(404).json({
+          status: 'error',
+          message: `Ledger account ${account} not found`
+        });
+      }
+      query['lines.account'] = ledgerAccount._id;
+    }
+
+    const entries = await JournalEntry.find(query)
+      .populate('lines.account', 'code name category')
+      .sort({ postedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await JournalEntry.countDocuments(query);
+
+    res.json({
+      status: 'success',
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get journal entries error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching journal entries'
+    });
+  }
+};
+
+// @desc    Check loan, investment, payment and cash account counters against the ledger
+// @route   GET /api/admin/ledger/reconciliation
+// @access  Private (Admin only)
+const getReconciliation = async (req, res) => {
+  try {
+    const reconciliation = await ledger.reconcileCounters();
+
+    res.json({
+      status: 'success',
+      reconciliation,
+      generatedAt: new Date()
+    });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error reconciling counters with the ledger'
+    });
+  }
+};
+
+module.exports = {
+  getTrialBalance,
+  getJournalEntries,
+  getReconciliation
+};
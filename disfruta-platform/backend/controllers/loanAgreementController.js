@@ -0,0 +1,167 @@
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const loanAgreements = require('../services/loanAgreements');
+const { withTransaction } = require('../utils/transaction');
+
+// @desc    Get the current loan agreement and its terms
+// @route   GET /api/loans/:id/agreement
+// @access  Private (borrower or admin)
+const getLoanAgreement = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Loan not found'
+      });
+    }
+
+    // Check authorization
+    if (loan.borrower.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view this loan agreement'
+      });
+    }
+
+    const agreement = await loanAgreements.getCurrentAgreement(loan);
+    if (!agreement) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No loan agreement has been issued for this loan'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      agreement,
+      awaitingAgreement: loan.awaitingAgreement
+    });
+  } catch (error) {
+    console.error('Get loan agreement error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching loan agreement'
+    });
+  }
+};
+
+// @desc    Download the current loan agreement PDF
+// @route   GET /api/loans/:id/agreement/download
+// @access  Private (borrower or admin)
+const downloadLoanAgreement = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Loan not found'
+      });
+    }
+
+    // Check authorization
+    if (loan.borrower.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view this loan agreement'
+      });
+    }
+
+    const agreement = await loanAgreements.getCurrentAgreement(loan);
+    if (!agreement) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No loan agreement has been issued for this loan'
+      });
+    }
+
+    const content = await loanAgreements.getAgreementContent(agreement);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${agreement.fileName}"`);
+    res.setHeader('X-Document-Hash', agreement.hash);
+    res.type('application/pdf').send(content);
+  } catch (error) {
+    console.error('Download loan agreement error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error downloading loan agreement'
+    });
+  }
+};
+
+// @desc    Accept the current loan agreement electronically
+// @route   POST /api/loans/:id/agreement/accept
+// @access  Private (borrower only)
+const acceptLoanAgreement = async (req, res) => {
+  try {
+    const { hash, signature } = req.body;
+
+    if (!hash || !signature) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Document hash and signature are required'
+      });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.borrower.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the borrower can accept this loan agreement'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('firstName lastName');
+
+    const agreement = await withTransaction(async () => {
+      // Re-read inside the transaction so a disbursement sees the latest funding state
+      const current = await Loan.findById(loan._id);
+      return loanAgreements.acceptAgreement(current, user, {
+        hash,
+        signature,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    });
+
+    const updated = await Loan.findById(loan._id);
+
+    res.json({
+      status: 'success',
+      message: updated.disbursedAt
+        ? 'Loan agreement accepted and funds disbursed'
+        : 'Loan agreement accepted; funds will be disbursed once the loan is fully funded',
+      agreement,
+      loan: updated
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Accept loan agreement error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error accepting loan agreement'
+    });
+  }
+};
+
+module.exports = {
+  getLoanAgreement,
+  downloadLoanAgreement,
+  acceptLoanAgreement
+};
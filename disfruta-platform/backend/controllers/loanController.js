@@ -3,6 +3,7 @@ const User = require('../models/User');
 const Investment = require('../models/Investment');
 const Payment = require('../models/Payment');
 const { calculateCreditScore } = require('../services/creditScoring');
+const { validatePayoffDate, calculatePayoffQuote } = require('../services/payoff');
 
 // @desc    Create a new loan application
 // @route   POST /api/loans
@@ -14,7 +15,8 @@ const createLoan = async (req, res) => {
       purpose,
       term,
       interestRate,
-      borrowerInfo
+      borrowerInfo,
+      fundingOptions
     } = req.body;
 
     const borrower = await User.findById(req.user.id);
@@ -47,6 +49,7 @@ const createLoan = async (req, res) => {
       interestRate: interestRate || calculateInterestRate(grade, riskAssessment),
       grade,
       borrowerInfo,
+      fundingOptions,
       riskAssessment,
       status: 'pending'
     });
@@ -405,31 +408,16 @@ const generatePaymentSchedule = async (req, res) => {
       });
     }
 
-    // Generate payment schedule
-    const payments = [];
-    const startDate = loan.startDate || new Date();
-    
-    for (let i = 1; i <= loan.term; i++) {
-      const dueDate = new Date(startDate);
-      dueDate.setMonth(dueDate.getMonth() + i);
-      
-      const payment = new Payment({
-        loan: loan._id,
-        borrower: loan.borrower,
-        amount: loan.monthlyPayment,
-        principalAmount: loan.amount / loan.term,
-        interestAmount: loan.monthlyPayment - (loan.amount / loan.term),
-        paymentNumber: i,
-        scheduledDate: dueDate,
-        dueDate: dueDate,
-        paymentMethod: 'bank_transfer',
-        status: 'pending'
+    if (loan.awaitingAgreement) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Loan agreement must be accepted before repayment starts'
       });
-      
-      await payment.save();
-      payments.push(payment);
     }
 
+    // Generate (or fetch the existing) amortization schedule
+    const payments = await loan.createPaymentSchedule();
+
     loan.status = 'active';
     await loan.save();
 
@@ -447,6 +435,153 @@ const generatePaymentSchedule = async (req, res) => {
   }
 };
 
+// @desc    Quote the amount needed to close a loan on a given date
+// @route   GET /api/loans/:id/payoff-quote
+// @access  Private
+const getPayoffQuote = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Loan not found'
+      });
+    }
+
+    // Check authorization
+    if (loan.borrower.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to request a payoff quote for this loan'
+      });
+    }
+
+    if (!['funded', 'active'].includes(loan.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Loan is not in repayment'
+      });
+    }
+
+    const payoffDate = req.query.payoffDate ? new Date(req.query.payoffDate) : new Date();
+    const dateError = validatePayoffDate(payoffDate);
+    if (dateError) {
+      return res.status(400).json({
+        status: 'error',
+        message: dateError
+      });
+    }
+
+    const quote = await calculatePayoffQuote(loan, payoffDate);
+
+    res.json({
+      status: 'success',
+      quote
+    });
+  } catch (error) {
+    console.error('Get payoff quote error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error calculating payoff quote'
+    });
+  }
+};
+
+// @desc    Create a full repayment from today's payoff quote
+// @route   POST /api/loans/:id/payoff
+// @access  Private
+const createPayoff = async (req, res) => {
+  try {
+    const { amount, paymentMethod } = req.body;
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Loan not found'
+      });
+    }
+
+    // Check authorization
+    if (loan.borrower.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to make payments for this loan'
+      });
+    }
+
+    if (!['funded', 'active'].includes(loan.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Loan is not in repayment'
+      });
+    }
+
+    const inFlight = await Payment.exists({ loan: loan._id, status: 'processing' });
+    if (inFlight) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Wait for the payment in progress to finish before paying off the loan'
+      });
+    }
+
+    const quote = await calculatePayoffQuote(loan, new Date());
+
+    if (quote.remainingInstallments === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No outstanding installments for this loan'
+      });
+    }
+
+    if (amount !== undefined && Math.abs(amount - quote.totalPayoff) >= 0.01) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Payment amount must match the payoff amount of $${quote.totalPayoff.toFixed(2)}`
+      });
+    }
+
+    // Only one payoff can be outstanding at a time
+    await Payment.updateMany(
+      { loan: loan._id, type: 'full_repayment', status: 'pending' },
+      { $set: { status: 'cancelled' } }
+    );
+
+    const payment = await Payment.create({
+      loan: loan._id,
+      borrower: loan.borrower,
+      amount: quote.totalPayoff,
+      principalAmount: quote.outstandingPrincipal,
+      interestAmount: quote.accruedInterest,
+      fees: quote.fees,
+      feeItems: quote.feeItems,
+      type: 'full_repayment',
+      status: 'pending',
+      paymentMethod: paymentMethod || 'bank_transfer',
+      scheduledDate: new Date(),
+      dueDate: quote.expiresAt,
+      quoteExpiresAt: quote.expiresAt,
+      paymentNumber: quote.firstOutstandingPaymentNumber
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Payoff payment created successfully',
+      payment,
+      quote
+    });
+  } catch (error) {
+    console.error('Create payoff error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating payoff payment',
+      details: error.message
+    });
+  }
+};
+
 // Helper functions
 const assignLoanGrade = (riskScore) => {
   if (riskScore >= 90) return 'A';
@@ -485,5 +620,7 @@ module.exports = {
   updateLoan,
   deleteLoan,
   getLoanPayments,
-  generatePaymentSchedule
+  generatePaymentSchedule,
+  getPayoffQuote,
+  createPayoff
 };
\ No newline at end of file
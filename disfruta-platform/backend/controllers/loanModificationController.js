@@ -0,0 +1,285 @@
+const LoanModification = require('../models/LoanModification');
+const Loan = require('../models/Loan');
+const Investment = require('../models/Investment');
+const User = require('../models/User');
+const { buildRestructurePlan, applyModification, MAX_TERM_MONTHS } = require('../services/loanModification');
+const emailService = require('../services/emailService');
+
+// Terms each modification type needs
+const requiredTerms = {
+  forbearance: ['forbearanceMonths'],
+  reduced_payment: ['reducedPaymentAmount', 'reducedPaymentMonths'],
+  term_extension: ['extensionMonths']
+};
+
+// @desc    Request a hardship modification
+// @route   POST /api/loans/:id/modifications
+// @access  Private (Borrower)
+const requestModification = async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Loan not found'
+      });
+    }
+
+    if (loan.borrower.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the borrower can request a modification'
+      });
+    }
+
+    if (!['funded', 'active'].includes(loan.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only loans in repayment can be modified'
+      });
+    }
+
+    if (!requiredTerms[type]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Modification type must be one of: ${Object.keys(requiredTerms).join(', ')}`
+      });
+    }
+
+    const missing = requiredTerms[type].filter(field => req.body[field] === undefined);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Missing terms for ${type}: ${missing.join(', ')}`
+      });
+    }
+
+    const pending = await LoanModification.exists({ loan: loan._id, status: 'pending' });
+    if (pending) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A modification request is already pending for this loan'
+      });
+    }
+
+    const modification = new LoanModification({
+      loan: loan._id,
+      borrower: loan.borrower,
+      type,
+      reason
+    });
+    requiredTerms[type].forEach(field => {
+      modification[field] = req.body[field];
+    });
+    await modification.validate();
+
+    if (type === 'reduced_payment' && modification.reducedPaymentAmount >= loan.monthlyPayment) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Reduced payment must be less than the current payment of $${loan.monthlyPayment.toFixed(2)}`
+      });
+    }
+
+    // Show the borrower what the new schedule would look like
+    const plan = await buildRestructurePlan(loan, modification);
+    if (plan.exceedsMaxTerm) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Modified term of ${plan.newTerm} months exceeds the ${MAX_TERM_MONTHS} month maximum`
+      });
+    }
+
+    await modification.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Modification request submitted successfully',
+      modification,
+      proposal: {
+        previousTerms: plan.previousTerms,
+        newTerms: plan.newTerms,
+        schedule: plan.rows
+      }
+    });
+  } catch (error) {
+    console.error('Request modification error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error requesting modification',
+      details: error.message
+    });
+  }
+};
+
+// @desc    Get the modification history of a loan
+// @route   GET /api/loans/:id/modifications
+// @access  Private
+const getLoanModifications = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Loan not found'
+      });
+    }
+
+    // Borrower, admins and the loan's investors can see the history
+    const canView =
+      req.user.role === 'admin' ||
+      loan.borrower.toString() === req.user.id ||
+      (await Investment.exists({ loan: loan._id, investor: req.user.id }));
+
+    if (!canView) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view modifications for this loan'
+      });
+    }
+
+    const modifications = await LoanModification.find({ loan: loan._id })
+      .populate('reviewedBy', 'firstName lastName')
+      .select('-supersededPayments')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      currentVersion: loan.metadata.version,
+      modifications
+    });
+  } catch (error) {
+    console.error('Get loan modifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching loan modifications'
+    });
+  }
+};
+
+// @desc    Get modification requests awaiting review
+// @route   GET /api/admin/modifications
+// @access  Private (Admin only)
+const getModificationQueue = async (req, res) => {
+  try {
+    const { status = 'pending', type, page = 1, limit = 20 } = req.query;
+
+    const query = { status };
+    if (type) query.type = type;
+
+    const modifications = await LoanModification.find(query)
+      .populate('loan', 'amount purpose grade status interestRate term monthlyPayment remainingBalance missedPayments')
+      .populate('borrower', 'firstName lastName email creditScore')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ requestedAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await LoanModification.countDocuments(query);
+
+    res.json({
+      status: 'success',
+      modifications,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get modification queue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching modification requests'
+    });
+  }
+};
+
+// @desc    Approve or reject a modification request
+// @route   PUT /api/admin/modifications/:id/review
+// @access  Private (Admin only)
+const reviewModification = async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Decision must be approved or rejected'
+      });
+    }
+
+    const existing = await LoanModification.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Modification request not found'
+      });
+    }
+
+    let modification;
+    let loan;
+    if (decision === 'approved') {
+      ({ modification, loan } = await applyModification(existing._id, req.user.id, { notes }));
+    } else {
+      // Claim the request so it cannot be rejected while an approval is applying it
+      modification = await LoanModification.findOneAndUpdate(
+        { _id: existing._id, status: 'pending' },
+        { $set: { status: 'rejected', reviewedBy: req.user.id, reviewedAt: new Date(), reviewNotes: notes } },
+        { new: true }
+      );
+      if (!modification) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Modification request has already been reviewed'
+        });
+      }
+      loan = await Loan.findById(modification.loan);
+    }
+
+    const borrower = await User.findById(modification.borrower);
+    if (borrower && loan && borrower.preferences.emailNotifications) {
+      await emailService.sendLoanModificationDecision(borrower, loan, modification);
+    }
+
+    res.json({
+      status: 'success',
+      message: `Modification ${decision} successfully`,
+      modification,
+      loan
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Review modification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error reviewing modification request'
+    });
+  }
+};
+
+module.exports = {
+  requestModification,
+  getLoanModifications,
+  getModificationQueue,
+  reviewModification
+};
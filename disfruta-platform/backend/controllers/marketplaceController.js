@@ -0,0 +1,322 @@
+const NoteListing = require('../models/NoteListing');
+const Investment = require('../models/Investment');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const { quoteNote, settlePurchase } = require('../services/secondaryMarket');
+
+// Principal the investor has already put up for sale on other active listings
+const getListedPrincipal = async (investmentId) => {
+  const listings = await NoteListing.find({ investment: investmentId, status: 'active' });
+  return listings.reduce((sum, listing) => sum + listing.principalRemaining, 0);
+};
+
+// @desc    Get active note listings
+// @route   GET /api/marketplace/listings
+// @access  Private
+const getListings = async (req, res) => {
+  try {
+    const {
+      grade,
+      minRate,
+      maxRate,
+      maxPrice,
+      page = 1,
+      limit = 12
+    } = req.query;
+
+    const loanQuery = { status: { $in: ['funded', 'active'] } };
+    if (grade) loanQuery.grade = grade;
+    if (minRate || maxRate) {
+      loanQuery.interestRate = {};
+      if (minRate) loanQuery.interestRate.$gte = parseFloat(minRate);
+      if (maxRate) loanQuery.interestRate.$lte = parseFloat(maxRate);
+    }
+    const loanIds = await Loan.find(loanQuery).distinct('_id');
+
+    const query = {
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      loan: { $in: loanIds }
+    };
+    if (maxPrice) query.principalRemaining = { $lte: parseFloat(maxPrice) };
+
+    const listings = await NoteListing.find(query)
+      .populate('loan', 'purpose grade interestRate term remainingBalance nextPaymentDate missedPayments')
+      .select('-trades')
+      .sort({ listedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await NoteListing.countDocuments(query);
+
+    res.json({
+      status: 'success',
+      listings,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get listings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching listings'
+    });
+  }
+};
+
+// @desc    Get the current user's listings
+// @route   GET /api/marketplace/listings/mine
+// @access  Private
+const getMyListings = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { seller: req.user.id };
+    if (status) query.status = status;
+
+    const listings = await NoteListing.find(query)
+      .populate('loan', 'purpose grade interestRate term')
+      .sort({ listedAt: -1 });
+
+    res.json({
+      status: 'success',
+      listings
+    });
+  } catch (error) {
+    console.error('Get my listings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching your listings'
+    });
+  }
+};
+
+// @desc    Price an investment for sale
+// @route   GET /api/marketplace/pricing/:investmentId
+// @access  Private
+const getPricing = async (req, res) => {
+  try {
+    const investment = await Investment.findById(req.params.investmentId);
+
+    if (!investment || investment.investor.toString() !== req.user.id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Investment not found'
+      });
+    }
+
+    const loan = await Loan.findById(investment.loan);
+    const principal = parseFloat(req.query.principalAmount) || investment.remainingAmount;
+    const markupPercent = parseFloat(req.query.markupPercent) || 0;
+
+    res.json({
+      status: 'success',
+      outstandingPrincipal: investment.remainingAmount,
+      listedPrincipal: await getListedPrincipal(investment._id),
+      quote: quoteNote(investment, loan, principal, markupPercent)
+    });
+  } catch (error) {
+    console.error('Get note pricing error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error pricing note'
+    });
+  }
+};
+
+// @desc    List part or all of an investment for sale
+// @route   POST /api/marketplace/listings
+// @access  Private
+const createListing = async (req, res) => {
+  try {
+    const { investmentId, principalAmount, markupPercent = 0 } = req.body;
+
+    const investment = await Investment.findById(investmentId);
+
+    if (!investment || investment.investor.toString() !== req.user.id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Investment not found'
+      });
+    }
+
+    if (investment.status !== 'active') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only active investments can be sold'
+      });
+    }
+
+    const loan = await Loan.findById(investment.loan);
+    if (!loan || !['funded', 'active'].includes(loan.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Loan is not in repayment'
+      });
+    }
+
+    if (loan.missedPayments > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Notes on delinquent loans cannot be listed'
+      });
+    }
+
+    const principal = principalAmount ? parseFloat(principalAmount) : investment.remainingAmount;
+    const available = investment.remainingAmount - await getListedPrincipal(investment._id);
+
+    if (principal > available + 0.005) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Only $${available.toFixed(2)} of principal is available to list`
+      });
+    }
+
+    const listing = await NoteListing.create({
+      investment: investment._id,
+      seller: req.user.id,
+      loan: loan._id,
+      principalAmount: principal,
+      principalRemaining: principal,
+      markupPercent
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Note listed successfully',
+      listing,
+      quote: quoteNote(investment, loan, principal, markupPercent)
+    });
+  } catch (error) {
+    console.error('Create listing error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating listing'
+    });
+  }
+};
+
+// @desc    Buy principal from a listing
+// @route   POST /api/marketplace/listings/:id/purchase
+// @access  Private
+const purchaseListing = async (req, res) => {
+  try {
+    const { principalAmount } = req.body;
+
+    const buyer = await User.findById(req.user.id);
+    if (!['lender', 'both'].includes(buyer.userType)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'User is not authorized to invest'
+      });
+    }
+
+    const listing = await NoteListing.findById(req.params.id).populate('loan', 'borrower');
+
+    if (!listing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Listing not found'
+      });
+    }
+
+    if (listing.seller.toString() === req.user.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot buy your own listing'
+      });
+    }
+
+    if (listing.loan.borrower.toString() === req.user.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot invest in your own loan'
+      });
+    }
+
+    const result = await settlePurchase(listing._id, req.user.id, principalAmount ? parseFloat(principalAmount) : undefined);
+
+    await result.investment.populate('loan', 'amount purpose status grade interestRate term');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Note purchased successfully',
+      investment: result.investment,
+      trade: result.trade,
+      listing: result.listing
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Purchase listing error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error purchasing note'
+    });
+  }
+};
+
+// @desc    Withdraw a listing
+// @route   DELETE /api/marketplace/listings/:id
+// @access  Private
+const cancelListing = async (req, res) => {
+  try {
+    const listing = await NoteListing.findById(req.params.id);
+
+    if (!listing || listing.seller.toString() !== req.user.id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Listing not found'
+      });
+    }
+
+    if (listing.status !== 'active') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only active listings can be cancelled'
+      });
+    }
+
+    listing.status = 'cancelled';
+    listing.closedAt = new Date();
+    await listing.save();
+
+    res.json({
+      status: 'success',
+      message: 'Listing cancelled successfully',
+      listing
+    });
+  } catch (error) {
+    console.error('Cancel listing error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error cancelling listing'
+    });
+  }
+};
+
+module.exports = {
+  getListings,
+  getMyListings,
+  getPricing,
+  createListing,
+  purchaseListing,
+  cancelListing
+};
@@ -2,8 +2,34 @@ const Payment = require('../models/Payment');
 const Loan = require('../models/Loan');
 const Investment = require('../models/Investment');
 const User = require('../models/User');
+const { getBucket } = require('../services/collections');
+const { submitPayment } = require('../services/paymentSettlement');
+const { getSchedule } = require('../services/fees');
+
+// A payoff replaces every remaining installment, so it can never be in flight alongside another
+// payment on the same loan. An installment is blocked by a payoff that is processing or still
+// payable; a payoff is blocked by any other payment that is processing.
+const findConflictingPayment = (payment) => {
+  if (payment.type === 'full_repayment') {
+    return Payment.exists({ _id: { $ne: payment._id }, loan: payment.loan, status: 'processing' });
+  }
+
+  return Payment.exists({
+    _id: { $ne: payment._id },
+    loan: payment.loan,
+    type: 'full_repayment',
+    $or: [
+      { status: 'processing' },
+      { status: 'pending', quoteExpiresAt: { $gte: new Date() } }
+    ]
+  });
+};
+
+const conflictMessage = payment => (payment.type === 'full_repayment'
+  ? 'Wait for the payment in progress to finish before paying off the loan'
+  : 'A payoff is pending for this loan; pay it or wait for its quote to expire');
 
-// @desc    Create a payment
+// @desc    Pay the next scheduled installment of a loan
 // @route   POST /api/payments
 // @access  Private
 const createPayment = async (req, res) => {
@@ -12,8 +38,7 @@ const createPayment = async (req, res) => {
       loanId,
       amount,
       paymentMethod,
-      scheduledDate,
-      type = 'scheduled'
+      scheduledDate
     } = req.body;
 
     const loan = await Loan.findById(loanId);
@@ -32,33 +57,40 @@ const createPayment = async (req, res) => {
       });
     }
 
-    // Find the next scheduled payment or create manual payment
-    let paymentNumber = 1;
-    const existingPayments = await Payment.find({ loan: loanId }).sort({ paymentNumber: -1 }).limit(1);
-    if (existingPayments.length > 0) {
-      paymentNumber = existingPayments[0].paymentNumber + 1;
+    if (!['funded', 'active'].includes(loan.status) || loan.awaitingAgreement) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Loan is not in repayment'
+      });
     }
 
-    // Calculate principal and interest portions
-    const monthlyPayment = loan.monthlyPayment;
-    const remainingBalance = loan.remainingBalance || loan.totalRepayment;
-    const interestAmount = (remainingBalance * loan.interestRate / 100) / 12;
-    const principalAmount = Math.min(amount - interestAmount, remainingBalance - interestAmount);
-
-    const payment = await Payment.create({
+    // Payments are applied to the earliest outstanding installment of the amortization schedule
+    const payment = await Payment.findOne({
       loan: loanId,
-      borrower: req.user.id,
-      amount,
-      principalAmount: Math.max(0, principalAmount),
-      interestAmount: Math.max(0, Math.min(interestAmount, amount)),
-      type,
-      paymentMethod,
-      paymentNumber,
-      scheduledDate: scheduledDate || new Date(),
-      dueDate: scheduledDate || new Date(),
-      status: 'pending',
-      remainingBalance: Math.max(0, remainingBalance - amount)
-    });
+      type: 'scheduled',
+      status: { $in: ['pending', 'failed'] }
+    }).sort({ paymentNumber: 1 });
+
+    if (!payment) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No outstanding installments for this loan'
+      });
+    }
+
+    if (amount !== undefined && Math.abs(amount - payment.amount) >= 0.01) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Payment amount must match the scheduled installment of $${payment.amount.toFixed(2)}`
+      });
+    }
+
+    if (paymentMethod) {
+      payment.paymentMethod = paymentMethod;
+    }
+    payment.scheduledDate = scheduledDate || new Date();
+    payment.status = 'pending';
+    await payment.save();
 
     await payment.populate([
       { path: 'loan', select: 'amount purpose status grade' },
@@ -219,7 +251,7 @@ const getPaymentById = async (req, res) => {
 // @access  Private
 const processPayment = async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id);
+    let payment = await Payment.findById(req.params.id);
 
     if (!payment) {
       return res.status(404).json({
@@ -236,28 +268,97 @@ const processPayment = async (req, res) => {
       });
     }
 
-    if (payment.status !== 'pending') {
+    // Failed payments can be retried
+    if (!['pending', 'failed'].includes(payment.status)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Payment has already been processed'
+        message: payment.status === 'processing'
+          ? 'Payment is already being processed'
+          : 'Payment has already been processed'
       });
     }
 
-    // Process the payment
-    await payment.processPayment();
+    // Installments must be settled in order
+    const earlierOutstanding = await Payment.exists({
+      loan: payment.loan,
+      type: 'scheduled',
+      paymentNumber: { $lt: payment.paymentNumber },
+      status: { $in: ['pending', 'processing', 'failed'] }
+    });
 
-    // Update loan payment record
-    const loan = await Loan.findById(payment.loan);
-    await loan.recordPayment(payment.amount, payment.paidDate);
+    if (earlierOutstanding) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Earlier installments must be paid first'
+      });
+    }
 
-    // Distribute to investors
-    await payment.distributeToInvestors();
+    if (payment.type === 'full_repayment' && payment.quoteExpiresAt < new Date()) {
+      payment.status = 'cancelled';
+      await payment.save();
+
+      return res.status(400).json({
+        status: 'error',
+        message: 'Payoff quote has expired, request a new quote'
+      });
+    }
+
+    if (await findConflictingPayment(payment)) {
+      return res.status(409).json({
+        status: 'error',
+        message: conflictMessage(payment)
+      });
+    }
+
+    // Claim the payment before charging so a double click or a retry cannot charge it twice
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['pending', 'failed'] } },
+      { $set: { status: 'processing', processingDate: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Payment is already being processed'
+      });
+    }
+
+    // Check again now the claim is visible: of two conflicting payments claimed at once, at least
+    // one sees the other and steps back
+    if (await findConflictingPayment(claimed)) {
+      await Payment.updateOne({ _id: claimed._id, status: 'processing' }, { $set: { status: payment.status } });
+
+      return res.status(409).json({
+        status: 'error',
+        message: conflictMessage(claimed)
+      });
+    }
+
+    // Send the payment to its processor; settled payments are applied to the loan and investors
+    payment = await submitPayment(claimed);
 
     await payment.populate([
       { path: 'loan', select: 'amount purpose status grade' },
       { path: 'borrower', select: 'name email' }
     ]);
 
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        status: 'error',
+        message: `Payment failed: ${payment.transactionDetails.failureReason || 'declined by the payment processor'}`,
+        payment
+      });
+    }
+
+    if (payment.status === 'processing') {
+      return res.status(202).json({
+        status: 'success',
+        message: 'Payment submitted and awaiting settlement',
+        payment
+      });
+    }
+
     res.json({
       status: 'success',
       message: 'Payment processed successfully',
@@ -339,10 +440,12 @@ const getOverduePayments = async (req, res) => {
 
     const total = await Payment.countDocuments(query);
 
+    const schedule = await getSchedule();
     const paymentsWithDays = overduePayments.map(payment => {
       const paymentObj = payment.toObject();
       paymentObj.daysPastDue = payment.daysPastDue;
-      paymentObj.suggestedLateFee = payment.calculateLateFee();
+      paymentObj.delinquencyBucket = getBucket(payment.daysPastDue)?.id || null;
+      paymentObj.suggestedLateFee = payment.lateFee || payment.calculateLateFee(schedule, payment.daysPastDue);
       return paymentObj;
     });
 
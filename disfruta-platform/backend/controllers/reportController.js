@@ -0,0 +1,251 @@
+const ReportSchedule = require('../models/ReportSchedule');
+const GeneratedReport = require('../models/GeneratedReport');
+const reports = require('../services/reports');
+const { CONTENT_TYPES } = require('../config/reports');
+
+// @desc    List nightly report schedules
+// @route   GET /api/admin/reports/schedules
+// @access  Private (Admin only)
+const getReportSchedules = async (req, res) => {
+  try {
+    const schedules = await ReportSchedule.find()
+      .populate('createdBy', 'firstName lastName')
+      .populate('lastReport', 'status fileName rowCount completedAt')
+      .sort({ name: 1 });
+
+    res.json({
+      status: 'success',
+      reportTypes: reports.REPORT_TYPES,
+      schedules
+    });
+  } catch (error) {
+    console.error('Get report schedules error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching report schedules'
+    });
+  }
+};
+
+// @desc    Schedule a report to run every night
+// @route   POST /api/admin/reports/schedules
+// @access  Private (Admin only)
+const createReportSchedule = async (req, res) => {
+  try {
+    const { name, type, format, period, enabled } = req.body;
+
+    reports.getReport(type);
+
+    const schedule = await ReportSchedule.create({
+      name,
+      type,
+      format,
+      period,
+      enabled,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      schedule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Create report schedule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating report schedule'
+    });
+  }
+};
+
+// @desc    Change or pause a report schedule
+// @route   PUT /api/admin/reports/schedules/:id
+// @access  Private (Admin only)
+const updateReportSchedule = async (req, res) => {
+  try {
+    const schedule = await ReportSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Report schedule not found'
+      });
+    }
+
+    const { name, type, format, period, enabled } = req.body;
+    if (type !== undefined) reports.getReport(type);
+
+    Object.entries({ name, type, format, period, enabled }).forEach(([field, value]) => {
+      if (value !== undefined) schedule[field] = value;
+    });
+    await schedule.save();
+
+    res.json({
+      status: 'success',
+      schedule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update report schedule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating report schedule'
+    });
+  }
+};
+
+// @desc    List generated report files kept for download
+// @route   GET /api/admin/reports/files
+// @access  Private (Admin only)
+const getReportFiles = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, status } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const files = await GeneratedReport.find(query)
+      .populate('schedule', 'name')
+      .populate('requestedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await GeneratedReport.countDocuments(query);
+
+    res.json({
+      status: 'success',
+      files,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get report files error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching report files'
+    });
+  }
+};
+
+// @desc    Generate a report file in the background for later download
+// @route   POST /api/admin/reports/files
+// @access  Private (Admin only)
+const createReportFile = async (req, res) => {
+  try {
+    const { type, format = 'csv', startDate, endDate } = req.body;
+
+    const file = await reports.queueStoredReport({
+      type,
+      format,
+      range: reports.parseRange({ startDate, endDate }),
+      requestedBy: req.user.id
+    });
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Report is being generated',
+      file
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Create report file error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error generating report'
+    });
+  }
+};
+
+// @desc    Download a generated report file
+// @route   GET /api/admin/reports/files/:id/download
+// @access  Private (Admin only)
+const downloadReportFile = async (req, res) => {
+  try {
+    const file = await GeneratedReport.findById(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Report not found'
+      });
+    }
+
+    if (file.status !== 'completed') {
+      return res.status(409).json({
+        status: 'error',
+        message: file.status === 'running' ? 'Report is still being generated' : `Report failed: ${file.error}`
+      });
+    }
+
+    const stream = reports.openReportFile(file);
+    stream.on('error', (error) => {
+      console.error('Download report file error:', error);
+      if (res.headersSent) return res.destroy(error);
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Length');
+      res.status(404).json({
+        status: 'error',
+        message: 'Report file is no longer available'
+      });
+    });
+
+    res.setHeader('Content-Type', CONTENT_TYPES[file.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    if (file.size) res.setHeader('Content-Length', file.size);
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download report file error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error downloading report'
+    });
+  }
+};
+
+module.exports = {
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  getReportFiles,
+  createReportFile,
+  downloadReportFile
+};
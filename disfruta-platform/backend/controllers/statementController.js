@@ -0,0 +1,95 @@
+const Statement = require('../models/Statement');
+const statements = require('../services/statements');
+
+// @desc    List the current user's monthly statements
+// @route   GET /api/users/statements
+// @access  Private
+const getStatements = async (req, res) => {
+  try {
+    const list = await Statement.find({ investor: req.user.id })
+      .select('year month statementNumber openingBalance closingBalance generatedAt')
+      .sort({ year: -1, month: -1 });
+
+    res.json({
+      status: 'success',
+      statements: list
+    });
+  } catch (error) {
+    console.error('Get statements error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching statements'
+    });
+  }
+};
+
+// @desc    Get the current user's statement for a month
+// @route   GET /api/users/statements/:year/:month
+// @access  Private
+const getStatement = async (req, res) => {
+  try {
+    const { statement } = await statements.issueStatement(req.user.id, req.params.year, req.params.month);
+
+    res.json({
+      status: 'success',
+      statement
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Get statement error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching statement'
+    });
+  }
+};
+
+// @desc    Download the current user's statement for a month as PDF or CSV
+// @route   GET /api/users/statements/:year/:month/download?format=pdf|csv
+// @access  Private
+const downloadStatement = async (req, res) => {
+  try {
+    const format = (req.query.format || 'pdf').toLowerCase();
+    if (!['pdf', 'csv'].includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Format must be pdf or csv'
+      });
+    }
+
+    const { statement } = await statements.issueStatement(req.user.id, req.params.year, req.params.month);
+    const filename = `disfruta-statement-${statement.year}-${String(statement.month).padStart(2, '0')}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(statements.renderStatementCsv(statement));
+    } else {
+      res.type('application/pdf').send(await statements.renderStatementPdf(statement));
+    }
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Download statement error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error generating statement'
+    });
+  }
+};
+
+module.exports = {
+  getStatements,
+  getStatement,
+  downloadStatement
+};
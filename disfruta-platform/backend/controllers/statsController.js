@@ -0,0 +1,57 @@
+const { getLatestPlatformStats, getPlatformStatsHistory } = require('../services/platformStats');
+
+// @desc    Headline platform metrics from the latest snapshot
+// @route   GET /api/stats/platform
+// @access  Public
+const getPlatformStats = async (req, res) => {
+  try {
+    const snapshot = await getLatestPlatformStats();
+
+    res.json({
+      status: 'success',
+      totalLoans: snapshot.totalLoans,
+      totalOriginated: snapshot.totalOriginated,
+      totalInvested: snapshot.totalInvested,
+      totalRepaid: snapshot.totalRepaid,
+      activeInvestors: snapshot.activeInvestors,
+      averageReturn: snapshot.averageReturn,
+      defaultRate: snapshot.defaultRate,
+      byGrade: snapshot.byGrade,
+      byVintage: snapshot.byVintage,
+      asOf: snapshot.generatedAt
+    });
+  } catch (error) {
+    console.error('Get platform stats error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching platform statistics'
+    });
+  }
+};
+
+// @desc    Daily platform metrics for trend charts
+// @route   GET /api/stats/platform/history
+// @access  Public
+const getPlatformStatsTrend = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 730);
+    const history = await getPlatformStatsHistory(days);
+
+    res.json({
+      status: 'success',
+      days,
+      history
+    });
+  } catch (error) {
+    console.error('Get platform stats history error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching platform statistics history'
+    });
+  }
+};
+
+module.exports = {
+  getPlatformStats,
+  getPlatformStatsTrend
+};
@@ -0,0 +1,167 @@
+const TaxDocument = require('../models/TaxDocument');
+const taxDocuments = require('../services/taxDocuments');
+
+// @desc    List the current investor's tax documents
+// @route   GET /api/investments/tax-documents
+// @access  Private
+const getMyTaxDocuments = async (req, res) => {
+  try {
+    const documents = await TaxDocument.find({ investor: req.user.id })
+      .select('taxYear documentNumber revision totals generatedAt')
+      .sort({ taxYear: -1 });
+
+    res.json({
+      status: 'success',
+      documents
+    });
+  } catch (error) {
+    console.error('Get tax documents error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching tax documents'
+    });
+  }
+};
+
+// @desc    Get the current investor's tax document for a year
+// @route   GET /api/investments/tax-documents/:year
+// @access  Private
+const getMyTaxDocument = async (req, res) => {
+  try {
+    const document = await taxDocuments.getTaxDocument(req.user.id, req.params.year);
+
+    res.json({
+      status: 'success',
+      document
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Get tax document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching tax document'
+    });
+  }
+};
+
+// @desc    Download the current investor's tax document as PDF or CSV
+// @route   GET /api/investments/tax-documents/:year/download?format=pdf|csv
+// @access  Private
+const downloadMyTaxDocument = async (req, res) => {
+  try {
+    const format = (req.query.format || 'pdf').toLowerCase();
+    if (!['pdf', 'csv'].includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Format must be pdf or csv'
+      });
+    }
+
+    const document = await taxDocuments.getTaxDocument(req.user.id, req.params.year);
+    const filename = `disfruta-tax-summary-${document.taxYear}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(taxDocuments.renderTaxDocumentCsv(document));
+    } else {
+      res.type('application/pdf').send(await taxDocuments.renderTaxDocumentPdf(document));
+    }
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Download tax document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error generating tax document'
+    });
+  }
+};
+
+// @desc    Generate tax documents for every investor with activity in a year
+// @route   POST /api/admin/tax-documents/run
+// @access  Private (Admin only)
+const runTaxDocuments = async (req, res) => {
+  try {
+    const year = req.body.year || new Date().getUTCFullYear() - 1;
+    const results = await taxDocuments.generateAllTaxDocuments(year, req.user.id);
+
+    res.json({
+      status: 'success',
+      message: `Generated ${results.generated} of ${results.investors} tax documents for ${results.taxYear}`,
+      results
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Run tax documents error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error generating tax documents'
+    });
+  }
+};
+
+// @desc    List generated tax documents for a year
+// @route   GET /api/admin/tax-documents?year=&reconciled=
+// @access  Private (Admin only)
+const getTaxDocuments = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, year, reconciled } = req.query;
+
+    const query = {};
+    if (year) query.taxYear = parseInt(year);
+    if (reconciled !== undefined) {
+      query['reconciliation.isReconciled'] = reconciled === 'true';
+    }
+
+    const documents = await TaxDocument.find(query)
+      .select('-investments')
+      .populate('investor', 'firstName lastName email')
+      .sort({ taxYear: -1, documentNumber: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await TaxDocument.countDocuments(query);
+
+    res.json({
+      status: 'success',
+      documents,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get admin tax documents error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching tax documents'
+    });
+  }
+};
+
+module.exports = {
+  getMyTaxDocuments,
+  getMyTaxDocument,
+  downloadMyTaxDocument,
+  runTaxDocuments,
+  getTaxDocuments
+};
@@ -0,0 +1,185 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const webhooks = require('../services/webhooks');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../config/webhooks');
+
+// @desc    Receive a signed payment processor callback
+// @route   POST /api/webhooks/payments/:provider
+// @access  Public (signed)
+const receivePaymentWebhook = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+
+    const verification = webhooks.verifySignature(provider, {
+      rawBody,
+      signature: req.get(SIGNATURE_HEADER),
+      timestamp: req.get(TIMESTAMP_HEADER)
+    });
+    if (!verification.valid) {
+      return res.status(401).json({
+        status: 'error',
+        message: verification.reason
+      });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Body must be valid JSON'
+      });
+    }
+
+    if (!payload.id || !payload.type) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Event id and type are required'
+      });
+    }
+
+    const { event, duplicate } = await webhooks.storeEvent(provider, payload, verification.signedAt);
+
+    // Acknowledge repeats without applying them again
+    if (duplicate) {
+      return res.json({
+        status: 'success',
+        message: 'Event already received',
+        eventStatus: event.status,
+        duplicate: true
+      });
+    }
+
+    // Processing failures stay on the event for an admin to retry; the delivery itself succeeded
+    const processed = await webhooks.processEvent(event);
+
+    res.json({
+      status: 'success',
+      message: 'Event received',
+      eventStatus: processed.status
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error receiving webhook'
+    });
+  }
+};
+
+// @desc    List received webhook events
+// @route   GET /api/admin/webhooks/events
+// @access  Private (Admin only)
+const getWebhookEvents = async (req, res) => {
+  try {
+    const { status, provider, type, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (provider) query.provider = provider;
+    if (type) query.type = type;
+
+    const events = await WebhookEvent.find(query)
+      .populate('payment', 'amount status paymentNumber loan')
+      .select('-payload')
+      .sort({ receivedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await WebhookEvent.countDocuments(query);
+
+    res.json({
+      status: 'success',
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching webhook events'
+    });
+  }
+};
+
+// @desc    Get a webhook event with its payload
+// @route   GET /api/admin/webhooks/events/:id
+// @access  Private (Admin only)
+const getWebhookEvent = async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id)
+      .populate('payment', 'amount status paymentNumber loan transactionDetails')
+      .populate('reprocessedBy', 'firstName lastName');
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      event
+    });
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching webhook event'
+    });
+  }
+};
+
+// @desc    Re-process a failed webhook event
+// @route   POST /api/admin/webhooks/events/:id/reprocess
+// @access  Private (Admin only)
+const reprocessWebhookEvent = async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook event not found'
+      });
+    }
+
+    if (event.status !== 'failed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only failed events can be re-processed'
+      });
+    }
+
+    event.reprocessedBy = req.user.id;
+    const processed = await webhooks.processEvent(event);
+
+    res.json({
+      status: 'success',
+      message: processed.status === 'failed'
+        ? `Event failed again: ${processed.lastError}`
+        : 'Event re-processed successfully',
+      event: processed
+    });
+  } catch (error) {
+    console.error('Reprocess webhook event error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error re-processing webhook event'
+    });
+  }
+};
+
+module.exports = {
+  receivePaymentWebhook,
+  getWebhookEvents,
+  getWebhookEvent,
+  reprocessWebhookEvent
+};
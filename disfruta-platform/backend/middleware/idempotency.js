@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const HEADER = 'Idempotency-Key';
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body || {}
+    }))
+    .digest('hex');
+};
+
+// Deduplicate retries of a money-moving request. Requests without an Idempotency-Key header
+// run as usual; with one, the first response is stored and replayed for the same key.
+const idempotent = async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      status: 'error',
+      message: `${HEADER} must be at most 255 characters`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user.id,
+        method: req.method,
+        path: req.baseUrl + req.path,
+        requestHash
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ user: req.user.id, key });
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          status: 'error',
+          message: `${HEADER} was already used for a different request`
+        });
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Take over a key whose lock ran out; only one retry can win it
+      const now = new Date();
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'in_progress', lockedUntil: { $lte: now } },
+        { $set: { lockedUntil: new Date(now.getTime() + IdempotencyKey.LOCK_MINUTES * 60 * 1000) } },
+        { new: true }
+      );
+
+      if (!record) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'A request with this idempotency key is still being processed'
+        });
+      }
+    }
+
+    // Capture the response so retries get exactly the same answer. The key is saved before the
+    // response goes out, so a retry can never see it still in progress after a reply. Writes are
+    // matched on the lock so a request whose key was taken over cannot overwrite the new owner.
+    const held = { _id: record._id, lockedUntil: record.lockedUntil };
+    const json = res.json.bind(res);
+    let stored = false;
+    res.json = (body) => {
+      stored = true;
+      const store = res.statusCode >= 500
+        // Let the client retry after a server error
+        ? IdempotencyKey.deleteOne(held)
+        : IdempotencyKey.updateOne(held, {
+          $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.parse(JSON.stringify(body)),
+            completedAt: new Date()
+          }
+        });
+
+      store.exec()
+        .catch(error => console.error('Idempotency key save error:', error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    // A response sent some other way cannot be replayed, so free the key for a retry
+    res.on('finish', () => {
+      if (stored) return;
+      IdempotencyKey.deleteOne({ ...held, status: 'in_progress' })
+        .catch(error => console.error('Idempotency key release error:', error));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error checking idempotency key'
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
@@ -83,6 +83,16 @@ const validateLoanApplication = [
     .isFloat({ min: 0.1, max: 50 })
     .withMessage('Interest rate must be between 0.1% and 50%'),
   
+  body('fundingOptions.allowPartialFunding')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow partial funding must be true or false'),
+  
+  body('fundingOptions.minimumFundingPercentage')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Minimum funding percentage must be between 1% and 100%'),
+  
   handleValidationErrors
 ];
 
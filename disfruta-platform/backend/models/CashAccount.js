@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const cashAccountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Settled cash the investor can spend or withdraw
+  available: {
+    type: Number,
+    default: 0,
+    min: [0, 'Available cash cannot be negative']
+  },
+  // Deposits requested but not yet received
+  pendingDeposits: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Withdrawals requested but not yet paid out; already taken out of available
+  pendingWithdrawals: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  lastActivityAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+// Cash the platform holds for the investor, matching the ledger's investor cash balance
+cashAccountSchema.virtual('ledgerBalance').get(function() {
+  return Math.round((this.available + this.pendingWithdrawals) * 100) / 100;
+});
+
+module.exports = mongoose.model('CashAccount', cashAccountSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const cashTransactionSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashAccount',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'withdrawal'],
+    required: [true, 'Transaction type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be at least $1']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'settled', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  method: {
+    type: String,
+    enum: ['bank_transfer', 'ach', 'wire', 'debit_card'],
+    default: 'bank_transfer'
+  },
+  // Reference from the bank or processor moving the money
+  externalReference: String,
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  settledAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+cashTransactionSchema.index({ user: 1, requestedAt: -1 });
+cashTransactionSchema.index({ status: 1, type: 1, requestedAt: 1 });
+
+module.exports = mongoose.model('CashTransaction', cashTransactionSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { BUCKET_IDS, ACTIONS } = require('../config/collections');
+
+const collectionCaseSchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: [true, 'Loan is required']
+  },
+  borrower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Borrower is required']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'defaulted'],
+    default: 'open'
+  },
+  bucket: {
+    type: String,
+    enum: BUCKET_IDS,
+    required: true
+  },
+  daysPastDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  amountPastDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  overduePayments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date,
+  transitions: [{
+    from: String,
+    to: String,
+    daysPastDue: Number,
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  actions: [{
+    bucket: String,
+    action: {
+      type: String,
+      enum: ACTIONS
+    },
+    status: {
+      type: String,
+      enum: ['success', 'failed'],
+      default: 'success'
+    },
+    details: String,
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [2000, 'Note cannot exceed 2000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+collectionCaseSchema.virtual('isOpen').get(function() {
+  return this.status === 'open';
+});
+
+// Indexes
+collectionCaseSchema.index({ loan: 1, status: 1 });
+collectionCaseSchema.index({ status: 1, daysPastDue: -1 });
+collectionCaseSchema.index({ bucket: 1 });
+collectionCaseSchema.index({ assignedTo: 1 });
+
+// Instance methods
+collectionCaseSchema.methods.moveToBucket = function(bucket, daysPastDue) {
+  this.transitions.push({
+    from: this.bucket,
+    to: bucket,
+    daysPastDue
+  });
+  this.bucket = bucket;
+};
+
+collectionCaseSchema.methods.recordAction = function(bucket, action, status, details) {
+  this.actions.push({ bucket, action, status, details });
+};
+
+collectionCaseSchema.methods.close = function(status) {
+  this.status = status;
+  this.closedAt = new Date();
+};
+
+module.exports = mongoose.model('CollectionCase', collectionCaseSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const rate = {
+  type: Number,
+  required: true,
+  min: [0, 'Fee rates cannot be negative'],
+  max: [1, 'Fee rates are fractions between 0 and 1']
+};
+
+const amount = {
+  type: Number,
+  default: 0,
+  min: [0, 'Fee amounts cannot be negative']
+};
+
+// A published version of the platform's fees. The version with the latest effectiveFrom on or
+// before a date applies to fees charged on that date; versions are never edited once published.
+const feeScheduleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  // Share of the loan amount kept from the borrower's proceeds at disbursement
+  origination: {
+    rate,
+    minimum: amount,
+    maximum: {
+      type: Number,
+      default: null,
+      min: 0
+    }
+  },
+  // Share of each investor distribution kept for servicing the loan
+  servicing: {
+    rate
+  },
+  // Charged once per installment paid more than graceDays late
+  late: {
+    rate,
+    flat: amount,
+    cap: rate,
+    graceDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // Charged for each payment returned for insufficient funds
+  nsf: {
+    flat: amount
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+feeScheduleSchema.index({ effectiveFrom: -1, version: -1 });
+
+// Published schedules are immutable so past fees can always be explained
+feeScheduleSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Fee schedules cannot be changed once published'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { FILE_FORMATS } = require('../config/reports');
+
+// A report file kept for download. The file itself lives in the "reports" GridFS bucket.
+const generatedReportSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Report type is required']
+  },
+  format: {
+    type: String,
+    enum: FILE_FORMATS,
+    required: true
+  },
+  startDate: Date,
+  endDate: Date,
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  fileId: mongoose.Schema.Types.ObjectId,
+  fileName: String,
+  size: Number,
+  rowCount: Number,
+  error: String,
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportSchedule'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+generatedReportSchema.index({ type: 1, createdAt: -1 });
+generatedReportSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('GeneratedReport', generatedReportSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const KEY_TTL_HOURS = 24; // How long a key can be replayed before it is forgotten
+const LOCK_MINUTES = 5; // How long a request holds its key before a retry may take it over
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of method, path and body; a retry must match it exactly
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  // An in-progress key whose request crashed or never answered is free again after this
+  lockedUntil: {
+    type: Date,
+    default: () => new Date(Date.now() + LOCK_MINUTES * 60 * 1000)
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+idempotencyKeySchema.statics.LOCK_MINUTES = LOCK_MINUTES;
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
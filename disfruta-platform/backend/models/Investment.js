@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { buildAmortizationSchedule, summarizeSchedule } = require('../services/amortization');
+const { sumMoney, subtractMoney } = require('../utils/money');
 
 const investmentSchema = new mongoose.Schema({
   investor: {
@@ -23,13 +25,20 @@ const investmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'active', 'completed', 'defaulted', 'cancelled'],
+    enum: ['pending', 'active', 'completed', 'defaulted', 'cancelled', 'sold'],
     default: 'pending'
   },
   investmentDate: {
     type: Date,
     default: Date.now
   },
+  cancelledDate: Date,
+  // Principal still outstanding when the loan defaulted, reported as a loss for the year of default
+  defaultedAt: Date,
+  chargedOffPrincipal: {
+    type: Number,
+    default: 0
+  },
   expectedReturn: {
     type: Number,
     default: 0
@@ -46,6 +55,12 @@ const investmentSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Servicing fees kept from this investment's distributions
+  servicingFeesPaid: {
+    type: Number,
+    default: 0
+  },
+  // Cash actually received: principal, interest and sale proceeds, less servicing fees
   totalReceived: {
     type: Number,
     default: 0
@@ -91,6 +106,9 @@ const investmentSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Annualized returns over the dated cash flows, refreshed when performance is requested
+    xirr: Number,
+    timeWeightedReturn: Number,
     daysInvested: {
       type: Number,
       default: 0
@@ -117,6 +135,41 @@ const investmentSchema = new mongoose.Schema({
       }]
     }
   },
+  secondaryMarket: {
+    // Seller side: principal transferred to buyers and what they paid for it
+    principalSold: {
+      type: Number,
+      default: 0
+    },
+    saleProceeds: {
+      type: Number,
+      default: 0
+    },
+    realizedGainLoss: {
+      type: Number,
+      default: 0
+    },
+    // Buyer side: how this note was acquired
+    purchasedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Investment'
+    },
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NoteListing'
+    },
+    purchasePrice: Number,
+    accruedInterestPaid: Number
+  },
+  // Set when a hardship modification has restructured the underlying loan
+  loanModification: {
+    modified: {
+      type: Boolean,
+      default: false
+    },
+    loanVersion: Number,
+    modifiedAt: Date
+  },
   autoReinvest: {
     enabled: {
       type: Boolean,
@@ -164,6 +217,14 @@ investmentSchema.virtual('progressPercentage').get(function() {
   return (this.paymentsReceived / this.expectedPayments) * 100;
 });
 
+// What the investor actually paid: the face amount, or the price paid on the secondary market
+investmentSchema.virtual('costBasis').get(function() {
+  if (this.secondaryMarket && this.secondaryMarket.purchasePrice !== undefined) {
+    return this.secondaryMarket.purchasePrice + (this.secondaryMarket.accruedInterestPaid || 0);
+  }
+  return this.amount;
+});
+
 investmentSchema.virtual('currentYield').get(function() {
   if (this.amount === 0 || this.daysInvested === 0) return 0;
   return (this.interestEarned / this.amount) * (365 / this.daysInvested) * 100;
@@ -184,10 +245,13 @@ investmentSchema.index({ loan: 1, investor: 1 });
 // Pre-save middleware
 investmentSchema.pre('save', function(next) {
   // Calculate remaining amount
-  this.remainingAmount = this.amount - this.principalReceived;
+  this.remainingAmount = subtractMoney(this.amount, sumMoney([this.principalReceived, this.secondaryMarket.principalSold]));
   
   // Calculate total received
-  this.totalReceived = this.principalReceived + this.interestEarned;
+  this.totalReceived = subtractMoney(
+    sumMoney([this.principalReceived, this.interestEarned, this.secondaryMarket.saleProceeds]),
+    this.servicingFeesPaid
+  );
   
   // Calculate performance metrics
   this.calculatePerformanceMetrics();
@@ -204,8 +268,9 @@ investmentSchema.methods.calculatePerformanceMetrics = function() {
   this.performance.daysInvested = Math.floor((new Date() - this.investmentDate) / (1000 * 60 * 60 * 24));
   
   // Calculate ROI
-  if (this.amount > 0) {
-    this.performance.roi = ((this.totalReceived - this.amount) / this.amount) * 100;
+  const costBasis = this.costBasis;
+  if (costBasis > 0) {
+    this.performance.roi = ((this.totalReceived - costBasis) / costBasis) * 100;
   }
   
   // Calculate annualized return
@@ -220,43 +285,42 @@ investmentSchema.methods.calculatePerformanceMetrics = function() {
   }
 };
 
-investmentSchema.methods.generatePaymentSchedule = async function() {
-  const Loan = mongoose.model('Loan');
-  const loan = await Loan.findById(this.loan);
+investmentSchema.methods.generatePaymentSchedule = async function(loan = null) {
+  if (!loan) {
+    const Loan = mongoose.model('Loan');
+    loan = await Loan.findById(this.loan);
+  }
   
   if (!loan) throw new Error('Loan not found');
   
-  this.expectedPayments = loan.term;
-  this.monthlyReturn = (this.amount * loan.interestRate / 100) / 12;
-  this.expectedReturn = this.monthlyReturn * loan.term;
-  
-  const schedule = [];
-  const startDate = loan.startDate || new Date();
+  // The investor's share amortizes on the same terms as the underlying loan
+  const schedule = buildAmortizationSchedule({
+    principal: this.amount,
+    annualRate: loan.interestRate,
+    termMonths: loan.term,
+    startDate: loan.startDate || new Date()
+  });
+  const { totalInterest } = summarizeSchedule(schedule);
   
-  for (let i = 1; i <= loan.term; i++) {
-    const dueDate = new Date(startDate);
-    dueDate.setMonth(dueDate.getMonth() + i);
-    
-    const principalAmount = this.amount / loan.term;
-    const interestAmount = this.monthlyReturn;
-    
-    schedule.push({
-      paymentNumber: i,
-      dueDate,
-      principalAmount,
-      interestAmount,
-      totalAmount: principalAmount + interestAmount,
-      status: 'pending'
-    });
-  }
+  this.expectedPayments = loan.term;
+  this.expectedReturn = totalInterest;
+  this.monthlyReturn = totalInterest / loan.term;
   
-  this.paymentSchedule = schedule;
+  this.paymentSchedule = schedule.map(installment => ({
+    paymentNumber: installment.paymentNumber,
+    dueDate: installment.dueDate,
+    principalAmount: installment.principalAmount,
+    interestAmount: installment.interestAmount,
+    totalAmount: installment.amount,
+    status: 'pending'
+  }));
   this.nextPaymentDate = schedule[0].dueDate;
   
   return this.save();
 };
 
-investmentSchema.methods.recordPayment = async function(paymentAmount, paymentDate = new Date()) {
+// Record this investment's share of a borrower payment as actually distributed
+investmentSchema.methods.recordPayment = async function(principalAmount, interestAmount, paymentDate = new Date(), servicingFee = 0) {
   // Find the next pending payment
   const nextPayment = this.paymentSchedule.find(p => p.status === 'pending');
   
@@ -267,11 +331,12 @@ investmentSchema.methods.recordPayment = async function(paymentAmount, paymentDa
   // Update payment record
   nextPayment.status = 'paid';
   nextPayment.paidDate = paymentDate;
-  nextPayment.actualAmount = paymentAmount;
+  nextPayment.actualAmount = sumMoney([principalAmount, interestAmount]);
   
   // Update investment totals
-  this.principalReceived += nextPayment.principalAmount;
-  this.interestEarned += nextPayment.interestAmount;
+  this.principalReceived = sumMoney([this.principalReceived, principalAmount]);
+  this.interestEarned = sumMoney([this.interestEarned, interestAmount]);
+  this.servicingFeesPaid = sumMoney([this.servicingFeesPaid, servicingFee]);
   this.paymentsReceived += 1;
   this.lastPaymentDate = paymentDate;
   
@@ -287,8 +352,31 @@ investmentSchema.methods.recordPayment = async function(paymentAmount, paymentDa
   return this.save();
 };
 
+// Close out the investment when the borrower repays the loan early
+investmentSchema.methods.recordPayoff = async function(principalAmount, interestAmount, paymentDate = new Date(), servicingFee = 0) {
+  // The payoff amount is credited to the first remaining installment; the rest close at zero
+  const remainingPayments = this.paymentSchedule.filter(p => p.status === 'pending');
+  remainingPayments.forEach((payment, index) => {
+    payment.status = 'paid';
+    payment.paidDate = paymentDate;
+    payment.actualAmount = index === 0 ? sumMoney([principalAmount, interestAmount]) : 0;
+  });
+
+  this.principalReceived = sumMoney([this.principalReceived, principalAmount]);
+  this.interestEarned = sumMoney([this.interestEarned, interestAmount]);
+  this.servicingFeesPaid = sumMoney([this.servicingFeesPaid, servicingFee]);
+  this.paymentsReceived += 1;
+  this.lastPaymentDate = paymentDate;
+  this.nextPaymentDate = null;
+  this.status = 'completed';
+
+  return this.save();
+};
+
 investmentSchema.methods.markAsDefaulted = async function() {
   this.status = 'defaulted';
+  this.defaultedAt = new Date();
+  this.chargedOffPrincipal = this.remainingAmount;
   
   // Update any pending payments as missed
   this.paymentSchedule.forEach(payment => {
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One document per job name. A job may only run on the instance holding an unexpired lock.
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  lockedBy: String,
+  lockedAt: Date,
+  lockedUntil: {
+    type: Date,
+    default: () => new Date(0)
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      {
+        $set: {
+          lockedBy: owner,
+          lockedAt: now,
+          lockedUntil: new Date(now.getTime() + ttlMs)
+        }
+      },
+      { new: true, upsert: true }
+    );
+    return lock.lockedBy === owner;
+  } catch (error) {
+    // The upsert collides with an existing, still-held lock
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Push out the expiry of a lock this owner still holds
+jobLockSchema.statics.renew = function(name, owner, ttlMs) {
+  return this.updateOne(
+    { _id: name, lockedBy: owner, lockedUntil: { $gt: new Date() } },
+    { $set: { lockedUntil: new Date(Date.now() + ttlMs) } }
+  );
+};
+
+jobLockSchema.statics.release = function(name, owner) {
+  return this.updateOne(
+    { _id: name, lockedBy: owner },
+    { $set: { lockedUntil: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
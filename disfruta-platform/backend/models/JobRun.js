@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  instanceId: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    stack: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+
+// Instance methods
+jobRunSchema.methods.complete = function(result) {
+  this.status = 'succeeded';
+  this.result = result;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  return this.save();
+};
+
+jobRunSchema.methods.fail = function(error) {
+  this.status = 'failed';
+  this.error = {
+    message: error.message,
+    stack: error.stack
+  };
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  return this.save();
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { FEE_TYPES } = require('../config/fees');
+
+const toCents = (value) => Math.round(value * 100);
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerAccount',
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Investment the line belongs to, when it moves an investor's money
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment'
+  },
+  // Set on lines that book fee income, for revenue reporting
+  feeType: {
+    type: String,
+    enum: FEE_TYPES
+  },
+  memo: String
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'funding',
+      'disbursement',
+      'repayment',
+      'distribution',
+      'fee',
+      'refund',
+      'secondary_sale',
+      'write_off',
+      'deposit',
+      'withdrawal'
+    ],
+    required: [true, 'Entry type is required']
+  },
+  description: {
+    type: String,
+    required: [true, 'Entry description is required']
+  },
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  // Guards against posting the same movement twice, e.g. "repayment:<paymentId>"
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  references: {
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan'
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    investment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Investment'
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+journalEntrySchema.virtual('amount').get(function() {
+  return this.lines.reduce((sum, line) => sum + line.debit, 0);
+});
+
+// Indexes
+journalEntrySchema.index({ type: 1, postedAt: -1 });
+journalEntrySchema.index({ 'lines.account': 1 });
+journalEntrySchema.index({ 'lines.investment': 1 });
+journalEntrySchema.index({ 'references.loan': 1 });
+journalEntrySchema.index({ 'references.payment': 1 });
+
+// Entries are immutable and must balance
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries cannot be modified; post a reversing entry instead'));
+  }
+
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error('Each journal line must have either a debit or a credit'));
+    }
+  }
+
+  const debits = this.lines.reduce((sum, line) => sum + toCents(line.debit), 0);
+  const credits = this.lines.reduce((sum, line) => sum + toCents(line.credit), 0);
+  if (debits !== credits) {
+    return next(new Error(`Journal entry is unbalanced: debits ${debits / 100} != credits ${credits / 100}`));
+  }
+
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Journal entries cannot be modified; post a reversing entry instead'));
+};
+
+journalEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectChange);
+journalEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const ledgerAccountSchema = new mongoose.Schema({
+  // Stable identifier, e.g. "investor_cash:<userId>" or "platform_fees"
+  code: {
+    type: String,
+    required: [true, 'Account code is required'],
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required']
+  },
+  category: {
+    type: String,
+    enum: [
+      'platform_cash',
+      'investor_cash',
+      'loan_funding',
+      'borrower_receivable',
+      'interest_payable',
+      'platform_fees',
+      'reserve'
+    ],
+    required: [true, 'Account category is required']
+  },
+  type: {
+    type: String,
+    enum: ['asset', 'liability', 'revenue'],
+    required: true
+  },
+  // Side that increases the balance
+  normalBalance: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+ledgerAccountSchema.index({ category: 1 });
+ledgerAccountSchema.index({ owner: 1 });
+ledgerAccountSchema.index({ loan: 1 });
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
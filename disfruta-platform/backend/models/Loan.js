@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const {
+  calculateInstallmentAmount,
+  buildAmortizationSchedule,
+  summarizeSchedule
+} = require('../services/amortization');
+const ledger = require('../services/ledger');
+const cashAccounts = require('../services/cashAccount');
+const loanAgreements = require('../services/loanAgreements');
+const { createHttpError } = require('../utils/helpers');
+const { currentSession } = require('../utils/transaction');
+const { sumMoney, subtractMoney } = require('../utils/money');
 
 const loanSchema = new mongoose.Schema({
   borrower: {
@@ -38,7 +49,7 @@ const loanSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'pending', 'approved', 'funding', 'funded', 'active', 'completed', 'defaulted', 'rejected'],
+    enum: ['draft', 'pending', 'approved', 'funding', 'funded', 'active', 'completed', 'defaulted', 'rejected', 'cancelled'],
     default: 'pending'
   },
   grade: {
@@ -57,6 +68,22 @@ const loanSchema = new mongoose.Schema({
       return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days from now
     }
   },
+  fundingOptions: {
+    // Accept whatever has been raised by the deadline instead of cancelling
+    allowPartialFunding: {
+      type: Boolean,
+      default: false
+    },
+    minimumFundingPercentage: {
+      type: Number,
+      min: [1, 'Minimum funding percentage is 1%'],
+      max: [100, 'Minimum funding percentage cannot exceed 100%'],
+      default: 50
+    },
+    requestedAmount: Number
+  },
+  cancellationDate: Date,
+  cancellationReason: String,
   startDate: Date,
   maturityDate: Date,
   monthlyPayment: {
@@ -71,6 +98,29 @@ const loanSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Origination fee kept from the proceeds; the borrower receives disbursedAmount but owes the full amount
+  originationFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  disbursedAmount: Number,
+  feeScheduleVersion: Number,
+  disbursedAt: Date,
+  defaultedAt: Date,
+  // Loan agreement the borrower has to accept before the funds are disbursed
+  agreement: {
+    current: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LoanAgreement'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted']
+    },
+    acceptedAt: Date
+  },
+  // Principal and interest repaid; fees collected with payments are not included
   paidAmount: {
     type: Number,
     default: 0
@@ -118,10 +168,12 @@ const loanSchema = new mongoose.Schema({
   documents: [{
     type: {
       type: String,
-      enum: ['income_verification', 'bank_statement', 'tax_return', 'employment_letter', 'other']
+      enum: ['income_verification', 'bank_statement', 'tax_return', 'employment_letter', 'loan_agreement', 'other']
     },
     url: String,
     fileName: String,
+    // SHA-256 of generated documents
+    hash: String,
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -158,6 +210,7 @@ const loanSchema = new mongoose.Schema({
     }
   },
   metadata: {
+    // Hash of the current loan agreement PDF
     ipfsHash: String,
     lastUpdated: {
       type: Date,
@@ -175,6 +228,11 @@ const loanSchema = new mongoose.Schema({
 });
 
 // Virtuals
+// Fully funded, but held until the borrower accepts the loan agreement
+loanSchema.virtual('awaitingAgreement').get(function() {
+  return this.status === 'funded' && !this.disbursedAt && this.agreement?.status === 'pending';
+});
+
 loanSchema.virtual('fundingProgress').get(function() {
   return this.amount > 0 ? (this.fundedAmount / this.amount) * 100 : 0;
 });
@@ -208,13 +266,13 @@ loanSchema.index({ amount: 1 });
 
 // Pre-save middleware
 loanSchema.pre('save', function(next) {
-  // Calculate loan metrics
-  if (this.isModified('amount') || this.isModified('interestRate') || this.isModified('term')) {
+  // Calculate loan metrics; restructured loans keep the totals written by the modification
+  if (this.metadata.version === 1 && (this.isModified('amount') || this.isModified('interestRate') || this.isModified('term'))) {
     this.calculateLoanMetrics();
   }
   
   // Update remaining balance
-  this.remainingBalance = this.totalRepayment - this.paidAmount;
+  this.remainingBalance = subtractMoney(this.totalRepayment, this.paidAmount);
   
   // Update metadata
   this.metadata.lastUpdated = new Date();
@@ -224,47 +282,230 @@ loanSchema.pre('save', function(next) {
 
 // Instance methods
 loanSchema.methods.calculateLoanMetrics = function() {
-  const principal = this.amount;
-  const monthlyRate = this.interestRate / 100 / 12;
-  const numPayments = this.term;
-  
-  if (monthlyRate === 0) {
-    this.monthlyPayment = principal / numPayments;
-    this.totalInterest = 0;
-  } else {
-    this.monthlyPayment = principal * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-                         (Math.pow(1 + monthlyRate, numPayments) - 1);
-    this.totalInterest = (this.monthlyPayment * numPayments) - principal;
-  }
-  
-  this.totalRepayment = principal + this.totalInterest;
+  const schedule = buildAmortizationSchedule({
+    principal: this.amount,
+    annualRate: this.interestRate,
+    termMonths: this.term
+  });
+  const { totalInterest, totalRepayment } = summarizeSchedule(schedule);
+
+  this.monthlyPayment = calculateInstallmentAmount(this.amount, this.interestRate, this.term);
+  this.totalInterest = totalInterest;
+  this.totalRepayment = totalRepayment;
 };
 
+// Add an investment to the amount raised. The increment only applies while fundedAmount still
+// holds the value this document read, so two investors racing for the last slice of a loan
+// cannot both get in; the loser gets a 409 and retries against the new total. Returns the agreement
+// issued if this investment funded the loan, as markAsFunded does, otherwise null.
 loanSchema.methods.updateFundingAmount = async function(amount) {
-  this.fundedAmount += amount;
+  if (sumMoney([this.fundedAmount, amount]) > this.amount) {
+    throw createHttpError(400, `Investment amount exceeds remaining loan amount of $${subtractMoney(this.amount, this.fundedAmount)}`);
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, fundedAmount: this.fundedAmount, status: { $in: ['approved', 'funding'] } },
+    { $inc: { fundedAmount: amount } },
+    { new: true, projection: { fundedAmount: 1 } }
+  );
+  if (!updated) {
+    throw createHttpError(409, 'Loan funding changed while investing, please try again');
+  }
+
+  this.fundedAmount = updated.fundedAmount;
+  this.unmarkModified('fundedAmount');
   
   if (this.fundedAmount >= this.amount) {
-    this.status = 'funded';
-    this.startDate = new Date();
-    this.maturityDate = new Date();
-    this.maturityDate.setMonth(this.maturityDate.getMonth() + this.term);
-    this.nextPaymentDate = new Date();
-    this.nextPaymentDate.setMonth(this.nextPaymentDate.getMonth() + 1);
+    return this.markAsFunded();
   }
   
+  await this.save();
+  return null;
+};
+
+// Take a cancelled investment back out of the amount raised. Only possible before disbursement:
+// once the borrower has the money there is nothing left to hand back.
+loanSchema.methods.releaseFunding = async function(amount) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['funding', 'funded'] } },
+    { $inc: { fundedAmount: -amount } },
+    { new: true, projection: { fundedAmount: 1 } }
+  );
+  if (!updated) {
+    throw createHttpError(409, 'Loan has already been disbursed, investment can no longer be cancelled');
+  }
+
+  this.fundedAmount = updated.fundedAmount;
+  this.unmarkModified('fundedAmount');
+
+  if (this.status === 'funded' && this.fundedAmount < this.amount) {
+    this.status = 'funding';
+  }
+
   return this.save();
 };
 
+// Funds are only disbursed once the borrower has accepted an agreement for the loan's final terms;
+// until then the loan waits as funded, with a fresh agreement issued if the terms changed.
+// Returns the newly issued agreement, or null, so the caller can email the borrower after commit.
+loanSchema.methods.markAsFunded = async function() {
+  this.status = 'funded';
+
+  const agreement = await loanAgreements.getCurrentAgreement(this);
+  if (agreement && loanAgreements.coversLoanTerms(agreement, this)) {
+    if (agreement.status === 'accepted') {
+      await this.disburse(agreement);
+    } else {
+      await this.save();
+    }
+    return null;
+  }
+
+  return loanAgreements.issueAgreement(this);
+};
+
+// Start repayment on the terms of the accepted agreement and pay out the proceeds
+loanSchema.methods.disburse = async function(agreement) {
+  if (this.disbursedAt) {
+    return this;
+  }
+
+  this.startDate = new Date();
+  this.maturityDate = new Date();
+  this.maturityDate.setMonth(this.maturityDate.getMonth() + this.term);
+
+  this.originationFee = agreement.terms.originationFee;
+  this.disbursedAmount = subtractMoney(this.amount, this.originationFee);
+  this.feeScheduleVersion = agreement.terms.feeScheduleVersion;
+  this.disbursedAt = new Date();
+
+  await this.save();
+  await ledger.recordDisbursement(this);
+  await this.createPaymentSchedule();
+  await this.activateInvestments();
+
+  return this;
+};
+
+// Shrink the loan to the amount raised so far and start repayment on those terms. Returns the
+// agreement issued for the smaller amount.
+loanSchema.methods.acceptPartialFunding = async function() {
+  this.fundingOptions.requestedAmount = this.amount;
+  this.amount = this.fundedAmount;
+
+  return this.markAsFunded();
+};
+
+// Cancel an under-funded loan and refund every investment made in it to the investors' cash accounts.
+// Call inside withTransaction: an investment cancelled without its refund would never be picked up again.
+loanSchema.methods.cancelFunding = async function(reason = 'Funding deadline expired') {
+  const Investment = mongoose.model('Investment');
+  const User = mongoose.model('User');
+
+  const investments = await Investment.find({
+    loan: this._id,
+    status: { $in: ['pending', 'active'] }
+  });
+
+  for (const investment of investments) {
+    investment.status = 'cancelled';
+    investment.cancelledDate = new Date();
+    investment.nextPaymentDate = null;
+    await investment.save();
+    await ledger.recordRefund(investment);
+    await cashAccounts.credit(investment.investor, investment.amount);
+
+    await User.findByIdAndUpdate(investment.investor, {
+      $inc: { 'statistics.totalInvested': -investment.amount }
+    });
+  }
+
+  this.status = 'cancelled';
+  this.fundedAmount = 0;
+  this.cancellationDate = new Date();
+  this.cancellationReason = reason;
+  await this.save();
+
+  return investments;
+};
+
+// Create one scheduled Payment per installment. Safe to call more than once:
+// an existing schedule is returned untouched.
+loanSchema.methods.createPaymentSchedule = async function() {
+  const Payment = mongoose.model('Payment');
+
+  const existing = await Payment.find({ loan: this._id, type: 'scheduled' })
+    .sort({ paymentNumber: 1 });
+  if (existing.length > 0) {
+    return existing;
+  }
+
+  const schedule = buildAmortizationSchedule({
+    principal: this.amount,
+    annualRate: this.interestRate,
+    termMonths: this.term,
+    startDate: this.startDate || new Date()
+  });
+
+  const payments = await Payment.insertMany(schedule.map(installment => ({
+    loan: this._id,
+    borrower: this.borrower,
+    amount: installment.amount,
+    principalAmount: installment.principalAmount,
+    interestAmount: installment.interestAmount,
+    remainingBalance: installment.remainingBalance,
+    paymentNumber: installment.paymentNumber,
+    scheduledDate: installment.dueDate,
+    dueDate: installment.dueDate,
+    type: 'scheduled',
+    status: 'pending',
+    paymentMethod: 'bank_transfer',
+    metadata: { source: 'automatic' }
+  })), { session: currentSession() });
+
+  this.nextPaymentDate = schedule[0].dueDate;
+  this.maturityDate = schedule[schedule.length - 1].dueDate;
+  await this.save();
+
+  return payments;
+};
+
+// Move pending investments into repayment and rebuild their schedules from the loan start date
+loanSchema.methods.activateInvestments = async function() {
+  const Investment = mongoose.model('Investment');
+  const investments = await Investment.find({ loan: this._id, status: 'pending' });
+
+  for (const investment of investments) {
+    investment.status = 'active';
+    investment.percentage = (investment.amount / this.amount) * 100;
+    await investment.generatePaymentSchedule(this);
+  }
+
+  return investments;
+};
+
 loanSchema.methods.recordPayment = async function(amount, paymentDate = new Date()) {
-  this.paidAmount += amount;
+  const Payment = mongoose.model('Payment');
+
+  this.paidAmount = sumMoney([this.paidAmount, amount]);
   this.paymentsCount += 1;
-  this.remainingBalance = this.totalRepayment - this.paidAmount;
+  this.remainingBalance = subtractMoney(this.totalRepayment, this.paidAmount);
+
+  if (this.status === 'funded') {
+    this.status = 'active';
+  }
   
-  // Update next payment date
-  if (this.remainingBalance > 0) {
-    this.nextPaymentDate = new Date(paymentDate);
-    this.nextPaymentDate.setMonth(this.nextPaymentDate.getMonth() + 1);
+  // Next payment date follows the next outstanding installment
+  const nextInstallment = await Payment.findOne({
+    loan: this._id,
+    type: 'scheduled',
+    status: { $in: ['pending', 'failed'] }
+  }).sort({ paymentNumber: 1 });
+
+  if (nextInstallment && this.remainingBalance > 0) {
+    this.nextPaymentDate = nextInstallment.dueDate;
   } else {
+    this.remainingBalance = Math.max(0, this.remainingBalance);
     this.status = 'completed';
     this.nextPaymentDate = null;
   }
@@ -272,14 +513,67 @@ loanSchema.methods.recordPayment = async function(amount, paymentDate = new Date
   return this.save();
 };
 
+// Close the loan with a full repayment, cancelling the installments it replaces
+loanSchema.methods.recordPayoff = async function(payment) {
+  const Payment = mongoose.model('Payment');
+
+  await Payment.updateMany(
+    {
+      loan: this._id,
+      type: 'scheduled',
+      status: { $in: ['pending', 'failed'] }
+    },
+    {
+      $set: {
+        status: 'cancelled',
+        'metadata.notes': `Closed by full repayment ${payment._id}`
+      }
+    }
+  );
+
+  // The payoff already covers any installment still in flight, so it is voided rather than applied
+  // on top. Settlement ignores voided payments; one the processor still settles needs a refund.
+  await Payment.updateMany(
+    {
+      loan: this._id,
+      _id: { $ne: payment._id },
+      status: 'processing'
+    },
+    {
+      $set: {
+        status: 'cancelled',
+        'metadata.notes': `Voided by full repayment ${payment._id}; refund the borrower if the processor settles it`
+      }
+    }
+  );
+
+  this.paidAmount = sumMoney([this.paidAmount, payment.principalAmount, payment.interestAmount]);
+  this.paymentsCount += 1;
+  this.remainingBalance = 0;
+  this.status = 'completed';
+  this.nextPaymentDate = null;
+
+  return this.save();
+};
+
 loanSchema.methods.markAsDefaulted = async function() {
   this.status = 'defaulted';
+  this.defaultedAt = new Date();
   
   // Update borrower statistics
   const User = mongoose.model('User');
   await User.findByIdAndUpdate(this.borrower, {
     $inc: { 'statistics.defaultedLoans': 1 }
   });
+
+  // Stop expecting payments on the investments in this loan
+  const Investment = mongoose.model('Investment');
+  const investments = await Investment.find({ loan: this._id, status: 'active' });
+  for (const investment of investments) {
+    await investment.markAsDefaulted();
+  }
+
+  await ledger.recordWriteOff(this);
   
   return this.save();
 };
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Loan agreement and promissory note issued to a borrower. Each version is kept as generated;
+// when the terms change (e.g. the loan is only partly funded) a new version supersedes it and
+// has to be accepted again before the funds go out.
+const loanAgreementSchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: [true, 'Loan is required']
+  },
+  borrower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Borrower is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'superseded'],
+    default: 'pending'
+  },
+  // Terms disclosed in the document; the loan is disbursed on exactly these
+  terms: {
+    amount: Number,
+    interestRate: Number,
+    term: Number,
+    monthlyPayment: Number,
+    totalInterest: Number,
+    totalRepayment: Number,
+    originationFee: Number,
+    amountReceived: Number,
+    apr: Number,
+    feeScheduleVersion: Number
+  },
+  parties: {
+    lender: String,
+    borrowerName: String,
+    borrowerEmail: String,
+    borrowerAddress: String
+  },
+  fileName: String,
+  // The PDF itself, left out of queries unless asked for
+  content: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  // SHA-256 of the PDF, hex encoded
+  hash: {
+    type: String,
+    required: true
+  },
+  acceptance: {
+    acceptedAt: Date,
+    // Full name typed by the borrower as their electronic signature
+    signature: String,
+    ipAddress: String,
+    userAgent: String
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loanAgreementSchema.index({ loan: 1, version: -1 }, { unique: true });
+loanAgreementSchema.index({ borrower: 1, status: 1 });
+
+module.exports = mongoose.model('LoanAgreement', loanAgreementSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const termsSnapshotSchema = new mongoose.Schema({
+  version: Number,
+  term: Number,
+  outstandingPrincipal: Number,
+  remainingInstallments: Number,
+  monthlyPayment: Number,
+  nextPaymentDate: Date,
+  maturityDate: Date,
+  totalRepayment: Number
+}, { _id: false });
+
+const loanModificationSchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: [true, 'Loan is required']
+  },
+  borrower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Borrower is required']
+  },
+  type: {
+    type: String,
+    enum: ['forbearance', 'reduced_payment', 'term_extension'],
+    required: [true, 'Modification type is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please describe the hardship'],
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  // Requested terms; which fields apply depends on the type
+  forbearanceMonths: {
+    type: Number,
+    min: [1, 'Forbearance must be at least 1 month'],
+    max: [6, 'Forbearance cannot exceed 6 months']
+  },
+  reducedPaymentAmount: {
+    type: Number,
+    min: [0.01, 'Reduced payment must be positive']
+  },
+  reducedPaymentMonths: {
+    type: Number,
+    min: [1, 'Reduced payments must last at least 1 month'],
+    max: [12, 'Reduced payments cannot last more than 12 months']
+  },
+  extensionMonths: {
+    type: Number,
+    min: [1, 'Extension must be at least 1 month'],
+    max: [24, 'Extension cannot exceed 24 months']
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String,
+  // Loan version this modification produced, with the terms before and after it
+  version: Number,
+  previousTerms: termsSnapshotSchema,
+  newTerms: termsSnapshotSchema,
+  supersededPayments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+loanModificationSchema.virtual('isPending').get(function() {
+  return this.status === 'pending';
+});
+
+// Indexes
+loanModificationSchema.index({ loan: 1, createdAt: -1 });
+loanModificationSchema.index({ status: 1, requestedAt: 1 });
+loanModificationSchema.index({ borrower: 1 });
+
+module.exports = mongoose.model('LoanModification', loanModificationSchema);
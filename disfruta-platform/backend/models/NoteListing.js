@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const noteListingSchema = new mongoose.Schema({
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: [true, 'Investment is required']
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: [true, 'Loan is required']
+  },
+  principalAmount: {
+    type: Number,
+    required: [true, 'Listed principal is required'],
+    min: [25, 'Minimum listing is $25 of principal']
+  },
+  principalRemaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Premium (positive) or discount (negative) to outstanding principal, in percent
+  markupPercent: {
+    type: Number,
+    default: 0,
+    min: [-50, 'Maximum discount is 50%'],
+    max: [20, 'Maximum premium is 20%']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'sold', 'cancelled', 'expired'],
+    default: 'active'
+  },
+  listedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: function() {
+      return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days from now
+    }
+  },
+  closedAt: Date,
+  trades: [{
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    buyerInvestment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Investment'
+    },
+    principalAmount: {
+      type: Number,
+      required: true
+    },
+    price: {
+      type: Number,
+      required: true
+    },
+    accruedInterest: {
+      type: Number,
+      default: 0
+    },
+    sellerRealizedGainLoss: Number,
+    settledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+noteListingSchema.virtual('askingPrice').get(function() {
+  return Math.round(this.principalRemaining * (1 + this.markupPercent / 100) * 100) / 100;
+});
+
+noteListingSchema.virtual('isAvailable').get(function() {
+  return this.status === 'active' && this.principalRemaining > 0 && this.expiresAt > new Date();
+});
+
+// Indexes
+noteListingSchema.index({ status: 1, listedAt: -1 });
+noteListingSchema.index({ seller: 1, status: 1 });
+noteListingSchema.index({ investment: 1, status: 1 });
+noteListingSchema.index({ loan: 1 });
+
+module.exports = mongoose.model('NoteListing', noteListingSchema);
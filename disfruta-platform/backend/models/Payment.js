@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const ledger = require('../services/ledger');
+const cashAccounts = require('../services/cashAccount');
+const fees = require('../services/fees');
+const { sumMoney, subtractMoney, allocate } = require('../utils/money');
+const { FEE_TYPES } = require('../config/fees');
+const { getProcessor } = require('../services/paymentProcessors');
 
 const paymentSchema = new mongoose.Schema({
   loan: {
@@ -76,17 +82,43 @@ const paymentSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Every fee added to this payment's amount, with the schedule version it was charged under
+  feeItems: [{
+    type: {
+      type: String,
+      enum: FEE_TYPES,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    scheduleVersion: Number,
+    // Processor transaction an NSF fee was charged for
+    reference: String,
+    assessedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   remainingBalance: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Full repayments are priced from a payoff quote that is only honoured until this time
+  quoteExpiresAt: Date,
   transactionDetails: {
     transactionId: String,
     confirmationNumber: String,
     processorResponse: String,
     processorTransactionId: String,
-    bankTransactionId: String
+    bankTransactionId: String,
+    // Adapter that handled the latest attempt, used to look up its status later
+    processor: String,
+    failureCode: String,
+    failureReason: String
   },
   blockchain: {
     transactionHash: String,
@@ -125,6 +157,16 @@ const paymentSchema = new mongoose.Schema({
       required: true,
       min: 0
     },
+    // Kept by the platform out of totalAmount; the investor receives netAmount
+    servicingFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    netAmount: {
+      type: Number,
+      min: 0
+    },
     percentage: {
       type: Number,
       required: true,
@@ -149,7 +191,11 @@ const paymentSchema = new mongoose.Schema({
       enum: ['success', 'failed', 'pending']
     },
     failureReason: String,
-    amount: Number
+    failureCode: String,
+    amount: Number,
+    processor: String,
+    transactionId: String,
+    resolvedDate: Date
   }],
   notifications: {
     remindersSent: {
@@ -230,45 +276,146 @@ paymentSchema.pre('save', function(next) {
 });
 
 // Instance methods
-paymentSchema.methods.calculateLateFee = function() {
-  if (!this.isLate || this.lateDays === 0) return 0;
-  
-  // Late fee calculation: 5% of payment amount plus $25 flat fee
-  const percentageFee = this.amount * 0.05;
-  const flatFee = 25;
-  
-  return Math.min(percentageFee + flatFee, this.amount * 0.1); // Cap at 10% of payment
+paymentSchema.methods.calculateLateFee = function(schedule, lateDays = this.lateDays) {
+  if (!lateDays) return 0;
+  return fees.calculateLateFee(sumMoney([this.principalAmount, this.interestAmount]), lateDays, schedule);
 };
 
+// Add a fee to what the borrower owes on this payment
+paymentSchema.methods.addFee = function(type, amount, schedule, reference) {
+  if (amount <= 0) return 0;
+
+  if (type === 'late') {
+    this.lateFee = sumMoney([this.lateFee, amount]);
+  } else {
+    this.fees = sumMoney([this.fees, amount]);
+  }
+  this.amount = sumMoney([this.amount, amount]);
+  this.feeItems.push({ type, amount, scheduleVersion: schedule.version, reference });
+
+  return amount;
+};
+
+// Charge the late fee once, when the installment is paid or escalated past its grace period
+paymentSchema.methods.assessLateFee = function(schedule, lateDays) {
+  if (this.type !== 'scheduled' || this.lateFee > 0) return 0;
+
+  const fee = this.calculateLateFee(schedule, lateDays);
+  if (fee > 0) {
+    this.isLate = true;
+    this.lateDays = lateDays;
+  }
+
+  return this.addFee('late', fee, schedule);
+};
+
+// Charge the returned-payment fee once per processor transaction
+paymentSchema.methods.assessNsfFee = function(schedule, transactionId) {
+  if (this.feeItems.some(item => item.type === 'nsf' && item.reference === transactionId)) return 0;
+  return this.addFee('nsf', schedule.nsf.flat, schedule, transactionId);
+};
+
+// Submit the payment to the processor for its payment method. The payment stays processing with
+// the processor's transaction recorded; applyProcessorResult resolves it from the returned result.
 paymentSchema.methods.processPayment = async function() {
+  const processor = getProcessor(this.paymentMethod);
+
+  // A late installment is charged with its late fee
+  if (this.dueDate && new Date() > this.dueDate) {
+    const lateDays = Math.ceil((new Date() - this.dueDate) / (1000 * 60 * 60 * 24));
+    this.assessLateFee(await fees.getSchedule(), lateDays);
+  }
+
   this.status = 'processing';
   this.processingDate = new Date();
-  
+  this.attempts.push({
+    attemptNumber: this.attempts.length + 1,
+    status: 'pending',
+    amount: this.amount,
+    processor: processor.name
+  });
+
+  let result;
   try {
-    // Process payment logic would go here
-    // For now, we'll simulate success
-    this.status = 'completed';
-    this.completedDate = new Date();
-    this.paidDate = new Date();
-    
-    // Calculate late fees if applicable
-    if (this.isLate) {
-      this.lateFee = this.calculateLateFee();
-    }
-    
-    return await this.save();
+    result = await processor.charge(this);
   } catch (error) {
+    const attempt = this.attempts[this.attempts.length - 1];
+    attempt.status = 'failed';
+    attempt.failureReason = error.message;
+    attempt.resolvedDate = new Date();
     this.status = 'failed';
-    this.attempts.push({
-      attemptNumber: this.attempts.length + 1,
-      status: 'failed',
-      failureReason: error.message,
-      amount: this.amount
-    });
     
     await this.save();
     throw error;
   }
+
+  this.recordProcessorTransaction(result);
+  await this.save();
+
+  return result;
+};
+
+// Link the processor's transaction to the attempt it belongs to; returns that attempt
+paymentSchema.methods.recordProcessorTransaction = function(result) {
+  const attempt = this.attempts.find(entry => entry.transactionId === result.transactionId) ||
+    this.attempts[this.attempts.length - 1];
+
+  attempt.transactionId = result.transactionId;
+  this.transactionDetails = {
+    ...this.transactionDetails,
+    transactionId: result.transactionId,
+    processorTransactionId: result.transactionId,
+    confirmationNumber: result.confirmationNumber,
+    processorResponse: result.processorResponse,
+    processor: result.processor,
+    failureCode: result.failureCode,
+    failureReason: result.failureReason
+  };
+
+  return attempt;
+};
+
+// Record a processor result against the attempt it belongs to
+paymentSchema.methods.applyProcessorResult = async function(result) {
+  const attempt = this.recordProcessorTransaction(result);
+
+  if (result.status === 'settled') {
+    attempt.status = 'success';
+    attempt.resolvedDate = new Date();
+
+    this.status = 'completed';
+    this.completedDate = result.settledAt;
+    // The borrower paid when they submitted, however long the rail took to settle
+    this.paidDate = this.processingDate || result.settledAt;
+    
+    // Late fees were added before the charge; just record how late it was
+    if (this.dueDate && this.paidDate > this.dueDate) {
+      this.isLate = true;
+      this.lateDays = Math.ceil((this.paidDate - this.dueDate) / (1000 * 60 * 60 * 24));
+    }
+  } else if (result.status === 'failed') {
+    attempt.status = 'failed';
+    attempt.failureReason = result.failureReason;
+    attempt.failureCode = result.failureCode;
+    attempt.resolvedDate = new Date();
+
+    this.status = 'failed';
+
+    // A return for insufficient funds adds the NSF fee to the retry
+    if (fees.isNsfFailure(result.failureCode)) {
+      this.assessNsfFee(await fees.getSchedule(), result.transactionId);
+    }
+  } else if (result.status === 'refunded') {
+    // Money returned to the borrower before the payment was applied
+    attempt.status = 'failed';
+    attempt.failureReason = result.failureReason || 'Refunded by processor';
+    attempt.failureCode = result.failureCode;
+    attempt.resolvedDate = new Date();
+
+    this.status = 'refunded';
+  }
+  
+  return await this.save();
 };
 
 paymentSchema.methods.distributeToInvestors = async function() {
@@ -277,34 +424,53 @@ paymentSchema.methods.distributeToInvestors = async function() {
   }
   
   const Investment = mongoose.model('Investment');
+  // A fixed order keeps the remainder allocation deterministic
   const investments = await Investment.find({ 
     loan: this.loan,
     status: 'active'
-  }).populate('investor');
+  }).sort({ _id: 1 }).populate('investor');
   
-  const totalInvestment = investments.reduce((sum, inv) => sum + inv.amount, 0);
+  // Weight by outstanding principal so notes split on the secondary market share correctly.
+  // Shares are allocated in whole cents, so each column adds up to the payment exactly.
+  const weights = investments.map(investment => investment.remainingAmount);
+  const totalInvestment = weights.reduce((sum, weight) => sum + weight, 0);
+  const principalShares = allocate(this.principalAmount, weights);
+  const interestShares = allocate(this.interestAmount, weights);
+  const schedule = await fees.getSchedule(this.paidDate);
   
-  for (const investment of investments) {
-    const percentage = (investment.amount / totalInvestment) * 100;
-    const principalPortion = (this.principalAmount * percentage) / 100;
-    const interestPortion = (this.interestAmount * percentage) / 100;
+  for (const [index, investment] of investments.entries()) {
+    const percentage = (investment.remainingAmount / totalInvestment) * 100;
+    const principalPortion = principalShares[index];
+    const interestPortion = interestShares[index];
+    const totalAmount = sumMoney([principalPortion, interestPortion]);
+    const servicingFee = fees.calculateServicingFee(totalAmount, schedule);
     
     this.distribution.push({
       investor: investment.investor._id,
       investment: investment._id,
       principalAmount: principalPortion,
       interestAmount: interestPortion,
-      totalAmount: principalPortion + interestPortion,
+      totalAmount,
+      servicingFee,
+      netAmount: subtractMoney(totalAmount, servicingFee),
       percentage: percentage,
       status: 'distributed',
       distributedDate: new Date()
     });
     
     // Update investment
-    await investment.recordPayment(principalPortion + interestPortion);
+    if (this.type === 'full_repayment') {
+      await investment.recordPayoff(principalPortion, interestPortion, this.paidDate, servicingFee);
+    } else {
+      await investment.recordPayment(principalPortion, interestPortion, this.paidDate, servicingFee);
+    }
   }
   
-  return await this.save();
+  await this.save();
+  await ledger.recordDistribution(this);
+  await cashAccounts.creditDistribution(this);
+
+  return this;
 };
 
 paymentSchema.methods.sendReminder = async function() {
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const defaultRateSchema = new mongoose.Schema({
+  loans: Number,
+  originated: Number,
+  defaulted: Number,
+  // Percent of originated loans in the group that have defaulted
+  defaultRate: Number
+}, { _id: false });
+
+// Public platform metrics as computed at one point in time. Snapshots are kept so trends can be plotted.
+const platformStatsSnapshotSchema = new mongoose.Schema({
+  totalLoans: {
+    type: Number,
+    default: 0
+  },
+  totalOriginated: {
+    type: Number,
+    default: 0
+  },
+  totalInvested: {
+    type: Number,
+    default: 0
+  },
+  // Borrower payments collected to date
+  totalRepaid: {
+    type: Number,
+    default: 0
+  },
+  activeInvestors: {
+    type: Number,
+    default: 0
+  },
+  // Amount-weighted annualized return on investments that have closed out
+  averageReturn: {
+    type: Number,
+    default: 0
+  },
+  defaultRate: {
+    type: Number,
+    default: 0
+  },
+  byGrade: [defaultRateSchema.clone().add({ grade: String })],
+  // Vintage is the quarter a loan was originated, e.g. 2026-Q1
+  byVintage: [defaultRateSchema.clone().add({ vintage: String })],
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+platformStatsSnapshotSchema.index({ generatedAt: -1 });
+
+module.exports = mongoose.model('PlatformStatsSnapshot', platformStatsSnapshotSchema);
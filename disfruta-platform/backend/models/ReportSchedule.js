@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { FILE_FORMATS, REPORT_PERIODS } = require('../config/reports');
+
+// A report generated every night and kept for download
+const reportScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    trim: true,
+    maxlength: [100, 'Schedule name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Report type is required']
+  },
+  format: {
+    type: String,
+    enum: FILE_FORMATS,
+    default: 'csv'
+  },
+  period: {
+    type: String,
+    enum: REPORT_PERIODS,
+    default: 'previous_day'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastRunAt: Date,
+  lastReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GeneratedReport'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reportScheduleSchema.index({ enabled: 1 });
+
+module.exports = mongoose.model('ReportSchedule', reportScheduleSchema);
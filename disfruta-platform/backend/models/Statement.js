@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const money = {
+  type: Number,
+  default: 0
+};
+
+const balance = {
+  cash: money,
+  principal: money,
+  total: money
+};
+
+const investmentLine = {
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment'
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  loanPurpose: String
+};
+
+// Monthly record of an investor's account. Statements are issued once and never edited, so they
+// keep showing what the investor was told even if the underlying records are corrected later.
+const statementSchema = new mongoose.Schema({
+  investor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Investor is required']
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  statementNumber: {
+    type: String,
+    required: true
+  },
+  recipient: {
+    name: String,
+    email: String
+  },
+  // Cash is the investor's cash ledger balance; principal is outstanding principal on their notes
+  openingBalance: balance,
+  closingBalance: balance,
+  activity: {
+    deposits: money,
+    withdrawals: money,
+    newInvestments: money,
+    refunds: money,
+    principalReceived: money,
+    interestReceived: money,
+    fees: money,
+    // Net cash from notes sold (positive) and bought (negative) on the secondary market
+    secondaryMarket: money,
+    chargedOffPrincipal: money
+  },
+  newInvestments: [{
+    ...investmentLine,
+    amount: money,
+    date: Date,
+    source: String
+  }],
+  defaults: [{
+    ...investmentLine,
+    chargedOffPrincipal: money,
+    date: Date
+  }],
+  holdings: [{
+    ...investmentLine,
+    grade: String,
+    interestRate: Number,
+    amount: money,
+    outstandingPrincipal: money,
+    interestReceived: money
+  }],
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notifiedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+statementSchema.index({ investor: 1, year: -1, month: -1 }, { unique: true });
+
+// Issued statements are immutable; only the email notice is recorded afterwards, with updateOne
+statementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Statements cannot be changed once issued'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Statement', statementSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const money = {
+  type: Number,
+  default: 0
+};
+
+// Year-end summary of an investor's taxable activity (1099-INT / 1099-OID style). Regenerating a
+// year replaces the figures and bumps the revision so a corrected document can be told apart.
+const taxDocumentSchema = new mongoose.Schema({
+  investor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Investor is required']
+  },
+  taxYear: {
+    type: Number,
+    required: [true, 'Tax year is required'],
+    min: 2000
+  },
+  documentNumber: {
+    type: String,
+    required: true
+  },
+  revision: {
+    type: Number,
+    default: 1
+  },
+  // Recipient details as they were when the document was generated
+  recipient: {
+    name: String,
+    email: String,
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String
+    }
+  },
+  totals: {
+    // Interest distributed plus accrued interest received when selling notes
+    interestIncome: money,
+    // Accrued interest paid to sellers when buying notes, deductible from interest income
+    accruedInterestPaid: money,
+    servicingFees: money,
+    principalReceived: money,
+    chargedOffPrincipal: money,
+    saleProceeds: money,
+    costBasis: money,
+    realizedGainLoss: money
+  },
+  investments: [{
+    investment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Investment'
+    },
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Loan'
+    },
+    loanPurpose: String,
+    interestIncome: money,
+    accruedInterestPaid: money,
+    servicingFees: money,
+    principalReceived: money,
+    chargedOffPrincipal: money,
+    saleProceeds: money,
+    costBasis: money,
+    realizedGainLoss: money
+  }],
+  // Distributions on payments against the investor's cash ledger for the same calendar year
+  reconciliation: {
+    distributionCount: money,
+    distributedGross: money,
+    distributedNet: money,
+    ledgerCredits: money,
+    difference: money,
+    isReconciled: {
+      type: Boolean,
+      default: false
+    }
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+taxDocumentSchema.index({ investor: 1, taxYear: 1 }, { unique: true });
+taxDocumentSchema.index({ taxYear: 1, 'reconciliation.isReconciled': 1 });
+
+module.exports = mongoose.model('TaxDocument', taxDocumentSchema);
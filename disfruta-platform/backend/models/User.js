@@ -138,6 +138,33 @@ const userSchema = new mongoose.Schema({
       default: 'medium'
     }
   },
+  autoInvest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // How much of the cash account the engine may invest, topped up by reinvested distributions
+    availableCash: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    maxPerLoan: {
+      type: Number,
+      default: 50,
+      min: [25, 'Per-loan cap must be at least $25']
+    },
+    criteria: {
+      minAmount: Number,
+      maxRiskLevel: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'very_high']
+      },
+      preferredGrades: [String],
+      maxLoanAmount: Number
+    },
+    lastInvestedAt: Date
+  },
   statistics: {
     totalLoaned: {
       type: Number,
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  // Provider's own event id; the same event delivered twice is stored once
+  eventId: {
+    type: String,
+    required: [true, 'Event id is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Timestamp the provider signed the delivery with
+  signedAt: Date,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  processedAt: Date,
+  reprocessedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+webhookEventSchema.index({ payment: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
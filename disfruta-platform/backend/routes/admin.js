@@ -8,6 +8,53 @@ const {
   updateUserStatus,
   generateReport
 } = require('../controllers/adminController');
+const {
+  getJobs,
+  triggerJob,
+  getJobRuns,
+  getJobFailures
+} = require('../controllers/jobController');
+const {
+  getCollectionQueue,
+  getCollectionCase,
+  addCollectionNote,
+  assignCollectionCase
+} = require('../controllers/collectionsController');
+const {
+  getModificationQueue,
+  reviewModification
+} = require('../controllers/loanModificationController');
+const {
+  getTrialBalance,
+  getJournalEntries,
+  getReconciliation
+} = require('../controllers/ledgerController');
+const {
+  getPendingCashTransactions,
+  processCashTransaction
+} = require('../controllers/cashController');
+const {
+  getWebhookEvents,
+  getWebhookEvent,
+  reprocessWebhookEvent
+} = require('../controllers/webhookController');
+const {
+  getFeeSchedules,
+  createFeeSchedule
+} = require('../controllers/feeController');
+const {
+  runTaxDocuments,
+  getTaxDocuments
+} = require('../controllers/taxDocumentController');
+const {
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  getReportFiles,
+  createReportFile,
+  downloadReportFile
+} = require('../controllers/reportController');
+const { getVintages } = require('../controllers/analyticsController');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -28,7 +75,54 @@ router.put('/users/:id/status', updateUserStatus);
 router.get('/loans/pending', getPendingLoans);
 router.put('/loans/:id/review', reviewLoanApplication);
 
+// Hardship modifications
+router.get('/modifications', getModificationQueue);
+router.put('/modifications/:id/review', reviewModification);
+
+// Collections
+router.get('/collections', getCollectionQueue);
+router.get('/collections/:id', getCollectionCase);
+router.post('/collections/:id/notes', addCollectionNote);
+router.put('/collections/:id/assign', assignCollectionCase);
+
+// Ledger
+router.get('/ledger/trial-balance', getTrialBalance);
+router.get('/ledger/entries', getJournalEntries);
+router.get('/ledger/reconciliation', getReconciliation);
+
+// Cash deposits and withdrawals
+router.get('/cash/transactions', getPendingCashTransactions);
+router.put('/cash/transactions/:id', processCashTransaction);
+
+// Payment processor webhooks
+router.get('/webhooks/events', getWebhookEvents);
+router.get('/webhooks/events/:id', getWebhookEvent);
+router.post('/webhooks/events/:id/reprocess', reprocessWebhookEvent);
+
+// Fee schedules
+router.get('/fees/schedules', getFeeSchedules);
+router.post('/fees/schedules', createFeeSchedule);
+
+// Investor tax documents
+router.get('/tax-documents', getTaxDocuments);
+router.post('/tax-documents/run', runTaxDocuments);
+
 // Reports
+router.get('/reports/schedules', getReportSchedules);
+router.post('/reports/schedules', createReportSchedule);
+router.put('/reports/schedules/:id', updateReportSchedule);
+router.get('/reports/files', getReportFiles);
+router.post('/reports/files', createReportFile);
+router.get('/reports/files/:id/download', downloadReportFile);
 router.get('/reports/:type', generateReport);
 
+// Analytics
+router.get('/analytics/vintages', getVintages);
+
+// Background jobs
+router.get('/jobs', getJobs);
+router.get('/jobs/runs', getJobRuns);
+router.get('/jobs/failures', getJobFailures);
+router.post('/jobs/:name/run', triggerJob);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getCashAccount,
+  getCashTransactions,
+  requestDeposit,
+  requestWithdrawal,
+  cancelCashTransaction
+} = require('../controllers/cashController');
+const { protect, requireKYC } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getCashAccount);
+router.get('/transactions', getCashTransactions);
+router.delete('/transactions/:id', cancelCashTransaction);
+
+// Money in and out
+router.post('/deposits', requestDeposit);
+router.post('/withdrawals', requireKYC, requestWithdrawal);
+
+module.exports = router;
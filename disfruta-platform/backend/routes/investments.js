@@ -6,10 +6,23 @@ const {
   updateInvestment,
   cancelInvestment,
   getInvestmentPerformance,
-  getPortfolioSummary
+  getPortfolioSummary,
+  getPortfolioProjection,
+  getPortfolioDiversification
 } = require('../controllers/investmentController');
+const {
+  getAutoInvestSettings,
+  updateAutoInvestSettings,
+  previewAutoInvest
+} = require('../controllers/autoInvestController');
+const {
+  getMyTaxDocuments,
+  getMyTaxDocument,
+  downloadMyTaxDocument
+} = require('../controllers/taxDocumentController');
 const { protect, requireVerification, requireKYC } = require('../middleware/auth');
 const { validateInvestment } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -18,8 +31,21 @@ router.use(protect);
 
 // Investment CRUD operations
 router.get('/', getInvestments);
-router.post('/', requireKYC, validateInvestment, createInvestment);
+router.post('/', requireKYC, validateInvestment, idempotent, createInvestment);
 router.get('/portfolio/summary', getPortfolioSummary);
+router.get('/portfolio/projection', getPortfolioProjection);
+router.get('/portfolio/diversification', getPortfolioDiversification);
+
+// Auto-invest rules
+router.get('/auto-invest', getAutoInvestSettings);
+router.put('/auto-invest', requireKYC, updateAutoInvestSettings);
+router.get('/auto-invest/preview', previewAutoInvest);
+
+// Year-end tax documents
+router.get('/tax-documents', getMyTaxDocuments);
+router.get('/tax-documents/:year', getMyTaxDocument);
+router.get('/tax-documents/:year/download', downloadMyTaxDocument);
+
 router.get('/:id', getInvestmentById);
 router.put('/:id', updateInvestment);
 router.delete('/:id', cancelInvestment);
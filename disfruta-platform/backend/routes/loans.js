@@ -6,8 +6,19 @@ const {
   updateLoan,
   deleteLoan,
   getLoanPayments,
-  generatePaymentSchedule
+  generatePaymentSchedule,
+  getPayoffQuote,
+  createPayoff
 } = require('../controllers/loanController');
+const {
+  requestModification,
+  getLoanModifications
+} = require('../controllers/loanModificationController');
+const {
+  getLoanAgreement,
+  downloadLoanAgreement,
+  acceptLoanAgreement
+} = require('../controllers/loanAgreementController');
 const { protect, requireVerification, requireKYC } = require('../middleware/auth');
 const { validateLoanApplication } = require('../middleware/validation');
 
@@ -25,8 +36,19 @@ router.post('/', requireKYC, validateLoanApplication, createLoan);
 router.put('/:id', updateLoan);
 router.delete('/:id', deleteLoan);
 
+// Loan agreement and promissory note
+router.get('/:id/agreement', getLoanAgreement);
+router.get('/:id/agreement/download', downloadLoanAgreement);
+router.post('/:id/agreement/accept', acceptLoanAgreement);
+
 // Payment related routes
 router.get('/:id/payments', getLoanPayments);
 router.post('/:id/payment-schedule', generatePaymentSchedule);
+router.get('/:id/payoff-quote', getPayoffQuote);
+router.post('/:id/payoff', createPayoff);
+
+// Hardship modifications
+router.get('/:id/modifications', getLoanModifications);
+router.post('/:id/modifications', requestModification);
 
 module.exports = router;
\ No newline at end of file
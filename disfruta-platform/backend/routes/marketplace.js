@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getListings,
+  getMyListings,
+  getPricing,
+  createListing,
+  purchaseListing,
+  cancelListing
+} = require('../controllers/marketplaceController');
+const { protect, requireKYC } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Listings
+router.get('/listings', getListings);
+router.get('/listings/mine', getMyListings);
+router.post('/listings', createListing);
+router.delete('/listings/:id', cancelListing);
+
+// Pricing and settlement
+router.get('/pricing/:investmentId', getPricing);
+router.post('/listings/:id/purchase', requireKYC, purchaseListing);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const {
   updatePaymentStatus
 } = require('../controllers/paymentController');
 const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -17,12 +18,12 @@ router.use(protect);
 
 // Payment CRUD operations
 router.get('/', getPayments);
-router.post('/', createPayment);
+router.post('/', idempotent, createPayment);
 router.get('/overdue', authorize('admin', 'moderator'), getOverduePayments);
 router.get('/:id', getPaymentById);
 
 // Payment processing
-router.post('/:id/process', processPayment);
+router.post('/:id/process', idempotent, processPayment);
 router.post('/:id/reminder', authorize('admin', 'moderator'), sendPaymentReminder);
 router.put('/:id/status', authorize('admin', 'moderator'), updatePaymentStatus);
 
@@ -0,0 +1,13 @@
+const express = require('express');
+const {
+  getPlatformStats,
+  getPlatformStatsTrend
+} = require('../controllers/statsController');
+
+const router = express.Router();
+
+// Public platform metrics, served from the cached snapshot
+router.get('/platform', getPlatformStats);
+router.get('/platform/history', getPlatformStatsTrend);
+
+module.exports = router;
@@ -11,6 +11,11 @@ const {
   getUserInvestments,
   deactivateAccount
 } = require('../controllers/userController');
+const {
+  getStatements,
+  getStatement,
+  downloadStatement
+} = require('../controllers/statementController');
 const { protect, requireVerification, requireKYC } = require('../middleware/auth');
 const { validateProfileUpdate } = require('../middleware/validation');
 
@@ -30,6 +35,11 @@ router.post('/kyc-documents', uploadKYCDocuments);
 // Statistics
 router.get('/statistics', getStatistics);
 
+// Monthly account statements
+router.get('/statements', getStatements);
+router.get('/statements/:year/:month', getStatement);
+router.get('/statements/:year/:month/download', downloadStatement);
+
 // Financial information
 router.put('/bank-account', requireVerification, updateBankAccount);
 router.put('/wallet-address', requireVerification, updateWalletAddress);
@@ -0,0 +1,9 @@
+const express = require('express');
+const { receivePaymentWebhook } = require('../controllers/webhookController');
+
+const router = express.Router();
+
+// Callbacks authenticate with a signature over the raw body, so they skip JSON parsing
+router.post('/payments/:provider', express.raw({ type: '*/*', limit: '1mb' }), receivePaymentWebhook);
+
+module.exports = router;
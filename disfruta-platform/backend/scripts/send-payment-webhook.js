@@ -0,0 +1,48 @@
+// scripts/send-payment-webhook.js
+// Sends a signed payment event to a running server, e.g. to settle a mock transaction by hand:
+//   node scripts/send-payment-webhook.js mock_ach_000001 payment.settled
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+const { secrets } = require('../config/webhooks');
+const { signPayload } = require('../services/webhooks');
+
+const sendPaymentWebhook = async () => {
+  const [transactionId, type = 'payment.settled', provider = 'mock'] = process.argv.slice(2);
+
+  if (!transactionId) {
+    console.error('Usage: node scripts/send-payment-webhook.js <transactionId> [type] [provider]');
+    process.exit(1);
+  }
+
+  const secret = secrets[provider];
+  if (!secret) {
+    console.error(`WEBHOOK_SECRETS has no secret for ${provider}`);
+    process.exit(1);
+  }
+
+  const body = JSON.stringify({
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { transactionId, settledAt: new Date().toISOString() }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const baseURL = process.env.API_URL || `http://localhost:${process.env.PORT || 8000}`;
+
+  try {
+    const response = await axios.post(`${baseURL}/api/webhooks/payments/${provider}`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+      }
+    });
+    console.log(response.data);
+  } catch (error) {
+    console.error('Webhook delivery failed:', error.response ? error.response.data : error.message);
+    process.exit(1);
+  }
+};
+
+sendPaymentWebhook();
@@ -10,7 +10,12 @@ const xss = require('xss-clean');
 const hpp = require('hpp');
 require('dotenv').config();
 
+// Registers the transaction session plugin, so it has to load before any model is compiled
+require('./utils/transaction');
+
 const errorHandler = require('./middleware/errorHandler');
+const jobScheduler = require('./services/jobScheduler');
+const { registerJobs } = require('./config/jobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -18,7 +23,11 @@ const userRoutes = require('./routes/users');
 const loanRoutes = require('./routes/loans');
 const investmentRoutes = require('./routes/investments');
 const paymentRoutes = require('./routes/payments');
+const marketplaceRoutes = require('./routes/marketplace');
+const cashRoutes = require('./routes/cash');
+const webhookRoutes = require('./routes/webhooks');
 const adminRoutes = require('./routes/admin');
+const statsRoutes = require('./routes/stats');
 
 const app = express();
 
@@ -33,6 +42,10 @@ app.use(cors({
   credentials: true
 }));
 
+// Webhooks verify signatures over the raw body, so they are mounted before body parsing. They also
+// come before the rate limiter: processor callbacks arrive in bursts from a handful of IPs.
+app.use('/api/webhooks', webhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -83,7 +96,11 @@ app.get('/', (req, res) => {
       loans: '/api/loans',
       investments: '/api/investments',
       payments: '/api/payments',
+      marketplace: '/api/marketplace',
+      cash: '/api/cash',
+      webhooks: '/api/webhooks',
       admin: '/api/admin',
+      stats: '/api/stats',
       upload: '/api/upload'
     }
   });
@@ -105,22 +122,14 @@ app.use('/api/users', userRoutes);
 app.use('/api/loans', loanRoutes);
 app.use('/api/investments', investmentRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/marketplace', marketplaceRoutes);
+app.use('/api/cash', cashRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/stats', statsRoutes);
 
 // Upload endpoint for file uploads
 app.use('/api/upload', require('./routes/upload'));
 
-// Stats endpoint
-app.get('/api/stats/platform', (req, res) => {
-  res.json({
-    totalLoans: 1250,
-    totalInvested: 2500000,
-    activeInvestors: 850,
-    averageReturn: 12.5,
-    defaultRate: 2.1
-  });
-});
-
 // Handle undefined routes
 app.all('*', (req, res) => {
   res.status(404).json({
@@ -140,6 +149,12 @@ const server = app.listen(PORT, () => {
   console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
 });
 
+// Background jobs
+registerJobs(jobScheduler);
+if (process.env.NODE_ENV !== 'test' && process.env.JOBS_ENABLED !== 'false') {
+  jobScheduler.start();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.log('UNHANDLED REJECTION! 💥 Shutting down...');
@@ -152,6 +167,7 @@ process.on('unhandledRejection', (err) => {
 // Handle SIGTERM
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+  jobScheduler.stop();
   server.close(() => {
     console.log('💥 Process terminated!');
   });
@@ -0,0 +1,130 @@
+const { toCents, fromCents, roundToCents, sumMoney } = require('../utils/money');
+
+/**
+ * Add calendar months to a date, clamping to the last day of the target month
+ * @param {Date} date - Starting date
+ * @param {number} months - Number of months to add
+ * @returns {Date} New date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+
+  const lastDayOfMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDayOfMonth));
+
+  return result;
+};
+
+/**
+ * Calculate the level monthly installment for a fully amortizing loan
+ * @param {number} principal - Loan principal amount
+ * @param {number} annualRate - Annual interest rate as a percentage (e.g. 12.5)
+ * @param {number} termMonths - Loan term in months
+ * @returns {number} Monthly installment rounded to cents
+ */
+const calculateInstallmentAmount = (principal, annualRate, termMonths) => {
+  const monthlyRate = annualRate / 100 / 12;
+
+  if (monthlyRate === 0) {
+    return roundToCents(principal / termMonths);
+  }
+
+  const factor = Math.pow(1 + monthlyRate, termMonths);
+  return roundToCents(principal * (monthlyRate * factor) / (factor - 1));
+};
+
+/**
+ * Build a full amortization schedule. Every installment is rounded to cents and
+ * the final installment absorbs any rounding residue so the principal portions
+ * always add up to the original principal.
+ * @param {Object} params - Schedule parameters
+ * @param {number} params.principal - Loan principal amount
+ * @param {number} params.annualRate - Annual interest rate as a percentage
+ * @param {number} params.termMonths - Loan term in months
+ * @param {Date} [params.startDate] - Date the loan starts accruing interest
+ * @returns {Array<Object>} Installments with paymentNumber, dueDate, amount,
+ *   principalAmount, interestAmount and remainingBalance (principal outstanding after the installment)
+ */
+const buildAmortizationSchedule = ({ principal, annualRate, termMonths, startDate = new Date() }) => {
+  const monthlyRate = annualRate / 100 / 12;
+  const installmentCents = toCents(calculateInstallmentAmount(principal, annualRate, termMonths));
+  const schedule = [];
+  let balanceCents = toCents(principal);
+
+  for (let paymentNumber = 1; paymentNumber <= termMonths; paymentNumber++) {
+    const interestCents = toCents(fromCents(balanceCents) * monthlyRate);
+    const isFinal = paymentNumber === termMonths;
+    const principalCents = isFinal
+      ? balanceCents
+      : Math.min(installmentCents - interestCents, balanceCents);
+
+    balanceCents -= principalCents;
+
+    schedule.push({
+      paymentNumber,
+      dueDate: addMonths(startDate, paymentNumber),
+      amount: fromCents(principalCents + interestCents),
+      principalAmount: fromCents(principalCents),
+      interestAmount: fromCents(interestCents),
+      remainingBalance: fromCents(balanceCents)
+    });
+  }
+
+  return schedule;
+};
+
+/**
+ * Summarize an amortization schedule
+ * @param {Array<Object>} schedule - Schedule produced by buildAmortizationSchedule
+ * @returns {Object} Totals for principal, interest and repayment
+ */
+const summarizeSchedule = (schedule) => {
+  const totalPrincipal = sumMoney(schedule.map(installment => installment.principalAmount));
+  const totalInterest = sumMoney(schedule.map(installment => installment.interestAmount));
+
+  return {
+    totalPrincipal,
+    totalInterest,
+    totalRepayment: sumMoney([totalPrincipal, totalInterest])
+  };
+};
+
+/**
+ * Annual percentage rate of a schedule when fees are kept from the proceeds: the nominal
+ * annual rate at which the installments discount back to the amount actually received
+ * @param {number} amountReceived - Loan amount less fees withheld at disbursement
+ * @param {Array<Object>} schedule - Schedule produced by buildAmortizationSchedule
+ * @returns {number} APR as a percentage rounded to two decimals
+ */
+const calculateApr = (amountReceived, schedule) => {
+  const presentValue = (monthlyRate) => schedule.reduce(
+    (sum, installment) => sum + installment.amount / Math.pow(1 + monthlyRate, installment.paymentNumber),
+    0
+  );
+
+  // Present value falls as the rate rises, so bisect between 0% and 100% a month
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > amountReceived) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return Math.round(((low + high) / 2) * 12 * 100 * 100) / 100;
+};
+
+module.exports = {
+  addMonths,
+  calculateInstallmentAmount,
+  buildAmortizationSchedule,
+  summarizeSchedule,
+  calculateApr
+};
@@ -0,0 +1,328 @@
+const Loan = require('../models/Loan');
+const Investment = require('../models/Investment');
+const User = require('../models/User');
+const { roundToCents } = require('../utils/money');
+const ledger = require('./ledger');
+const cashAccounts = require('./cashAccount');
+const { sendAgreementNotification } = require('./loanAgreements');
+const { withTransaction } = require('../utils/transaction');
+
+const MIN_INVESTMENT = 25; // Same floor as manual investments
+const RISK_LEVELS = ['low', 'medium', 'high', 'very_high'];
+
+/**
+ * Merge rule criteria, letting overrides replace only the fields they set
+ * @param {Object} investor - Investor user document
+ * @param {Object} overrides - Criteria from a specific investment's autoReinvest settings
+ * @returns {Object} Criteria used for matching
+ */
+const resolveCriteria = (investor, overrides = {}) => {
+  const criteria = {};
+  const sources = [investor.autoInvest?.criteria || {}, overrides || {}];
+
+  for (const source of sources) {
+    for (const field of ['minAmount', 'maxRiskLevel', 'preferredGrades', 'maxLoanAmount']) {
+      const value = source[field];
+      if (value === undefined || value === null) continue;
+      if (Array.isArray(value) && value.length === 0) continue;
+      criteria[field] = value;
+    }
+  }
+
+  // Fall back to the investor's general risk tolerance
+  if (!criteria.maxRiskLevel) {
+    criteria.maxRiskLevel = investor.preferences?.riskTolerance || 'medium';
+  }
+
+  return criteria;
+};
+
+/**
+ * Check a loan against auto-invest criteria
+ * @param {Object} loan - Loan open for funding
+ * @param {Object} criteria - Resolved criteria
+ * @returns {Array} Reasons the loan does not match; empty when it matches
+ */
+const checkLoan = (loan, criteria) => {
+  const reasons = [];
+
+  if (criteria.minAmount && loan.amount < criteria.minAmount) {
+    reasons.push(`Loan amount below $${criteria.minAmount}`);
+  }
+  if (criteria.maxLoanAmount && loan.amount > criteria.maxLoanAmount) {
+    reasons.push(`Loan amount above $${criteria.maxLoanAmount}`);
+  }
+  if (criteria.preferredGrades && !criteria.preferredGrades.includes(loan.grade)) {
+    reasons.push(`Grade ${loan.grade} not in preferred grades`);
+  }
+
+  const riskLevel = loan.riskAssessment?.riskLevel;
+  if (riskLevel && RISK_LEVELS.indexOf(riskLevel) > RISK_LEVELS.indexOf(criteria.maxRiskLevel)) {
+    reasons.push(`Risk level ${riskLevel} above ${criteria.maxRiskLevel}`);
+  }
+
+  return reasons;
+};
+
+// Loans currently accepting investments, soonest deadline first
+const findOpenLoans = (now = new Date()) => {
+  return Loan.find({
+    status: { $in: ['approved', 'funding'] },
+    fundingDeadline: { $gt: now }
+  }).sort({ fundingDeadline: 1 });
+};
+
+/**
+ * Cash the engine may spend: the auto-invest budget, capped by what is available in the cash account
+ * @param {Object} investor - Investor user document
+ * @returns {number} Spendable cash
+ */
+const getInvestableCash = async (investor) => {
+  const account = await cashAccounts.getAccount(investor._id);
+  return roundToCents(Math.min(investor.autoInvest?.availableCash || 0, account.available));
+};
+
+/**
+ * Work out how an investor's cash would be spread across loans
+ * @param {Object} investor - Investor user document
+ * @param {Array} loans - Candidate loans
+ * @param {Object} options - criteria overrides and the cash to allocate
+ * @returns {Object} Per-loan decisions and the cash left over
+ */
+const planAllocations = async (investor, loans, { criteria: overrides, cash } = {}) => {
+  const criteria = resolveCriteria(investor, overrides);
+  const maxPerLoan = investor.autoInvest?.maxPerLoan || MIN_INVESTMENT;
+  let remainingCash = roundToCents(cash !== undefined ? cash : await getInvestableCash(investor));
+
+  // Existing positions count toward the per-loan cap
+  const holdings = await Investment.find({
+    investor: investor._id,
+    loan: { $in: loans.map(loan => loan._id) },
+    status: { $in: ['pending', 'active'] }
+  });
+  const heldByLoan = new Map();
+  holdings.forEach(holding => {
+    const key = holding.loan.toString();
+    heldByLoan.set(key, (heldByLoan.get(key) || 0) + holding.amount);
+  });
+
+  const allocations = [];
+  for (const loan of loans) {
+    const reasons = checkLoan(loan, criteria);
+    if (loan.borrower.toString() === investor._id.toString()) {
+      reasons.push('Cannot invest in your own loan');
+    }
+
+    if (reasons.length > 0) {
+      allocations.push({ loan, matched: false, amount: 0, reasons });
+      continue;
+    }
+
+    const held = heldByLoan.get(loan._id.toString()) || 0;
+    const amount = Math.floor(Math.min(
+      maxPerLoan - held,
+      loan.amount - loan.fundedAmount,
+      remainingCash
+    ) * 100) / 100;
+
+    if (amount < MIN_INVESTMENT) {
+      let reason = 'Not enough available cash';
+      if (maxPerLoan - held < MIN_INVESTMENT) reason = 'Per-loan cap reached';
+      else if (loan.amount - loan.fundedAmount < MIN_INVESTMENT) reason = 'Loan is nearly fully funded';
+
+      allocations.push({ loan, matched: true, amount: 0, reasons: [reason] });
+      continue;
+    }
+
+    remainingCash = roundToCents(remainingCash - amount);
+    allocations.push({ loan, matched: true, amount, reasons: [] });
+  }
+
+  return { criteria, allocations, remainingCash };
+};
+
+// Rolls back a placement that cannot go ahead; placeInvestment turns it into null
+const notPlaced = reason => Object.assign(new Error(reason), { notPlaced: true });
+
+/**
+ * Create an auto-invest investment, paying for it out of the investor's cash account. The loan is
+ * re-read inside the transaction so a retry never works from a stale funded amount.
+ * @returns {Object|null} The investment, or null when the budget, cash or loan was taken elsewhere first
+ */
+const placeInvestment = async (investor, loanId, amount) => {
+  try {
+    const placed = await withTransaction(async () => {
+      const loan = await Loan.findById(loanId);
+      if (!loan || !['approved', 'funding'].includes(loan.status) || loan.amount - loan.fundedAmount < amount) {
+        throw notPlaced('Loan is no longer open for this amount');
+      }
+
+      // Reserve the budget atomically so concurrent runs cannot overspend it
+      const reserved = await User.findOneAndUpdate(
+        { _id: investor._id, 'autoInvest.availableCash': { $gte: amount } },
+        {
+          $inc: {
+            'autoInvest.availableCash': -amount,
+            'statistics.totalInvested': amount
+          },
+          $set: { 'autoInvest.lastInvestedAt': new Date() }
+        },
+        { new: true }
+      );
+      if (!reserved) throw notPlaced('Auto-invest budget spent');
+
+      if (!(await cashAccounts.debit(investor._id, amount))) {
+        throw notPlaced('Not enough available cash');
+      }
+
+      const investment = await Investment.create({
+        investor: investor._id,
+        loan: loan._id,
+        amount,
+        percentage: (amount / loan.amount) * 100,
+        status: 'pending',
+        metadata: { source: 'auto_invest' }
+      });
+      await ledger.recordFunding(investment);
+
+      await investment.generatePaymentSchedule(loan);
+      const issued = await loan.updateFundingAmount(amount);
+
+      return { investment, loan, agreement: issued };
+    });
+
+    // Filling the loan may have issued an agreement for the borrower to sign
+    if (placed.agreement) {
+      await sendAgreementNotification(placed.loan, placed.agreement);
+    }
+
+    return placed.investment;
+  } catch (error) {
+    if (error.notPlaced) return null;
+    throw error;
+  }
+};
+
+/**
+ * Offer a newly opened loan to every investor with auto-invest turned on
+ * @param {Object} loan - Loan that just entered approved or funding
+ * @returns {Object} Number of investments created and the amount invested
+ */
+const runForLoan = async (loan) => {
+  const summary = { investmentsCreated: 0, amountInvested: 0 };
+  if (!['approved', 'funding'].includes(loan.status)) return summary;
+
+  // Whoever invested least recently goes first, so loans spread across investors
+  const investors = await User.find({
+    'autoInvest.enabled': true,
+    'autoInvest.availableCash': { $gte: MIN_INVESTMENT },
+    userType: { $in: ['lender', 'both'] },
+    kycStatus: 'verified',
+    isActive: true
+  }).sort({ 'autoInvest.lastInvestedAt': 1 });
+
+  let current = loan;
+  for (const investor of investors) {
+    if (current.status !== 'approved' && current.status !== 'funding') break;
+
+    try {
+      const { allocations } = await planAllocations(investor, [current]);
+      const [allocation] = allocations;
+      if (!allocation.matched || allocation.amount === 0) continue;
+
+      const investment = await placeInvestment(investor, current._id, allocation.amount);
+      if (investment) {
+        summary.investmentsCreated += 1;
+        summary.amountInvested = roundToCents(summary.amountInvested + allocation.amount);
+        // Pick up the funded amount and status the investment left behind
+        current = await Loan.findById(loan._id);
+      }
+    } catch (error) {
+      console.error(`Auto-invest error for investor ${investor._id} on loan ${loan._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Spend one investor's available cash across open loans
+ * @param {Object} investor - Investor user document
+ * @param {Object} options - criteria overrides for this run
+ * @returns {Object} Number of investments created and the amount invested
+ */
+const runForInvestor = async (investor, { criteria } = {}) => {
+  const summary = { investmentsCreated: 0, amountInvested: 0 };
+
+  if (investor.kycStatus !== 'verified' || !['lender', 'both'].includes(investor.userType)) {
+    return summary;
+  }
+
+  const loans = await findOpenLoans();
+  const { allocations } = await planAllocations(investor, loans, { criteria });
+
+  for (const allocation of allocations) {
+    if (!allocation.matched || allocation.amount === 0) continue;
+
+    // A loan filled by someone else does not stop the rest of the plan
+    const investment = await placeInvestment(investor, allocation.loan._id, allocation.amount);
+    if (!investment) continue;
+
+    summary.investmentsCreated += 1;
+    summary.amountInvested = roundToCents(summary.amountInvested + allocation.amount);
+  }
+
+  return summary;
+};
+
+/**
+ * Reinvest the distributions from a completed payment for investments with autoReinvest enabled.
+ * The distribution itself has already landed in the cash account; this raises the auto-invest budget.
+ * @param {Object} payment - Payment that has been distributed
+ * @returns {Object} Cash reinvested and investments created
+ */
+const runForDistribution = async (payment) => {
+  const summary = { cashReinvested: 0, investmentsCreated: 0, amountInvested: 0 };
+  const criteriaByInvestor = new Map();
+
+  for (const entry of payment.distribution) {
+    const investment = await Investment.findById(entry.investment);
+    if (!investment || !investment.autoReinvest?.enabled || !investment.autoReinvest.percentage) continue;
+
+    const cash = roundToCents((entry.netAmount ?? entry.totalAmount) * investment.autoReinvest.percentage / 100);
+    if (cash <= 0) continue;
+
+    await User.findByIdAndUpdate(investment.investor, {
+      $inc: { 'autoInvest.availableCash': cash }
+    });
+    summary.cashReinvested = roundToCents(summary.cashReinvested + cash);
+    criteriaByInvestor.set(investment.investor.toString(), investment.autoReinvest.criteria);
+  }
+
+  for (const [investorId, criteria] of criteriaByInvestor) {
+    try {
+      const investor = await User.findById(investorId);
+      if (!investor) continue;
+
+      const result = await runForInvestor(investor, { criteria });
+      summary.investmentsCreated += result.investmentsCreated;
+      summary.amountInvested = roundToCents(summary.amountInvested + result.amountInvested);
+    } catch (error) {
+      console.error(`Auto-reinvest error for investor ${investorId}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  MIN_INVESTMENT,
+  resolveCriteria,
+  checkLoan,
+  findOpenLoans,
+  getInvestableCash,
+  planAllocations,
+  runForLoan,
+  runForInvestor,
+  runForDistribution
+};
@@ -0,0 +1,214 @@
+const CashAccount = require('../models/CashAccount');
+const CashTransaction = require('../models/CashTransaction');
+const ledger = require('./ledger');
+const { roundToCents } = require('../utils/money');
+const { withTransaction } = require('../utils/transaction');
+
+/**
+ * Update pipeline that adds amounts to balance fields and rounds each result to the cent, so repeated
+ * increments cannot accumulate floating-point noise in stored balances
+ * @param {Object} changes - Field name to signed amount
+ * @returns {Array} Update pipeline
+ */
+const adjustBalances = (changes) => [{
+  $set: {
+    ...Object.entries(changes).reduce((fields, [field, amount]) => ({
+      ...fields,
+      [field]: { $round: [{ $add: [`$${field}`, roundToCents(amount)] }, 2] }
+    }), {}),
+    lastActivityAt: new Date()
+  }
+}];
+
+/**
+ * Find or open a user's cash account
+ * @param {string} userId - Account holder
+ * @returns {Object} CashAccount document
+ */
+const getAccount = async (userId) => {
+  try {
+    return await CashAccount.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another request opened the account first
+    if (error.code === 11000) return CashAccount.findOne({ user: userId });
+    throw error;
+  }
+};
+
+/**
+ * Add settled cash to an account
+ * @param {string} userId - Account holder
+ * @param {number} amount - Amount to add
+ * @returns {Object} Updated CashAccount
+ */
+const credit = async (userId, amount) => {
+  await getAccount(userId);
+
+  return CashAccount.findOneAndUpdate(
+    { user: userId },
+    adjustBalances({ available: amount }),
+    { new: true }
+  );
+};
+
+/**
+ * Spend cash from an account, only if enough is available
+ * @param {string} userId - Account holder
+ * @param {number} amount - Amount to take
+ * @returns {Object|null} Updated CashAccount, or null when the balance is too low
+ */
+const debit = async (userId, amount) => {
+  amount = roundToCents(amount);
+  await getAccount(userId);
+
+  return CashAccount.findOneAndUpdate(
+    { user: userId, available: { $gte: amount } },
+    adjustBalances({ available: -amount }),
+    { new: true }
+  );
+};
+
+/**
+ * Credit each investor's share of a distributed payment
+ * @param {Object} payment - Payment with its distribution filled in
+ */
+const creditDistribution = async (payment) => {
+  for (const share of payment.distribution) {
+    await credit(share.investor, share.netAmount ?? share.totalAmount);
+  }
+};
+
+/**
+ * Open a deposit request; the cash becomes available once it settles
+ * @param {string} userId - Depositing user
+ * @param {number} amount - Amount expected
+ * @param {Object} details - method and externalReference
+ * @returns {Object} CashTransaction
+ */
+const requestDeposit = async (userId, amount, { method, externalReference } = {}) => {
+  amount = roundToCents(amount);
+  const account = await getAccount(userId);
+
+  const transaction = await CashTransaction.create({
+    account: account._id,
+    user: userId,
+    type: 'deposit',
+    amount,
+    method,
+    externalReference
+  });
+
+  await CashAccount.updateOne({ _id: account._id }, adjustBalances({ pendingDeposits: amount }));
+
+  return transaction;
+};
+
+/**
+ * Open a withdrawal request, holding the cash back from investing until it is paid out
+ * @param {string} userId - Withdrawing user
+ * @param {number} amount - Amount to withdraw
+ * @param {Object} details - method
+ * @returns {Object|null} CashTransaction, or null when the balance is too low
+ */
+const requestWithdrawal = async (userId, amount, { method } = {}) => {
+  amount = roundToCents(amount);
+  await getAccount(userId);
+
+  const account = await CashAccount.findOneAndUpdate(
+    { user: userId, available: { $gte: amount } },
+    adjustBalances({ available: -amount, pendingWithdrawals: amount }),
+    { new: true }
+  );
+  if (!account) return null;
+
+  try {
+    return await CashTransaction.create({
+      account: account._id,
+      user: userId,
+      type: 'withdrawal',
+      amount,
+      method
+    });
+  } catch (error) {
+    await CashAccount.updateOne({ _id: account._id }, adjustBalances({ available: amount, pendingWithdrawals: -amount }));
+    throw error;
+  }
+};
+
+/**
+ * Settle a pending deposit or withdrawal and post it to the ledger. The claim, the balance change and
+ * the journal entry commit together, so a transaction is never settled without its money moving.
+ * @param {string} transactionId - Pending transaction
+ * @param {Object} details - processedBy and externalReference
+ * @returns {Object|null} Settled transaction, or null when it was no longer pending
+ */
+const settleTransaction = async (transactionId, { processedBy, externalReference } = {}) => withTransaction(async () => {
+  const update = { status: 'settled', settledAt: new Date(), processedBy };
+  if (externalReference) update.externalReference = externalReference;
+
+  // Claim the transaction so it can only settle once
+  const transaction = await CashTransaction.findOneAndUpdate(
+    { _id: transactionId, status: 'pending' },
+    { $set: update },
+    { new: true }
+  );
+  if (!transaction) return null;
+
+  if (transaction.type === 'deposit') {
+    await CashAccount.updateOne({ _id: transaction.account }, adjustBalances({
+      available: transaction.amount,
+      pendingDeposits: -transaction.amount
+    }));
+  } else {
+    await CashAccount.updateOne({ _id: transaction.account }, adjustBalances({ pendingWithdrawals: -transaction.amount }));
+  }
+
+  const entry = transaction.type === 'deposit'
+    ? await ledger.recordDeposit(transaction)
+    : await ledger.recordWithdrawal(transaction);
+
+  transaction.journalEntry = entry._id;
+  return transaction.save();
+});
+
+/**
+ * Close a pending deposit or withdrawal without moving money, releasing what it held in one transaction
+ * @param {string} transactionId - Pending transaction
+ * @param {Object} details - status (failed or cancelled), reason and processedBy
+ * @returns {Object|null} Closed transaction, or null when it was no longer pending
+ */
+const closeTransaction = async (transactionId, { status = 'failed', reason, processedBy } = {}) => withTransaction(async () => {
+  const transaction = await CashTransaction.findOneAndUpdate(
+    { _id: transactionId, status: 'pending' },
+    { $set: { status, failedAt: new Date(), failureReason: reason, processedBy } },
+    { new: true }
+  );
+  if (!transaction) return null;
+
+  if (transaction.type === 'deposit') {
+    await CashAccount.updateOne({ _id: transaction.account }, adjustBalances({ pendingDeposits: -transaction.amount }));
+  } else {
+    // Held cash goes back to available
+    await CashAccount.updateOne({ _id: transaction.account }, adjustBalances({
+      available: transaction.amount,
+      pendingWithdrawals: -transaction.amount
+    }));
+  }
+
+  return transaction;
+});
+
+module.exports = {
+  getAccount,
+  credit,
+  debit,
+  creditDistribution,
+  requestDeposit,
+  requestWithdrawal,
+  settleTransaction,
+  closeTransaction
+};
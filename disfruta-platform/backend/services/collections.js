@@ -0,0 +1,184 @@
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const CollectionCase = require('../models/CollectionCase');
+require('../models/Investment');
+const { buckets } = require('../config/collections');
+const { updateCreditScore } = require('./creditScoring');
+const { getSchedule } = require('./fees');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find the delinquency bucket for a number of days past due
+ * @param {number} daysPastDue - Days past due
+ * @returns {Object|null} Bucket definition, or null when the loan is current
+ */
+const getBucket = (daysPastDue) => {
+  return buckets.find(bucket => daysPastDue >= bucket.minDays && daysPastDue <= bucket.maxDays) || null;
+};
+
+// Bucket actions. Each receives the case context and returns a short description of what it did.
+const actionHandlers = {
+  email: async ({ loan, collectionCase, bucket }) => {
+    const borrower = await User.findById(loan.borrower);
+    if (!borrower) throw new Error('Borrower not found');
+
+    const result = await emailService.sendDelinquencyNotice(borrower, loan, collectionCase, bucket);
+    if (!result.success) throw new Error(result.error);
+
+    return `Delinquency notice sent to ${borrower.email}`;
+  },
+
+  late_fee: async ({ payments }) => {
+    const schedule = await getSchedule();
+    let totalFees = 0;
+
+    for (const payment of payments) {
+      const fee = payment.assessLateFee(schedule, payment.daysPastDue);
+      if (fee === 0) continue;
+
+      await payment.save();
+      totalFees += fee;
+    }
+
+    return `Late fees of $${totalFees.toFixed(2)} charged`;
+  },
+
+  credit_report: async ({ loan }) => {
+    const result = await updateCreditScore(loan.borrower, 'late_payment');
+    if (!result.success) throw new Error(result.error);
+
+    return `Credit score changed by ${result.change}`;
+  },
+
+  default: async ({ loan, collectionCase }) => {
+    await loan.markAsDefaulted();
+    await updateCreditScore(loan.borrower, 'loan_default');
+    collectionCase.close('defaulted');
+
+    return 'Loan handed off to default';
+  }
+};
+
+/**
+ * Run the actions configured for a bucket, recording each outcome on the case
+ */
+const runBucketActions = async (context) => {
+  const { collectionCase, bucket } = context;
+
+  for (const action of bucket.actions) {
+    const handler = actionHandlers[action];
+    if (!handler) continue;
+
+    try {
+      const details = await handler(context);
+      collectionCase.recordAction(bucket.id, action, 'success', details);
+    } catch (error) {
+      console.error(`Collections action ${action} failed for loan ${context.loan._id}:`, error);
+      collectionCase.recordAction(bucket.id, action, 'failed', error.message);
+    }
+  }
+};
+
+/**
+ * Move one loan through the collections state machine
+ * @param {Object} loan - Loan document in repayment
+ * @param {Date} now - Reference time
+ * @returns {string} What happened: 'opened', 'escalated', 'updated', 'resolved' or 'current'
+ */
+const processLoan = async (loan, now = new Date()) => {
+  const payments = await Payment.find({
+    loan: loan._id,
+    type: 'scheduled',
+    status: { $in: ['pending', 'failed'] },
+    dueDate: { $lt: now }
+  }).sort({ dueDate: 1 });
+
+  let collectionCase = await CollectionCase.findOne({ loan: loan._id, status: 'open' });
+
+  if (payments.length === 0) {
+    if (!collectionCase) return 'current';
+
+    collectionCase.transitions.push({ from: collectionCase.bucket, to: 'current', daysPastDue: 0 });
+    collectionCase.daysPastDue = 0;
+    collectionCase.amountPastDue = 0;
+    collectionCase.overduePayments = [];
+    collectionCase.close('resolved');
+    await collectionCase.save();
+    return 'resolved';
+  }
+
+  const daysPastDue = Math.ceil((now - payments[0].dueDate) / DAY_MS);
+  const bucket = getBucket(daysPastDue);
+  if (!bucket) return 'current';
+
+  let outcome = 'updated';
+  if (!collectionCase) {
+    collectionCase = new CollectionCase({
+      loan: loan._id,
+      borrower: loan.borrower,
+      bucket: bucket.id,
+      transitions: [{ from: 'current', to: bucket.id, daysPastDue }]
+    });
+    outcome = 'opened';
+  } else if (collectionCase.bucket !== bucket.id) {
+    // Actions only run when a case gets worse, not when a partial catch-up moves it back
+    const previousIndex = buckets.findIndex(entry => entry.id === collectionCase.bucket);
+    if (buckets.indexOf(bucket) > previousIndex) {
+      outcome = 'escalated';
+    }
+    collectionCase.moveToBucket(bucket.id, daysPastDue);
+  }
+
+  collectionCase.daysPastDue = daysPastDue;
+  collectionCase.amountPastDue = payments.reduce((sum, payment) => sum + payment.totalAmount, 0);
+  collectionCase.overduePayments = payments.map(payment => payment._id);
+
+  // Keep payment escalation in step with the case
+  for (const payment of payments) {
+    if (payment.notifications.escalationLevel < bucket.escalationLevel) {
+      payment.notifications.escalationLevel = bucket.escalationLevel;
+      await payment.save();
+    }
+  }
+
+  if (outcome !== 'updated') {
+    await runBucketActions({ loan, payments, collectionCase, bucket });
+  }
+
+  await collectionCase.save();
+  return outcome;
+};
+
+/**
+ * Run the collections workflow over every loan in repayment
+ * @param {Date} now - Reference time
+ * @returns {Object} Summary of the run
+ */
+const runCollections = async (now = new Date()) => {
+  const summary = { opened: 0, escalated: 0, updated: 0, resolved: 0, failed: 0 };
+
+  const loans = await Loan.find({ status: { $in: ['funded', 'active'] } });
+
+  for (const loan of loans) {
+    try {
+      const outcome = await processLoan(loan, now);
+      if (summary[outcome] !== undefined) {
+        summary[outcome] += 1;
+      }
+    } catch (error) {
+      console.error(`Collections error for loan ${loan._id}:`, error);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  getBucket,
+  processLoan,
+  runCollections
+};
@@ -0,0 +1,175 @@
+const Investment = require('../models/Investment');
+const { roundToCents } = require('../utils/money');
+const { thresholds, DIMENSIONS, TARGET_NOTES, MIN_NOTE_AMOUNT } = require('../config/diversification');
+
+const MAX_TARGET_NOTES = 1000;
+
+const toPercent = share => Math.round(share * 10000) / 100;
+
+// Group an active investment falls in for each dimension
+const groupKeys = investment => ({
+  loan: investment.loan._id.toString(),
+  borrower: investment.loan.borrower ? investment.loan.borrower._id.toString() : 'unknown',
+  grade: investment.loan.grade,
+  purpose: investment.loan.purpose || 'Unknown',
+  term: `${investment.loan.term} months`,
+  region: (investment.loan.borrower && investment.loan.borrower.address && investment.loan.borrower.address.state) || 'Unknown'
+});
+
+/**
+ * Herfindahl-Hirschman index of a set of exposures: the sum of squared shares, from 1/n for n equal
+ * positions up to 1 for a single one
+ * @param {Array<number>} amounts - Exposure of each group
+ * @returns {number|null} Index as a fraction, or null when nothing is held
+ */
+const herfindahl = (amounts) => {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (total <= 0) return null;
+
+  return amounts.reduce((sum, amount) => sum + Math.pow(amount / total, 2), 0);
+};
+
+/**
+ * Exposure by group for one dimension, largest first, with the groups over its threshold
+ * @returns {Object} Concentration of the dimension
+ */
+const measureDimension = (dimension, positions, total) => {
+  const groups = new Map();
+  positions.forEach(position => {
+    const key = position.keys[dimension];
+    if (!groups.has(key)) {
+      groups.set(key, { key, label: position.labels[dimension], amount: 0, notes: 0 });
+    }
+    const group = groups.get(key);
+    group.amount += position.exposure;
+    group.notes += 1;
+  });
+
+  const sorted = [...groups.values()].sort((a, b) => b.amount - a.amount);
+  const hhi = herfindahl(sorted.map(group => group.amount));
+  const threshold = thresholds[dimension];
+
+  // Borrowers are shown by rank rather than by account
+  if (dimension === 'borrower') {
+    sorted.forEach((group, index) => {
+      group.key = `borrower-${index + 1}`;
+      group.label = `Borrower ${index + 1}`;
+    });
+  }
+
+  const result = sorted.map(group => ({
+    key: group.key,
+    label: group.label,
+    notes: group.notes,
+    amount: roundToCents(group.amount),
+    share: toPercent(group.amount / total)
+  }));
+
+  return {
+    hhi: hhi === null ? null : Math.round(hhi * 10000) / 10000,
+    effectiveCount: hhi ? Math.round((1 / hhi) * 100) / 100 : 0,
+    threshold: toPercent(threshold),
+    groups: result,
+    flagged: result.filter(group => group.share > toPercent(threshold))
+  };
+};
+
+/**
+ * Fewest equal new notes, each in a different loan, that bring the Herfindahl index of loan exposure
+ * down to 1/target. Adding k notes of amount a gives (S + k·a²) / (T + k·a)², so k is the positive
+ * root of a²k² + (2Ta - target·a²)k + T² - target·S = 0.
+ * @param {Array<number>} amounts - Current exposure of each loan
+ * @param {number} target - Target effective number of notes
+ * @returns {Object} Notes to add, amount per note and the capital they need
+ */
+const suggestNotes = (amounts, target) => {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  const sumOfSquares = amounts.reduce((sum, amount) => sum + amount * amount, 0);
+  const amountPerNote = Math.max(MIN_NOTE_AMOUNT, Math.floor(total / target));
+
+  const a = amountPerNote * amountPerNote;
+  const b = 2 * total * amountPerNote - target * a;
+  const c = total * total - target * sumOfSquares;
+
+  // An empty portfolio needs the target number of notes outright
+  let additionalNotes = target;
+  if (total > 0) {
+    additionalNotes = c >= 0 ? 0 : Math.ceil((-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a) - 1e-9);
+  }
+
+  return {
+    targetEffectiveNotes: target,
+    amountPerNote,
+    additionalNotes,
+    additionalCapital: roundToCents(additionalNotes * amountPerNote),
+    totalNotes: amounts.length + additionalNotes
+  };
+};
+
+/**
+ * Concentration of an investor's active investments by loan, borrower, grade, purpose, term and region
+ * @param {string} investorId - Investor
+ * @param {Object} options - target effective number of notes
+ * @returns {Object} Concentration by dimension, flagged positions and a suggestion to reach the target
+ */
+const analyzeDiversification = async (investorId, { target } = {}) => {
+  const targetNotes = Math.min(Math.max(parseInt(target) || TARGET_NOTES, 1), MAX_TARGET_NOTES);
+
+  const investments = await Investment.find({ investor: investorId, status: 'active' })
+    .select('loan amount remainingAmount')
+    .populate({
+      path: 'loan',
+      select: 'borrower grade purpose term',
+      populate: { path: 'borrower', select: 'address.state' }
+    })
+    .lean();
+
+  // Exposure is the principal still outstanding on each note
+  const positions = investments
+    .filter(investment => investment.loan)
+    .map(investment => {
+      const keys = groupKeys(investment);
+      return {
+        exposure: investment.remainingAmount > 0 ? investment.remainingAmount : investment.amount,
+        keys,
+        labels: {
+          ...keys,
+          loan: `Grade ${investment.loan.grade} · ${investment.loan.purpose}`,
+          grade: `Grade ${investment.loan.grade}`
+        }
+      };
+    });
+
+  const total = positions.reduce((sum, position) => sum + position.exposure, 0);
+  const dimensions = total > 0
+    ? DIMENSIONS.reduce((result, dimension) => ({
+      ...result,
+      [dimension]: measureDimension(dimension, positions, total)
+    }), {})
+    : {};
+
+  const loanAmounts = total > 0 ? dimensions.loan.groups.map(group => group.amount) : [];
+  const effectiveNotes = total > 0 ? dimensions.loan.effectiveCount : 0;
+
+  return {
+    activeInvestments: positions.length,
+    exposure: roundToCents(total),
+    hhi: total > 0 ? dimensions.loan.hhi : null,
+    effectiveNotes,
+    // 100 once the portfolio is as spread as the target number of equal notes
+    score: Math.min(100, Math.round((effectiveNotes / targetNotes) * 100)),
+    dimensions,
+    flagged: Object.entries(dimensions).flatMap(([dimension, measure]) => measure.flagged.map(group => ({
+      dimension,
+      ...group,
+      threshold: measure.threshold
+    }))),
+    suggestion: suggestNotes(loanAmounts, targetNotes)
+  };
+};
+
+module.exports = {
+  herfindahl,
+  suggestNotes,
+  analyzeDiversification
+};
@@ -270,6 +270,322 @@ class EmailService {
     return await this.sendEmail(user.email, subject, html);
   }
 
+  async sendLoanFundingExpiredNotification(user, loan) {
+    const subject = 'Loan Funding Period Ended - Disfruta Platform';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #6c757d; padding: 30px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Funding Period Ended</h1>
+        </div>
+        
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hello ${user.firstName}!</h2>
+          
+          <p style="color: #666; line-height: 1.6;">
+            Unfortunately your loan did not reach its funding target before the deadline, so it has been cancelled.
+            All investor commitments have been released and no funds will be disbursed.
+          </p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #333; margin-top: 0;">Loan Details:</h3>
+            <ul style="color: #666; line-height: 1.6; list-style: none; padding: 0;">
+              <li><strong>Requested Amount:</strong> $${loan.amount.toLocaleString()}</li>
+              <li><strong>Funding Deadline:</strong> ${new Date(loan.fundingDeadline).toLocaleDateString()}</li>
+              <li><strong>Purpose:</strong> ${loan.purpose}</li>
+            </ul>
+          </div>
+          
+          <p style="color: #999; font-size: 14px;">
+            You are welcome to submit a new application at any time.
+          </p>
+        </div>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
+  async sendPartialFundingAcceptedNotification(user, loan) {
+    const subject = 'Loan Partially Funded - Disfruta Platform';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #17a2b8; padding: 30px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Loan Funded</h1>
+        </div>
+        
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hello ${user.firstName}!</h2>
+          
+          <p style="color: #666; line-height: 1.6;">
+            Your funding deadline has passed and, as requested in your application, we have accepted the partial funding raised.
+          </p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #333; margin-top: 0;">Loan Details:</h3>
+            <ul style="color: #666; line-height: 1.6; list-style: none; padding: 0;">
+              <li><strong>Requested Amount:</strong> $${loan.fundingOptions.requestedAmount.toLocaleString()}</li>
+              <li><strong>Funded Amount:</strong> $${loan.amount.toLocaleString()}</li>
+              <li><strong>Monthly Payment:</strong> $${loan.monthlyPayment.toLocaleString()}</li>
+              <li><strong>Term:</strong> ${loan.term} months</li>
+            </ul>
+          </div>
+        </div>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
+  async sendInvestmentRefundNotification(user, investment, loan) {
+    const subject = 'Investment Refunded - Disfruta Platform';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #6c757d; padding: 30px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Investment Refunded</h1>
+        </div>
+        
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hello ${user.firstName}!</h2>
+          
+          <p style="color: #666; line-height: 1.6;">
+            A loan you invested in did not reach its funding target before the deadline and has been cancelled.
+            Your investment has been refunded in full.
+          </p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #333; margin-top: 0;">Refund Details:</h3>
+            <ul style="color: #666; line-height: 1.6; list-style: none; padding: 0;">
+              <li><strong>Refunded Amount:</strong> $${investment.amount.toLocaleString()}</li>
+              <li><strong>Loan Grade:</strong> ${loan.grade}</li>
+              <li><strong>Loan Purpose:</strong> ${loan.purpose}</li>
+            </ul>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/lend" 
+               style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Browse Opportunities
+            </a>
+          </div>
+        </div>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
+  async sendDelinquencyNotice(user, loan, collectionCase, bucket) {
+    const isSerious = collectionCase.daysPastDue > 30;
+    const subject = isSerious
+      ? 'Urgent: Your Loan Is Seriously Past Due - Disfruta Platform'
+      : 'Your Loan Payment Is Past Due - Disfruta Platform';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: ${isSerious ? '#dc3545' : '#fd7e14'}; padding: 30px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Payment Past Due</h1>
+        </div>
+        
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hello ${user.firstName}!</h2>
+          
+          <p style="color: #666; line-height: 1.6;">
+            Your loan is ${collectionCase.daysPastDue} days past due. Please bring your account up to date as soon as possible
+            to avoid late fees, a report to the credit bureaus and, ultimately, default.
+          </p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #333; margin-top: 0;">Account Status:</h3>
+            <ul style="color: #666; line-height: 1.6; list-style: none; padding: 0;">
+              <li><strong>Amount Past Due:</strong> $${collectionCase.amountPastDue.toLocaleString()}</li>
+              <li><strong>Days Past Due:</strong> ${collectionCase.daysPastDue} (${bucket.label})</li>
+              <li><strong>Missed Installments:</strong> ${collectionCase.overduePayments.length}</li>
+              <li><strong>Loan Purpose:</strong> ${loan.purpose}</li>
+            </ul>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/payments" 
+               style="background: #dc3545; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Make Payment
+            </a>
+          </div>
+          
+          <p style="color: #999; font-size: 14px;">
+            If you are experiencing financial hardship, please contact support@disfruta.com to discuss your options.
+          </p>
+        </div>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
+  async sendLoanModificationDecision(user, loan, modification) {
+    const isApproved = modification.status === 'approved';
+    const subject = isApproved
+      ? 'Your Hardship Request Was Approved - Disfruta Platform'
+      : 'Update on Your Hardship Request - Disfruta Platform';
+    const termsHtml = isApproved ? `
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #333; margin-top: 0;">Your New Terms:</h3>
+            <ul style="color: #666; line-height: 1.6; list-style: none; padding: 0;">
+              <li><strong>Next Payment:</strong> ${new Date(modification.newTerms.nextPaymentDate).toLocaleDateString()}</li>
+              <li><strong>Monthly Payment:</strong> $${modification.newTerms.monthlyPayment.toLocaleString()}</li>
+              <li><strong>Remaining Installments:</strong> ${modification.newTerms.remainingInstallments}</li>
+              <li><strong>Final Payment Date:</strong> ${new Date(modification.newTerms.maturityDate).toLocaleDateString()}</li>
+            </ul>
+          </div>
+    ` : '';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: ${isApproved ? '#28a745' : '#6c757d'}; padding: 30px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Hardship Request ${isApproved ? 'Approved' : 'Declined'}</h1>
+        </div>
+
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hello ${user.firstName}!</h2>
+
+          <p style="color: #666; line-height: 1.6;">
+            ${isApproved
+              ? `Your request to modify the repayment terms of your loan for ${loan.purpose} has been approved. Your remaining schedule has been updated.`
+              : `We were unable to approve your request to modify the repayment terms of your loan for ${loan.purpose}. Your current schedule still applies.`}
+          </p>
+          ${termsHtml}
+          ${modification.reviewNotes ? `<p style="color: #666; line-height: 1.6;"><strong>Notes:</strong> ${modification.reviewNotes}</p>` : ''}
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/loans/${loan._id}"
+               style="background: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              View Loan Details
+            </a>
+          </div>
+        </div>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
+  async sendPaymentFailedNotification(user, payment) {
+    const subject = 'Your Loan Payment Did Not Go Through - Disfruta Platform';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #dc3545; padding: 30px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Payment Failed</h1>
+        </div>
+
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hello ${user.firstName}!</h2>
+
+          <p style="color: #666; line-height: 1.6;">
+            We were unable to collect your loan payment. Please check your payment method and try again
+            before the due date to avoid late fees.
+          </p>
+
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #333; margin-top: 0;">Payment Details:</h3>
+            <ul style="color: #666; line-height: 1.6; list-style: none; padding: 0;">
+              <li><strong>Amount:</strong> $${payment.amount.toLocaleString()}</li>
+              <li><strong>Due Date:</strong> ${new Date(payment.dueDate).toLocaleDateString()}</li>
+              <li><strong>Reason:</strong> ${payment.transactionDetails.failureReason || 'Declined by the payment processor'}</li>
+            </ul>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/payments"
+               style="background: #dc3545; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Retry Payment
+            </a>
+          </div>
+        </div>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
+  async sendLoanAgreementNotification(user, loan, agreement) {
+    const subject = 'Your Loan Agreement Is Ready to Sign - Disfruta Platform';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Loan Agreement Ready</h1>
+        </div>
+
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hello ${user.firstName}!</h2>
+
+          <p style="color: #666; line-height: 1.6;">
+            ${agreement.version > 1
+              ? 'The terms of your loan have changed, so we have prepared an updated agreement.'
+              : 'Your loan has been approved and your loan agreement is ready.'}
+            Please review and accept it; funds are disbursed only after you sign.
+          </p>
+
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #333; margin-top: 0;">Agreement Terms:</h3>
+            <ul style="color: #666; line-height: 1.6; list-style: none; padding: 0;">
+              <li><strong>Loan Amount:</strong> $${agreement.terms.amount.toLocaleString()}</li>
+              <li><strong>Interest Rate:</strong> ${agreement.terms.interestRate}%</li>
+              <li><strong>APR:</strong> ${agreement.terms.apr}%</li>
+              <li><strong>Term:</strong> ${agreement.terms.term} months</li>
+              <li><strong>Monthly Payment:</strong> $${agreement.terms.monthlyPayment.toLocaleString()}</li>
+            </ul>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/loans/${loan._id}"
+               style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Review Agreement
+            </a>
+          </div>
+        </div>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
+  async sendStatementReadyNotification(user, statement) {
+    const period = new Date(Date.UTC(statement.year, statement.month - 1, 1))
+      .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    const subject = `Your ${period} Statement Is Ready - Disfruta Platform`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Statement Ready</h1>
+        </div>
+
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #333;">Hello ${user.firstName}!</h2>
+
+          <p style="color: #666; line-height: 1.6;">
+            Your account statement for ${period} is ready to view and download.
+          </p>
+
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #333; margin-top: 0;">Statement Summary:</h3>
+            <ul style="color: #666; line-height: 1.6; list-style: none; padding: 0;">
+              <li><strong>Statement Number:</strong> ${statement.statementNumber}</li>
+              <li><strong>Opening Account Value:</strong> $${statement.openingBalance.total.toLocaleString()}</li>
+              <li><strong>Closing Account Value:</strong> $${statement.closingBalance.total.toLocaleString()}</li>
+              <li><strong>Interest Received:</strong> $${statement.activity.interestReceived.toLocaleString()}</li>
+            </ul>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard"
+               style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              View Statement
+            </a>
+          </div>
+        </div>
+      </div>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
   htmlToText(html) {
     return html
       .replace(/<[^>]*>/g, '')
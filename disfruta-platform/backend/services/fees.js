@@ -0,0 +1,160 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const JournalEntry = require('../models/JournalEntry');
+const { roundToCents, sumMoney } = require('../utils/money');
+const { createHttpError } = require('../utils/helpers');
+const { FEE_TYPES, NSF_FAILURE_CODES, defaultSchedule } = require('../config/fees');
+
+/**
+ * Fee schedule in force on a date
+ * @param {Date} date - Date the fee is charged
+ * @returns {Object} Published schedule, or the configured default before the first one
+ */
+const getSchedule = async (date = new Date()) => {
+  const schedule = await FeeSchedule.findOne({ effectiveFrom: { $lte: date } })
+    .sort({ effectiveFrom: -1, version: -1 })
+    .lean();
+
+  return schedule || defaultSchedule;
+};
+
+/**
+ * Publish a new schedule version. Schedules can only take effect from now on, so fees already
+ * charged keep the version they were charged under.
+ * @param {Object} fields - effectiveFrom, origination, servicing, late, nsf and notes
+ * @param {string} userId - Admin publishing the schedule
+ * @returns {Object} FeeSchedule document
+ */
+const publishSchedule = async (fields, userId) => {
+  const effectiveFrom = fields.effectiveFrom ? new Date(fields.effectiveFrom) : new Date();
+  if (Number.isNaN(effectiveFrom.getTime())) {
+    throw createHttpError(400, 'Effective date is invalid');
+  }
+  if (effectiveFrom < new Date(Date.now() - 60 * 1000)) {
+    throw createHttpError(400, 'Fee schedules cannot take effect in the past');
+  }
+
+  const latest = await FeeSchedule.findOne().sort({ version: -1 }).select('version');
+
+  return FeeSchedule.create({
+    version: (latest ? latest.version : defaultSchedule.version) + 1,
+    effectiveFrom,
+    origination: { ...defaultSchedule.origination, ...fields.origination },
+    servicing: { ...defaultSchedule.servicing, ...fields.servicing },
+    late: { ...defaultSchedule.late, ...fields.late },
+    nsf: { ...defaultSchedule.nsf, ...fields.nsf },
+    notes: fields.notes,
+    createdBy: userId
+  });
+};
+
+/**
+ * Origination fee kept from a loan's proceeds
+ * @param {number} loanAmount - Principal disbursed
+ * @param {Object} schedule - Fee schedule
+ * @returns {number} Fee in dollars
+ */
+const calculateOriginationFee = (loanAmount, schedule) => {
+  const { rate, minimum, maximum } = schedule.origination;
+  let fee = roundToCents(loanAmount * rate);
+
+  if (minimum) fee = Math.max(fee, minimum);
+  if (maximum !== null && maximum !== undefined) fee = Math.min(fee, maximum);
+
+  return Math.min(fee, loanAmount);
+};
+
+/**
+ * Servicing fee kept from an investor's share of a payment
+ * @param {number} distributionAmount - Principal and interest distributed to the investor
+ * @param {Object} schedule - Fee schedule
+ * @returns {number} Fee in dollars
+ */
+const calculateServicingFee = (distributionAmount, schedule) => {
+  return roundToCents(distributionAmount * schedule.servicing.rate);
+};
+
+/**
+ * Late fee for an installment
+ * @param {number} installmentAmount - Principal and interest due
+ * @param {number} lateDays - Days past the due date
+ * @param {Object} schedule - Fee schedule
+ * @returns {number} Fee in dollars, 0 within the grace period
+ */
+const calculateLateFee = (installmentAmount, lateDays, schedule) => {
+  const { rate, flat, cap, graceDays } = schedule.late;
+  if (!lateDays || lateDays <= graceDays) return 0;
+
+  const fee = installmentAmount * rate + flat;
+  return roundToCents(Math.min(fee, installmentAmount * cap));
+};
+
+/**
+ * Whether a processor failure is a return for insufficient funds
+ * @param {string} failureCode - Normalized processor failure code
+ * @returns {boolean}
+ */
+const isNsfFailure = (failureCode) => NSF_FAILURE_CODES.includes(failureCode);
+
+/**
+ * Fee revenue by month and fee type, read from the ledger
+ * @param {Object} range - Optional startDate and endDate
+ * @returns {Object} Rows per month with a total for each fee type, plus overall totals
+ */
+const getRevenueReport = async ({ startDate, endDate } = {}) => {
+  const match = { 'lines.feeType': { $exists: true } };
+  if (startDate || endDate) {
+    match.postedAt = {};
+    if (startDate) match.postedAt.$gte = new Date(startDate);
+    if (endDate) match.postedAt.$lte = new Date(endDate);
+  }
+
+  const totals = await JournalEntry.aggregate([
+    { $unwind: '$lines' },
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          year: { $year: '$postedAt' },
+          month: { $month: '$postedAt' },
+          feeType: '$lines.feeType'
+        },
+        amount: { $sum: '$lines.credit' }
+      }
+    },
+    { $sort: { '_id.year': 1, '_id.month': 1 } }
+  ]);
+
+  const emptyRow = () => FEE_TYPES.reduce((row, type) => ({ ...row, [type]: 0 }), {});
+  const months = new Map();
+
+  totals.forEach(({ _id, amount }) => {
+    const key = `${_id.year}-${String(_id.month).padStart(2, '0')}`;
+    if (!months.has(key)) months.set(key, { month: key, ...emptyRow(), total: 0 });
+
+    const row = months.get(key);
+    row[_id.feeType] = sumMoney([row[_id.feeType], amount]);
+    row.total = sumMoney([row.total, amount]);
+  });
+
+  const rows = [...months.values()];
+  const byType = FEE_TYPES.reduce((result, type) => ({
+    ...result,
+    [type]: sumMoney(rows.map(row => row[type]))
+  }), {});
+
+  return {
+    months: rows,
+    byType,
+    total: sumMoney(rows.map(row => row.total))
+  };
+};
+
+module.exports = {
+  getSchedule,
+  publishSchedule,
+  calculateOriginationFee,
+  calculateServicingFee,
+  calculateLateFee,
+  isNsfFailure,
+  getRevenueReport
+};
@@ -0,0 +1,124 @@
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+require('../models/Investment');
+require('../models/Payment');
+const emailService = require('./emailService');
+const { sendAgreementNotification } = require('./loanAgreements');
+const { withTransaction } = require('../utils/transaction');
+
+// Loans can never be smaller than the model minimum, even after partial funding
+const MINIMUM_LOAN_AMOUNT = 100;
+
+/**
+ * Decide what happens to a loan whose funding deadline has passed
+ * @param {Object} loan - Loan document
+ * @returns {string} 'accept_partial' or 'cancel'
+ */
+const resolveExpiredLoan = (loan) => {
+  const { allowPartialFunding, minimumFundingPercentage } = loan.fundingOptions || {};
+  const fundedPercentage = loan.amount > 0 ? (loan.fundedAmount / loan.amount) * 100 : 0;
+
+  if (
+    allowPartialFunding &&
+    loan.fundedAmount >= MINIMUM_LOAN_AMOUNT &&
+    fundedPercentage >= (minimumFundingPercentage || 100)
+  ) {
+    return 'accept_partial';
+  }
+
+  return 'cancel';
+};
+
+/**
+ * Notify the borrower and every refunded investor of a cancelled loan
+ * @param {Object} loan - Cancelled loan document
+ * @param {Array} investments - Investments that were refunded
+ */
+const notifyCancellation = async (loan, investments) => {
+  const borrower = await User.findById(loan.borrower);
+  if (borrower) {
+    await emailService.sendLoanFundingExpiredNotification(borrower, loan);
+  }
+
+  for (const investment of investments) {
+    const investor = await User.findById(investment.investor);
+    if (investor) {
+      await emailService.sendInvestmentRefundNotification(investor, investment, loan);
+    }
+  }
+};
+
+/**
+ * Fund, shrink or cancel one expired loan. Cancelling refunds every investment, so the loan, its
+ * investments, the ledger and the investors' cash change together: a failure part way leaves the loan
+ * open for the next sweep instead of investments cancelled without their refund.
+ * @param {Object} expired - Loan found past its deadline
+ * @returns {Object|null} What was done, with the loan, or null when the loan moved on in the meantime
+ */
+const resolveLoan = (expired) => withTransaction(async () => {
+  const loan = await Loan.findById(expired._id);
+  if (!loan || !['approved', 'funding'].includes(loan.status)) return null;
+
+  if (loan.isFullyFunded) {
+    // A loan that filled up right at the deadline still gets funded normally
+    return { action: 'funded', loan, agreement: await loan.markAsFunded() };
+  }
+
+  if (resolveExpiredLoan(loan) === 'accept_partial') {
+    return { action: 'accept_partial', loan, agreement: await loan.acceptPartialFunding() };
+  }
+
+  return { action: 'cancel', loan, refunded: await loan.cancelFunding('Funding deadline expired') };
+});
+
+/**
+ * Find under-funded loans past their funding deadline and either cancel them
+ * (refunding investors) or accept the partial funding, per the borrower's setting
+ * @param {Date} now - Reference time for the deadline check
+ * @returns {Object} Summary of the sweep
+ */
+const processExpiredLoans = async (now = new Date()) => {
+  const summary = { processed: 0, cancelled: 0, partiallyFunded: 0, failed: 0 };
+
+  const expiredLoans = await Loan.find({
+    status: { $in: ['approved', 'funding'] },
+    fundingDeadline: { $lt: now }
+  });
+
+  for (const expired of expiredLoans) {
+    try {
+      const outcome = await resolveLoan(expired);
+      if (!outcome) continue;
+
+      // Emails only go out once the transaction has committed
+      const { action, loan, agreement } = outcome;
+      if (agreement) {
+        await sendAgreementNotification(loan, agreement);
+      }
+
+      if (action === 'accept_partial') {
+        const borrower = await User.findById(loan.borrower);
+        if (borrower) {
+          await emailService.sendPartialFundingAcceptedNotification(borrower, loan);
+        }
+
+        summary.partiallyFunded += 1;
+      } else if (action === 'cancel') {
+        await notifyCancellation(loan, outcome.refunded);
+        summary.cancelled += 1;
+      }
+
+      summary.processed += 1;
+    } catch (error) {
+      console.error(`Funding expiry error for loan ${expired._id}:`, error);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  resolveExpiredLoan,
+  processExpiredLoans
+};
@@ -0,0 +1,227 @@
+const Investment = require('../models/Investment');
+const JournalEntry = require('../models/JournalEntry');
+const Payment = require('../models/Payment');
+const { roundToCents } = require('../utils/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toPercent = rate => (rate === null || !Number.isFinite(rate) ? null : Math.round(rate * 10000) / 100);
+
+/**
+ * Annualized internal rate of return of irregular dated cash flows (XIRR, actual/365)
+ * @param {Array<Object>} flows - { date, amount }; money paid in is negative, money received positive
+ * @returns {number|null} Annual rate as a fraction, or null when the flows have no return
+ */
+const xirr = (flows) => {
+  const dated = flows.filter(flow => flow.amount !== 0);
+  if (!dated.some(flow => flow.amount < 0)) return null;
+  // Nothing ever came back
+  if (!dated.some(flow => flow.amount > 0)) return -1;
+
+  const start = Math.min(...dated.map(flow => flow.date.getTime()));
+  const terms = dated.map(flow => ({ amount: flow.amount, years: (flow.date.getTime() - start) / (365 * DAY_MS) }));
+  const netPresentValue = rate => terms.reduce((sum, term) => sum + term.amount / Math.pow(1 + rate, term.years), 0);
+
+  // Net present value falls as the rate rises when money goes in first, so bisect between -99.99% and
+  // a rate high enough to bracket any realistic return
+  let low = -0.9999;
+  let high = 10;
+  const atLow = netPresentValue(low);
+  const atHigh = netPresentValue(high);
+  if (atLow * atHigh > 0) {
+    // Short holdings that lost most of their value can annualize to beyond -99.99%
+    return atLow < 0 ? -1 : null;
+  }
+
+  const falling = atLow > atHigh;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if ((netPresentValue(mid) > 0) === falling) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * Time-weighted return, revaluing the holdings at book value whenever money moves
+ * @param {Array<Object>} events - { date, cash, bookChange } in date order; cash is paid to the investor
+ * @param {Date} endDate - End of the measurement period
+ * @returns {Object} cumulative and annualized return as fractions, or nulls when nothing was held
+ */
+const timeWeightedReturn = (events, endDate) => {
+  if (events.length === 0) return { cumulative: null, annualized: null };
+
+  let value = 0;
+  let growth = 1;
+  events.forEach(event => {
+    // Income or loss booked by the event: cash out plus the change in holdings it caused
+    const gain = event.cash + event.bookChange;
+    if (value > 0) growth *= (value + gain) / value;
+    value = Math.max(0, value + event.bookChange);
+  });
+
+  const cumulative = growth - 1;
+  const years = (endDate - events[0].date) / (365 * DAY_MS);
+  const annualized = years >= 1 / 12 ? Math.pow(growth, 1 / years) - 1 : cumulative;
+
+  return { cumulative, annualized };
+};
+
+/**
+ * Dated events for a set of investments, from the ledger and default records
+ * @param {Array} investments - Investment documents
+ * @returns {Map} Investment id to events { date, type, cash, bookChange } in date order
+ */
+const getInvestmentEvents = async (investments) => {
+  const byId = new Map(investments.map(investment => [investment._id.toString(), investment]));
+  const events = new Map(investments.map(investment => [investment._id.toString(), []]));
+  // Book value of each position is its cost, written down as principal comes back
+  const costRatio = investment => (investment.amount > 0 ? investment.costBasis / investment.amount : 1);
+
+  const entries = await JournalEntry.find({ 'lines.investment': { $in: investments.map(investment => investment._id) } })
+    .select('type postedAt lines references.payment')
+    .sort({ postedAt: 1 })
+    .lean();
+
+  const paymentIds = entries.filter(entry => entry.type === 'distribution').map(entry => entry.references.payment);
+  const payments = await Payment.find({ _id: { $in: paymentIds } }).select('distribution').lean();
+  const principalByShare = new Map(payments.flatMap(payment => payment.distribution.map(share => [
+    `${payment._id}:${share.investment}`, share.principalAmount
+  ])));
+
+  // The principal a seller gave up is the face amount of the buyer's new note
+  const buyerIds = entries
+    .filter(entry => entry.type === 'secondary_sale')
+    .flatMap(entry => entry.lines.filter(line => line.debit > 0).map(line => line.investment));
+  const buyers = await Investment.find({ _id: { $in: buyerIds } }).select('amount').lean();
+  const buyerAmounts = new Map(buyers.map(buyer => [buyer._id.toString(), buyer.amount]));
+
+  entries.forEach(entry => {
+    entry.lines.forEach(line => {
+      const key = line.investment && line.investment.toString();
+      if (!key || !events.has(key)) return;
+
+      const investment = byId.get(key);
+      const ratio = costRatio(investment);
+      const push = (cash, bookChange) => events.get(key).push({
+        date: entry.postedAt,
+        type: entry.type,
+        cash: roundToCents(cash),
+        bookChange: roundToCents(bookChange)
+      });
+
+      switch (entry.type) {
+        case 'funding':
+          push(-line.credit, line.credit);
+          break;
+        case 'refund':
+          push(line.debit, -line.debit);
+          break;
+        case 'distribution': {
+          const principal = principalByShare.get(`${entry.references.payment}:${key}`) || 0;
+          push(line.credit, -principal * ratio);
+          break;
+        }
+        case 'secondary_sale':
+          if (line.debit > 0) {
+            push(-line.debit, line.debit);
+          } else {
+            const buyerLine = entry.lines.find(other => other.debit > 0);
+            const principalSold = buyerLine ? buyerAmounts.get(buyerLine.investment.toString()) || 0 : 0;
+            push(line.credit, -principalSold * ratio);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+  });
+
+  investments.forEach(investment => {
+    if (investment.defaultedAt && investment.chargedOffPrincipal > 0) {
+      events.get(investment._id.toString()).push({
+        date: investment.defaultedAt,
+        type: 'charge_off',
+        cash: 0,
+        bookChange: roundToCents(-investment.chargedOffPrincipal * costRatio(investment))
+      });
+    }
+  });
+
+  events.forEach(list => list.sort((a, b) => a.date - b.date));
+  return events;
+};
+
+/**
+ * XIRR cash flows for one investment: money in and out, plus whatever is still held valued at book
+ * on the valuation date. Charged-off principal has already been taken out of the book value, so it
+ * counts as lost from the default date on.
+ * @returns {Array<Object>} { date, amount }
+ */
+const toXirrFlows = (events, asOf) => {
+  const flows = events
+    .filter(event => event.cash !== 0)
+    .map(event => ({ date: event.date, amount: event.cash }));
+
+  const held = events.reduce((sum, event) => sum + event.bookChange, 0);
+  if (held > 0.005) flows.push({ date: asOf, amount: held });
+
+  return flows;
+};
+
+/**
+ * Money-weighted (XIRR) and time-weighted returns for each investment and for the whole set
+ * @param {Array} investments - Investment documents of one investor
+ * @param {Date} asOf - Valuation date for notes still held
+ * @returns {Object} { byInvestment: Map, portfolio }
+ */
+const calculateReturns = async (investments, asOf = new Date()) => {
+  const events = await getInvestmentEvents(investments);
+  const byInvestment = new Map();
+  const allFlows = [];
+  const allEvents = [];
+
+  investments.forEach(investment => {
+    const key = investment._id.toString();
+    const list = events.get(key);
+    const flows = toXirrFlows(list, asOf);
+    const twr = timeWeightedReturn(list, asOf);
+
+    allFlows.push(...flows);
+    allEvents.push(...list);
+    byInvestment.set(key, {
+      xirr: toPercent(xirr(flows)),
+      timeWeightedReturn: toPercent(twr.annualized),
+      cumulativeTimeWeightedReturn: toPercent(twr.cumulative),
+      // Charge-offs are listed as negative flows of the principal written off
+      cashFlows: list.map(event => ({
+        date: event.date,
+        type: event.type,
+        amount: event.type === 'charge_off' ? event.bookChange : event.cash
+      }))
+    });
+  });
+
+  allEvents.sort((a, b) => a.date - b.date);
+  const twr = timeWeightedReturn(allEvents, asOf);
+
+  return {
+    byInvestment,
+    portfolio: {
+      xirr: toPercent(xirr(allFlows)),
+      timeWeightedReturn: toPercent(twr.annualized),
+      cumulativeTimeWeightedReturn: toPercent(twr.cumulative),
+      asOf
+    }
+  };
+};
+
+module.exports = {
+  xirr,
+  timeWeightedReturn,
+  calculateReturns
+};
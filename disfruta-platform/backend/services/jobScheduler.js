@@ -0,0 +1,172 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+const { parseCronExpression, getNextRun } = require('../utils/cron');
+
+const DEFAULT_LOCK_TTL = 10 * 60 * 1000; // 10 minutes
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+  }
+
+  register(name, { schedule, description = '', handler, lockTtl = DEFAULT_LOCK_TTL }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Job "${name}" needs a handler function`);
+    }
+
+    const cron = parseCronExpression(schedule);
+    this.jobs.set(name, {
+      name,
+      schedule,
+      cron,
+      description,
+      handler,
+      lockTtl,
+      nextRunAt: getNextRun(cron)
+    });
+  }
+
+  getJob(name) {
+    return this.jobs.get(name);
+  }
+
+  listJobs() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      schedule: job.schedule,
+      description: job.description,
+      nextRun: job.nextRunAt,
+      running: this.running.has(job.name)
+    }));
+  }
+
+  start() {
+    if (this.timer) return;
+
+    const now = new Date();
+    this.jobs.forEach(job => {
+      job.nextRunAt = getNextRun(job.cron, now);
+    });
+
+    console.log(`⏰ Job scheduler started with ${this.jobs.size} jobs`);
+    this.scheduleTick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Wake up at the top of every minute
+  scheduleTick() {
+    const now = new Date();
+    const delay = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+
+    this.timer = setTimeout(() => {
+      this.tick(new Date());
+      if (this.timer) {
+        this.scheduleTick();
+      }
+    }, delay);
+  }
+
+  /**
+   * Start every job that is due. Jobs run in the background so a long one never holds up the others.
+   * A job that is still running when it comes due again stays due and runs once as soon as it
+   * finishes, so missed runs are caught up rather than skipped.
+   */
+  tick(now) {
+    // Skip ticks while the database is unavailable; due jobs stay due
+    if (mongoose.connection.readyState !== 1) return;
+
+    for (const job of this.jobs.values()) {
+      if (!job.nextRunAt || job.nextRunAt > now || this.running.has(job.name)) continue;
+
+      job.nextRunAt = getNextRun(job.cron, now);
+      this.startJob(job.name, { trigger: 'schedule' })
+        .then(started => started && started.finished)
+        .catch(error => console.error(`Job "${job.name}" error:`, error));
+    }
+  }
+
+  /**
+   * Run a job now and wait for it, recording the run. Returns null when another run holds the lock.
+   */
+  async runJob(name, options = {}) {
+    const started = await this.startJob(name, options);
+    if (!started) return null;
+
+    await started.finished;
+    return started.run;
+  }
+
+  /**
+   * Take the job's lock and start it without waiting for it to finish
+   * @returns {Object|null} { run, finished } where finished settles when the run ends, or null
+   * when another run holds the lock
+   */
+  async startJob(name, { trigger = 'manual', triggeredBy } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job "${name}" is not registered`);
+    }
+
+    const acquired = await JobLock.acquire(name, this.instanceId, job.lockTtl);
+    if (!acquired) {
+      return null;
+    }
+
+    this.running.add(name);
+    let run;
+    try {
+      run = await JobRun.create({
+        job: name,
+        trigger,
+        triggeredBy,
+        instanceId: this.instanceId
+      });
+    } catch (error) {
+      this.running.delete(name);
+      await JobLock.release(name, this.instanceId);
+      throw error;
+    }
+
+    return { run, finished: this.execute(job, run) };
+  }
+
+  async execute(job, run) {
+    // Keep extending the lock while the handler works, however long it takes
+    const renewal = setInterval(() => {
+      JobLock.renew(job.name, this.instanceId, job.lockTtl)
+        .catch(error => console.error(`Job "${job.name}" lock renewal error:`, error));
+    }, Math.max(1000, job.lockTtl / 3));
+    renewal.unref();
+
+    try {
+      const result = await job.handler({ run });
+      await run.complete(result);
+    } catch (error) {
+      console.error(`Job "${job.name}" failed:`, error);
+      await run.fail(error);
+    } finally {
+      clearInterval(renewal);
+      this.running.delete(job.name);
+      await JobLock.release(job.name, this.instanceId);
+    }
+
+    return run;
+  }
+}
+
+module.exports = new JobScheduler();
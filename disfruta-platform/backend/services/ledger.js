@@ -0,0 +1,580 @@
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const { roundToCents } = require('../utils/money');
+
+const RESERVE_SHARE = 0.25; // Share of fee income set aside in the loss reserve
+const TOLERANCE = 0.01; // Largest difference treated as rounding when reconciling counters
+
+// Chart of accounts. Scoped accounts get one ledger account per user or loan.
+const accountDefinitions = {
+  platform_cash: { name: 'Platform cash', type: 'asset', normalBalance: 'debit' },
+  investor_cash: { name: 'Investor cash', type: 'liability', normalBalance: 'credit', scope: 'owner' },
+  loan_funding: { name: 'Investor principal in loan', type: 'liability', normalBalance: 'credit', scope: 'loan' },
+  borrower_receivable: { name: 'Borrower principal receivable', type: 'asset', normalBalance: 'debit', scope: 'loan' },
+  interest_payable: { name: 'Interest collected for investors', type: 'liability', normalBalance: 'credit', scope: 'loan' },
+  platform_fees: { name: 'Platform fee income', type: 'revenue', normalBalance: 'credit' },
+  reserve: { name: 'Loss reserve', type: 'liability', normalBalance: 'credit' }
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Credit lines booking fee income, with part of it set aside in the loss reserve
+const feeLines = (amount, feeType) => {
+  const reserved = roundToCents(amount * RESERVE_SHARE);
+
+  return [
+    { account: { category: 'platform_fees' }, credit: roundToCents(amount - reserved), feeType },
+    { account: { category: 'reserve' }, credit: reserved, feeType }
+  ];
+};
+
+// Fees collected with a payment, by type. Fees charged before they were itemized count as late fees.
+const paymentFeeTotals = (payment) => {
+  const items = payment.feeItems || [];
+  const itemized = items.reduce((sum, item) => sum + item.amount, 0);
+  const unitemized = roundToCents((payment.fees || 0) + (payment.lateFee || 0) - itemized);
+
+  return [...items, { type: 'late', amount: Math.max(0, unitemized) }].reduce((totals, item) => {
+    totals[item.type] = roundToCents((totals[item.type] || 0) + item.amount);
+    return totals;
+  }, {});
+};
+
+/**
+ * Find or open a ledger account
+ * @param {string} category - Account category from the chart of accounts
+ * @param {Object} scope - owner (user id) or loan (loan id) for scoped accounts
+ * @returns {Object} LedgerAccount document
+ */
+const getAccount = async (category, { owner, loan } = {}) => {
+  const definition = accountDefinitions[category];
+  if (!definition) throw new Error(`Unknown ledger account category: ${category}`);
+
+  const scopeId = definition.scope === 'owner' ? owner : definition.scope === 'loan' ? loan : null;
+  if (definition.scope && !scopeId) throw new Error(`Ledger account ${category} needs a ${definition.scope}`);
+
+  const code = scopeId ? `${category}:${scopeId}` : category;
+
+  try {
+    return await LedgerAccount.findOneAndUpdate(
+      { code },
+      {
+        $setOnInsert: {
+          code,
+          name: definition.name,
+          category,
+          type: definition.type,
+          normalBalance: definition.normalBalance,
+          owner: definition.scope === 'owner' ? scopeId : undefined,
+          loan: definition.scope === 'loan' ? scopeId : undefined
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another request opened the account first
+    if (isDuplicateKey(error)) return LedgerAccount.findOne({ code });
+    throw error;
+  }
+};
+
+/**
+ * Post a balanced journal entry. Posting again with the same idempotency key returns the original entry.
+ * @param {Object} entry - type, description, references, idempotencyKey and lines
+ *   ({ account: { category, owner, loan }, debit, credit, investment, memo })
+ * @returns {Object} JournalEntry document
+ */
+const postEntry = async ({ type, description, lines, references = {}, idempotencyKey }) => {
+  if (idempotencyKey) {
+    const existing = await JournalEntry.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+
+  const resolvedLines = [];
+  for (const line of lines) {
+    const debit = roundToCents(line.debit || 0);
+    const credit = roundToCents(line.credit || 0);
+    if (debit === 0 && credit === 0) continue;
+
+    const { category, ...scope } = line.account;
+    const account = await getAccount(category, scope);
+    resolvedLines.push({
+      account: account._id,
+      debit,
+      credit,
+      investment: line.investment,
+      feeType: line.feeType,
+      memo: line.memo
+    });
+  }
+
+  try {
+    return await JournalEntry.create({
+      type,
+      description,
+      lines: resolvedLines,
+      references,
+      idempotencyKey
+    });
+  } catch (error) {
+    if (idempotencyKey && isDuplicateKey(error)) {
+      return JournalEntry.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record investor cash committed to a loan
+ * @param {Object} investment - New investment
+ */
+const recordFunding = (investment) => {
+  return postEntry({
+    type: 'funding',
+    description: `Investment of $${investment.amount} in loan ${investment.loan}`,
+    idempotencyKey: `funding:${investment._id}`,
+    references: { loan: investment.loan, investment: investment._id, user: investment.investor },
+    lines: [
+      { account: { category: 'investor_cash', owner: investment.investor }, debit: investment.amount },
+      { account: { category: 'loan_funding', loan: investment.loan }, credit: investment.amount, investment: investment._id }
+    ]
+  });
+};
+
+/**
+ * Return a cancelled investment's money to the investor's cash account
+ * @param {Object} investment - Cancelled investment
+ */
+const recordRefund = (investment) => {
+  return postEntry({
+    type: 'refund',
+    description: `Refund of $${investment.amount} investment in loan ${investment.loan}`,
+    idempotencyKey: `refund:${investment._id}`,
+    references: { loan: investment.loan, investment: investment._id, user: investment.investor },
+    lines: [
+      { account: { category: 'loan_funding', loan: investment.loan }, debit: investment.amount, investment: investment._id },
+      { account: { category: 'investor_cash', owner: investment.investor }, credit: investment.amount }
+    ]
+  });
+};
+
+/**
+ * Record a settled deposit into an investor's cash account
+ * @param {Object} transaction - Settled deposit
+ */
+const recordDeposit = (transaction) => {
+  return postEntry({
+    type: 'deposit',
+    description: `Deposit of $${transaction.amount} by ${transaction.method}`,
+    idempotencyKey: `deposit:${transaction._id}`,
+    references: { user: transaction.user },
+    lines: [
+      { account: { category: 'platform_cash' }, debit: transaction.amount },
+      { account: { category: 'investor_cash', owner: transaction.user }, credit: transaction.amount }
+    ]
+  });
+};
+
+/**
+ * Record a withdrawal paid out of an investor's cash account
+ * @param {Object} transaction - Settled withdrawal
+ */
+const recordWithdrawal = (transaction) => {
+  return postEntry({
+    type: 'withdrawal',
+    description: `Withdrawal of $${transaction.amount} by ${transaction.method}`,
+    idempotencyKey: `withdrawal:${transaction._id}`,
+    references: { user: transaction.user },
+    lines: [
+      { account: { category: 'investor_cash', owner: transaction.user }, debit: transaction.amount },
+      { account: { category: 'platform_cash' }, credit: transaction.amount }
+    ]
+  });
+};
+
+/**
+ * Record the loan principal paid out to the borrower, less the origination fee kept from it
+ * @param {Object} loan - Loan that has just funded
+ */
+const recordDisbursement = (loan) => {
+  const originationFee = loan.originationFee || 0;
+
+  return postEntry({
+    type: 'disbursement',
+    description: `Disbursement of $${loan.amount} to borrower`,
+    idempotencyKey: `disbursement:${loan._id}`,
+    references: { loan: loan._id, user: loan.borrower },
+    lines: [
+      { account: { category: 'borrower_receivable', loan: loan._id }, debit: loan.amount },
+      { account: { category: 'platform_cash' }, credit: roundToCents(loan.amount - originationFee) },
+      ...feeLines(originationFee, 'origination')
+    ]
+  });
+};
+
+/**
+ * Record a completed borrower payment, including the late and NSF fees collected with it
+ * @param {Object} payment - Completed payment
+ */
+const recordRepayment = (payment) => {
+  const feeTotals = paymentFeeTotals(payment);
+  const fees = Object.values(feeTotals).reduce((sum, amount) => roundToCents(sum + amount), 0);
+
+  // Interest takes whatever rounding is left once principal and fees are credited
+  const interest = roundToCents(payment.amount - payment.principalAmount - fees);
+
+  return postEntry({
+    type: 'repayment',
+    description: `Payment ${payment.paymentNumber} (${payment.type}) received`,
+    idempotencyKey: `repayment:${payment._id}`,
+    references: { loan: payment.loan, payment: payment._id, user: payment.borrower },
+    lines: [
+      { account: { category: 'platform_cash' }, debit: payment.amount },
+      { account: { category: 'borrower_receivable', loan: payment.loan }, credit: payment.principalAmount },
+      { account: { category: 'interest_payable', loan: payment.loan }, credit: interest },
+      ...Object.entries(feeTotals).flatMap(([feeType, amount]) => feeLines(amount, feeType))
+    ]
+  });
+};
+
+/**
+ * Record fee income collected in cash on its own, setting part of it aside in the loss reserve
+ * @param {Object} fee - amount, feeType, description, idempotencyKey and references
+ */
+const recordFee = ({ amount, feeType, description, idempotencyKey, references }) => {
+  return postEntry({
+    type: 'fee',
+    description,
+    idempotencyKey,
+    references,
+    lines: [
+      { account: { category: 'platform_cash' }, debit: amount },
+      ...feeLines(amount, feeType)
+    ]
+  });
+};
+
+/**
+ * Record a payment's distribution to investor cash accounts, less the servicing fee kept from each share
+ * @param {Object} payment - Payment with its distribution filled in
+ */
+const recordDistribution = (payment) => {
+  const lines = [];
+  let principal = 0;
+  let interest = 0;
+  let servicingFees = 0;
+
+  for (const share of payment.distribution) {
+    const principalAmount = roundToCents(share.principalAmount);
+    const interestAmount = roundToCents(share.interestAmount);
+    const servicingFee = roundToCents(share.servicingFee || 0);
+    principal += principalAmount;
+    interest += interestAmount;
+    servicingFees += servicingFee;
+
+    lines.push({
+      account: { category: 'investor_cash', owner: share.investor },
+      credit: roundToCents(principalAmount + interestAmount - servicingFee),
+      investment: share.investment
+    });
+  }
+  lines.push(...feeLines(roundToCents(servicingFees), 'servicing'));
+
+  return postEntry({
+    type: 'distribution',
+    description: `Distribution of payment ${payment.paymentNumber} to ${payment.distribution.length} investors`,
+    idempotencyKey: `distribution:${payment._id}`,
+    references: { loan: payment.loan, payment: payment._id },
+    lines: [
+      { account: { category: 'loan_funding', loan: payment.loan }, debit: roundToCents(principal) },
+      { account: { category: 'interest_payable', loan: payment.loan }, debit: roundToCents(interest) },
+      ...lines
+    ]
+  });
+};
+
+/**
+ * Record cash moving from buyer to seller when a note trades
+ * @param {Object} trade - Trade pushed on the listing
+ * @param {Object} seller - Seller's investment
+ * @param {Object} buyer - Buyer's new investment
+ */
+const recordSecondarySale = (trade, seller, buyer) => {
+  const amount = roundToCents(trade.price + trade.accruedInterest);
+
+  return postEntry({
+    type: 'secondary_sale',
+    description: `Sale of $${trade.principalAmount} principal for $${trade.price} plus $${trade.accruedInterest} accrued interest`,
+    idempotencyKey: `secondary_sale:${buyer._id}`,
+    references: { loan: seller.loan, investment: seller._id, user: buyer.investor },
+    lines: [
+      { account: { category: 'investor_cash', owner: buyer.investor }, debit: amount, investment: buyer._id },
+      { account: { category: 'investor_cash', owner: seller.investor }, credit: amount, investment: seller._id }
+    ]
+  });
+};
+
+/**
+ * Balance of an account on its normal side
+ * @param {Object} account - LedgerAccount document
+ * @returns {number} Balance
+ */
+const getAccountBalance = async (account) => {
+  const [totals] = await JournalEntry.aggregate([
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': account._id } },
+    { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+  ]);
+  if (!totals) return 0;
+
+  const balance = account.normalBalance === 'debit' ? totals.debit - totals.credit : totals.credit - totals.debit;
+  return roundToCents(balance);
+};
+
+/**
+ * Distribution cash credited to an investor over a period
+ * @param {string} investorId - Investor user id
+ * @param {Date} startDate - Start of the period, inclusive
+ * @param {Date} endDate - End of the period, exclusive
+ * @returns {number} Total credited to the investor's cash account by distribution entries
+ */
+const getDistributionCredits = async (investorId, startDate, endDate) => {
+  const account = await LedgerAccount.findOne({ code: `investor_cash:${investorId}` });
+  if (!account) return 0;
+
+  const [totals] = await JournalEntry.aggregate([
+    { $match: { type: 'distribution', postedAt: { $gte: startDate, $lt: endDate } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': account._id } },
+    { $group: { _id: null, credit: { $sum: '$lines.credit' } } }
+  ]);
+
+  return totals ? roundToCents(totals.credit) : 0;
+};
+
+/**
+ * Movements on an investor's cash account over a period
+ * @param {string} investorId - Investor user id
+ * @param {Date} startDate - Start of the period, inclusive
+ * @param {Date} endDate - End of the period, exclusive
+ * @returns {Object} openingBalance, closingBalance and the net movement per entry type
+ */
+const getCashActivity = async (investorId, startDate, endDate) => {
+  const account = await LedgerAccount.findOne({ code: `investor_cash:${investorId}` });
+  if (!account) return { openingBalance: 0, closingBalance: 0, byType: {} };
+
+  const totals = await JournalEntry.aggregate([
+    { $match: { postedAt: { $lt: endDate } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': account._id } },
+    {
+      $group: {
+        _id: { type: '$type', inPeriod: { $gte: ['$postedAt', startDate] } },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+
+  let openingBalance = 0;
+  const byType = {};
+  totals.forEach(({ _id, debit, credit }) => {
+    if (_id.inPeriod) {
+      byType[_id.type] = roundToCents((byType[_id.type] || 0) + credit - debit);
+    } else {
+      openingBalance += credit - debit;
+    }
+  });
+  openingBalance = roundToCents(openingBalance);
+
+  return {
+    openingBalance,
+    closingBalance: roundToCents(Object.values(byType).reduce((sum, amount) => sum + amount, openingBalance)),
+    byType
+  };
+};
+
+/**
+ * Write off whatever principal a defaulted borrower still owes against investor principal
+ * @param {Object} loan - Defaulted loan
+ */
+const recordWriteOff = async (loan) => {
+  const receivable = await getAccount('borrower_receivable', { loan: loan._id });
+  const outstanding = await getAccountBalance(receivable);
+  if (outstanding <= 0) return null;
+
+  return postEntry({
+    type: 'write_off',
+    description: `Write-off of $${outstanding} principal on default`,
+    idempotencyKey: `write_off:${loan._id}`,
+    references: { loan: loan._id, user: loan.borrower },
+    lines: [
+      { account: { category: 'loan_funding', loan: loan._id }, debit: outstanding },
+      { account: { category: 'borrower_receivable', loan: loan._id }, credit: outstanding }
+    ]
+  });
+};
+
+/**
+ * Debit and credit totals for every account
+ * @returns {Object} Per-account totals and whether the ledger balances
+ */
+const getTrialBalance = async () => {
+  const totals = await JournalEntry.aggregate([
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+
+  const accounts = await LedgerAccount.find({ _id: { $in: totals.map(entry => entry._id) } });
+  const accountById = new Map(accounts.map(account => [account._id.toString(), account]));
+
+  const rows = totals.map(entry => {
+    const account = accountById.get(entry._id.toString());
+    const balance = account.normalBalance === 'debit' ? entry.debit - entry.credit : entry.credit - entry.debit;
+
+    return {
+      account: account._id,
+      code: account.code,
+      name: account.name,
+      category: account.category,
+      type: account.type,
+      debit: roundToCents(entry.debit),
+      credit: roundToCents(entry.credit),
+      balance: roundToCents(balance)
+    };
+  }).sort((a, b) => a.code.localeCompare(b.code));
+
+  const totalDebits = roundToCents(rows.reduce((sum, row) => sum + row.debit, 0));
+  const totalCredits = roundToCents(rows.reduce((sum, row) => sum + row.credit, 0));
+
+  // Roll scoped accounts up by category for a readable summary
+  const byCategory = {};
+  rows.forEach(row => {
+    byCategory[row.category] = roundToCents((byCategory[row.category] || 0) + row.balance);
+  });
+
+  return {
+    accounts: rows,
+    byCategory,
+    totalDebits,
+    totalCredits,
+    isBalanced: Math.abs(totalDebits - totalCredits) < TOLERANCE
+  };
+};
+
+/**
+ * Compare the running counters on loans, investments, payments and cash accounts with the ledger
+ * @returns {Object} Discrepancies per record type
+ */
+const reconcileCounters = async () => {
+  const Loan = require('../models/Loan');
+  const Investment = require('../models/Investment');
+  const Payment = require('../models/Payment');
+  const CashAccount = require('../models/CashAccount');
+
+  // Loan.paidAmount against principal and interest repaid; fees collected with payments are left out
+  const repaidByLoan = await JournalEntry.aggregate([
+    { $match: { type: 'repayment' } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.feeType': { $exists: false } } },
+    { $group: { _id: '$references.loan', repaid: { $sum: '$lines.credit' } } }
+  ]);
+  const loans = await Loan.find({ _id: { $in: repaidByLoan.map(entry => entry._id) } }).select('paidAmount');
+  const paidByLoan = new Map(loans.map(loan => [loan._id.toString(), loan.paidAmount]));
+  const loanDiscrepancies = repaidByLoan
+    .map(entry => ({
+      loan: entry._id,
+      counter: roundToCents(paidByLoan.get(entry._id.toString()) || 0),
+      ledger: roundToCents(entry.repaid)
+    }))
+    .filter(entry => Math.abs(entry.counter - entry.ledger) >= TOLERANCE);
+
+  // Investment.totalReceived against cash credited to the investor for that investment
+  const receivedByInvestment = await JournalEntry.aggregate([
+    { $match: { type: { $in: ['distribution', 'secondary_sale'] } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.investment': { $exists: true }, 'lines.credit': { $gt: 0 } } },
+    { $group: { _id: '$lines.investment', received: { $sum: '$lines.credit' } } }
+  ]);
+  const investments = await Investment.find({ _id: { $in: receivedByInvestment.map(entry => entry._id) } })
+    .select('totalReceived');
+  const totalByInvestment = new Map(investments.map(investment => [investment._id.toString(), investment.totalReceived]));
+  const investmentDiscrepancies = receivedByInvestment
+    .map(entry => ({
+      investment: entry._id,
+      counter: roundToCents(totalByInvestment.get(entry._id.toString()) || 0),
+      ledger: roundToCents(entry.received)
+    }))
+    .filter(entry => Math.abs(entry.counter - entry.ledger) >= TOLERANCE);
+
+  // Payment.distribution against the distribution entry
+  const distributedByPayment = await JournalEntry.aggregate([
+    { $match: { type: 'distribution' } },
+    { $unwind: '$lines' },
+    { $group: { _id: '$references.payment', distributed: { $sum: '$lines.credit' } } }
+  ]);
+  const payments = await Payment.find({ _id: { $in: distributedByPayment.map(entry => entry._id) } })
+    .select('distribution');
+  const distributionByPayment = new Map(payments.map(payment => [
+    payment._id.toString(),
+    payment.distribution.reduce((sum, share) => sum + share.totalAmount, 0)
+  ]));
+  const paymentDiscrepancies = distributedByPayment
+    .map(entry => ({
+      payment: entry._id,
+      counter: roundToCents(distributionByPayment.get(entry._id.toString()) || 0),
+      ledger: roundToCents(entry.distributed)
+    }))
+    .filter(entry => Math.abs(entry.counter - entry.ledger) >= TOLERANCE);
+
+  // Cash account balances against each investor's cash ledger account
+  const cashLedgerAccounts = await LedgerAccount.find({ category: 'investor_cash' });
+  const cashAccounts = await CashAccount.find({ user: { $in: cashLedgerAccounts.map(account => account.owner) } });
+  const cashByUser = new Map(cashAccounts.map(account => [account.user.toString(), account.ledgerBalance]));
+  const cashDiscrepancies = [];
+  for (const account of cashLedgerAccounts) {
+    const ledgerBalance = await getAccountBalance(account);
+    const counter = roundToCents(cashByUser.get(account.owner.toString()) || 0);
+    if (Math.abs(counter - ledgerBalance) >= TOLERANCE) {
+      cashDiscrepancies.push({ user: account.owner, counter, ledger: ledgerBalance });
+    }
+  }
+
+  return {
+    loans: { checked: repaidByLoan.length, discrepancies: loanDiscrepancies },
+    investments: { checked: receivedByInvestment.length, discrepancies: investmentDiscrepancies },
+    payments: { checked: distributedByPayment.length, discrepancies: paymentDiscrepancies },
+    cashAccounts: { checked: cashLedgerAccounts.length, discrepancies: cashDiscrepancies },
+    isReconciled: loanDiscrepancies.length === 0 &&
+      investmentDiscrepancies.length === 0 &&
+      paymentDiscrepancies.length === 0 &&
+      cashDiscrepancies.length === 0
+  };
+};
+
+module.exports = {
+  accountDefinitions,
+  getAccount,
+  postEntry,
+  getAccountBalance,
+  getDistributionCredits,
+  getCashActivity,
+  recordFunding,
+  recordRefund,
+  recordDeposit,
+  recordWithdrawal,
+  recordDisbursement,
+  recordRepayment,
+  recordFee,
+  recordDistribution,
+  recordSecondarySale,
+  recordWriteOff,
+  getTrialBalance,
+  reconcileCounters
+};
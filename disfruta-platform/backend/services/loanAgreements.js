@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const LoanAgreement = require('../models/LoanAgreement');
+const User = require('../models/User');
+const fees = require('./fees');
+const emailService = require('./emailService');
+const {
+  buildAmortizationSchedule,
+  summarizeSchedule,
+  calculateApr
+} = require('./amortization');
+const { sumMoney, subtractMoney } = require('../utils/money');
+const { createHttpError, formatCurrency } = require('../utils/helpers');
+const { renderPdf, heading, section, keyValueRows, table, footnote } = require('../utils/pdf');
+
+const LENDER_NAME = 'Disfruta Platform, on behalf of the investors funding this loan';
+
+// Agreement text. {placeholders} are filled from the disclosed terms when the document is generated.
+const AGREEMENT_CLAUSES = [
+  {
+    title: '1. Promise to pay',
+    text: 'For value received, {borrowerName} ("Borrower") promises to pay to the order of the Lender the ' +
+      'principal sum of {amount}, together with interest on the unpaid principal at a fixed rate of ' +
+      '{interestRate}% per year, in {term} monthly installments of {monthlyPayment} as set out in the ' +
+      'payment schedule below. The final installment may differ slightly to settle the remaining balance.'
+  },
+  {
+    title: '2. Origination fee and disbursement',
+    text: 'An origination fee of {originationFee} is withheld from the loan proceeds. Borrower will receive ' +
+      '{amountReceived} but owes the full principal of {amount}. Funds are disbursed only after Borrower ' +
+      'accepts this agreement and the loan has been funded in full.'
+  },
+  {
+    title: '3. Payment dates',
+    text: 'Installments are due monthly starting one month after disbursement. The dates in the schedule ' +
+      'assume disbursement on {scheduleStart}; if funds go out on a different day the due dates are set ' +
+      'from the disbursement date and the installment amounts stay the same.'
+  },
+  {
+    title: '4. Prepayment',
+    text: 'Borrower may prepay all or part of the loan at any time without penalty. Prepayments are applied ' +
+      'to accrued interest first and then to principal.'
+  },
+  {
+    title: '5. Late payments and returned payments',
+    text: 'Installments paid {latePeriod} are charged a late fee under the ' +
+      'fee schedule in force when the installment becomes late. A payment returned for insufficient funds is ' +
+      'charged a returned payment fee of {nsfFee}.'
+  },
+  {
+    title: '6. Default',
+    text: 'If Borrower fails to make payments when due, the Lender may refer the loan to collections, report ' +
+      'the delinquency to credit bureaus and, after 120 days past due, declare the remaining balance due.'
+  },
+  {
+    title: '7. Electronic signature',
+    text: 'Borrower agrees that typing their full name and accepting this agreement electronically has the ' +
+      'same effect as a handwritten signature, and that this document, identified by the SHA-256 hash recorded ' +
+      'with the acceptance, is the complete agreement between the parties.'
+  }
+];
+
+/**
+ * Fill {placeholders} in agreement text
+ * @param {string} text - Clause text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+const fillTemplate = (text, values) => text.replace(/\{(\w+)\}/g, (match, key) => (
+  values[key] !== undefined ? String(values[key]) : match
+));
+
+/**
+ * Borrower's postal address on one line
+ * @param {Object} address - User address
+ * @returns {string}
+ */
+const formatAddress = (address = {}) => [
+  address.street,
+  address.city,
+  [address.state, address.zipCode].filter(Boolean).join(' '),
+  address.country
+].filter(Boolean).join(', ');
+
+/**
+ * Terms to disclose for a loan as it stands now
+ * @param {Object} loan - Loan document
+ * @returns {Object} terms, the projected schedule and the fee schedule used
+ */
+const buildAgreementTerms = async (loan) => {
+  const feeSchedule = await fees.getSchedule();
+  const schedule = buildAmortizationSchedule({
+    principal: loan.amount,
+    annualRate: loan.interestRate,
+    termMonths: loan.term,
+    startDate: new Date()
+  });
+  const summary = summarizeSchedule(schedule);
+  const originationFee = fees.calculateOriginationFee(loan.amount, feeSchedule);
+  const amountReceived = subtractMoney(loan.amount, originationFee);
+
+  return {
+    terms: {
+      amount: loan.amount,
+      interestRate: loan.interestRate,
+      term: loan.term,
+      monthlyPayment: schedule[0].amount,
+      totalInterest: summary.totalInterest,
+      totalRepayment: summary.totalRepayment,
+      originationFee,
+      amountReceived,
+      apr: calculateApr(amountReceived, schedule),
+      feeScheduleVersion: feeSchedule.version
+    },
+    schedule,
+    feeSchedule
+  };
+};
+
+/**
+ * Whether an agreement still describes the loan's amount, rate and term
+ * @param {Object} agreement - LoanAgreement document
+ * @param {Object} loan - Loan document
+ * @returns {boolean}
+ */
+const coversLoanTerms = (agreement, loan) => {
+  return agreement.terms.amount === loan.amount &&
+    agreement.terms.interestRate === loan.interestRate &&
+    agreement.terms.term === loan.term;
+};
+
+/**
+ * Lay out the agreement and promissory note
+ * @param {Object} details - loan, version, terms, parties, schedule and feeSchedule
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderAgreementPdf = ({ loan, version, terms, parties, schedule, feeSchedule }) => {
+  const money = amount => formatCurrency(amount || 0);
+  const values = {
+    borrowerName: parties.borrowerName,
+    amount: money(terms.amount),
+    interestRate: terms.interestRate,
+    term: terms.term,
+    monthlyPayment: money(terms.monthlyPayment),
+    originationFee: money(terms.originationFee),
+    amountReceived: money(terms.amountReceived),
+    scheduleStart: new Date().toISOString().slice(0, 10),
+    latePeriod: feeSchedule.late.graceDays > 0
+      ? `more than ${feeSchedule.late.graceDays} days after the due date`
+      : 'after the due date',
+    nsfFee: money(feeSchedule.nsf.flat)
+  };
+
+  return renderPdf(doc => {
+    heading(
+      doc,
+      'Loan Agreement and Promissory Note',
+      `Loan ${loan._id} · Version ${version} · Prepared ${values.scheduleStart}`
+    );
+
+    section(doc, 'Parties');
+    keyValueRows(doc, [
+      ['Lender', parties.lender],
+      ['Borrower', parties.borrowerName],
+      ['Borrower address', parties.borrowerAddress || 'Not provided'],
+      ['Borrower email', parties.borrowerEmail]
+    ]);
+
+    // Federal Truth in Lending style box
+    section(doc, 'Truth in Lending disclosure');
+    keyValueRows(doc, [
+      ['Annual percentage rate (cost of credit as a yearly rate)', `${terms.apr.toFixed(2)}%`],
+      ['Finance charge (interest plus origination fee)', money(sumMoney([terms.totalInterest, terms.originationFee]))],
+      ['Amount financed (amount provided to you)', money(terms.amountReceived)],
+      ['Total of payments (after all scheduled payments)', money(terms.totalRepayment)],
+      ['Interest rate', `${terms.interestRate}% fixed`],
+      ['Term', `${terms.term} months`],
+      ['Monthly payment', money(terms.monthlyPayment)]
+    ]);
+
+    section(doc, 'Terms');
+    AGREEMENT_CLAUSES.forEach(clause => {
+      doc.font('Helvetica-Bold').fontSize(10).text(clause.title);
+      doc.font('Helvetica').fontSize(9).text(fillTemplate(clause.text, values), { align: 'justify' });
+      doc.moveDown(0.5);
+    });
+
+    doc.addPage();
+    section(doc, 'Payment schedule');
+    table(doc, [
+      { header: '#', key: 'paymentNumber', width: 0.08 },
+      { header: 'Due date', key: 'dueDate', width: 0.2 },
+      { header: 'Payment', key: 'amount', width: 0.18, align: 'right' },
+      { header: 'Principal', key: 'principalAmount', width: 0.18, align: 'right' },
+      { header: 'Interest', key: 'interestAmount', width: 0.18, align: 'right' },
+      { header: 'Balance', key: 'remainingBalance', width: 0.18, align: 'right' }
+    ], schedule.map(installment => ({
+      paymentNumber: installment.paymentNumber,
+      dueDate: installment.dueDate.toISOString().slice(0, 10),
+      amount: money(installment.amount),
+      principalAmount: money(installment.principalAmount),
+      interestAmount: money(installment.interestAmount),
+      remainingBalance: money(installment.remainingBalance)
+    })));
+
+    section(doc, 'Signature');
+    doc.text(`Borrower: ${parties.borrowerName}`);
+    doc.text('Signed electronically on acceptance. The acceptance record is kept with this document.');
+
+    footnote(doc, `The annual percentage rate is calculated from the scheduled payments and the ${money(terms.amountReceived)} received after the origination fee.`);
+  }, {
+    Title: 'Loan Agreement and Promissory Note',
+    Subject: `Loan ${loan._id}, version ${version}`
+  });
+};
+
+/**
+ * Current (latest) agreement for a loan
+ * @param {Object} loan - Loan document
+ * @returns {Object|null} LoanAgreement document, without its content
+ */
+const getCurrentAgreement = (loan) => {
+  return LoanAgreement.findOne({ loan: loan._id }).sort({ version: -1 });
+};
+
+/**
+ * Generate a new agreement version for a loan's current terms for the borrower to accept.
+ * Records the document and its hash on the loan and saves it. Only writes to the database, so it can
+ * run inside a transaction; the borrower is emailed with sendAgreementNotification once it commits.
+ * @param {Object} loan - Loan document
+ * @returns {Object} LoanAgreement document
+ */
+const issueAgreement = async (loan) => {
+  const borrower = await User.findById(loan.borrower).select('firstName lastName email address');
+  if (!borrower) throw createHttpError(404, 'Borrower not found');
+
+  const previous = await getCurrentAgreement(loan);
+  const version = previous ? previous.version + 1 : 1;
+  const { terms, schedule, feeSchedule } = await buildAgreementTerms(loan);
+  const parties = {
+    lender: LENDER_NAME,
+    borrowerName: `${borrower.firstName} ${borrower.lastName}`,
+    borrowerEmail: borrower.email,
+    borrowerAddress: formatAddress(borrower.address)
+  };
+
+  const content = await renderAgreementPdf({ loan, version, terms, parties, schedule, feeSchedule });
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  const fileName = `loan-agreement-${loan._id}-v${version}.pdf`;
+
+  await LoanAgreement.updateMany(
+    { loan: loan._id, status: 'pending' },
+    { $set: { status: 'superseded' } }
+  );
+  const agreement = await LoanAgreement.create({
+    loan: loan._id,
+    borrower: borrower._id,
+    version,
+    terms,
+    parties,
+    fileName,
+    content,
+    hash
+  });
+
+  loan.documents.forEach(document => {
+    if (document.type === 'loan_agreement' && document.status === 'pending') {
+      document.status = 'rejected';
+    }
+  });
+  loan.documents.push({
+    type: 'loan_agreement',
+    url: `/api/loans/${loan._id}/agreement/download`,
+    fileName,
+    hash,
+    status: 'pending'
+  });
+  loan.metadata.ipfsHash = hash;
+  loan.agreement = { current: agreement._id, status: 'pending' };
+  await loan.save();
+
+  return agreement;
+};
+
+/**
+ * Ask the borrower to review and accept a newly issued agreement
+ * @param {Object} loan - Loan document
+ * @param {Object} agreement - LoanAgreement document returned by issueAgreement
+ * @returns {Object|null} Email result, or null when the borrower no longer exists
+ */
+const sendAgreementNotification = async (loan, agreement) => {
+  const borrower = await User.findById(agreement.borrower).select('firstName email');
+  if (!borrower) return null;
+
+  return emailService.sendLoanAgreementNotification(borrower, loan, agreement);
+};
+
+/**
+ * Record the borrower's electronic acceptance of the current agreement
+ * @param {Object} loan - Loan document
+ * @param {Object} user - Borrower accepting
+ * @param {Object} acceptance - hash of the document they saw, typed signature, ipAddress and userAgent
+ * @returns {Object} Accepted LoanAgreement document
+ */
+const acceptAgreement = async (loan, user, { hash, signature, ipAddress, userAgent }) => {
+  const agreement = await getCurrentAgreement(loan);
+  if (!agreement || agreement.status === 'superseded') {
+    throw createHttpError(404, 'No loan agreement to accept');
+  }
+  if (agreement.status === 'accepted') {
+    throw createHttpError(400, 'Loan agreement has already been accepted');
+  }
+  if (!coversLoanTerms(agreement, loan)) {
+    throw createHttpError(409, 'Loan terms have changed, a new agreement is being prepared');
+  }
+  if (hash !== agreement.hash) {
+    throw createHttpError(409, 'The agreement has changed since you opened it, please review the latest version');
+  }
+
+  const expectedName = `${user.firstName} ${user.lastName}`.trim().toLowerCase();
+  if (!signature || signature.trim().replace(/\s+/g, ' ').toLowerCase() !== expectedName) {
+    throw createHttpError(400, 'Type your full name exactly as it appears on your account to sign');
+  }
+
+  // Claim the agreement so it is only accepted once
+  const accepted = await LoanAgreement.findOneAndUpdate(
+    { _id: agreement._id, status: 'pending' },
+    {
+      $set: {
+        status: 'accepted',
+        acceptance: {
+          acceptedAt: new Date(),
+          signature: signature.trim(),
+          ipAddress,
+          userAgent
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!accepted) {
+    throw createHttpError(409, 'Loan agreement was updated while accepting, please try again');
+  }
+
+  loan.documents.forEach(document => {
+    if (document.type === 'loan_agreement' && document.hash === accepted.hash) {
+      document.status = 'approved';
+    }
+  });
+  loan.agreement = {
+    current: accepted._id,
+    status: 'accepted',
+    acceptedAt: accepted.acceptance.acceptedAt
+  };
+
+  // A loan that funded while waiting for the signature goes out now
+  if (loan.status === 'funded' && !loan.disbursedAt) {
+    await loan.disburse(accepted);
+  } else {
+    await loan.save();
+  }
+
+  return accepted;
+};
+
+/**
+ * Agreement PDF bytes
+ * @param {Object} agreement - LoanAgreement document
+ * @returns {Buffer}
+ */
+const getAgreementContent = async (agreement) => {
+  const withContent = await LoanAgreement.findById(agreement._id).select('+content');
+  return withContent.content;
+};
+
+module.exports = {
+  buildAgreementTerms,
+  coversLoanTerms,
+  getCurrentAgreement,
+  issueAgreement,
+  sendAgreementNotification,
+  acceptAgreement,
+  getAgreementContent
+};
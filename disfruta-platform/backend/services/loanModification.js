@@ -0,0 +1,293 @@
+const Payment = require('../models/Payment');
+const Investment = require('../models/Investment');
+const Loan = require('../models/Loan');
+const LoanModification = require('../models/LoanModification');
+const { withTransaction, currentSession } = require('../utils/transaction');
+const { createHttpError } = require('../utils/helpers');
+const { roundToCents } = require('../utils/money');
+const { addMonths, buildAmortizationSchedule } = require('./amortization');
+
+const MAX_TERM_MONTHS = 60; // Same ceiling as Loan.term
+
+/**
+ * Build the replacement schedule for the rest of a loan under hardship terms.
+ * Principal portions always add up to the outstanding principal; interest that goes
+ * unpaid (past-due installments, forbearance months, payment shortfalls) is deferred
+ * and spread evenly across the installments that follow.
+ * @param {Object} params - Restructuring parameters
+ * @param {number} params.principal - Outstanding principal
+ * @param {number} params.deferredInterest - Interest already owed and not yet paid
+ * @param {number} params.annualRate - Annual interest rate as a percentage
+ * @param {number} params.installments - Installments left on the current schedule
+ * @param {Date} params.firstDueDate - Due date of the first replacement installment
+ * @param {Object} params.modification - Requested type and terms
+ * @returns {Array<Object>} Installments with dueDate, amount, principalAmount, interestAmount and remainingBalance
+ */
+const buildModifiedSchedule = ({ principal, deferredInterest = 0, annualRate, installments, firstDueDate, modification }) => {
+  const monthlyRate = annualRate / 100 / 12;
+  const rows = [];
+  let balance = roundToCents(principal);
+  let deferred = roundToCents(deferredInterest);
+  let amortizationStart = addMonths(firstDueDate, -1);
+  let amortizationTerm = installments;
+
+  if (modification.type === 'forbearance') {
+    // No payments during forbearance; the interest that accrues is deferred
+    deferred = roundToCents(deferred + balance * monthlyRate * modification.forbearanceMonths);
+    amortizationStart = addMonths(amortizationStart, modification.forbearanceMonths);
+  }
+
+  if (modification.type === 'reduced_payment') {
+    for (let month = 0; month < modification.reducedPaymentMonths; month++) {
+      const interestDue = roundToCents(balance * monthlyRate);
+      const interestAmount = Math.min(modification.reducedPaymentAmount, interestDue);
+      const principalAmount = roundToCents(Math.min(modification.reducedPaymentAmount - interestAmount, balance));
+
+      deferred = roundToCents(deferred + interestDue - interestAmount);
+      balance = roundToCents(balance - principalAmount);
+
+      rows.push({
+        dueDate: addMonths(firstDueDate, month),
+        amount: roundToCents(principalAmount + interestAmount),
+        principalAmount,
+        interestAmount: roundToCents(interestAmount),
+        remainingBalance: balance
+      });
+    }
+    amortizationStart = addMonths(amortizationStart, modification.reducedPaymentMonths);
+  }
+
+  if (modification.type === 'term_extension') {
+    amortizationTerm += modification.extensionMonths;
+  }
+
+  if (balance > 0 || deferred > 0) {
+    const amortized = buildAmortizationSchedule({
+      principal: balance,
+      annualRate,
+      termMonths: amortizationTerm,
+      startDate: amortizationStart
+    });
+
+    // Spread deferred interest evenly, with the last installment taking the rounding residue
+    const deferredPerInstallment = roundToCents(deferred / amortized.length);
+    amortized.forEach((installment, index) => {
+      const isFinal = index === amortized.length - 1;
+      const extraInterest = isFinal
+        ? roundToCents(deferred - deferredPerInstallment * (amortized.length - 1))
+        : deferredPerInstallment;
+      const interestAmount = roundToCents(installment.interestAmount + extraInterest);
+
+      rows.push({
+        dueDate: installment.dueDate,
+        amount: roundToCents(installment.principalAmount + interestAmount),
+        principalAmount: installment.principalAmount,
+        interestAmount,
+        remainingBalance: installment.remainingBalance
+      });
+    });
+  }
+
+  return rows.filter(row => row.amount > 0);
+};
+
+// Snapshot of the terms a modification changes
+const snapshotTerms = (loan, outstandingPrincipal, rows) => ({
+  version: loan.metadata.version,
+  term: loan.term,
+  outstandingPrincipal: roundToCents(outstandingPrincipal),
+  remainingInstallments: rows.length,
+  monthlyPayment: rows.length > 0 ? rows[rows.length - 1].amount : 0,
+  nextPaymentDate: rows.length > 0 ? rows[0].dueDate : null,
+  maturityDate: rows.length > 0 ? rows[rows.length - 1].dueDate : null,
+  totalRepayment: roundToCents(loan.paidAmount + rows.reduce((sum, row) => sum + row.amount, 0))
+});
+
+/**
+ * Work out the restructured schedule for a modification without saving anything
+ * @param {Object} loan - Loan in repayment
+ * @param {Object} modification - Requested modification
+ * @param {Date} now - Reference time
+ * @returns {Object} Outstanding installments, replacement rows and before/after terms
+ */
+const buildRestructurePlan = async (loan, modification, now = new Date()) => {
+  const outstanding = await Payment.find({
+    loan: loan._id,
+    type: 'scheduled',
+    status: { $in: ['pending', 'failed'] }
+  }).sort({ paymentNumber: 1 });
+
+  if (outstanding.length === 0) {
+    throw new Error('No outstanding installments to restructure');
+  }
+
+  const principal = outstanding.reduce((sum, payment) => sum + payment.principalAmount, 0);
+  const pastDueInterest = outstanding
+    .filter(payment => payment.dueDate < now)
+    .reduce((sum, payment) => sum + payment.interestAmount, 0);
+
+  // Keep the borrower's payment day where possible; past-due installments roll into the new schedule
+  const upcoming = outstanding.find(payment => payment.dueDate >= now);
+  const firstDueDate = upcoming ? upcoming.dueDate : addMonths(now, 1);
+
+  const rows = buildModifiedSchedule({
+    principal,
+    deferredInterest: pastDueInterest,
+    annualRate: loan.interestRate,
+    installments: outstanding.length,
+    firstDueDate,
+    modification
+  });
+
+  const firstPaymentNumber = outstanding[0].paymentNumber;
+  const newTerm = firstPaymentNumber - 1 + rows.length;
+  const currentRows = outstanding.map(payment => ({
+    dueDate: payment.dueDate,
+    amount: payment.amount
+  }));
+
+  return {
+    outstanding,
+    firstPaymentNumber,
+    rows: rows.map((row, index) => ({ ...row, paymentNumber: firstPaymentNumber + index })),
+    newTerm,
+    exceedsMaxTerm: newTerm > MAX_TERM_MONTHS,
+    previousTerms: snapshotTerms(loan, principal, currentRows),
+    newTerms: {
+      ...snapshotTerms(loan, principal, rows),
+      version: loan.metadata.version + 1,
+      term: newTerm
+    }
+  };
+};
+
+// Replace an investment's remaining schedule with its share of the new loan schedule
+const restructureInvestment = async (investment, share, plan, version) => {
+  const kept = investment.paymentSchedule.filter(entry => entry.status !== 'pending');
+  const replacement = plan.rows.map(row => {
+    const principalAmount = roundToCents(row.principalAmount * share);
+    const interestAmount = roundToCents(row.interestAmount * share);
+
+    return {
+      paymentNumber: row.paymentNumber,
+      dueDate: row.dueDate,
+      principalAmount,
+      interestAmount,
+      totalAmount: roundToCents(principalAmount + interestAmount),
+      status: 'pending'
+    };
+  });
+  const replacementInterest = replacement.reduce((sum, entry) => sum + entry.interestAmount, 0);
+
+  investment.paymentSchedule = [...kept, ...replacement];
+  investment.expectedPayments = investment.paymentsReceived + replacement.length;
+  investment.expectedReturn = roundToCents(investment.interestEarned + replacementInterest);
+  investment.monthlyReturn = replacement.length > 0 ? roundToCents(replacementInterest / replacement.length) : 0;
+  investment.nextPaymentDate = replacement.length > 0 ? replacement[0].dueDate : null;
+  investment.loanModification = {
+    modified: true,
+    loanVersion: version,
+    modifiedAt: new Date()
+  };
+
+  return investment.save();
+};
+
+/**
+ * Approve a modification: supersede the remaining installments, write the new schedule
+ * and carry it through to every investor, all in one transaction
+ * @param {string} modificationId - Pending modification
+ * @param {string} reviewerId - Admin approving the change
+ * @param {Object} details - notes from the reviewer
+ * @returns {Object} Approved modification, the modified loan and the new scheduled payments
+ */
+const applyModification = async (modificationId, reviewerId, { notes } = {}) => withTransaction(async () => {
+  // Claim the modification so two approvals cannot both restructure the loan
+  const modification = await LoanModification.findOneAndUpdate(
+    { _id: modificationId, status: 'pending' },
+    { $set: { status: 'approved', reviewedBy: reviewerId, reviewedAt: new Date(), reviewNotes: notes } },
+    { new: true }
+  );
+  if (!modification) {
+    throw createHttpError(409, 'Modification request has already been reviewed');
+  }
+
+  const loan = await Loan.findById(modification.loan);
+  if (!loan || !['funded', 'active'].includes(loan.status)) {
+    throw createHttpError(400, 'Loan is no longer in repayment');
+  }
+
+  const inFlight = await Payment.exists({ loan: loan._id, status: 'processing' });
+  if (inFlight) {
+    throw createHttpError(409, 'A payment is being processed for this loan, try again once it settles');
+  }
+
+  const plan = await buildRestructurePlan(loan, modification);
+  if (plan.exceedsMaxTerm) {
+    throw createHttpError(400, `Modified term of ${plan.newTerm} months exceeds the ${MAX_TERM_MONTHS} month maximum`);
+  }
+
+  const version = loan.metadata.version + 1;
+  const supersededIds = plan.outstanding.map(payment => payment._id);
+
+  // Late fees on superseded installments are waived as part of the hardship plan
+  await Payment.updateMany(
+    { _id: { $in: supersededIds } },
+    {
+      $set: {
+        status: 'cancelled',
+        'metadata.notes': `Superseded by loan modification v${version}`
+      }
+    }
+  );
+
+  const payments = await Payment.insertMany(plan.rows.map(row => ({
+    loan: loan._id,
+    borrower: loan.borrower,
+    amount: row.amount,
+    principalAmount: row.principalAmount,
+    interestAmount: row.interestAmount,
+    remainingBalance: row.remainingBalance,
+    paymentNumber: row.paymentNumber,
+    scheduledDate: row.dueDate,
+    dueDate: row.dueDate,
+    type: 'scheduled',
+    status: 'pending',
+    paymentMethod: 'bank_transfer',
+    metadata: {
+      source: 'automatic',
+      notes: `Loan modification v${version}`
+    }
+  })), { session: currentSession() });
+
+  const investments = await Investment.find({ loan: loan._id, status: 'active' });
+  const totalOutstanding = investments.reduce((sum, investment) => sum + investment.remainingAmount, 0);
+  for (const investment of investments) {
+    const share = totalOutstanding > 0 ? investment.remainingAmount / totalOutstanding : 0;
+    await restructureInvestment(investment, share, plan, version);
+  }
+
+  loan.metadata.version = version;
+  loan.term = plan.newTerm;
+  loan.monthlyPayment = plan.newTerms.monthlyPayment;
+  loan.totalRepayment = plan.newTerms.totalRepayment;
+  loan.nextPaymentDate = plan.newTerms.nextPaymentDate;
+  loan.maturityDate = plan.newTerms.maturityDate;
+  loan.missedPayments = 0;
+  await loan.save();
+
+  modification.version = version;
+  modification.previousTerms = plan.previousTerms;
+  modification.newTerms = plan.newTerms;
+  modification.supersededPayments = supersededIds;
+  await modification.save();
+
+  return { modification, loan, payments };
+});
+
+module.exports = {
+  MAX_TERM_MONTHS,
+  buildModifiedSchedule,
+  buildRestructurePlan,
+  applyModification
+};
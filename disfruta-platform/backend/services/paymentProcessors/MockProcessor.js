@@ -0,0 +1,127 @@
+const PaymentProcessor = require('./PaymentProcessor');
+const { methodRails } = require('../../config/paymentProcessors');
+
+const OUTCOMES = ['settle', 'fail', 'nsf'];
+
+// Failure codes each rail reports, so callers see realistic responses
+const failureCodes = {
+  nsf: {
+    ach: { code: 'R01', reason: 'Insufficient funds' },
+    card: { code: 'insufficient_funds', reason: 'Card has insufficient funds' },
+    wire: { code: 'insufficient_funds', reason: 'Originating account has insufficient funds' },
+    crypto: { code: 'insufficient_balance', reason: 'Wallet balance too low' }
+  },
+  fail: {
+    ach: { code: 'R03', reason: 'No account or unable to locate account' },
+    card: { code: 'card_declined', reason: 'Card was declined' },
+    wire: { code: 'beneficiary_rejected', reason: 'Wire was rejected by the receiving bank' },
+    crypto: { code: 'transaction_rejected', reason: 'Transaction was rejected by the network' }
+  }
+};
+
+/**
+ * Deterministic in-memory processor for running the payment lifecycle offline.
+ *
+ * Each charge takes the next step from a script, falling back to the default outcome.
+ * A step is an outcome name ("settle", "fail", "nsf"), the same with a "_late" suffix to
+ * resolve only after delayMs, or an object { outcome, delayMs, reason }.
+ */
+class MockProcessor extends PaymentProcessor {
+  constructor({ script = [], defaultOutcome = 'settle', delayMs = 60 * 1000, clock = () => new Date() } = {}) {
+    super('mock');
+    this.defaultOutcome = defaultOutcome;
+    this.delayMs = delayMs;
+    this.clock = clock;
+    this.reset();
+    this.script(...script);
+  }
+
+  // Forget queued steps and past transactions
+  reset() {
+    this.queue = [];
+    this.transactions = new Map();
+    this.sequence = 0;
+    return this;
+  }
+
+  // Queue outcomes for the next charges, in order
+  script(...steps) {
+    steps.forEach(step => this.queue.push(this.parseStep(step)));
+    return this;
+  }
+
+  parseStep(step) {
+    if (typeof step === 'string') {
+      const late = step.endsWith('_late');
+      step = { outcome: late ? step.slice(0, -'_late'.length) : step, delayMs: late ? this.delayMs : 0 };
+    }
+
+    if (!OUTCOMES.includes(step.outcome)) {
+      throw new Error(`Unknown mock processor outcome: ${step.outcome}`);
+    }
+
+    return { delayMs: 0, ...step };
+  }
+
+  async charge(payment) {
+    const step = this.queue.length > 0 ? this.queue.shift() : this.parseStep(this.defaultOutcome);
+    const rail = methodRails[payment.paymentMethod] || 'ach';
+    const now = this.clock();
+
+    this.sequence += 1;
+    const transactionId = `mock_${rail}_${String(this.sequence).padStart(6, '0')}`;
+
+    this.transactions.set(transactionId, {
+      step,
+      rail,
+      amount: payment.amount,
+      createdAt: now,
+      resolvesAt: new Date(now.getTime() + step.delayMs)
+    });
+
+    return this.getStatus(transactionId);
+  }
+
+  async getStatus(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      // Transactions only live in memory, so anything charged before a restart can never settle
+      return this.normalize({
+        status: 'failed',
+        transactionId,
+        failureCode: 'unknown_transaction',
+        failureReason: 'Transaction is unknown to the mock processor',
+        processorResponse: 'not_found'
+      });
+    }
+
+    const { step, rail, resolvesAt } = transaction;
+
+    if (this.clock() < resolvesAt) {
+      return this.normalize({ status: 'pending', transactionId, processorResponse: 'submitted' });
+    }
+
+    if (step.outcome === 'settle') {
+      return this.normalize({
+        status: 'settled',
+        transactionId,
+        confirmationNumber: `CONF-${transactionId.toUpperCase()}`,
+        processorResponse: 'settled',
+        settledAt: resolvesAt
+      });
+    }
+
+    const failure = failureCodes[step.outcome][rail];
+    return this.normalize({
+      status: 'failed',
+      transactionId,
+      failureCode: failure.code,
+      failureReason: step.reason || failure.reason,
+      processorResponse: step.outcome === 'nsf' ? 'returned' : 'declined'
+    });
+  }
+}
+
+MockProcessor.OUTCOMES = OUTCOMES;
+
+module.exports = MockProcessor;
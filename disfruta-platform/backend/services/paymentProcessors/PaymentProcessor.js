@@ -0,0 +1,55 @@
+const PAYMENT_STATES = ['pending', 'settled', 'failed', 'refunded'];
+
+/**
+ * Interface every payment processor adapter implements.
+ *
+ * Adapters return a normalized result from both methods:
+ *   { status: 'pending' | 'settled' | 'failed' | 'refunded', transactionId, confirmationNumber,
+ *     failureCode, failureReason, processorResponse, settledAt }
+ * A pending result is resolved later through getStatus (or a processor callback).
+ */
+class PaymentProcessor {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Start collecting a payment
+   * @param {Object} payment - Payment document
+   * @returns {Object} Normalized result
+   */
+  async charge(payment) {
+    throw new Error(`${this.name} processor does not implement charge`);
+  }
+
+  /**
+   * Look up the current state of a transaction
+   * @param {string} transactionId - Processor transaction id
+   * @returns {Object} Normalized result
+   */
+  async getStatus(transactionId) {
+    throw new Error(`${this.name} processor does not implement getStatus`);
+  }
+
+  // Fill in defaults and reject states the rest of the platform does not understand
+  normalize(result) {
+    if (!PAYMENT_STATES.includes(result.status)) {
+      throw new Error(`${this.name} processor returned unknown status ${result.status}`);
+    }
+
+    return {
+      processor: this.name,
+      transactionId: result.transactionId,
+      confirmationNumber: result.confirmationNumber || null,
+      failureCode: result.failureCode || null,
+      failureReason: result.failureReason || null,
+      processorResponse: result.processorResponse || result.status,
+      settledAt: result.status === 'settled' ? result.settledAt || new Date() : null,
+      status: result.status
+    };
+  }
+}
+
+PaymentProcessor.PAYMENT_STATES = PAYMENT_STATES;
+
+module.exports = PaymentProcessor;
@@ -0,0 +1,65 @@
+const PaymentProcessor = require('./PaymentProcessor');
+const MockProcessor = require('./MockProcessor');
+const { methodRails, adapters, mock } = require('../../config/paymentProcessors');
+
+// One mock serves every rail so a single script drives the whole lifecycle
+const mockProcessor = new MockProcessor(mock);
+
+// Adapters by name; real processors register themselves with registerAdapter
+const registry = new Map([['mock', mockProcessor]]);
+
+/**
+ * Make a processor adapter available by name
+ * @param {string} name - Name used in PAYMENT_PROCESSORS
+ * @param {PaymentProcessor} processor - Adapter instance
+ */
+const registerAdapter = (name, processor) => {
+  if (!(processor instanceof PaymentProcessor)) {
+    throw new Error(`Payment processor ${name} must extend PaymentProcessor`);
+  }
+  registry.set(name, processor);
+};
+
+/**
+ * Rail a payment method settles over
+ * @param {string} paymentMethod - Payment.paymentMethod
+ * @returns {string} ach, card, wire or crypto
+ */
+const getRail = (paymentMethod) => methodRails[paymentMethod] || 'ach';
+
+/**
+ * Processor adapter configured for a payment method
+ * @param {string} paymentMethod - Payment.paymentMethod
+ * @returns {PaymentProcessor} Adapter
+ */
+const getProcessor = (paymentMethod) => {
+  const rail = getRail(paymentMethod);
+  const processor = registry.get(adapters[rail]);
+  if (!processor) {
+    throw new Error(`No payment processor adapter "${adapters[rail]}" registered for ${rail}`);
+  }
+  return processor;
+};
+
+/**
+ * Adapter by name, used to resolve transactions started by a specific processor
+ * @param {string} name - Adapter name recorded on the payment
+ * @returns {PaymentProcessor} Adapter
+ */
+const getProcessorByName = (name) => {
+  const processor = registry.get(name);
+  if (!processor) {
+    throw new Error(`No payment processor adapter "${name}" registered`);
+  }
+  return processor;
+};
+
+module.exports = {
+  PaymentProcessor,
+  MockProcessor,
+  mockProcessor,
+  registerAdapter,
+  getRail,
+  getProcessor,
+  getProcessorByName
+};
@@ -0,0 +1,158 @@
+const Payment = require('../models/Payment');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const ledger = require('./ledger');
+const emailService = require('./emailService');
+const { runForDistribution } = require('./autoInvest');
+const { getProcessorByName } = require('./paymentProcessors');
+const { withTransaction } = require('../utils/transaction');
+const { sumMoney } = require('../utils/money');
+
+// Payment status each final processor state leads to
+const resolvedStatuses = {
+  settled: 'completed',
+  failed: 'failed',
+  refunded: 'refunded'
+};
+
+/**
+ * Apply a completed payment to its loan, the ledger and the investors
+ * @param {Object} payment - Payment with status completed
+ * @returns {Object} The payment
+ */
+const completeSettlement = async (payment) => {
+  // Update loan payment record; a full repayment closes every remaining installment
+  const loan = await Loan.findById(payment.loan);
+  if (payment.type === 'full_repayment') {
+    await loan.recordPayoff(payment);
+  } else {
+    await loan.recordPayment(sumMoney([payment.principalAmount, payment.interestAmount]), payment.paidDate);
+  }
+  await ledger.recordRepayment(payment);
+
+  // Distribute to investors
+  await payment.distributeToInvestors();
+
+  return payment;
+};
+
+// Reinvest distributions for investments with auto-reinvest turned on
+const reinvestDistributions = async (payment) => {
+  try {
+    await runForDistribution(payment);
+  } catch (error) {
+    console.error('Auto-reinvest error:', error);
+  }
+};
+
+// Let the borrower know a payment bounced so they can retry before it goes past due
+const notifyFailure = async (payment) => {
+  try {
+    const borrower = await User.findById(payment.borrower);
+    if (borrower && borrower.preferences.emailNotifications) {
+      await emailService.sendPaymentFailedNotification(borrower, payment);
+    }
+  } catch (error) {
+    console.error(`Payment failure notification error for ${payment._id}:`, error);
+  }
+};
+
+/**
+ * Send a payment to its processor and settle it if the processor confirms straight away
+ * @param {Object} payment - Payment the caller has claimed for processing
+ * @returns {Object} The payment, now completed, processing or failed
+ */
+const submitPayment = async (payment) => {
+  // The charge itself stays outside any transaction; it cannot be rolled back
+  const result = await payment.processPayment();
+  const resolved = await resolvePayment(payment._id, result);
+
+  return resolved || payment;
+};
+
+/**
+ * Resolve a processing payment from a processor result
+ * @param {string} paymentId - Payment waiting on the processor
+ * @param {Object} result - Normalized processor result
+ * @returns {Object|null} The resolved payment, or null if it was still pending or already resolved
+ */
+const resolvePayment = async (paymentId, result) => {
+  if (result.status === 'pending') return null;
+
+  // The payment, loan, ledger and investor balances change together or not at all; a failed
+  // settlement leaves the payment processing for the next poll
+  const payment = await withTransaction(async () => {
+    // Claim the payment so a poll and a processor callback cannot both settle it
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: paymentId, status: 'processing', 'transactionDetails.transactionId': result.transactionId },
+      { $set: { status: resolvedStatuses[result.status] } },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    await claimed.applyProcessorResult(result);
+
+    if (claimed.status === 'completed') {
+      await completeSettlement(claimed);
+    }
+
+    return claimed;
+  });
+
+  if (!payment) {
+    // An installment voided by a payoff while in flight has been collected twice
+    if (result.status === 'settled' &&
+      await Payment.exists({ _id: paymentId, status: 'cancelled', 'transactionDetails.transactionId': result.transactionId })) {
+      console.error(`Payment ${paymentId} settled after a payoff voided it; the borrower needs a manual refund`);
+    }
+    return null;
+  }
+
+  if (payment.status === 'completed') {
+    await reinvestDistributions(payment);
+  } else if (payment.status === 'failed') {
+    await notifyFailure(payment);
+  }
+
+  return payment;
+};
+
+/**
+ * Ask processors for the state of every payment still processing
+ * @returns {Object} Counts of payments settled, failed and still pending
+ */
+const pollProcessingPayments = async () => {
+  const summary = { checked: 0, settled: 0, failed: 0, pending: 0, errors: 0 };
+
+  const payments = await Payment.find({
+    status: 'processing',
+    'transactionDetails.transactionId': { $exists: true }
+  }).sort({ processingDate: 1 });
+
+  for (const payment of payments) {
+    summary.checked += 1;
+
+    try {
+      const processor = getProcessorByName(payment.transactionDetails.processor);
+      const result = await processor.getStatus(payment.transactionDetails.transactionId);
+      const resolved = await resolvePayment(payment._id, result);
+
+      if (!resolved) summary.pending += 1;
+      else if (resolved.status === 'completed') summary.settled += 1;
+      else summary.failed += 1;
+    } catch (error) {
+      console.error(`Payment status check error for ${payment._id}:`, error);
+      summary.errors += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  resolvedStatuses,
+  completeSettlement,
+  submitPayment,
+  resolvePayment,
+  pollProcessingPayments
+};
@@ -0,0 +1,92 @@
+const Payment = require('../models/Payment');
+const { roundToCents } = require('../utils/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_QUOTE_DAYS = 30; // How far ahead a payoff date can be quoted
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+/**
+ * Check a requested payoff date
+ * @param {Date} payoffDate - Requested payoff date
+ * @param {Date} now - Reference time
+ * @returns {string|null} Error message, or null when the date can be quoted
+ */
+const validatePayoffDate = (payoffDate, now = new Date()) => {
+  if (isNaN(payoffDate.getTime())) {
+    return 'Invalid payoff date';
+  }
+  if (payoffDate < startOfDay(now)) {
+    return 'Payoff date cannot be in the past';
+  }
+  if (payoffDate > endOfDay(new Date(now.getTime() + MAX_QUOTE_DAYS * DAY_MS))) {
+    return `Payoff date must be within ${MAX_QUOTE_DAYS} days`;
+  }
+  return null;
+};
+
+/**
+ * Work out what it takes to close a loan on a given date
+ * @param {Object} loan - Loan in repayment
+ * @param {Date} payoffDate - Date the borrower will pay
+ * @returns {Object} Outstanding principal, interest to the payoff date, fees, total and quote expiry
+ */
+const calculatePayoffQuote = async (loan, payoffDate = new Date()) => {
+  const installments = await Payment.find({ loan: loan._id, type: 'scheduled' })
+    .sort({ paymentNumber: 1 });
+
+  const outstanding = installments.filter(payment => ['pending', 'failed'].includes(payment.status));
+  const pastDue = outstanding.filter(payment => payment.dueDate <= payoffDate);
+
+  const principal = outstanding.reduce((sum, payment) => sum + payment.principalAmount, 0);
+
+  // Installments already due carry their full interest; after the last due date interest accrues daily
+  const pastDueInterest = pastDue.reduce((sum, payment) => sum + payment.interestAmount, 0);
+  const lastDueDate = installments
+    .filter(payment => payment.dueDate <= payoffDate)
+    .reduce((latest, payment) => (payment.dueDate > latest ? payment.dueDate : latest), loan.startDate || payoffDate);
+
+  const perDiem = principal * (loan.interestRate / 100) / 365;
+  const accrualDays = Math.max(0, Math.floor((startOfDay(payoffDate) - startOfDay(lastDueDate)) / DAY_MS));
+  const accruedInterest = roundToCents(pastDueInterest + perDiem * accrualDays);
+
+  // Fees already added to outstanding installments carry over, keeping their type for the ledger
+  const feeItems = outstanding.flatMap(payment => payment.feeItems.map(item => ({
+    type: item.type,
+    amount: item.amount,
+    scheduleVersion: item.scheduleVersion,
+    reference: item.reference
+  })));
+  const fees = roundToCents(outstanding.reduce((sum, payment) => sum + (payment.lateFee || 0) + (payment.fees || 0), 0));
+
+  return {
+    loan: loan._id,
+    payoffDate: startOfDay(payoffDate),
+    outstandingPrincipal: roundToCents(principal),
+    accruedInterest,
+    accrualDays,
+    perDiem: roundToCents(perDiem),
+    fees,
+    feeItems,
+    totalPayoff: roundToCents(principal + accruedInterest + fees),
+    remainingInstallments: outstanding.length,
+    firstOutstandingPaymentNumber: outstanding.length > 0 ? outstanding[0].paymentNumber : null,
+    expiresAt: endOfDay(payoffDate)
+  };
+};
+
+module.exports = {
+  MAX_QUOTE_DAYS,
+  validatePayoffDate,
+  calculatePayoffQuote
+};
@@ -0,0 +1,181 @@
+const Loan = require('../models/Loan');
+const Investment = require('../models/Investment');
+const Payment = require('../models/Payment');
+const PlatformStatsSnapshot = require('../models/PlatformStatsSnapshot');
+const { roundToCents } = require('../utils/money');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long the latest snapshot is served from memory before it is read again
+const CACHE_TTL_MS = 60 * 1000;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// Investments that money actually went into
+const INVESTED_STATUSES = ['active', 'completed', 'defaulted', 'sold'];
+
+/**
+ * Loans originated and defaulted, grouped by a key expression
+ * @param {Object} key - $group _id expression
+ * @returns {Array} Groups sorted by key
+ */
+const defaultsBy = key => Loan.aggregate([
+  { $match: { startDate: { $ne: null } } },
+  {
+    $group: {
+      _id: key,
+      loans: { $sum: 1 },
+      originated: { $sum: '$amount' },
+      defaulted: { $sum: { $cond: [{ $eq: ['$status', 'defaulted'] }, 1, 0] } }
+    }
+  },
+  { $sort: { _id: 1 } }
+]);
+
+const toDefaultRow = group => ({
+  loans: group.loans,
+  originated: roundToCents(group.originated),
+  defaulted: group.defaulted,
+  defaultRate: percent(group.defaulted, group.loans)
+});
+
+/**
+ * Realized return on investments that have closed out (repaid, defaulted or sold), annualized
+ * over each holding period and weighted by amount invested
+ * @returns {number} Percent per year
+ */
+const getRealizedReturn = async () => {
+  const [result] = await Investment.aggregate([
+    { $match: { status: { $in: ['completed', 'defaulted', 'sold'] } } },
+    {
+      $project: {
+        amount: 1,
+        gain: { $subtract: ['$totalReceived', '$amount'] },
+        // At least a month, so a note sold days after purchase does not dominate
+        years: {
+          $max: [
+            1 / 12,
+            {
+              $divide: [
+                { $subtract: [{ $ifNull: ['$lastPaymentDate', { $ifNull: ['$defaultedAt', '$updatedAt'] }] }, '$investmentDate'] },
+                YEAR_MS
+              ]
+            }
+          ]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        invested: { $sum: '$amount' },
+        annualGain: { $sum: { $divide: ['$gain', '$years'] } }
+      }
+    }
+  ]);
+
+  return result ? percent(result.annualGain, result.invested) : 0;
+};
+
+/**
+ * Compute platform metrics from loans, investments and payments
+ * @returns {Object} Metrics in the shape of a snapshot
+ */
+const computePlatformStats = async () => {
+  const [byGrade, byVintage, invested, activeInvestors, averageReturn, repaid] = await Promise.all([
+    defaultsBy('$grade'),
+    defaultsBy({
+      $concat: [
+        { $toString: { $year: '$startDate' } },
+        '-Q',
+        { $toString: { $ceil: { $divide: [{ $month: '$startDate' }, 3] } } }
+      ]
+    }),
+    Investment.aggregate([
+      { $match: { status: { $in: INVESTED_STATUSES } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]),
+    Investment.distinct('investor', { status: 'active' }),
+    getRealizedReturn(),
+    Payment.aggregate([
+      { $match: { status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const totalLoans = byGrade.reduce((sum, group) => sum + group.loans, 0);
+  const defaulted = byGrade.reduce((sum, group) => sum + group.defaulted, 0);
+
+  return {
+    totalLoans,
+    totalOriginated: roundToCents(byGrade.reduce((sum, group) => sum + group.originated, 0)),
+    totalInvested: invested[0] ? roundToCents(invested[0].total) : 0,
+    activeInvestors: activeInvestors.length,
+    averageReturn,
+    defaultRate: percent(defaulted, totalLoans),
+    totalRepaid: repaid[0] ? roundToCents(repaid[0].total) : 0,
+    byGrade: byGrade.map(group => ({ grade: group._id, ...toDefaultRow(group) })),
+    byVintage: byVintage.map(group => ({ vintage: group._id, ...toDefaultRow(group) }))
+  };
+};
+
+let cache = null;
+
+/**
+ * Compute metrics and store them as a new snapshot; run by the platform-stats job
+ * @returns {Object} PlatformStatsSnapshot document
+ */
+const refreshPlatformStats = async () => {
+  const snapshot = await PlatformStatsSnapshot.create(await computePlatformStats());
+  cache = { snapshot, fetchedAt: Date.now() };
+  return snapshot;
+};
+
+/**
+ * Latest snapshot, served from memory for a short while. Computes the first one if none exist yet.
+ * @returns {Object} PlatformStatsSnapshot document
+ */
+const getLatestPlatformStats = async () => {
+  if (cache && Date.now() - cache.fetchedAt < CACHE_TTL_MS) {
+    return cache.snapshot;
+  }
+
+  const snapshot = await PlatformStatsSnapshot.findOne().sort({ generatedAt: -1 });
+  if (!snapshot) return refreshPlatformStats();
+
+  cache = { snapshot, fetchedAt: Date.now() };
+  return snapshot;
+};
+
+/**
+ * Snapshot history for trend charts, the last snapshot of each day
+ * @param {number} days - How many days back to go
+ * @returns {Array} Headline metrics by day, oldest first
+ */
+const getPlatformStatsHistory = (days = 90) => PlatformStatsSnapshot.aggregate([
+  { $match: { generatedAt: { $gte: new Date(Date.now() - days * DAY_MS) } } },
+  { $sort: { generatedAt: 1 } },
+  {
+    $group: {
+      _id: { $dateToString: { format: '%Y-%m-%d', date: '$generatedAt' } },
+      generatedAt: { $last: '$generatedAt' },
+      totalLoans: { $last: '$totalLoans' },
+      totalOriginated: { $last: '$totalOriginated' },
+      totalInvested: { $last: '$totalInvested' },
+      totalRepaid: { $last: '$totalRepaid' },
+      activeInvestors: { $last: '$activeInvestors' },
+      averageReturn: { $last: '$averageReturn' },
+      defaultRate: { $last: '$defaultRate' }
+    }
+  },
+  { $sort: { _id: 1 } },
+  { $project: { _id: 0, date: '$_id', generatedAt: 1, totalLoans: 1, totalOriginated: 1, totalInvested: 1, totalRepaid: 1, activeInvestors: 1, averageReturn: 1, defaultRate: 1 } }
+]);
+
+module.exports = {
+  computePlatformStats,
+  refreshPlatformStats,
+  getLatestPlatformStats,
+  getPlatformStatsHistory
+};
@@ -0,0 +1,192 @@
+const Investment = require('../models/Investment');
+const { getSchedule } = require('./fees');
+const { roundToCents } = require('../utils/money');
+const {
+  gradeAssumptions,
+  SIMULATIONS,
+  MIN_SIMULATIONS,
+  CACHE_TTL_MS,
+  PERCENTILES
+} = require('../config/projections');
+
+// Simulations to yield to the event loop after, so a projection never holds up other requests for long
+const YIELD_EVERY = 50;
+
+// Latest unseeded projection per investor
+const cache = new Map();
+
+/**
+ * Small seeded random number generator (mulberry32), so a projection can be repeated exactly
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Chance of an event within a month, from its chance within a year
+const monthlyRate = annualRate => 1 - Math.pow(1 - Math.min(Math.max(annualRate, 0), 1), 1 / 12);
+
+/**
+ * Value at a percentile of sorted numbers, interpolating between ranks
+ * @param {Array} sorted - Numbers in ascending order
+ * @param {number} p - Percentile, 0 to 100
+ * @returns {number}
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const bands = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return PERCENTILES.reduce((result, p) => ({
+    ...result,
+    [`p${p}`]: roundToCents(percentile(sorted, p))
+  }), {});
+};
+
+const monthKey = date => `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Remaining installments of an active investment, with the monthly event probabilities for its grade
+ * @returns {Object} Investment summary used by the simulation
+ */
+const toPosition = (investment, monthIndex) => {
+  const assumptions = gradeAssumptions[investment.loan.grade] || gradeAssumptions.G;
+  const installments = investment.paymentSchedule
+    .filter(entry => entry.status === 'pending' || entry.status === 'late')
+    .sort((a, b) => a.paymentNumber - b.paymentNumber)
+    .map(entry => ({
+      month: monthIndex(entry.dueDate),
+      principal: entry.principalAmount,
+      total: entry.totalAmount
+    }));
+
+  return {
+    amount: investment.amount,
+    received: investment.totalReceived,
+    installments,
+    defaultRate: monthlyRate(assumptions.defaultRate),
+    prepaymentRate: monthlyRate(assumptions.prepaymentRate),
+    recoveryRate: assumptions.recoveryRate
+  };
+};
+
+/**
+ * Simulate an investor's active investments to maturity many times over
+ * @param {string} investorId - Investor
+ * @param {Object} options - simulations and seed
+ * @param {Date} now - Reference time
+ * @returns {Object} Percentile bands of net return and of cash flow by month
+ */
+const projectPortfolio = async (investorId, { simulations = SIMULATIONS, seed } = {}, now = new Date()) => {
+  const runs = Math.min(Math.max(parseInt(simulations) || SIMULATIONS, MIN_SIMULATIONS), SIMULATIONS);
+
+  const cacheKey = `${investorId}:${runs}`;
+  const cached = cache.get(cacheKey);
+  if (seed === undefined && cached && now - cached.projectedAt < CACHE_TTL_MS) {
+    return cached.projection;
+  }
+
+  const schedule = await getSchedule();
+
+  const investments = await Investment.find({ investor: investorId, status: 'active' })
+    .populate('loan', 'grade');
+
+  // Months are counted from the current one; anything overdue is expected this month
+  const currentMonth = now.getUTCFullYear() * 12 + now.getUTCMonth();
+  const monthIndex = date => Math.max(0, date.getUTCFullYear() * 12 + date.getUTCMonth() - currentMonth);
+
+  const positions = investments.filter(investment => investment.loan).map(investment => toPosition(investment, monthIndex));
+  const horizon = Math.max(0, ...positions.flatMap(position => position.installments.map(entry => entry.month + 1)));
+  const invested = positions.reduce((sum, position) => sum + position.amount, 0);
+  const alreadyReceived = positions.reduce((sum, position) => sum + position.received, 0);
+
+  const random = createRandom(seed === undefined ? Date.now() : Number(seed));
+  const netReturns = [];
+  const losses = [];
+  const cashFlows = Array.from({ length: horizon }, () => []);
+
+  for (let run = 0; run < runs; run++) {
+    if (run > 0 && run % YIELD_EVERY === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const monthly = new Array(horizon).fill(0);
+    let lost = 0;
+
+    positions.forEach(position => {
+      let outstanding = position.installments.reduce((sum, entry) => sum + entry.principal, 0);
+
+      for (const installment of position.installments) {
+        const draw = random();
+
+        if (draw < position.defaultRate) {
+          const recovered = outstanding * position.recoveryRate;
+          monthly[installment.month] += recovered * (1 - schedule.servicing.rate);
+          lost += outstanding - recovered;
+          break;
+        }
+
+        if (draw < position.defaultRate + position.prepaymentRate) {
+          monthly[installment.month] += outstanding * (1 - schedule.servicing.rate);
+          break;
+        }
+
+        monthly[installment.month] += installment.total * (1 - schedule.servicing.rate);
+        outstanding -= installment.principal;
+      }
+    });
+
+    const future = monthly.reduce((sum, amount) => sum + amount, 0);
+    netReturns.push(alreadyReceived + future - invested);
+    losses.push(lost);
+    monthly.forEach((amount, month) => cashFlows[month].push(amount));
+  }
+
+  const netReturn = bands(netReturns);
+  const firstMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const projection = {
+    simulations: runs,
+    activeInvestments: positions.length,
+    invested: roundToCents(invested),
+    alreadyReceived: roundToCents(alreadyReceived),
+    netReturn,
+    netReturnPercent: Object.entries(netReturn).reduce((result, [key, value]) => ({
+      ...result,
+      [key]: invested > 0 ? Math.round((value / invested) * 10000) / 100 : 0
+    }), {}),
+    principalLost: bands(losses),
+    cashFlow: cashFlows.map((values, month) => ({
+      month: monthKey(new Date(Date.UTC(firstMonth.getUTCFullYear(), firstMonth.getUTCMonth() + month, 1))),
+      ...bands(values)
+    })),
+    assumptions: gradeAssumptions
+  };
+
+  if (seed === undefined) {
+    cache.forEach((entry, key) => {
+      if (now - entry.projectedAt >= CACHE_TTL_MS) cache.delete(key);
+    });
+    cache.set(cacheKey, { projection, projectedAt: now });
+  }
+
+  return projection;
+};
+
+module.exports = {
+  projectPortfolio
+};
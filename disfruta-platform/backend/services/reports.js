@@ -0,0 +1,726 @@
+const mongoose = require('mongoose');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const User = require('../models/User');
+const Loan = require('../models/Loan');
+const Investment = require('../models/Investment');
+const Payment = require('../models/Payment');
+const CollectionCase = require('../models/CollectionCase');
+const JournalEntry = require('../models/JournalEntry');
+const LedgerAccount = require('../models/LedgerAccount');
+const GeneratedReport = require('../models/GeneratedReport');
+const ReportSchedule = require('../models/ReportSchedule');
+const { getRevenueReport } = require('./fees');
+const { roundToCents } = require('../utils/money');
+const { createHttpError } = require('../utils/helpers');
+const { csvHeader, csvRow } = require('../utils/csv');
+const { buckets } = require('../config/collections');
+const { FILE_FORMATS, CONTENT_TYPES, RETENTION_DAYS } = require('../config/reports');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Match on a date field for an optional start and end
+ * @param {string} field - Document path
+ * @param {Object} range - startDate and endDate, either may be missing
+ * @returns {Object} $match fragment
+ */
+const dateMatch = (field, { startDate, endDate }) => {
+  if (!startDate && !endDate) return {};
+
+  const bounds = {};
+  if (startDate) bounds.$gte = startDate;
+  if (endDate) bounds.$lte = endDate;
+  return { [field]: bounds };
+};
+
+const monthLabel = ({ year, month }) => `${year}-${String(month).padStart(2, '0')}`;
+const idText = id => (id ? id.toString() : '');
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+/**
+ * Yield each document of a cursor or array through a mapping function
+ * @param {AsyncIterable|Array} source - Aggregation cursor, query cursor or array
+ * @param {Function} map - Turns a document into a report row
+ */
+async function* mapRows(source, map) {
+  for await (const doc of source) {
+    yield map(doc);
+  }
+}
+
+/**
+ * Count and sum grouped by status, for the original summary reports
+ * @param {Object} Model - Mongoose model
+ * @param {Object} range - Date range on createdAt
+ * @param {Object} sums - Extra $group accumulators
+ */
+const statusSummary = (Model, range, sums) => Model.aggregate([
+  { $match: dateMatch('createdAt', range) },
+  { $group: { _id: '$status', count: { $sum: 1 }, ...sums } },
+  { $sort: { _id: 1 } }
+]).cursor();
+
+// Report types. Each has columns ({ header, key, type }) and rows(range), an async iterable of
+// flat rows so large reports can be streamed straight to a file.
+const reports = {
+  users: {
+    title: 'New users by month',
+    columns: [
+      { header: 'Month', key: 'month' },
+      { header: 'New Users', key: 'count', type: 'integer' },
+      { header: 'Email Verified', key: 'verified', type: 'integer' },
+      { header: 'KYC Verified', key: 'kycVerified', type: 'integer' }
+    ],
+    rows: range => mapRows(User.aggregate([
+      { $match: dateMatch('createdAt', range) },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$createdAt' },
+            month: { $month: '$createdAt' }
+          },
+          count: { $sum: 1 },
+          verified: { $sum: { $cond: ['$isVerified', 1, 0] } },
+          kycVerified: { $sum: { $cond: [{ $eq: ['$kycStatus', 'verified'] }, 1, 0] } }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]).cursor(), doc => ({
+      month: monthLabel(doc._id),
+      count: doc.count,
+      verified: doc.verified,
+      kycVerified: doc.kycVerified
+    }))
+  },
+
+  loans: {
+    title: 'Loans by status',
+    columns: [
+      { header: 'Status', key: 'status' },
+      { header: 'Loans', key: 'count', type: 'integer' },
+      { header: 'Total Amount', key: 'totalAmount', type: 'money' },
+      { header: 'Average Amount', key: 'averageAmount', type: 'money' }
+    ],
+    rows: range => mapRows(statusSummary(Loan, range, {
+      totalAmount: { $sum: '$amount' },
+      averageAmount: { $avg: '$amount' }
+    }), doc => ({
+      status: doc._id,
+      count: doc.count,
+      totalAmount: roundToCents(doc.totalAmount),
+      averageAmount: roundToCents(doc.averageAmount)
+    }))
+  },
+
+  investments: {
+    title: 'Investments by status',
+    columns: [
+      { header: 'Status', key: 'status' },
+      { header: 'Investments', key: 'count', type: 'integer' },
+      { header: 'Total Amount', key: 'totalAmount', type: 'money' },
+      { header: 'Interest Earned', key: 'totalEarned', type: 'money' }
+    ],
+    rows: range => mapRows(statusSummary(Investment, range, {
+      totalAmount: { $sum: '$amount' },
+      totalEarned: { $sum: '$interestEarned' }
+    }), doc => ({
+      status: doc._id,
+      count: doc.count,
+      totalAmount: roundToCents(doc.totalAmount),
+      totalEarned: roundToCents(doc.totalEarned)
+    }))
+  },
+
+  payments: {
+    title: 'Payments by status',
+    columns: [
+      { header: 'Status', key: 'status' },
+      { header: 'Payments', key: 'count', type: 'integer' },
+      { header: 'Total Amount', key: 'totalAmount', type: 'money' },
+      { header: 'Average Amount', key: 'averageAmount', type: 'money' }
+    ],
+    rows: range => mapRows(statusSummary(Payment, range, {
+      totalAmount: { $sum: '$amount' },
+      averageAmount: { $avg: '$amount' }
+    }), doc => ({
+      status: doc._id,
+      count: doc.count,
+      totalAmount: roundToCents(doc.totalAmount),
+      averageAmount: roundToCents(doc.averageAmount)
+    }))
+  },
+
+  revenue: {
+    title: 'Fee revenue by month',
+    columns: [
+      { header: 'Month', key: 'month' },
+      { header: 'Origination', key: 'origination', type: 'money' },
+      { header: 'Servicing', key: 'servicing', type: 'money' },
+      { header: 'Late', key: 'late', type: 'money' },
+      { header: 'NSF', key: 'nsf', type: 'money' },
+      { header: 'Total', key: 'total', type: 'money' }
+    ],
+    // Fee income straight from the ledger; one row per month so it is small enough to build in memory
+    rows: async function* (range) {
+      const { months } = await getRevenueReport(range);
+      yield* months;
+    }
+  },
+
+  originations: {
+    title: 'Originations by grade',
+    columns: [
+      { header: 'Grade', key: 'grade' },
+      { header: 'Loans', key: 'loans', type: 'integer' },
+      { header: 'Principal', key: 'amount', type: 'money' },
+      { header: 'Average Amount', key: 'averageAmount', type: 'money' },
+      { header: 'Average Rate %', key: 'averageRate', type: 'number' },
+      { header: 'Average Term (months)', key: 'averageTerm', type: 'number' },
+      { header: 'Origination Fees', key: 'originationFees', type: 'money' },
+      { header: 'Disbursed', key: 'disbursedAmount', type: 'money' },
+      { header: 'Defaulted', key: 'defaulted', type: 'integer' },
+      { header: 'Default Rate %', key: 'defaultRate', type: 'number' }
+    ],
+    // Loans by the date repayment started, i.e. when the funds went out
+    rows: range => mapRows(Loan.aggregate([
+      { $match: { startDate: { $ne: null }, ...dateMatch('startDate', range) } },
+      {
+        $group: {
+          _id: '$grade',
+          loans: { $sum: 1 },
+          amount: { $sum: '$amount' },
+          averageAmount: { $avg: '$amount' },
+          averageRate: { $avg: '$interestRate' },
+          averageTerm: { $avg: '$term' },
+          originationFees: { $sum: '$originationFee' },
+          disbursedAmount: { $sum: { $ifNull: ['$disbursedAmount', '$amount'] } },
+          defaulted: { $sum: { $cond: [{ $eq: ['$status', 'defaulted'] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]).cursor(), doc => ({
+      grade: doc._id,
+      loans: doc.loans,
+      amount: roundToCents(doc.amount),
+      averageAmount: roundToCents(doc.averageAmount),
+      averageRate: Math.round(doc.averageRate * 100) / 100,
+      averageTerm: Math.round(doc.averageTerm * 10) / 10,
+      originationFees: roundToCents(doc.originationFees),
+      disbursedAmount: roundToCents(doc.disbursedAmount),
+      defaulted: doc.defaulted,
+      defaultRate: ratio(doc.defaulted, doc.loans)
+    }))
+  },
+
+  collections: {
+    title: 'Collections performance by bucket',
+    columns: [
+      { header: 'Bucket', key: 'bucket' },
+      { header: 'Days Past Due', key: 'label' },
+      { header: 'Cases Entered', key: 'entered', type: 'integer' },
+      { header: 'Cured', key: 'cured', type: 'integer' },
+      { header: 'Defaulted', key: 'defaulted', type: 'integer' },
+      { header: 'Still Open', key: 'open', type: 'integer' },
+      { header: 'Cure Rate %', key: 'cureRate', type: 'number' },
+      { header: 'Default Rate %', key: 'defaultRate', type: 'number' },
+      { header: 'Open Amount Past Due', key: 'openAmountPastDue', type: 'money' }
+    ],
+    // Cases counted in every bucket they entered during the range, with where they ended up
+    rows: async function* (range) {
+      const totals = await CollectionCase.aggregate([
+        { $unwind: '$transitions' },
+        {
+          $match: {
+            'transitions.to': { $in: buckets.map(bucket => bucket.id) },
+            ...dateMatch('transitions.date', range)
+          }
+        },
+        {
+          $group: {
+            _id: { bucket: '$transitions.to', case: '$_id' },
+            status: { $first: '$status' },
+            amountPastDue: { $first: '$amountPastDue' }
+          }
+        },
+        {
+          $group: {
+            _id: '$_id.bucket',
+            entered: { $sum: 1 },
+            cured: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
+            defaulted: { $sum: { $cond: [{ $eq: ['$status', 'defaulted'] }, 1, 0] } },
+            open: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+            openAmountPastDue: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, '$amountPastDue', 0] } }
+          }
+        }
+      ]);
+      const byBucket = new Map(totals.map(total => [total._id, total]));
+
+      for (const bucket of buckets) {
+        const total = byBucket.get(bucket.id) || { entered: 0, cured: 0, defaulted: 0, open: 0, openAmountPastDue: 0 };
+        yield {
+          bucket: bucket.id,
+          label: bucket.label,
+          entered: total.entered,
+          cured: total.cured,
+          defaulted: total.defaulted,
+          open: total.open,
+          cureRate: ratio(total.cured, total.entered),
+          defaultRate: ratio(total.defaulted, total.entered),
+          openAmountPastDue: roundToCents(total.openAmountPastDue)
+        };
+      }
+    }
+  },
+
+  'investor-cash-flows': {
+    title: 'Investor cash flows',
+    columns: [
+      { header: 'Investor', key: 'investor' },
+      { header: 'Name', key: 'name' },
+      { header: 'Email', key: 'email' },
+      { header: 'Deposits', key: 'deposits', type: 'money' },
+      { header: 'Withdrawals', key: 'withdrawals', type: 'money' },
+      { header: 'Invested', key: 'invested', type: 'money' },
+      { header: 'Refunds', key: 'refunds', type: 'money' },
+      { header: 'Distributions', key: 'distributions', type: 'money' },
+      { header: 'Secondary Market', key: 'secondaryMarket', type: 'money' },
+      { header: 'Net Cash Flow', key: 'netCashFlow', type: 'money' }
+    ],
+    // Movements on each investor cash account in the ledger; outflows are negative
+    rows: range => mapRows(JournalEntry.aggregate([
+      { $match: dateMatch('postedAt', range) },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { account: '$lines.account', type: '$type' },
+          net: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+        }
+      },
+      { $group: { _id: '$_id.account', flows: { $push: { type: '$_id.type', net: '$net' } } } },
+      {
+        $lookup: {
+          from: LedgerAccount.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'account'
+        }
+      },
+      { $unwind: '$account' },
+      { $match: { 'account.category': 'investor_cash' } },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: 'account.owner',
+          foreignField: '_id',
+          as: 'owner'
+        }
+      },
+      { $unwind: { path: '$owner', preserveNullAndEmptyArrays: true } },
+      { $sort: { 'account.owner': 1 } }
+    ]).cursor(), doc => {
+      const flow = type => roundToCents(doc.flows
+        .filter(entry => entry.type === type)
+        .reduce((sum, entry) => sum + entry.net, 0));
+
+      return {
+        investor: idText(doc.account.owner),
+        name: doc.owner ? `${doc.owner.firstName} ${doc.owner.lastName}` : '',
+        email: doc.owner ? doc.owner.email : '',
+        deposits: flow('deposit'),
+        withdrawals: flow('withdrawal'),
+        invested: flow('funding'),
+        refunds: flow('refund'),
+        distributions: flow('distribution'),
+        secondaryMarket: flow('secondary_sale'),
+        netCashFlow: roundToCents(doc.flows.reduce((sum, entry) => sum + entry.net, 0))
+      };
+    })
+  },
+
+  'loan-tape': {
+    title: 'Funded loan tape',
+    columns: [
+      { header: 'Loan', key: 'loan' },
+      { header: 'Borrower', key: 'borrower' },
+      { header: 'Grade', key: 'grade' },
+      { header: 'Purpose', key: 'purpose' },
+      { header: 'Status', key: 'status' },
+      { header: 'Amount', key: 'amount', type: 'money' },
+      { header: 'Interest Rate %', key: 'interestRate', type: 'number' },
+      { header: 'Term (months)', key: 'term', type: 'integer' },
+      { header: 'Monthly Payment', key: 'monthlyPayment', type: 'money' },
+      { header: 'Origination Fee', key: 'originationFee', type: 'money' },
+      { header: 'Disbursed', key: 'disbursedAmount', type: 'money' },
+      { header: 'Originated', key: 'startDate', type: 'date' },
+      { header: 'Maturity', key: 'maturityDate', type: 'date' },
+      { header: 'Principal & Interest Paid', key: 'paidAmount', type: 'money' },
+      { header: 'Remaining Balance', key: 'remainingBalance', type: 'money' },
+      { header: 'Payments Made', key: 'paymentsCount', type: 'integer' },
+      { header: 'Missed Payments', key: 'missedPayments', type: 'integer' },
+      { header: 'Days Past Due', key: 'daysPastDue', type: 'integer' },
+      { header: 'Collections Bucket', key: 'collectionsBucket' },
+      { header: 'Investors', key: 'investors', type: 'integer' },
+      { header: 'Fee Schedule', key: 'feeScheduleVersion', type: 'integer' }
+    ],
+    // One row per loan that has been disbursed, originated within the range
+    rows: range => mapRows(Loan.aggregate([
+      { $match: { startDate: { $ne: null }, ...dateMatch('startDate', range) } },
+      { $sort: { startDate: 1, _id: 1 } },
+      {
+        $lookup: {
+          from: CollectionCase.collection.name,
+          let: { loanId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$loan', '$$loanId'] }, { $eq: ['$status', 'open'] }] } } },
+            { $project: { bucket: 1, daysPastDue: 1 } }
+          ],
+          as: 'collectionCase'
+        }
+      },
+      {
+        $lookup: {
+          from: Investment.collection.name,
+          let: { loanId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$loan', '$$loanId'] }, { $ne: ['$status', 'cancelled'] }] } } },
+            { $group: { _id: '$investor' } },
+            { $count: 'count' }
+          ],
+          as: 'investorCount'
+        }
+      }
+    ]).cursor(), doc => {
+      const collectionCase = doc.collectionCase[0];
+
+      return {
+        loan: idText(doc._id),
+        borrower: idText(doc.borrower),
+        grade: doc.grade,
+        purpose: doc.purpose,
+        status: doc.status,
+        amount: doc.amount,
+        interestRate: doc.interestRate,
+        term: doc.term,
+        monthlyPayment: doc.monthlyPayment,
+        originationFee: doc.originationFee || 0,
+        disbursedAmount: doc.disbursedAmount ?? doc.amount,
+        startDate: doc.startDate,
+        maturityDate: doc.maturityDate,
+        paidAmount: roundToCents(doc.paidAmount || 0),
+        remainingBalance: roundToCents(doc.remainingBalance || 0),
+        paymentsCount: doc.paymentsCount || 0,
+        missedPayments: doc.missedPayments || 0,
+        daysPastDue: collectionCase ? collectionCase.daysPastDue : 0,
+        collectionsBucket: collectionCase ? collectionCase.bucket : '',
+        investors: doc.investorCount[0] ? doc.investorCount[0].count : 0,
+        feeScheduleVersion: doc.feeScheduleVersion
+      };
+    })
+  }
+};
+
+const REPORT_TYPES = Object.keys(reports);
+
+/**
+ * Look up a report definition
+ * @param {string} type - Report type
+ * @returns {Object} Report definition
+ */
+const getReport = (type) => {
+  if (!reports[type]) {
+    throw createHttpError(400, `Invalid report type. Available types: ${REPORT_TYPES.join(', ')}`);
+  }
+  return reports[type];
+};
+
+/**
+ * Parse an optional date range from request input
+ * @param {Object} input - startDate and endDate as strings
+ * @returns {Object} startDate and endDate as Dates, or undefined when not given
+ */
+const parseRange = ({ startDate, endDate } = {}) => {
+  const range = {};
+  if (startDate) range.startDate = new Date(startDate);
+  if (endDate) range.endDate = new Date(endDate);
+
+  if ([range.startDate, range.endDate].some(date => date && Number.isNaN(date.getTime()))) {
+    throw createHttpError(400, 'Start and end dates must be valid dates');
+  }
+  if (range.startDate && range.endDate && range.startDate > range.endDate) {
+    throw createHttpError(400, 'Start date must be before the end date');
+  }
+
+  return range;
+};
+
+/**
+ * Date range a scheduled report covers when it runs
+ * @param {string} period - previous_day, month_to_date, previous_month or all_time
+ * @param {Date} now - Time of the run
+ * @returns {Object} startDate and endDate (inclusive)
+ */
+const getPeriodRange = (period, now = new Date()) => {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  switch (period) {
+    case 'previous_day':
+      return { startDate: new Date(today.getTime() - DAY_MS), endDate: new Date(today.getTime() - 1) };
+    case 'month_to_date':
+      return { startDate: monthStart, endDate: now };
+    case 'previous_month':
+      return {
+        startDate: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)),
+        endDate: new Date(monthStart.getTime() - 1)
+      };
+    default:
+      return {};
+  }
+};
+
+/**
+ * All rows of a report, for JSON responses
+ * @param {string} type - Report type
+ * @param {Object} range - startDate and endDate
+ * @returns {Array} Rows
+ */
+const collectReport = async (type, range) => {
+  const rows = [];
+  for await (const row of getReport(type).rows(range)) {
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Write a report as CSV, waiting for the stream to drain so memory stays flat
+ * @returns {number} Rows written
+ */
+const writeCsv = async (report, rows, stream) => {
+  const write = async (chunk) => {
+    if (!stream.write(chunk)) await once(stream, 'drain');
+  };
+
+  let count = 0;
+  await write(`${csvHeader(report.columns)}\r\n`);
+  for await (const row of rows) {
+    await write(`${csvRow(report.columns, row)}\r\n`);
+    count += 1;
+  }
+  stream.end();
+
+  return count;
+};
+
+const NUMBER_FORMATS = {
+  money: '#,##0.00',
+  number: '0.00',
+  integer: '0',
+  date: 'yyyy-mm-dd'
+};
+
+/**
+ * Write a report as XLSX with the streaming workbook writer, committing each row as it goes
+ * @returns {number} Rows written
+ */
+const writeXlsx = async (report, rows, stream) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(report.title.slice(0, 31));
+
+  sheet.columns = report.columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2),
+    style: NUMBER_FORMATS[column.type] ? { numFmt: NUMBER_FORMATS[column.type] } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  let count = 0;
+  for await (const row of rows) {
+    sheet.addRow(row).commit();
+    count += 1;
+  }
+  sheet.commit();
+  await workbook.commit();
+
+  return count;
+};
+
+/**
+ * Stream a report to a writable stream
+ * @param {string} type - Report type
+ * @param {Object} range - startDate and endDate
+ * @param {string} format - csv or xlsx
+ * @param {Object} stream - Writable stream; ended when the report is written
+ * @returns {number} Rows written
+ */
+const writeReport = (type, range, format, stream) => {
+  const report = getReport(type);
+  const rows = report.rows(range);
+
+  return format === 'xlsx' ? writeXlsx(report, rows, stream) : writeCsv(report, rows, stream);
+};
+
+/**
+ * File name for a report download
+ * @param {string} type - Report type
+ * @param {Object} range - startDate and endDate
+ * @param {string} format - csv or xlsx
+ * @returns {string}
+ */
+const reportFileName = (type, range, format) => {
+  const day = date => date.toISOString().slice(0, 10);
+  const span = range.startDate || range.endDate
+    ? `-${range.startDate ? day(range.startDate) : 'start'}-to-${range.endDate ? day(range.endDate) : 'now'}`
+    : '';
+  return `disfruta-${type}${span}.${format}`;
+};
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'reports' });
+
+/**
+ * Generate a report file and keep it for download
+ * @param {Object} options - type, format, range, schedule and requestedBy
+ * @param {Object} existing - GeneratedReport already created in the running state, if any
+ * @returns {Object} GeneratedReport document
+ */
+const generateStoredReport = async ({ type, format, range = {}, schedule, requestedBy }, existing) => {
+  getReport(type);
+  if (!FILE_FORMATS.includes(format)) {
+    throw createHttpError(400, `Format must be one of: ${FILE_FORMATS.join(', ')}`);
+  }
+
+  const record = existing || await GeneratedReport.create({
+    type,
+    format,
+    startDate: range.startDate,
+    endDate: range.endDate,
+    schedule,
+    requestedBy
+  });
+  const fileName = reportFileName(type, range, format);
+
+  try {
+    const upload = getBucket().openUploadStream(fileName, {
+      contentType: CONTENT_TYPES[format],
+      metadata: { report: record._id, type }
+    });
+    const rowCount = await writeReport(type, range, format, upload);
+    await finished(upload);
+
+    record.status = 'completed';
+    record.fileId = upload.id;
+    record.fileName = fileName;
+    record.size = upload.length;
+    record.rowCount = rowCount;
+    record.completedAt = new Date();
+    record.expiresAt = new Date(Date.now() + RETENTION_DAYS * DAY_MS);
+  } catch (error) {
+    console.error(`Report ${type} generation failed:`, error);
+    record.status = 'failed';
+    record.error = error.message;
+    record.completedAt = new Date();
+  }
+
+  return record.save();
+};
+
+/**
+ * Start generating a report file in the background
+ * @param {Object} options - type, format, range and requestedBy
+ * @returns {Object} GeneratedReport in the running state
+ */
+const queueStoredReport = async (options) => {
+  getReport(options.type);
+  if (!FILE_FORMATS.includes(options.format)) {
+    throw createHttpError(400, `Format must be one of: ${FILE_FORMATS.join(', ')}`);
+  }
+
+  const record = await GeneratedReport.create({
+    type: options.type,
+    format: options.format,
+    startDate: options.range.startDate,
+    endDate: options.range.endDate,
+    requestedBy: options.requestedBy
+  });
+
+  generateStoredReport(options, record).catch(error => {
+    console.error('Queued report error:', error);
+  });
+
+  return record;
+};
+
+/**
+ * Open a stored report file for download
+ * @param {Object} record - Completed GeneratedReport
+ * @returns {Object} Readable stream
+ */
+const openReportFile = (record) => getBucket().openDownloadStream(record.fileId);
+
+/**
+ * Delete report files past their retention date
+ * @param {Date} now - Reference time
+ * @returns {number} Reports deleted
+ */
+const purgeExpiredReports = async (now = new Date()) => {
+  const expired = await GeneratedReport.find({ expiresAt: { $lte: now } });
+
+  for (const record of expired) {
+    if (record.fileId) {
+      try {
+        await getBucket().delete(record.fileId);
+      } catch (error) {
+        // Already gone; drop the record anyway
+        console.error(`Report file ${record.fileId} could not be deleted:`, error.message);
+      }
+    }
+    await record.deleteOne();
+  }
+
+  return expired.length;
+};
+
+/**
+ * Run every enabled report schedule and clear out expired files; run by the nightly job
+ * @param {Date} now - Reference time
+ * @returns {Object} Summary of the run
+ */
+const runScheduledReports = async (now = new Date()) => {
+  const schedules = await ReportSchedule.find({ enabled: true });
+  const summary = { schedules: schedules.length, completed: 0, failed: 0, purged: 0 };
+
+  for (const schedule of schedules) {
+    const record = await generateStoredReport({
+      type: schedule.type,
+      format: schedule.format,
+      range: getPeriodRange(schedule.period, now),
+      schedule: schedule._id
+    });
+    summary[record.status === 'completed' ? 'completed' : 'failed'] += 1;
+
+    schedule.lastRunAt = now;
+    schedule.lastReport = record._id;
+    await schedule.save();
+  }
+
+  summary.purged = await purgeExpiredReports(now);
+  return summary;
+};
+
+module.exports = {
+  REPORT_TYPES,
+  getReport,
+  parseRange,
+  getPeriodRange,
+  collectReport,
+  writeReport,
+  reportFileName,
+  generateStoredReport,
+  queueStoredReport,
+  openReportFile,
+  purgeExpiredReports,
+  runScheduledReports
+};
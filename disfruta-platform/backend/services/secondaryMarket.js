@@ -0,0 +1,225 @@
+const Investment = require('../models/Investment');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const NoteListing = require('../models/NoteListing');
+const { roundToCents } = require('../utils/money');
+const ledger = require('./ledger');
+const cashAccounts = require('./cashAccount');
+const { withTransaction } = require('../utils/transaction');
+const { createHttpError } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Interest accrued on a slice of a note since its last payment
+ * @param {Object} investment - Seller's investment
+ * @param {Object} loan - Underlying loan
+ * @param {number} principal - Principal being priced
+ * @param {Date} asOf - Reference time
+ * @returns {number} Accrued interest, never more than the next installment's interest for that slice
+ */
+const calculateAccruedInterest = (investment, loan, principal, asOf = new Date()) => {
+  const accrualStart = investment.lastPaymentDate || loan.startDate;
+  if (!accrualStart || investment.remainingAmount <= 0) return 0;
+
+  const days = Math.max(0, Math.floor((asOf - accrualStart) / DAY_MS));
+  const accrued = principal * (loan.interestRate / 100) / 365 * days;
+
+  const nextInstallment = investment.paymentSchedule.find(p => p.status === 'pending');
+  if (!nextInstallment) return 0;
+
+  const share = principal / investment.remainingAmount;
+  return roundToCents(Math.min(accrued, nextInstallment.interestAmount * share));
+};
+
+/**
+ * Price a slice of a note at a premium or discount to outstanding principal
+ * @param {Object} investment - Seller's investment
+ * @param {Object} loan - Underlying loan
+ * @param {number} principal - Principal being priced
+ * @param {number} markupPercent - Premium (positive) or discount (negative) in percent
+ * @returns {Object} Price, accrued interest and the model fair value for the slice
+ */
+const quoteNote = (investment, loan, principal, markupPercent = 0, asOf = new Date()) => {
+  const share = investment.remainingAmount > 0 ? principal / investment.remainingAmount : 0;
+
+  return {
+    principal: roundToCents(principal),
+    markupPercent,
+    price: roundToCents(principal * (1 + markupPercent / 100)),
+    accruedInterest: calculateAccruedInterest(investment, loan, principal, asOf),
+    fairValue: roundToCents(investment.calculateSecondaryMarketValue() * share)
+  };
+};
+
+// Split the seller's remaining installments, giving the buyer `fraction` of each
+const splitSchedule = (seller, fraction) => {
+  const buyerSchedule = [];
+
+  for (const entry of seller.paymentSchedule) {
+    if (entry.status !== 'pending') continue;
+
+    const principalAmount = roundToCents(entry.principalAmount * fraction);
+    const interestAmount = roundToCents(entry.interestAmount * fraction);
+
+    buyerSchedule.push({
+      paymentNumber: entry.paymentNumber,
+      dueDate: entry.dueDate,
+      principalAmount,
+      interestAmount,
+      totalAmount: roundToCents(principalAmount + interestAmount),
+      status: 'pending'
+    });
+
+    // Seller keeps the rest so both sides always add up to the original installment
+    entry.principalAmount = roundToCents(entry.principalAmount - principalAmount);
+    entry.interestAmount = roundToCents(entry.interestAmount - interestAmount);
+    entry.totalAmount = roundToCents(entry.principalAmount + entry.interestAmount);
+  }
+
+  return buyerSchedule;
+};
+
+/**
+ * Buy principal from a listing and settle the trade. The claim on the listing, the buyer's payment and
+ * new note, the seller's reduced note, the ledger and the seller's proceeds commit together.
+ * @param {string} listingId - Listing being bought from
+ * @param {string} buyerId - Buying user
+ * @param {number} principal - Principal to buy; defaults to everything left on the listing
+ * @returns {Object} Updated listing, the buyer's new investment and the trade
+ */
+const settlePurchase = async (listingId, buyerId, principal) => withTransaction(async () => {
+  const listing = await NoteListing.findById(listingId);
+  if (!listing || !listing.isAvailable) {
+    throw createHttpError(400, 'Listing is not available');
+  }
+
+  const amount = roundToCents(principal || listing.principalRemaining);
+  if (amount <= 0 || amount > listing.principalRemaining) {
+    throw createHttpError(400, `Purchase must be between $0.01 and $${listing.principalRemaining}`);
+  }
+
+  // Claim the principal atomically so two buyers cannot take the same slice
+  const claimed = await NoteListing.findOneAndUpdate(
+    { _id: listing._id, status: 'active', principalRemaining: { $gte: amount } },
+    { $inc: { principalRemaining: -amount } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw createHttpError(409, 'Listing was updated by another purchase, please try again');
+  }
+
+  const seller = await Investment.findById(listing.investment);
+  const loan = await Loan.findById(listing.loan);
+
+  if (!seller || seller.status !== 'active') {
+    throw createHttpError(400, 'Note is no longer active');
+  }
+  if (!loan || !['funded', 'active'].includes(loan.status)) {
+    throw createHttpError(400, 'Loan is no longer in repayment');
+  }
+  if (amount > roundToCents(seller.remainingAmount)) {
+    throw createHttpError(400, 'Seller no longer holds enough principal');
+  }
+
+  const now = new Date();
+  const quote = quoteNote(seller, loan, amount, listing.markupPercent, now);
+  const isWholeNote = roundToCents(seller.remainingAmount - amount) <= 0;
+  const fraction = amount / seller.remainingAmount;
+
+  // Buyer pays price plus accrued interest out of their cash account
+  const cost = roundToCents(quote.price + quote.accruedInterest);
+  if (!(await cashAccounts.debit(buyerId, cost))) {
+    throw createHttpError(400, `Insufficient available cash: $${cost.toFixed(2)} needed`);
+  }
+
+  const buyerSchedule = splitSchedule(seller, fraction);
+  const buyerInterest = buyerSchedule.reduce((sum, entry) => sum + entry.interestAmount, 0);
+
+  const buyerInvestment = await Investment.create({
+    investor: buyerId,
+    loan: loan._id,
+    amount,
+    percentage: (amount / loan.amount) * 100,
+    status: 'active',
+    investmentDate: now,
+    expectedReturn: roundToCents(buyerInterest),
+    monthlyReturn: buyerSchedule.length > 0 ? roundToCents(buyerInterest / buyerSchedule.length) : 0,
+    expectedPayments: buyerSchedule.length,
+    paymentSchedule: buyerSchedule,
+    lastPaymentDate: seller.lastPaymentDate,
+    nextPaymentDate: buyerSchedule.length > 0 ? buyerSchedule[0].dueDate : null,
+    secondaryMarket: {
+      purchasedFrom: seller._id,
+      listing: listing._id,
+      purchasePrice: quote.price,
+      accruedInterestPaid: quote.accruedInterest
+    },
+    metadata: { source: 'secondary_market' }
+  });
+
+  // Seller realizes the price difference on the principal and keeps the interest accrued so far.
+  // The buyer realizes nothing until the note is repaid or sold on.
+  const sellerGainLoss = roundToCents(quote.price - amount);
+  seller.secondaryMarket.principalSold = roundToCents(seller.secondaryMarket.principalSold + amount);
+  seller.secondaryMarket.saleProceeds = roundToCents(seller.secondaryMarket.saleProceeds + quote.price);
+  seller.secondaryMarket.realizedGainLoss = roundToCents(seller.secondaryMarket.realizedGainLoss + sellerGainLoss);
+  seller.interestEarned = roundToCents(seller.interestEarned + quote.accruedInterest);
+  seller.expectedReturn = roundToCents(seller.expectedReturn - buyerInterest);
+
+  if (isWholeNote) {
+    seller.status = 'sold';
+    seller.paymentSchedule = seller.paymentSchedule.filter(entry => entry.status !== 'pending');
+    seller.nextPaymentDate = null;
+  }
+  await seller.save();
+
+  await User.findByIdAndUpdate(buyerId, {
+    $inc: { 'statistics.totalInvested': cost }
+  });
+  await User.findByIdAndUpdate(listing.seller, {
+    $inc: { 'statistics.totalEarned': roundToCents(quote.accruedInterest + sellerGainLoss) }
+  });
+
+  const trade = {
+    buyer: buyerId,
+    buyerInvestment: buyerInvestment._id,
+    principalAmount: amount,
+    price: quote.price,
+    accruedInterest: quote.accruedInterest,
+    sellerRealizedGainLoss: sellerGainLoss,
+    settledAt: now
+  };
+  claimed.trades.push(trade);
+  await ledger.recordSecondarySale(trade, seller, buyerInvestment);
+  await cashAccounts.credit(listing.seller, cost);
+
+  if (claimed.principalRemaining <= 0 || isWholeNote) {
+    claimed.status = 'sold';
+    claimed.closedAt = now;
+  }
+  await claimed.save();
+
+  return { listing: claimed, investment: buyerInvestment, trade };
+});
+
+/**
+ * Close listings past their expiry date
+ * @param {Date} now - Reference time
+ * @returns {Object} Number of listings expired
+ */
+const expireListings = async (now = new Date()) => {
+  const result = await NoteListing.updateMany(
+    { status: 'active', expiresAt: { $lte: now } },
+    { $set: { status: 'expired', closedAt: now } }
+  );
+
+  return { listingsExpired: result.modifiedCount };
+};
+
+module.exports = {
+  calculateAccruedInterest,
+  quoteNote,
+  settlePurchase,
+  expireListings
+};
@@ -0,0 +1,79 @@
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+require('../models/Investment');
+require('../models/User');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_LEAD_DAYS = 3; // Remind borrowers this many days before the due date
+const REMINDER_INTERVAL_DAYS = 3; // Minimum gap between reminders for the same installment
+const MISSED_PAYMENT_GRACE_DAYS = 15; // Days past due before an installment counts as missed
+
+const outstandingStatuses = ['pending', 'failed'];
+
+/**
+ * Send reminders for installments that are due soon or already overdue
+ * @param {Date} now - Reference time
+ * @returns {Object} Number of reminders sent
+ */
+const sendPaymentReminders = async (now = new Date()) => {
+  const payments = await Payment.find({
+    type: 'scheduled',
+    status: { $in: outstandingStatuses },
+    dueDate: { $lte: new Date(now.getTime() + REMINDER_LEAD_DAYS * DAY_MS) },
+    $or: [
+      { 'notifications.lastReminderDate': { $exists: false } },
+      { 'notifications.lastReminderDate': { $lte: new Date(now.getTime() - REMINDER_INTERVAL_DAYS * DAY_MS) } }
+    ]
+  }).populate('borrower', 'firstName lastName email preferences');
+
+  let remindersSent = 0;
+  for (const payment of payments) {
+    await payment.sendReminder();
+
+    if (payment.borrower && payment.borrower.preferences.emailNotifications) {
+      await emailService.sendPaymentReminder(payment.borrower, payment);
+    }
+    remindersSent += 1;
+  }
+
+  return { remindersSent };
+};
+
+/**
+ * Refresh Loan.missedPayments from installments past the grace period
+ * @param {Date} now - Reference time
+ * @returns {Object} Number of loans updated
+ */
+const updateMissedPayments = async (now = new Date()) => {
+  const missedCounts = await Payment.aggregate([
+    {
+      $match: {
+        type: 'scheduled',
+        status: { $in: outstandingStatuses },
+        dueDate: { $lt: new Date(now.getTime() - MISSED_PAYMENT_GRACE_DAYS * DAY_MS) }
+      }
+    },
+    { $group: { _id: '$loan', missed: { $sum: 1 } } }
+  ]);
+  const missedByLoan = new Map(missedCounts.map(entry => [entry._id.toString(), entry.missed]));
+
+  const loans = await Loan.find({ status: { $in: ['funded', 'active'] } });
+
+  let loansUpdated = 0;
+  for (const loan of loans) {
+    const missed = missedByLoan.get(loan._id.toString()) || 0;
+    if (loan.missedPayments !== missed) {
+      loan.missedPayments = missed;
+      await loan.save();
+      loansUpdated += 1;
+    }
+  }
+
+  return { loansUpdated };
+};
+
+module.exports = {
+  sendPaymentReminders,
+  updateMissedPayments
+};
@@ -0,0 +1,480 @@
+const Payment = require('../models/Payment');
+const Investment = require('../models/Investment');
+const NoteListing = require('../models/NoteListing');
+const CashAccount = require('../models/CashAccount');
+const User = require('../models/User');
+const Statement = require('../models/Statement');
+const ledger = require('./ledger');
+const emailService = require('./emailService');
+const { sumMoney, subtractMoney } = require('../utils/money');
+const { createHttpError, formatCurrency } = require('../utils/helpers');
+const { renderPdf, heading, section, keyValueRows, table, footnote } = require('../utils/pdf');
+const { toCsv } = require('../utils/csv');
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Calendar month bounds in UTC
+ * @param {number|string} year - Statement year
+ * @param {number|string} month - Statement month, 1-12
+ * @returns {Object} year, month, startDate (inclusive) and endDate (exclusive)
+ */
+const getStatementPeriod = (year, month) => {
+  const statementYear = parseInt(year, 10);
+  const statementMonth = parseInt(month, 10);
+  if (!Number.isInteger(statementYear) || statementYear < 2000 ||
+    !Number.isInteger(statementMonth) || statementMonth < 1 || statementMonth > 12) {
+    throw createHttpError(400, 'Statement period is invalid');
+  }
+
+  const startDate = new Date(Date.UTC(statementYear, statementMonth - 1, 1));
+  const endDate = new Date(Date.UTC(statementYear, statementMonth, 1));
+  if (endDate > new Date()) {
+    throw createHttpError(400, `The statement for ${MONTH_NAMES[statementMonth - 1]} ${statementYear} is available once the month has ended`);
+  }
+
+  return { year: statementYear, month: statementMonth, startDate, endDate };
+};
+
+/**
+ * Label for a statement period, e.g. "March 2025"
+ * @param {Object} statement - Statement or period with year and month
+ * @returns {string}
+ */
+const periodLabel = ({ year, month }) => `${MONTH_NAMES[month - 1]} ${year}`;
+
+/**
+ * Put together an investor's balances and activity for a period
+ * @param {string} investorId - Investor user id
+ * @param {Date} startDate - Start of the period, inclusive
+ * @param {Date} endDate - End of the period, exclusive
+ * @returns {Object} Statement fields
+ */
+const buildStatement = async (investorId, startDate, endDate) => {
+  const investments = await Investment.find({ investor: investorId, investmentDate: { $lt: endDate } })
+    .select('loan amount status investmentDate cancelledDate defaultedAt chargedOffPrincipal remainingAmount metadata.source')
+    .populate('loan', 'purpose grade interestRate');
+
+  // Principal repaid and interest received per investment, before and during the period
+  const flows = new Map(investments.map(investment => [investment._id.toString(), {
+    principalBefore: [],
+    principalDuring: [],
+    interestToDate: [],
+    soldBefore: [],
+    soldDuring: []
+  }]));
+
+  const periodTotals = { principal: [], interest: [], fees: [] };
+  const payments = await Payment.find({
+    distribution: { $elemMatch: { investor: investorId, distributedDate: { $lt: endDate } } }
+  }).select('distribution');
+
+  payments.forEach(payment => {
+    payment.distribution
+      .filter(share => share.investor.toString() === investorId.toString() && share.distributedDate < endDate)
+      .forEach(share => {
+        const flow = flows.get(share.investment.toString());
+        const isDuring = share.distributedDate >= startDate;
+        if (flow) {
+          (isDuring ? flow.principalDuring : flow.principalBefore).push(share.principalAmount);
+          flow.interestToDate.push(share.interestAmount);
+        }
+        if (isDuring) {
+          periodTotals.principal.push(share.principalAmount);
+          periodTotals.interest.push(share.interestAmount);
+          periodTotals.fees.push(share.servicingFee || 0);
+        }
+      });
+  });
+
+  const listings = await NoteListing.find({ seller: investorId, 'trades.settledAt': { $lt: endDate } })
+    .select('investment trades');
+  listings.forEach(listing => {
+    const flow = flows.get(listing.investment.toString());
+    if (!flow) return;
+    listing.trades
+      .filter(trade => trade.settledAt < endDate)
+      .forEach(trade => {
+        (trade.settledAt >= startDate ? flow.soldDuring : flow.soldBefore).push(trade.principalAmount);
+      });
+  });
+
+  // Principal still owed to the investor on a note at the start of a day
+  const outstandingAt = (investment, date, repaid) => {
+    if (investment.investmentDate >= date) return 0;
+    if (investment.status === 'cancelled' && (!investment.cancelledDate || investment.cancelledDate < date)) return 0;
+    if (investment.defaultedAt && investment.defaultedAt < date) return 0;
+    return Math.max(0, subtractMoney(investment.amount, sumMoney(repaid)));
+  };
+
+  const newInvestments = [];
+  const defaults = [];
+  const holdings = [];
+  let openingPrincipal = 0;
+  let closingPrincipal = 0;
+
+  investments.forEach(investment => {
+    const flow = flows.get(investment._id.toString());
+    const loanFields = {
+      investment: investment._id,
+      loan: investment.loan ? investment.loan._id : undefined,
+      loanPurpose: investment.loan ? investment.loan.purpose : undefined
+    };
+
+    const opening = outstandingAt(investment, startDate, [...flow.principalBefore, ...flow.soldBefore]);
+    const closing = outstandingAt(investment, endDate, [
+      ...flow.principalBefore, ...flow.soldBefore, ...flow.principalDuring, ...flow.soldDuring
+    ]);
+    openingPrincipal = sumMoney([openingPrincipal, opening]);
+    closingPrincipal = sumMoney([closingPrincipal, closing]);
+
+    if (investment.investmentDate >= startDate) {
+      newInvestments.push({
+        ...loanFields,
+        amount: investment.amount,
+        date: investment.investmentDate,
+        source: investment.metadata.source
+      });
+    }
+
+    if (investment.defaultedAt && investment.defaultedAt >= startDate && investment.defaultedAt < endDate) {
+      defaults.push({
+        ...loanFields,
+        chargedOffPrincipal: investment.chargedOffPrincipal || investment.remainingAmount,
+        date: investment.defaultedAt
+      });
+    }
+
+    if (closing > 0) {
+      holdings.push({
+        ...loanFields,
+        grade: investment.loan ? investment.loan.grade : undefined,
+        interestRate: investment.loan ? investment.loan.interestRate : undefined,
+        amount: investment.amount,
+        outstandingPrincipal: closing,
+        interestReceived: sumMoney(flow.interestToDate)
+      });
+    }
+  });
+
+  const cash = await ledger.getCashActivity(investorId, startDate, endDate);
+  const netCash = (type) => cash.byType[type] || 0;
+
+  return {
+    openingBalance: {
+      cash: cash.openingBalance,
+      principal: openingPrincipal,
+      total: sumMoney([cash.openingBalance, openingPrincipal])
+    },
+    closingBalance: {
+      cash: cash.closingBalance,
+      principal: closingPrincipal,
+      total: sumMoney([cash.closingBalance, closingPrincipal])
+    },
+    activity: {
+      deposits: netCash('deposit'),
+      withdrawals: -netCash('withdrawal'),
+      newInvestments: sumMoney(newInvestments.map(line => line.amount)),
+      refunds: netCash('refund'),
+      principalReceived: sumMoney(periodTotals.principal),
+      interestReceived: sumMoney(periodTotals.interest),
+      fees: sumMoney(periodTotals.fees),
+      secondaryMarket: netCash('secondary_sale'),
+      chargedOffPrincipal: sumMoney(defaults.map(line => line.chargedOffPrincipal))
+    },
+    newInvestments,
+    defaults,
+    holdings
+  };
+};
+
+/**
+ * Whether a statement has nothing to report
+ * @param {Object} fields - Built statement fields
+ * @returns {boolean}
+ */
+const isEmptyStatement = ({ openingBalance, closingBalance, activity }) => {
+  return openingBalance.total === 0 &&
+    closingBalance.total === 0 &&
+    Object.values(activity).every(amount => amount === 0);
+};
+
+/**
+ * Issue an investor's statement for a completed month. A month is only ever issued once;
+ * asking again returns the statement already issued.
+ * @param {string} investorId - Investor user id
+ * @param {number|string} year - Statement year
+ * @param {number|string} month - Statement month, 1-12
+ * @returns {Object} { statement, created }
+ */
+const issueStatement = async (investorId, year, month) => {
+  const period = getStatementPeriod(year, month);
+
+  const existing = await Statement.findOne({ investor: investorId, year: period.year, month: period.month });
+  if (existing) return { statement: existing, created: false };
+
+  const investor = await User.findById(investorId).select('firstName lastName email');
+  if (!investor) throw createHttpError(404, 'Investor not found');
+
+  const fields = await buildStatement(investor._id, period.startDate, period.endDate);
+
+  try {
+    const statement = await Statement.create({
+      investor: investor._id,
+      year: period.year,
+      month: period.month,
+      periodStart: period.startDate,
+      periodEnd: period.endDate,
+      statementNumber: `${period.year}${String(period.month).padStart(2, '0')}-${investor._id.toString().slice(-8).toUpperCase()}`,
+      recipient: {
+        name: `${investor.firstName} ${investor.lastName}`,
+        email: investor.email
+      },
+      ...fields
+    });
+    return { statement, created: true };
+  } catch (error) {
+    // Issued by another request at the same time
+    if (error.code === 11000) {
+      const statement = await Statement.findOne({ investor: investor._id, year: period.year, month: period.month });
+      return { statement, created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Issue statements for every investor with a balance or activity in a month and email a notice for each
+ * @param {number|string} year - Statement year
+ * @param {number|string} month - Statement month, 1-12
+ * @returns {Object} Counts, plus the investors that failed
+ */
+const issueMonthlyStatements = async (year, month) => {
+  const period = getStatementPeriod(year, month);
+
+  const [investors, cashHolders] = await Promise.all([
+    Investment.distinct('investor', { investmentDate: { $lt: period.endDate } }),
+    CashAccount.distinct('user', { createdAt: { $lt: period.endDate } })
+  ]);
+  const investorIds = [...new Set([...investors, ...cashHolders].map(id => id.toString()))];
+
+  const results = {
+    year: period.year,
+    month: period.month,
+    investors: investorIds.length,
+    issued: 0,
+    skipped: 0,
+    notified: 0,
+    failed: []
+  };
+
+  for (const investorId of investorIds) {
+    try {
+      const existing = await Statement.exists({ investor: investorId, year: period.year, month: period.month });
+      if (!existing) {
+        // Accounts with nothing to show do not get a statement
+        const fields = await buildStatement(investorId, period.startDate, period.endDate);
+        if (isEmptyStatement(fields)) {
+          results.skipped += 1;
+          continue;
+        }
+      }
+
+      const { statement, created } = await issueStatement(investorId, period.year, period.month);
+      if (created) results.issued += 1;
+
+      if (!statement.notifiedAt) {
+        const user = await User.findById(investorId).select('firstName email');
+        const sent = await emailService.sendStatementReadyNotification(user, statement);
+        if (sent && sent.success) {
+          await Statement.updateOne({ _id: statement._id }, { $set: { notifiedAt: new Date() } });
+          results.notified += 1;
+        }
+      }
+    } catch (error) {
+      console.error(`Statement generation failed for investor ${investorId}:`, error);
+      results.failed.push({ investor: investorId, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Statements for the month that just ended; run by the monthly job
+ * @returns {Object} Results of the bulk run
+ */
+const issuePreviousMonthStatements = () => {
+  const now = new Date();
+  const previous = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return issueMonthlyStatements(previous.getUTCFullYear(), previous.getUTCMonth() + 1);
+};
+
+/**
+ * Render a statement as PDF
+ * @param {Object} statement - Statement document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderStatementPdf = (statement) => {
+  const { openingBalance, closingBalance, activity } = statement;
+  const money = amount => formatCurrency(amount || 0);
+  const date = value => (value ? value.toISOString().slice(0, 10) : '');
+  const investmentLabel = line => `${line.investment.toString().slice(-8).toUpperCase()}${line.loanPurpose ? ` (${line.loanPurpose})` : ''}`;
+
+  return renderPdf(doc => {
+    heading(
+      doc,
+      `Account Statement — ${periodLabel(statement)}`,
+      `Statement ${statement.statementNumber} · ${statement.recipient.name} · ${date(statement.periodStart)} to ${date(new Date(statement.periodEnd.getTime() - 1))}`
+    );
+
+    section(doc, 'Balances');
+    table(doc, [
+      { header: '', key: 'label', width: 0.4 },
+      { header: 'Opening', key: 'opening', width: 0.3, align: 'right' },
+      { header: 'Closing', key: 'closing', width: 0.3, align: 'right' }
+    ], [
+      { label: 'Available cash', opening: money(openingBalance.cash), closing: money(closingBalance.cash) },
+      { label: 'Outstanding principal', opening: money(openingBalance.principal), closing: money(closingBalance.principal) },
+      { label: 'Account value', opening: money(openingBalance.total), closing: money(closingBalance.total) }
+    ]);
+
+    section(doc, 'Activity');
+    keyValueRows(doc, [
+      ['Deposits', money(activity.deposits)],
+      ['Withdrawals', money(activity.withdrawals)],
+      ['New investments', money(activity.newInvestments)],
+      ['Refunds', money(activity.refunds)],
+      ['Principal received', money(activity.principalReceived)],
+      ['Interest received', money(activity.interestReceived)],
+      ['Servicing fees', money(activity.fees)],
+      ['Secondary market, net', money(activity.secondaryMarket)],
+      ['Principal charged off', money(activity.chargedOffPrincipal)]
+    ]);
+
+    if (statement.newInvestments.length > 0) {
+      section(doc, 'New investments');
+      table(doc, [
+        { header: 'Date', key: 'date', width: 0.2 },
+        { header: 'Investment', key: 'investment', width: 0.45 },
+        { header: 'Source', key: 'source', width: 0.15 },
+        { header: 'Amount', key: 'amount', width: 0.2, align: 'right' }
+      ], statement.newInvestments.map(line => ({
+        date: date(line.date),
+        investment: investmentLabel(line),
+        source: line.source,
+        amount: money(line.amount)
+      })));
+    }
+
+    if (statement.defaults.length > 0) {
+      section(doc, 'Defaults');
+      table(doc, [
+        { header: 'Date', key: 'date', width: 0.2 },
+        { header: 'Investment', key: 'investment', width: 0.5 },
+        { header: 'Charged off', key: 'chargedOffPrincipal', width: 0.3, align: 'right' }
+      ], statement.defaults.map(line => ({
+        date: date(line.date),
+        investment: investmentLabel(line),
+        chargedOffPrincipal: money(line.chargedOffPrincipal)
+      })));
+    }
+
+    section(doc, 'Holdings at month end');
+    if (statement.holdings.length > 0) {
+      table(doc, [
+        { header: 'Investment', key: 'investment', width: 0.34 },
+        { header: 'Grade', key: 'grade', width: 0.08 },
+        { header: 'Rate', key: 'interestRate', width: 0.1, align: 'right' },
+        { header: 'Invested', key: 'amount', width: 0.16, align: 'right' },
+        { header: 'Outstanding', key: 'outstandingPrincipal', width: 0.16, align: 'right' },
+        { header: 'Interest to date', key: 'interestReceived', width: 0.16, align: 'right' }
+      ], statement.holdings.map(line => ({
+        investment: investmentLabel(line),
+        grade: line.grade,
+        interestRate: line.interestRate !== undefined ? `${line.interestRate}%` : '',
+        amount: money(line.amount),
+        outstandingPrincipal: money(line.outstandingPrincipal),
+        interestReceived: money(line.interestReceived)
+      })));
+    } else {
+      doc.text('No notes outstanding.');
+    }
+
+    footnote(doc, `Issued ${date(statement.generatedAt)}. Statements are not changed once issued; any later correction appears on the statement for the month it is made.`);
+  }, {
+    Title: `Account Statement ${periodLabel(statement)}`,
+    Subject: `Statement ${statement.statementNumber}`
+  });
+};
+
+/**
+ * Render a statement as CSV: summary rows, then new investments, defaults and holdings
+ * @param {Object} statement - Statement document
+ * @returns {string} CSV text
+ */
+const renderStatementCsv = (statement) => {
+  const { openingBalance, closingBalance, activity } = statement;
+  const summary = (description, amount) => ({ section: 'summary', description, amount });
+
+  const rows = [
+    summary('Opening cash', openingBalance.cash),
+    summary('Opening principal', openingBalance.principal),
+    summary('Opening account value', openingBalance.total),
+    summary('Deposits', activity.deposits),
+    summary('Withdrawals', activity.withdrawals),
+    summary('New investments', activity.newInvestments),
+    summary('Refunds', activity.refunds),
+    summary('Principal received', activity.principalReceived),
+    summary('Interest received', activity.interestReceived),
+    summary('Servicing fees', activity.fees),
+    summary('Secondary market, net', activity.secondaryMarket),
+    summary('Principal charged off', activity.chargedOffPrincipal),
+    summary('Closing cash', closingBalance.cash),
+    summary('Closing principal', closingBalance.principal),
+    summary('Closing account value', closingBalance.total),
+    ...statement.newInvestments.map(line => ({
+      section: 'new_investment',
+      date: line.date,
+      description: line.source,
+      ...line.toObject(),
+      amount: line.amount
+    })),
+    ...statement.defaults.map(line => ({
+      section: 'default',
+      date: line.date,
+      ...line.toObject(),
+      amount: line.chargedOffPrincipal
+    })),
+    ...statement.holdings.map(line => ({
+      section: 'holding',
+      description: line.grade ? `Grade ${line.grade}, ${line.interestRate}%` : '',
+      ...line.toObject()
+    }))
+  ];
+
+  return toCsv([
+    { header: 'Statement', value: () => statement.statementNumber },
+    { header: 'Section', key: 'section' },
+    { header: 'Date', value: row => (row.date ? row.date.toISOString().slice(0, 10) : '') },
+    { header: 'Description', key: 'description' },
+    { header: 'Investment', value: row => (row.investment ? row.investment.toString() : '') },
+    { header: 'Loan Purpose', key: 'loanPurpose' },
+    { header: 'Amount', key: 'amount' },
+    { header: 'Outstanding Principal', key: 'outstandingPrincipal' },
+    { header: 'Interest Received', key: 'interestReceived' }
+  ], rows);
+};
+
+module.exports = {
+  getStatementPeriod,
+  buildStatement,
+  issueStatement,
+  issueMonthlyStatements,
+  issuePreviousMonthStatements,
+  renderStatementPdf,
+  renderStatementCsv
+};
@@ -0,0 +1,390 @@
+const Payment = require('../models/Payment');
+const Investment = require('../models/Investment');
+const NoteListing = require('../models/NoteListing');
+const User = require('../models/User');
+const TaxDocument = require('../models/TaxDocument');
+const ledger = require('./ledger');
+const { sumMoney, subtractMoney } = require('../utils/money');
+const { createHttpError, formatCurrency } = require('../utils/helpers');
+const { renderPdf, heading, section, keyValueRows, table, footnote } = require('../utils/pdf');
+const { toCsv } = require('../utils/csv');
+
+const TOLERANCE = 0.01; // Largest difference treated as rounding when reconciling
+
+const AMOUNT_FIELDS = [
+  'interestIncome',
+  'accruedInterestPaid',
+  'servicingFees',
+  'principalReceived',
+  'chargedOffPrincipal',
+  'saleProceeds',
+  'costBasis',
+  'realizedGainLoss'
+];
+
+/**
+ * Calendar year bounds in UTC
+ * @param {number|string} year - Tax year
+ * @returns {Object} taxYear, startDate (inclusive) and endDate (exclusive)
+ */
+const getTaxYearRange = (year) => {
+  const taxYear = parseInt(year, 10);
+  if (!Number.isInteger(taxYear) || taxYear < 2000) {
+    throw createHttpError(400, 'Tax year is invalid');
+  }
+  if (taxYear >= new Date().getUTCFullYear()) {
+    throw createHttpError(400, `Tax documents for ${taxYear} are available once the year has ended`);
+  }
+
+  return {
+    taxYear,
+    startDate: new Date(Date.UTC(taxYear, 0, 1)),
+    endDate: new Date(Date.UTC(taxYear + 1, 0, 1))
+  };
+};
+
+/**
+ * Collect an investor's taxable activity for a year, per investment
+ * @param {string} investorId - Investor user id
+ * @param {Date} startDate - Start of the year, inclusive
+ * @param {Date} endDate - End of the year, exclusive
+ * @returns {Object} Per-investment lines, totals and the distribution reconciliation
+ */
+const buildTaxSummary = async (investorId, startDate, endDate) => {
+  const lines = new Map();
+  const lineFor = (investmentId) => {
+    const key = investmentId.toString();
+    if (!lines.has(key)) {
+      lines.set(key, AMOUNT_FIELDS.reduce((line, field) => ({ ...line, [field]: 0 }), { investment: investmentId }));
+    }
+    return lines.get(key);
+  };
+  const add = (line, field, amount) => {
+    line[field] = sumMoney([line[field], amount || 0]);
+  };
+
+  // Interest, principal and servicing fees from payment distributions
+  const inYear = { $gte: startDate, $lt: endDate };
+  const payments = await Payment.find({
+    distribution: { $elemMatch: { investor: investorId, distributedDate: inYear } }
+  }).select('distribution');
+
+  const distributed = { count: 0, gross: [], net: [] };
+  payments.forEach(payment => {
+    payment.distribution
+      .filter(share => share.investor.toString() === investorId.toString() &&
+        share.distributedDate >= startDate && share.distributedDate < endDate)
+      .forEach(share => {
+        const line = lineFor(share.investment);
+        add(line, 'interestIncome', share.interestAmount);
+        add(line, 'principalReceived', share.principalAmount);
+        add(line, 'servicingFees', share.servicingFee);
+
+        distributed.count += 1;
+        distributed.gross.push(share.totalAmount);
+        distributed.net.push(share.netAmount ?? subtractMoney(share.totalAmount, share.servicingFee || 0));
+      });
+  });
+
+  // Secondary market trades settled in the year, as seller and as buyer
+  const listings = await NoteListing.find({
+    'trades.settledAt': inYear,
+    $or: [{ seller: investorId }, { 'trades.buyer': investorId }]
+  }).select('investment seller trades');
+
+  listings.forEach(listing => {
+    const isSeller = listing.seller.toString() === investorId.toString();
+
+    listing.trades
+      .filter(trade => trade.settledAt >= startDate && trade.settledAt < endDate)
+      .forEach(trade => {
+        if (isSeller) {
+          const line = lineFor(listing.investment);
+          add(line, 'saleProceeds', trade.price);
+          add(line, 'costBasis', trade.principalAmount);
+          add(line, 'realizedGainLoss', trade.sellerRealizedGainLoss ?? subtractMoney(trade.price, trade.principalAmount));
+          // Interest accrued while the seller held the note is paid to them by the buyer
+          add(line, 'interestIncome', trade.accruedInterest);
+        }
+        if (trade.buyer.toString() === investorId.toString() && trade.buyerInvestment) {
+          add(lineFor(trade.buyerInvestment), 'accruedInterestPaid', trade.accruedInterest);
+        }
+      });
+  });
+
+  // Principal lost on loans that defaulted in the year
+  const defaulted = await Investment.find({
+    investor: investorId,
+    status: 'defaulted',
+    defaultedAt: inYear
+  }).select('chargedOffPrincipal remainingAmount');
+
+  defaulted.forEach(investment => {
+    add(lineFor(investment._id), 'chargedOffPrincipal', investment.chargedOffPrincipal || investment.remainingAmount);
+  });
+
+  const investments = await Investment.find({ _id: { $in: [...lines.keys()] } })
+    .select('loan')
+    .populate('loan', 'purpose');
+  const loanByInvestment = new Map(investments.map(investment => [investment._id.toString(), investment.loan]));
+
+  const investmentLines = [...lines.entries()].map(([key, line]) => {
+    const loan = loanByInvestment.get(key);
+    return {
+      ...line,
+      loan: loan ? loan._id : undefined,
+      loanPurpose: loan ? loan.purpose : undefined
+    };
+  });
+
+  const totals = AMOUNT_FIELDS.reduce((result, field) => ({
+    ...result,
+    [field]: sumMoney(investmentLines.map(line => line[field]))
+  }), {});
+
+  const distributedNet = sumMoney(distributed.net);
+  const ledgerCredits = await ledger.getDistributionCredits(investorId, startDate, endDate);
+  const difference = subtractMoney(distributedNet, ledgerCredits);
+
+  return {
+    investments: investmentLines,
+    totals,
+    reconciliation: {
+      distributionCount: distributed.count,
+      distributedGross: sumMoney(distributed.gross),
+      distributedNet,
+      ledgerCredits,
+      difference,
+      isReconciled: Math.abs(difference) < TOLERANCE
+    }
+  };
+};
+
+/**
+ * Generate or regenerate an investor's tax document for a completed year
+ * @param {string} investorId - Investor user id
+ * @param {number|string} year - Tax year
+ * @param {string} generatedBy - Admin running the generation, if any
+ * @returns {Object} TaxDocument document
+ */
+const generateTaxDocument = async (investorId, year, generatedBy) => {
+  const { taxYear, startDate, endDate } = getTaxYearRange(year);
+
+  const investor = await User.findById(investorId).select('firstName lastName email address');
+  if (!investor) throw createHttpError(404, 'Investor not found');
+
+  const summary = await buildTaxSummary(investor._id, startDate, endDate);
+
+  return TaxDocument.findOneAndUpdate(
+    { investor: investor._id, taxYear },
+    {
+      $set: {
+        documentNumber: `${taxYear}-${investor._id.toString().slice(-8).toUpperCase()}`,
+        recipient: {
+          name: `${investor.firstName} ${investor.lastName}`,
+          email: investor.email,
+          address: investor.address
+        },
+        totals: summary.totals,
+        investments: summary.investments,
+        reconciliation: summary.reconciliation,
+        generatedAt: new Date(),
+        generatedBy
+      },
+      $inc: { revision: 1 }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Investor's tax document for a year, generated the first time it is asked for
+ * @param {string} investorId - Investor user id
+ * @param {number|string} year - Tax year
+ * @returns {Object} TaxDocument document
+ */
+const getTaxDocument = async (investorId, year) => {
+  const { taxYear } = getTaxYearRange(year);
+
+  const existing = await TaxDocument.findOne({ investor: investorId, taxYear });
+  return existing || generateTaxDocument(investorId, taxYear);
+};
+
+/**
+ * Generate tax documents for every investor with activity in a year
+ * @param {number|string} year - Tax year
+ * @param {string} generatedBy - Admin running the generation, if any
+ * @returns {Object} Counts, plus the investors that failed or did not reconcile
+ */
+const generateAllTaxDocuments = async (year, generatedBy) => {
+  const { taxYear, startDate, endDate } = getTaxYearRange(year);
+  const inYear = { $gte: startDate, $lt: endDate };
+
+  const [distributed, sellers, buyers, defaulted] = await Promise.all([
+    Payment.distinct('distribution.investor', { 'distribution.distributedDate': inYear }),
+    NoteListing.distinct('seller', { 'trades.settledAt': inYear }),
+    NoteListing.distinct('trades.buyer', { 'trades.settledAt': inYear }),
+    Investment.distinct('investor', { status: 'defaulted', defaultedAt: inYear })
+  ]);
+  const investorIds = [...new Set([...distributed, ...sellers, ...buyers, ...defaulted].map(id => id.toString()))];
+
+  const results = {
+    taxYear,
+    investors: investorIds.length,
+    generated: 0,
+    unreconciled: [],
+    failed: []
+  };
+
+  for (const investorId of investorIds) {
+    try {
+      const document = await generateTaxDocument(investorId, taxYear, generatedBy);
+      results.generated += 1;
+      if (!document.reconciliation.isReconciled) {
+        results.unreconciled.push({
+          investor: investorId,
+          documentNumber: document.documentNumber,
+          difference: document.reconciliation.difference
+        });
+      }
+    } catch (error) {
+      console.error(`Tax document generation failed for investor ${investorId}:`, error);
+      results.failed.push({ investor: investorId, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Tax documents for the year that just ended; run by the January job
+ * @returns {Object} Results of the bulk generation
+ */
+const generatePreviousYearTaxDocuments = () => {
+  return generateAllTaxDocuments(new Date().getUTCFullYear() - 1);
+};
+
+/**
+ * Render a tax document as PDF
+ * @param {Object} document - TaxDocument document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderTaxDocumentPdf = (document) => {
+  const { totals, recipient, reconciliation } = document;
+  const address = recipient.address || {};
+  const money = amount => formatCurrency(amount || 0);
+
+  return renderPdf(doc => {
+    heading(
+      doc,
+      `${document.taxYear} Annual Tax Summary`,
+      `Document ${document.documentNumber} · Revision ${document.revision} · Generated ${document.generatedAt.toISOString().slice(0, 10)}`
+    );
+
+    section(doc, 'Recipient');
+    doc.text(recipient.name || '');
+    [address.street, [address.city, address.state, address.zipCode].filter(Boolean).join(', '), address.country]
+      .filter(Boolean)
+      .forEach(line => doc.text(line));
+
+    section(doc, 'Interest income (Form 1099-INT / 1099-OID)');
+    keyValueRows(doc, [
+      ['Interest income', money(totals.interestIncome)],
+      ['Accrued interest paid on notes purchased', money(totals.accruedInterestPaid)],
+      ['Servicing fees paid', money(totals.servicingFees)]
+    ]);
+
+    section(doc, 'Principal');
+    keyValueRows(doc, [
+      ['Principal repaid', money(totals.principalReceived)],
+      ['Principal charged off on defaulted loans', money(totals.chargedOffPrincipal)]
+    ]);
+
+    section(doc, 'Secondary market sales');
+    keyValueRows(doc, [
+      ['Proceeds', money(totals.saleProceeds)],
+      ['Cost basis', money(totals.costBasis)],
+      ['Realized gain (loss)', money(totals.realizedGainLoss)]
+    ]);
+
+    if (document.investments.length > 0) {
+      section(doc, 'By investment');
+      table(doc, [
+        { header: 'Investment', key: 'investment', width: 0.22 },
+        { header: 'Interest', key: 'interestIncome', width: 0.13, align: 'right' },
+        { header: 'Accrued paid', key: 'accruedInterestPaid', width: 0.13, align: 'right' },
+        { header: 'Fees', key: 'servicingFees', width: 0.1, align: 'right' },
+        { header: 'Principal', key: 'principalReceived', width: 0.13, align: 'right' },
+        { header: 'Charged off', key: 'chargedOffPrincipal', width: 0.13, align: 'right' },
+        { header: 'Gain (loss)', key: 'realizedGainLoss', width: 0.16, align: 'right' }
+      ], document.investments.map(line => ({
+        investment: `${line.investment.toString().slice(-8).toUpperCase()}${line.loanPurpose ? ` (${line.loanPurpose})` : ''}`,
+        interestIncome: money(line.interestIncome),
+        accruedInterestPaid: money(line.accruedInterestPaid),
+        servicingFees: money(line.servicingFees),
+        principalReceived: money(line.principalReceived),
+        chargedOffPrincipal: money(line.chargedOffPrincipal),
+        realizedGainLoss: money(line.realizedGainLoss)
+      })));
+    }
+
+    footnote(
+      doc,
+      `Reconciled against ${reconciliation.distributionCount} payment distributions totalling ` +
+      `${money(reconciliation.distributedNet)} after servicing fees. ` +
+      'This summary is provided for your records; consult a tax professional about how to report it.'
+    );
+  }, {
+    Title: `${document.taxYear} Annual Tax Summary`,
+    Subject: `Tax document ${document.documentNumber}`
+  });
+};
+
+/**
+ * Render a tax document as CSV, one row per investment followed by a total row
+ * @param {Object} document - TaxDocument document
+ * @returns {string} CSV text
+ */
+const renderTaxDocumentCsv = (document) => {
+  const rows = document.investments.map(line => ({
+    taxYear: document.taxYear,
+    documentNumber: document.documentNumber,
+    investment: line.investment.toString(),
+    loan: line.loan ? line.loan.toString() : '',
+    loanPurpose: line.loanPurpose,
+    ...AMOUNT_FIELDS.reduce((amounts, field) => ({ ...amounts, [field]: line[field] }), {})
+  }));
+  rows.push({
+    taxYear: document.taxYear,
+    documentNumber: document.documentNumber,
+    investment: 'TOTAL',
+    ...AMOUNT_FIELDS.reduce((amounts, field) => ({ ...amounts, [field]: document.totals[field] }), {})
+  });
+
+  return toCsv([
+    { header: 'Tax Year', key: 'taxYear' },
+    { header: 'Document Number', key: 'documentNumber' },
+    { header: 'Investment', key: 'investment' },
+    { header: 'Loan', key: 'loan' },
+    { header: 'Loan Purpose', key: 'loanPurpose' },
+    { header: 'Interest Income', key: 'interestIncome' },
+    { header: 'Accrued Interest Paid', key: 'accruedInterestPaid' },
+    { header: 'Servicing Fees', key: 'servicingFees' },
+    { header: 'Principal Received', key: 'principalReceived' },
+    { header: 'Charged-off Principal', key: 'chargedOffPrincipal' },
+    { header: 'Sale Proceeds', key: 'saleProceeds' },
+    { header: 'Cost Basis', key: 'costBasis' },
+    { header: 'Realized Gain/Loss', key: 'realizedGainLoss' }
+  ], rows);
+};
+
+module.exports = {
+  getTaxYearRange,
+  buildTaxSummary,
+  generateTaxDocument,
+  getTaxDocument,
+  generateAllTaxDocuments,
+  generatePreviousYearTaxDocuments,
+  renderTaxDocumentPdf,
+  renderTaxDocumentCsv
+};
@@ -0,0 +1,265 @@
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const CollectionCase = require('../models/CollectionCase');
+const { roundToCents } = require('../utils/money');
+const { createHttpError } = require('../utils/helpers');
+const { BUCKET_IDS } = require('../config/collections');
+
+// Loan states at a month end, from best to worst. Paid-off loans drop out of roll rates.
+const STATES = ['current', ...BUCKET_IDS, 'defaulted'];
+const PERIODS = ['month', 'quarter'];
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
+/**
+ * Whole months from one date to another, in UTC
+ * @returns {number} Completed months
+ */
+const monthsBetween = (from, to) => {
+  const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  return to.getUTCDate() < from.getUTCDate() ? months - 1 : months;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+// Month on book an event falls in, counting the month-end itself; the first month after origination is 1
+const monthOnBook = (startDate, date) => {
+  const months = monthsBetween(startDate, date);
+  return Math.max(1, addMonths(startDate, months) < date ? months + 1 : months);
+};
+
+const cohortKey = (date, period) => (period === 'quarter'
+  ? `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`
+  : `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`);
+
+/**
+ * Parse a YYYY-MM origination month bound
+ * @param {string} value - Month text
+ * @param {boolean} end - Whether this is the end of the range
+ * @returns {Date|undefined}
+ */
+const parseMonth = (value, end = false) => {
+  if (!value) return undefined;
+
+  const match = /^(\d{4})-(\d{2})$/.exec(value);
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    throw createHttpError(400, 'Months must be given as YYYY-MM');
+  }
+
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1 + (end ? 1 : 0), 1) - (end ? 1 : 0));
+};
+
+/**
+ * Delinquency bucket a loan was in at a point in time, from its collection case history
+ * @param {Array} cases - Collection cases for the loan
+ * @param {Date} date - Point in time
+ * @returns {string} Bucket id, or 'current'
+ */
+const bucketAt = (cases, date) => {
+  const openCase = cases.find(entry => entry.openedAt <= date && (!entry.closedAt || entry.closedAt > date));
+  if (!openCase) return 'current';
+
+  const transition = openCase.transitions
+    .filter(entry => entry.date <= date)
+    .pop();
+  return transition && BUCKET_IDS.includes(transition.to) ? transition.to : 'current';
+};
+
+/**
+ * Month-by-month history of one loan up to its last completed month on book
+ * @returns {Object} Loan with running totals and state by month (index 0 is month 1)
+ */
+const buildLoanHistory = (loan, payments, cases, now) => {
+  const age = monthsBetween(loan.startDate, now);
+  const principal = new Array(age).fill(0);
+  const interest = new Array(age).fill(0);
+  const prepaid = new Array(age).fill(0);
+
+  payments.forEach(payment => {
+    const month = monthOnBook(loan.startDate, payment.completedDate || payment.paidDate);
+    if (month > age) return;
+
+    principal[month - 1] += payment.principalAmount;
+    interest[month - 1] += payment.interestAmount;
+    if (payment.type === 'early' || payment.type === 'full_repayment') {
+      prepaid[month - 1] += payment.principalAmount;
+    }
+  });
+
+  let defaultMonth = null;
+  if (loan.status === 'defaulted') {
+    const defaultCase = cases.find(entry => entry.status === 'defaulted');
+    const defaultedAt = loan.defaultedAt || (defaultCase && defaultCase.closedAt) || loan.updatedAt;
+    defaultMonth = monthOnBook(loan.startDate, defaultedAt);
+  }
+
+  const states = [];
+  const cumulative = [];
+  let balance = loan.amount;
+  let chargedOff = 0;
+  let totals = { prepaid: 0, interest: 0, principalYears: 0 };
+
+  for (let month = 1; month <= age; month++) {
+    const closed = states[month - 2] === 'defaulted' || states[month - 2] === 'paid_off';
+    totals = {
+      prepaid: totals.prepaid + prepaid[month - 1],
+      interest: totals.interest + interest[month - 1],
+      principalYears: totals.principalYears + (closed ? 0 : balance / 12)
+    };
+    cumulative.push(totals);
+    balance = Math.max(0, balance - principal[month - 1]);
+
+    if (defaultMonth !== null && defaultMonth <= month) {
+      if (defaultMonth === month) chargedOff = balance;
+      states.push('defaulted');
+    } else if (balance < 0.01) {
+      states.push('paid_off');
+    } else {
+      states.push(bucketAt(cases, addMonths(loan.startDate, month)));
+    }
+  }
+
+  return { loan, age, cumulative, states, defaultMonth, chargedOff };
+};
+
+/**
+ * Roll the loan histories of one cohort up into a performance curve by month on book
+ * @param {Array} histories - Loan histories in the cohort
+ * @returns {Array} One entry per month on book
+ */
+const buildCurve = (histories) => {
+  const maxAge = Math.max(0, ...histories.map(history => history.age));
+  const curve = [];
+
+  for (let month = 1; month <= maxAge; month++) {
+    // Only loans old enough to have completed this month count towards it
+    const observed = histories.filter(history => history.age >= month);
+    const totals = { originated: 0, defaults: 0, chargedOff: 0, prepaid: 0, interest: 0, principalYears: 0, delinquent: 0 };
+    const rolls = STATES.slice(0, -1).reduce((result, state) => ({ ...result, [state]: { from: 0, worse: 0 } }), {});
+
+    observed.forEach(history => {
+      totals.originated += history.loan.amount;
+      if (history.defaultMonth !== null && history.defaultMonth <= month) {
+        totals.defaults += 1;
+        totals.chargedOff += history.chargedOff;
+      }
+
+      const { prepaid, interest, principalYears } = history.cumulative[month - 1];
+      totals.prepaid += prepaid;
+      totals.interest += interest;
+      totals.principalYears += principalYears;
+
+      const state = history.states[month - 1];
+      if (BUCKET_IDS.includes(state)) totals.delinquent += 1;
+
+      const previous = month === 1 ? 'current' : history.states[month - 2];
+      if (rolls[previous]) {
+        rolls[previous].from += 1;
+        if (STATES.indexOf(state) > STATES.indexOf(previous)) rolls[previous].worse += 1;
+      }
+    });
+
+    curve.push({
+      monthOnBook: month,
+      loans: observed.length,
+      defaults: totals.defaults,
+      // Principal outstanding at default as a share of principal originated
+      cumulativeDefaultRate: percent(totals.chargedOff, totals.originated),
+      cumulativePrepaymentRate: percent(totals.prepaid, totals.originated),
+      delinquencyRate: percent(totals.delinquent, observed.length),
+      // Share of loans in each state last month that are in a worse one now
+      rollRates: Object.entries(rolls).reduce((result, [state, roll]) => ({
+        ...result,
+        [state]: percent(roll.worse, roll.from)
+      }), {}),
+      // Interest collected less principal charged off, per year of principal outstanding
+      realizedYield: percent(totals.interest - totals.chargedOff, totals.principalYears)
+    });
+  }
+
+  return curve;
+};
+
+/**
+ * Performance curves for loans grouped by origination period and grade
+ * @param {Object} options - grade, from and to (YYYY-MM), period (month or quarter)
+ * @param {Date} now - Reference time
+ * @returns {Object} Cohorts with a curve by month on book
+ */
+const getVintageAnalytics = async ({ grade, from, to, period = 'month' } = {}, now = new Date()) => {
+  if (!PERIODS.includes(period)) {
+    throw createHttpError(400, `Period must be one of: ${PERIODS.join(', ')}`);
+  }
+
+  const query = { startDate: { $ne: null } };
+  const startDate = parseMonth(from);
+  const endDate = parseMonth(to, true);
+  if (startDate) query.startDate.$gte = startDate;
+  if (endDate) query.startDate.$lte = endDate;
+  if (grade) query.grade = { $in: grade.split(',').map(value => value.trim().toUpperCase()) };
+
+  const loans = await Loan.find(query)
+    .select('amount grade status startDate defaultedAt updatedAt')
+    .sort({ startDate: 1 })
+    .lean();
+  const loanIds = loans.map(loan => loan._id);
+
+  const paymentsByLoan = new Map();
+  const payments = Payment.find({ loan: { $in: loanIds }, status: 'completed' })
+    .select('loan type principalAmount interestAmount paidDate completedDate')
+    .lean()
+    .cursor();
+  for await (const payment of payments) {
+    const key = payment.loan.toString();
+    if (!paymentsByLoan.has(key)) paymentsByLoan.set(key, []);
+    paymentsByLoan.get(key).push(payment);
+  }
+
+  const casesByLoan = new Map();
+  const cases = await CollectionCase.find({ loan: { $in: loanIds } })
+    .select('loan status openedAt closedAt transitions')
+    .sort({ openedAt: 1 })
+    .lean();
+  cases.forEach(entry => {
+    const key = entry.loan.toString();
+    if (!casesByLoan.has(key)) casesByLoan.set(key, []);
+    casesByLoan.get(key).push(entry);
+  });
+
+  const cohorts = new Map();
+  loans.forEach(loan => {
+    const key = `${cohortKey(loan.startDate, period)}|${loan.grade}`;
+    if (!cohorts.has(key)) {
+      cohorts.set(key, { cohort: cohortKey(loan.startDate, period), grade: loan.grade, histories: [] });
+    }
+    cohorts.get(key).histories.push(buildLoanHistory(
+      loan,
+      paymentsByLoan.get(loan._id.toString()) || [],
+      casesByLoan.get(loan._id.toString()) || [],
+      now
+    ));
+  });
+
+  return {
+    period,
+    asOf: now,
+    states: STATES,
+    cohorts: [...cohorts.values()]
+      .sort((a, b) => a.cohort.localeCompare(b.cohort) || a.grade.localeCompare(b.grade))
+      .map(({ cohort, grade: cohortGrade, histories }) => ({
+        cohort,
+        grade: cohortGrade,
+        loans: histories.length,
+        originated: roundToCents(histories.reduce((sum, history) => sum + history.loan.amount, 0)),
+        curve: buildCurve(histories)
+      }))
+  };
+};
+
+module.exports = {
+  getVintageAnalytics
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const { resolvePayment, resolvedStatuses } = require('./paymentSettlement');
+const { secrets, TOLERANCE_SECONDS } = require('../config/webhooks');
+
+// Processor state each payment event reports
+const eventStates = {
+  'payment.pending': 'pending',
+  'payment.settled': 'settled',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+/**
+ * Signature for a delivery: hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ * @param {string} secret - Provider signing secret
+ * @param {string|number} timestamp - Unix seconds sent in the timestamp header
+ * @param {Buffer|string} body - Raw request body
+ * @returns {string} Hex digest
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+};
+
+/**
+ * Check a delivery's signature and freshness
+ * @param {string} provider - Provider name from the URL
+ * @param {Object} delivery - rawBody, signature and timestamp headers
+ * @param {Date} now - Reference time
+ * @returns {Object} { valid, reason, signedAt }
+ */
+const verifySignature = (provider, { rawBody, signature, timestamp }, now = new Date()) => {
+  const secret = secrets[provider];
+  if (!secret) return { valid: false, reason: `No webhook secret configured for ${provider}` };
+  if (!rawBody || !signature || !timestamp) return { valid: false, reason: 'Missing signature headers' };
+
+  const signedSeconds = parseInt(timestamp, 10);
+  if (!Number.isInteger(signedSeconds)) return { valid: false, reason: 'Invalid timestamp' };
+  if (Math.abs(now.getTime() / 1000 - signedSeconds) > TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'Timestamp outside the allowed window' };
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, rawBody), 'hex');
+  const received = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true, signedAt: new Date(signedSeconds * 1000) };
+};
+
+/**
+ * Store a verified event once; later deliveries of the same event id return the stored copy
+ * @param {string} provider - Provider name
+ * @param {Object} payload - Parsed event body
+ * @param {Date} signedAt - Signed timestamp
+ * @returns {Object} { event, duplicate }
+ */
+const storeEvent = async (provider, payload, signedAt) => {
+  try {
+    const event = await WebhookEvent.create({
+      provider,
+      eventId: payload.id,
+      type: payload.type,
+      payload,
+      signedAt
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const event = await WebhookEvent.findOne({ provider, eventId: payload.id });
+    return { event, duplicate: true };
+  }
+};
+
+// Apply a payment event; returns the event status to record
+const applyEvent = async (event) => {
+  const state = eventStates[event.type];
+  if (!state || state === 'pending') return 'ignored';
+
+  const data = event.payload.data || {};
+  const payment = await Payment.findOne({
+    'transactionDetails.processor': event.provider,
+    'transactionDetails.transactionId': data.transactionId
+  });
+  if (!payment) {
+    throw new Error(`No payment found for ${event.provider} transaction ${data.transactionId}`);
+  }
+  event.payment = payment._id;
+
+  const resolved = await resolvePayment(payment._id, {
+    processor: event.provider,
+    transactionId: data.transactionId,
+    status: state,
+    confirmationNumber: data.confirmationNumber,
+    failureCode: data.failureCode,
+    failureReason: data.failureReason,
+    processorResponse: event.type,
+    settledAt: state === 'settled' ? new Date(data.settledAt || event.signedAt || Date.now()) : null
+  });
+  if (resolved) return 'processed';
+
+  // Already resolved the same way, e.g. by the settlement poll
+  const { status } = await Payment.findById(payment._id).select('status');
+  if (status === resolvedStatuses[state]) return 'ignored';
+
+  if (state === 'refunded' && status === 'completed') {
+    throw new Error('Payment was already settled and distributed; the refund needs a manual reversal');
+  }
+  throw new Error(`Cannot apply ${event.type} to a payment that is ${status}`);
+};
+
+/**
+ * Apply a stored event to the payment it refers to. Failures are recorded on the event so an
+ * admin can reprocess it later.
+ * @param {Object} event - WebhookEvent document
+ * @returns {Object} The event with its new status
+ */
+const processEvent = async (event) => {
+  event.attempts += 1;
+
+  try {
+    event.status = await applyEvent(event);
+    event.lastError = undefined;
+    event.processedAt = new Date();
+  } catch (error) {
+    event.status = 'failed';
+    event.lastError = error.message;
+  }
+
+  return event.save();
+};
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  storeEvent,
+  processEvent
+};
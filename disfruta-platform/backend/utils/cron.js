@@ -0,0 +1,128 @@
+// Minimal five-field cron expressions: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+/**
+ * Expand a single cron field into the set of values it matches
+ * @param {string} field - Field text (e.g. "*", "5", "1-5", "*\/15", "1,15")
+ * @param {Object} bounds - Allowed range for the field
+ * @returns {Set<number>} Matching values
+ */
+const parseField = (field, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${part}" in cron ${name} field`);
+    }
+
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const [from, to] = range.split('-').map(value => parseInt(value, 10));
+      start = from;
+      end = to === undefined ? (stepText === undefined ? from : max) : to;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value "${part}" in cron ${name} field`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} Parsed expression with a value set per field
+ */
+const parseCronExpression = (expression) => {
+  const fields = expression.trim().split(/\s+/);
+
+  if (fields.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+  }
+
+  const parsed = { expression };
+  FIELDS.forEach((bounds, index) => {
+    parsed[bounds.name] = parseField(fields[index], bounds);
+  });
+
+  // Both 0 and 7 mean Sunday
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.dayOfMonthRestricted = fields[2] !== '*';
+  parsed.dayOfWeekRestricted = fields[4] !== '*';
+
+  return parsed;
+};
+
+/**
+ * Check whether a date (to the minute) matches a cron expression
+ * @param {Object|string} cron - Parsed expression or expression text
+ * @param {Date} date - Date to check, in server local time
+ * @returns {boolean} True if the expression fires at that minute
+ */
+const matchesCron = (cron, date) => {
+  const parsed = typeof cron === 'string' ? parseCronExpression(cron) : cron;
+
+  if (!parsed.minute.has(date.getMinutes()) ||
+      !parsed.hour.has(date.getHours()) ||
+      !parsed.month.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonthMatches = parsed.dayOfMonth.has(date.getDate());
+  const dayOfWeekMatches = parsed.dayOfWeek.has(date.getDay());
+
+  // Standard cron semantics: when both day fields are restricted either may match
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+
+  return dayOfMonthMatches && dayOfWeekMatches;
+};
+
+/**
+ * Find the next time a cron expression fires after a given date
+ * @param {Object|string} cron - Parsed expression or expression text
+ * @param {Date} from - Date to search from (exclusive)
+ * @returns {Date|null} Next fire time, or null if none within a year
+ */
+const getNextRun = (cron, from = new Date()) => {
+  const parsed = typeof cron === 'string' ? parseCronExpression(cron) : cron;
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+
+  const limit = 366 * 24 * 60;
+  for (let i = 0; i < limit; i++) {
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    if (matchesCron(parsed, candidate)) {
+      return new Date(candidate);
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCronExpression,
+  matchesCron,
+  getNextRun
+};
@@ -0,0 +1,54 @@
+// Text that spreadsheet apps would run as a formula when the file is opened
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape one CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Cell text, quoted when needed
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line, without the line break
+ * @param {Array} columns - { header, key } or { header, value: row => cell }
+ * @param {Object} row - Row object
+ * @returns {string}
+ */
+const csvRow = (columns, row) => columns
+  .map(column => escapeCsvValue(column.value ? column.value(row) : row[column.key]))
+  .join(',');
+
+/**
+ * Header line for a set of columns, without the line break
+ * @param {Array} columns - Columns with a header
+ * @returns {string}
+ */
+const csvHeader = (columns) => columns.map(column => escapeCsvValue(column.header)).join(',');
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - { header, key } or { header, value: row => cell }
+ * @param {Array} rows - Row objects
+ * @returns {string} CSV text with a header row
+ */
+const toCsv = (columns, rows) => {
+  const lines = [csvHeader(columns), ...rows.map(row => csvRow(columns, row))];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeCsvValue,
+  csvRow,
+  csvHeader,
+  toCsv
+};
@@ -1,5 +1,10 @@
 const crypto = require('crypto');
 const moment = require('moment');
+const {
+  calculateInstallmentAmount,
+  buildAmortizationSchedule,
+  summarizeSchedule
+} = require('../services/amortization');
 
 /**
  * Generate a random string of specified length
@@ -84,27 +89,20 @@ const formatPercentage = (value, decimals = 2) => {
  * @returns {number} Monthly payment amount
  */
 const calculateMonthlyPayment = (principal, annualRate, termMonths) => {
-  const monthlyRate = annualRate / 12;
-  if (monthlyRate === 0) {
-    return principal / termMonths;
-  }
-  
-  const monthlyPayment = principal * (monthlyRate * Math.pow(1 + monthlyRate, termMonths)) / 
-                        (Math.pow(1 + monthlyRate, termMonths) - 1);
-  
-  return Math.round(monthlyPayment * 100) / 100;
+  return calculateInstallmentAmount(principal, annualRate * 100, termMonths);
 };
 
 /**
- * Calculate total interest for a loan
+ * Calculate total interest for a loan, from the amortization schedule so the adjusted
+ * final installment is counted as it will be charged
  * @param {number} principal - Loan principal amount
  * @param {number} annualRate - Annual interest rate (as decimal)
  * @param {number} termMonths - Loan term in months
  * @returns {number} Total interest amount
  */
 const calculateTotalInterest = (principal, annualRate, termMonths) => {
-  const monthlyPayment = calculateMonthlyPayment(principal, annualRate, termMonths);
-  return (monthlyPayment * termMonths) - principal;
+  const schedule = buildAmortizationSchedule({ principal, annualRate: annualRate * 100, termMonths });
+  return summarizeSchedule(schedule).totalInterest;
 };
 
 /**
@@ -279,6 +277,18 @@ const retryWithBackoff = async (fn, maxRetries = 3, delay = 1000) => {
   throw lastError;
 };
 
+/**
+ * Create an error that carries the HTTP status it should be reported with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode set
+ */
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 /**
  * Validate and parse environment variables
  * @param {string} envVar - Environment variable name
@@ -330,5 +340,6 @@ module.exports = {
   isEmpty,
   sleep,
   retryWithBackoff,
+  createHttpError,
   getEnvVar
 };
\ No newline at end of file
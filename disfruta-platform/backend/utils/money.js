@@ -0,0 +1,95 @@
+// Amounts are stored and returned in dollars, but any arithmetic that has to add up exactly is
+// done in integer cents so floating-point residue never reaches a balance.
+
+/**
+ * Convert a dollar amount to integer cents, rounding half away from zero
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Whole cents
+ */
+const toCents = (amount) => {
+  // toPrecision drops float noise such as 1.005 * 100 = 100.49999999999999
+  const cents = Number((Number(amount || 0) * 100).toPrecision(12));
+  return Math.sign(cents) * Math.round(Math.abs(cents));
+};
+
+/**
+ * Convert integer cents back to dollars
+ * @param {number} cents - Whole cents
+ * @returns {number} Amount in dollars
+ */
+const fromCents = (cents) => {
+  return cents / 100;
+};
+
+/**
+ * Round a currency amount to whole cents
+ * @param {number} value - Amount to round
+ * @returns {number} Amount rounded to two decimal places
+ */
+const roundToCents = (value) => {
+  return fromCents(toCents(value));
+};
+
+/**
+ * Add currency amounts without accumulating floating-point error
+ * @param {Array<number>} amounts - Amounts in dollars
+ * @returns {number} Exact sum in dollars
+ */
+const sumMoney = (amounts) => {
+  return fromCents(amounts.reduce((total, amount) => total + toCents(amount), 0));
+};
+
+/**
+ * Subtract one currency amount from another in cents
+ * @param {number} amount - Amount in dollars
+ * @param {number} subtrahend - Amount to take away
+ * @returns {number} Exact difference in dollars
+ */
+const subtractMoney = (amount, subtrahend) => {
+  return fromCents(toCents(amount) - toCents(subtrahend));
+};
+
+/**
+ * Split an amount across weights so the shares add up to it exactly. Each share gets its
+ * proportional amount rounded down to the cent, and the cents left over go one at a time to the
+ * largest remainders; ties go to the larger weight, then the earlier position.
+ * @param {number} amount - Amount in dollars to split
+ * @param {Array<number>} weights - Non-negative weights, e.g. outstanding principal per investor
+ * @returns {Array<number>} Share in dollars for each weight, in the same order
+ */
+const allocate = (amount, weights) => {
+  const totalCents = toCents(amount);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  if (weights.length === 0) return [];
+  if (totalWeight <= 0) {
+    throw new Error('Cannot allocate an amount across zero total weight');
+  }
+
+  const direction = Math.sign(totalCents) || 1;
+  const shares = weights.map((weight, index) => {
+    const exact = Math.abs(totalCents) * weight / totalWeight;
+    const cents = Math.floor(exact);
+    return { index, weight, cents, remainder: exact - cents };
+  });
+
+  let leftover = Math.abs(totalCents) - shares.reduce((sum, share) => sum + share.cents, 0);
+  const byRemainder = [...shares].sort((a, b) =>
+    (b.remainder - a.remainder) || (b.weight - a.weight) || (a.index - b.index)
+  );
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length) {
+    byRemainder[i].cents += 1;
+    leftover -= 1;
+  }
+
+  return shares.map(share => fromCents(direction * share.cents));
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  roundToCents,
+  sumMoney,
+  subtractMoney,
+  allocate
+};
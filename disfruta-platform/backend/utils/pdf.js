@@ -0,0 +1,132 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+
+/**
+ * Render a PDF in memory
+ * @param {Function} draw - Called with the pdfkit document to lay out the content
+ * @param {Object} info - Document metadata (Title, Subject, ...)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderPdf = (draw, info = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    info: { Author: 'Disfruta', ...info }
+  });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+/**
+ * Document title with an optional subtitle underneath
+ * @param {Object} doc - pdfkit document
+ * @param {string} title - Title text
+ * @param {string} subtitle - Smaller grey line under the title
+ */
+const heading = (doc, title, subtitle) => {
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('black').text(title);
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(10).fillColor('#555555').text(subtitle);
+  }
+  doc.fillColor('black').moveDown();
+};
+
+/**
+ * Section title
+ * @param {Object} doc - pdfkit document
+ * @param {string} title - Section text
+ */
+const section = (doc, title) => {
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).text(title, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(10).moveDown(0.3);
+};
+
+/**
+ * Label and value pairs, values right aligned
+ * @param {Object} doc - pdfkit document
+ * @param {Array} rows - [label, value] pairs
+ */
+const keyValueRows = (doc, rows) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).text(label, PAGE_MARGIN, y, { width: width * 0.7 });
+    doc.text(String(value), PAGE_MARGIN + width * 0.7, y, { width: width * 0.3, align: 'right' });
+    doc.moveDown(0.2);
+  });
+};
+
+/**
+ * Table with a header row, repeated at the top of each new page
+ * @param {Object} doc - pdfkit document
+ * @param {Array} columns - { header, key, width (share of the page), align }
+ * @param {Array} rows - Objects keyed by column key, values already formatted
+ */
+const table = (doc, columns, rows) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const bottom = doc.page.height - PAGE_MARGIN;
+
+  const drawRow = (cells, font) => {
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    let height = 0;
+
+    doc.font(font).fontSize(8);
+    columns.forEach((column, index) => {
+      const columnWidth = width * column.width;
+      const text = cells[index] === undefined || cells[index] === null ? '' : String(cells[index]);
+      height = Math.max(height, doc.heightOfString(text, { width: columnWidth - 4 }));
+      doc.text(text, x, y, { width: columnWidth - 4, align: column.align || 'left' });
+      x += columnWidth;
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + height + 4;
+  };
+
+  const drawHeader = () => {
+    drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+    doc.moveTo(PAGE_MARGIN, doc.y - 2).lineTo(PAGE_MARGIN + width, doc.y - 2).strokeColor('#999999').stroke();
+  };
+
+  drawHeader();
+  rows.forEach(row => {
+    if (doc.y + 20 > bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(columns.map(column => row[column.key]), 'Helvetica');
+  });
+  doc.font('Helvetica').fontSize(10);
+};
+
+/**
+ * Small grey print at the current position
+ * @param {Object} doc - pdfkit document
+ * @param {string} text - Note text
+ */
+const footnote = (doc, text) => {
+  doc.moveDown().font('Helvetica').fontSize(8).fillColor('#555555')
+    .text(text, PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 });
+  doc.fillColor('black').fontSize(10);
+};
+
+module.exports = {
+  renderPdf,
+  heading,
+  section,
+  keyValueRows,
+  table,
+  footnote
+};
@@ -0,0 +1,115 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const { createHttpError } = require('./helpers');
+
+// Session of the transaction the current async call chain is running in
+const sessionStorage = new AsyncLocalStorage();
+
+const queryMiddleware = [
+  'count',
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+const currentSession = () => sessionStorage.getStore() || null;
+
+/**
+ * Global schema plugin that attaches the active transaction's session to every query, save and
+ * aggregate, so model methods and services join a transaction without passing sessions around.
+ * Has to be registered before models are compiled. insertMany hooks cannot set options, so
+ * callers pass { session: currentSession() } themselves.
+ */
+const transactionSessionPlugin = (schema) => {
+  schema.pre(queryMiddleware, function() {
+    const session = currentSession();
+    if (session && !this.getOptions().session) {
+      this.session(session);
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const session = currentSession();
+    if (session && !this.options.session) {
+      this.session(session);
+    }
+  });
+
+  schema.pre('save', function() {
+    const session = currentSession();
+    if (session && !this.$session()) {
+      this.$session(session);
+    }
+  });
+};
+
+if (mongoose.modelNames().length > 0) {
+  console.warn(`⚠️  Models compiled before the transaction plugin will not join transactions: ${mongoose.modelNames().join(', ')}`);
+}
+mongoose.plugin(transactionSessionPlugin);
+
+// Transactions need a replica set or sharded cluster; on a standalone server withTransaction refuses to run
+let transactionsSupported = null;
+
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+    } catch (error) {
+      console.error('Transaction support check failed:', error.message);
+      transactionsSupported = false;
+    }
+
+    if (!transactionsSupported) {
+      console.warn('⚠️  MongoDB is standalone; operations that move money are refused until it runs as a replica set');
+    }
+  }
+  return transactionsSupported;
+};
+
+/**
+ * Run a multi-document operation atomically. Nested calls join the outer transaction.
+ * The callback may run more than once on transient errors, so it must load the documents it
+ * changes itself and leave side effects like emails until after it returns.
+ * Without transaction support the operation is refused rather than run half-protected.
+ * @param {Function} fn - async (session) => result
+ * @returns {*} Whatever fn returns
+ */
+const withTransaction = async (fn) => {
+  const active = currentSession();
+  if (active) return fn(active);
+
+  if (!(await supportsTransactions())) {
+    throw createHttpError(503, 'This operation is unavailable while the database does not support transactions');
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    // Documents keep the session only until it ends, so they can be saved normally afterwards
+    let result;
+    await session.withTransaction(async () => {
+      result = await sessionStorage.run(session, () => fn(session));
+    });
+
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction,
+  currentSession,
+  supportsTransactions
+};
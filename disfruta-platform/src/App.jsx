@@ -15,6 +15,7 @@ import AuthPage from './pages/AuthPage';
 import AboutPage from './pages/AboutPage';
 import BorrowerPage from './pages/BorrowerPage';
 import LenderPage from './pages/LenderPage';
+import AdminAnalyticsPage from './pages/AdminAnalyticsPage';
 
 // Wallet Connector
 import WalletConnector from './components/Common/WalletConnector';
@@ -106,6 +107,7 @@ function App() {
               {/* Protected Routes */}
               <Route path="/borrow/*" element={<BorrowerPage />} />
               <Route path="/lend/*" element={<LenderPage />} />
+              <Route path="/admin/analytics" element={<AdminAnalyticsPage />} />
 
               {/* Redirect unknown routes to home */}
               <Route path="*" element={<Navigate to="/" replace />} />
@@ -21,6 +21,7 @@ const Header = () => {
     { name: 'Borrow', href: '/borrow' },
     { name: 'Lend', href: '/lend' },
     { name: 'About', href: '/about' },
+    ...(user?.role === 'admin' ? [{ name: 'Analytics', href: '/admin/analytics' }] : []),
   ];
 
   const handleLogout = () => {
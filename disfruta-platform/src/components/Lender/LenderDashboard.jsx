@@ -11,12 +11,32 @@ import {
   RefreshCw,
   Wallet,
   Eye,
-  Calculator
+  Calculator,
+  AlertTriangle
 } from 'lucide-react';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
 import { blockchainService } from '../../services/blockchain';
 import { apiService } from '../../services/api';
 import toast from 'react-hot-toast';
 
+const DIVERSIFICATION_DIMENSIONS = [
+  { id: 'loan', name: 'Loan' },
+  { id: 'borrower', name: 'Borrower' },
+  { id: 'grade', name: 'Grade' },
+  { id: 'purpose', name: 'Purpose' },
+  { id: 'term', name: 'Term' },
+  { id: 'region', name: 'Region' }
+];
+
 const LenderDashboard = () => {
   const [investments, setInvestments] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -28,6 +48,15 @@ const LenderDashboard = () => {
     averageReturn: 0
   });
   const [portfolioData, setPortfolioData] = useState([]);
+  const [projection, setProjection] = useState(null);
+  const [diversification, setDiversification] = useState(null);
+  const [cashAccount, setCashAccount] = useState({
+    available: 0,
+    pendingDeposits: 0,
+    pendingWithdrawals: 0
+  });
+  const [cashAmount, setCashAmount] = useState('');
+  const [cashSubmitting, setCashSubmitting] = useState(false);
 
   const { user } = useSelector((state) => state.auth);
   const { isConnected, account } = useSelector((state) => state.blockchain);
@@ -44,7 +73,10 @@ const LenderDashboard = () => {
       await Promise.all([
         loadInvestments(),
         loadStats(),
-        loadPortfolioData()
+        loadPortfolioData(),
+        loadProjection(),
+        loadDiversification(),
+        loadCashAccount()
       ]);
     } catch (error) {
       console.error('Error loading dashboard data:', error);
@@ -81,6 +113,58 @@ const LenderDashboard = () => {
     }
   };
 
+  const loadProjection = async () => {
+    try {
+      const response = await apiService.getPortfolioProjection();
+      setProjection(response.projection);
+    } catch (error) {
+      console.error('Error loading portfolio projection:', error);
+    }
+  };
+
+  const loadDiversification = async () => {
+    try {
+      const response = await apiService.getPortfolioDiversification();
+      setDiversification(response.diversification);
+    } catch (error) {
+      console.error('Error loading portfolio diversification:', error);
+    }
+  };
+
+  const loadCashAccount = async () => {
+    try {
+      const response = await apiService.getCashAccount();
+      setCashAccount(response.account);
+    } catch (error) {
+      console.error('Error loading cash account:', error);
+    }
+  };
+
+  const submitCashRequest = async (type) => {
+    const amount = parseFloat(cashAmount);
+    if (!amount || amount <= 0) {
+      toast.error('Enter an amount greater than zero');
+      return;
+    }
+
+    setCashSubmitting(true);
+    try {
+      if (type === 'deposit') {
+        await apiService.requestDeposit({ amount });
+        toast.success('Deposit requested. Funds become available once received.');
+      } else {
+        await apiService.requestWithdrawal({ amount });
+        toast.success('Withdrawal requested');
+      }
+      setCashAmount('');
+      await loadCashAccount();
+    } catch (error) {
+      toast.error(error.message || `Failed to request ${type}`);
+    } finally {
+      setCashSubmitting(false);
+    }
+  };
+
   const refreshData = async () => {
     setRefreshing(true);
     await loadDashboardData();
@@ -217,17 +301,117 @@ const LenderDashboard = () => {
         </div>
       </div>
 
+      {/* Cash Account */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6 mb-8">
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-6">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 flex-1">
+            <div className="flex items-center space-x-3">
+              <div className="w-10 h-10 bg-blue-100 rounded-lg flex items-center justify-center">
+                <Wallet className="w-5 h-5 text-blue-600" />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-600">Available Cash</p>
+                <p className="text-xl font-bold text-gray-900">
+                  ${cashAccount.available.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <div className="w-10 h-10 bg-yellow-100 rounded-lg flex items-center justify-center">
+                <Clock className="w-5 h-5 text-yellow-600" />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-600">Pending Deposits</p>
+                <p className="text-xl font-bold text-gray-900">
+                  ${cashAccount.pendingDeposits.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <div className="w-10 h-10 bg-gray-100 rounded-lg flex items-center justify-center">
+                <ArrowDownRight className="w-5 h-5 text-gray-600" />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-600">Pending Withdrawals</p>
+                <p className="text-xl font-bold text-gray-900">
+                  ${cashAccount.pendingWithdrawals.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                </p>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <input
+              type="number"
+              min="1"
+              step="0.01"
+              value={cashAmount}
+              onChange={(e) => setCashAmount(e.target.value)}
+              placeholder="Amount"
+              className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              onClick={() => submitCashRequest('deposit')}
+              disabled={cashSubmitting}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              Deposit
+            </button>
+            <button
+              onClick={() => submitCashRequest('withdrawal')}
+              disabled={cashSubmitting || cashAccount.available <= 0}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              Withdraw
+            </button>
+          </div>
+        </div>
+      </div>
+
       {/* Portfolio Overview */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
         <div className="lg:col-span-2 bg-white rounded-lg border border-gray-200 p-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">Portfolio Performance</h2>
-          <div className="h-64 flex items-center justify-center bg-gray-50 rounded-lg">
-            <div className="text-center">
-              <PieChart className="w-12 h-12 text-gray-400 mx-auto mb-2" />
-              <p className="text-gray-500">Portfolio chart visualization</p>
-              <p className="text-sm text-gray-400">Integration with charting library needed</p>
-            </div>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Projected Cash Flow</h2>
+            {projection && projection.activeInvestments > 0 && (
+              <p className="text-sm text-gray-500">
+                Net return: {projection.netReturnPercent.p5}% to {projection.netReturnPercent.p95}%
+                {' '}(median {projection.netReturnPercent.p50}%)
+              </p>
+            )}
           </div>
+          {projection && projection.cashFlow.length > 0 ? (
+            <>
+              <ResponsiveContainer width="100%" height={256}>
+                <ComposedChart
+                  data={projection.cashFlow.map(point => ({ ...point, band: [point.p5, point.p95] }))}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" />
+                  <YAxis tickFormatter={(value) => `$${value.toLocaleString()}`} />
+                  <Tooltip
+                    formatter={(value, name) => (Array.isArray(value)
+                      ? [`$${value[0].toLocaleString()} – $${value[1].toLocaleString()}`, name]
+                      : [`$${value.toLocaleString()}`, name])}
+                  />
+                  <Area type="monotone" dataKey="band" name="P5–P95" stroke="none" fill="#BFDBFE" />
+                  <Line type="monotone" dataKey="p50" name="Median" stroke="#2563EB" dot={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+              <p className="text-xs text-gray-400 mt-2">
+                Based on {projection.simulations.toLocaleString()} simulations of your active investments using
+                default and prepayment assumptions for each loan grade. Net of servicing fees.
+              </p>
+            </>
+          ) : (
+            <div className="h-64 flex items-center justify-center bg-gray-50 rounded-lg">
+              <div className="text-center">
+                <PieChart className="w-12 h-12 text-gray-400 mx-auto mb-2" />
+                <p className="text-gray-500">No scheduled payments to project</p>
+                <p className="text-sm text-gray-400">Projections appear once you hold active investments</p>
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="bg-white rounded-lg border border-gray-200 p-6">
@@ -257,6 +441,104 @@ const LenderDashboard = () => {
         </div>
       </div>
 
+      {/* Diversification */}
+      {diversification && (
+        <div className="bg-white rounded-lg border border-gray-200 p-6 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Diversification</h2>
+            {diversification.activeInvestments > 0 && (
+              <p className="text-sm text-gray-500">
+                Score {diversification.score}/100 · {diversification.effectiveNotes} effective notes
+                {' '}across {diversification.activeInvestments} investments
+              </p>
+            )}
+          </div>
+
+          {diversification.activeInvestments > 0 ? (
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+              <div className="lg:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-6">
+                {DIVERSIFICATION_DIMENSIONS.map(dimension => {
+                  const measure = diversification.dimensions[dimension.id];
+                  return (
+                    <div key={dimension.id}>
+                      <div className="flex items-center justify-between mb-2">
+                        <p className="text-sm font-medium text-gray-900">{dimension.name}</p>
+                        <p className="text-xs text-gray-500">
+                          HHI {measure.hhi} · limit {measure.threshold}%
+                        </p>
+                      </div>
+                      <div className="space-y-2">
+                        {measure.groups.slice(0, 3).map(group => {
+                          const flagged = group.share > measure.threshold;
+                          return (
+                            <div key={group.key}>
+                              <div className="flex justify-between text-xs mb-1">
+                                <span className="text-gray-600 truncate mr-2">{group.label}</span>
+                                <span className={flagged ? 'text-red-600 font-medium' : 'text-gray-900'}>
+                                  {group.share}%
+                                </span>
+                              </div>
+                              <div className="w-full bg-gray-200 rounded-full h-1.5">
+                                <div
+                                  className={`h-1.5 rounded-full ${flagged ? 'bg-red-500' : 'bg-blue-600'}`}
+                                  style={{ width: `${Math.min(group.share, 100)}%` }}
+                                ></div>
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="space-y-4">
+                <div className="p-4 bg-blue-50 rounded-lg">
+                  <p className="text-sm font-medium text-blue-900 mb-1">Suggestion</p>
+                  {diversification.suggestion.additionalNotes > 0 ? (
+                    <p className="text-sm text-blue-800">
+                      Add {diversification.suggestion.additionalNotes} notes of $
+                      {diversification.suggestion.amountPerNote.toLocaleString()} in new loans
+                      {' '}(${diversification.suggestion.additionalCapital.toLocaleString()}) to reach
+                      {' '}{diversification.suggestion.targetEffectiveNotes} effective notes.
+                    </p>
+                  ) : (
+                    <p className="text-sm text-blue-800">
+                      Your loan exposure already meets the target of
+                      {' '}{diversification.suggestion.targetEffectiveNotes} effective notes.
+                    </p>
+                  )}
+                </div>
+
+                {diversification.flagged.length > 0 && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-900 mb-2">Concentrated positions</p>
+                    <div className="space-y-2 max-h-48 overflow-y-auto">
+                      {diversification.flagged.map(group => (
+                        <div key={`${group.dimension}-${group.key}`} className="flex items-start space-x-2 text-sm">
+                          <AlertTriangle className="w-4 h-4 text-yellow-500 mt-0.5 flex-shrink-0" />
+                          <p className="text-gray-700">
+                            {DIVERSIFICATION_DIMENSIONS.find(dimension => dimension.id === group.dimension).name}
+                            {' '}{group.label}: {group.share}% of exposure (limit {group.threshold}%)
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Spread ${diversification.suggestion.additionalCapital.toLocaleString()} across
+              {' '}{diversification.suggestion.additionalNotes} notes of ${diversification.suggestion.amountPerNote} to start
+              {' '}with a diversified portfolio.
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Investments Table */}
       <div className="bg-white rounded-lg border border-gray-200">
         <div className="px-6 py-4 border-b border-gray-200">
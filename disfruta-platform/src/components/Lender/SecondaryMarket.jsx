@@ -0,0 +1,412 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Repeat,
+  Tag,
+  DollarSign,
+  Clock,
+  RefreshCw,
+  ShoppingCart,
+  XCircle
+} from 'lucide-react';
+import { apiService } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const formatCurrency = (value) => `$${(value || 0).toLocaleString(undefined, {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const SecondaryMarket = () => {
+  const [view, setView] = useState('browse');
+  const [listings, setListings] = useState([]);
+  const [myListings, setMyListings] = useState([]);
+  const [investments, setInvestments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    grade: '',
+    minRate: '',
+    maxRate: ''
+  });
+  const [sellForm, setSellForm] = useState({
+    investmentId: '',
+    principalAmount: '',
+    markupPercent: 0
+  });
+  const [quote, setQuote] = useState(null);
+
+  useEffect(() => {
+    loadMarketplace();
+  }, [filters]);
+
+  useEffect(() => {
+    loadQuote();
+  }, [sellForm]);
+
+  const loadMarketplace = async () => {
+    setLoading(true);
+    try {
+      const activeFilters = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value !== '')
+      );
+      const [listingData, myListingData, investmentData] = await Promise.all([
+        apiService.getMarketplaceListings(activeFilters),
+        apiService.getMyNoteListings(),
+        apiService.getInvestments({ status: 'active', limit: 100 })
+      ]);
+      setListings(listingData.listings);
+      setMyListings(myListingData.listings);
+      setInvestments(investmentData.investments);
+    } catch (error) {
+      console.error('Error loading marketplace:', error);
+      toast.error('Failed to load the secondary market');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadQuote = async () => {
+    if (!sellForm.investmentId) {
+      setQuote(null);
+      return;
+    }
+
+    try {
+      const params = { markupPercent: sellForm.markupPercent };
+      if (sellForm.principalAmount) params.principalAmount = sellForm.principalAmount;
+
+      const data = await apiService.getNotePricing(sellForm.investmentId, params);
+      setQuote(data.quote);
+    } catch (error) {
+      console.error('Error pricing note:', error);
+      setQuote(null);
+    }
+  };
+
+  const purchaseListing = async (listing) => {
+    const amount = prompt(
+      `Enter principal to buy (up to ${formatCurrency(listing.principalRemaining)}):`,
+      listing.principalRemaining
+    );
+    if (!amount || isNaN(amount) || parseFloat(amount) <= 0) return;
+
+    try {
+      await apiService.purchaseNoteListing(listing._id, parseFloat(amount));
+      toast.success('Note purchased successfully!');
+      await loadMarketplace();
+    } catch (error) {
+      console.error('Purchase error:', error);
+      toast.error(error.message || 'Purchase failed. Please try again.');
+    }
+  };
+
+  const createListing = async (e) => {
+    e.preventDefault();
+
+    try {
+      await apiService.createNoteListing({
+        investmentId: sellForm.investmentId,
+        principalAmount: sellForm.principalAmount ? parseFloat(sellForm.principalAmount) : undefined,
+        markupPercent: parseFloat(sellForm.markupPercent) || 0
+      });
+      toast.success('Note listed for sale');
+      setSellForm({ investmentId: '', principalAmount: '', markupPercent: 0 });
+      await loadMarketplace();
+    } catch (error) {
+      console.error('Listing error:', error);
+      toast.error(error.message || 'Failed to list note');
+    }
+  };
+
+  const cancelListing = async (listingId) => {
+    try {
+      await apiService.cancelNoteListing(listingId);
+      toast.success('Listing cancelled');
+      await loadMarketplace();
+    } catch (error) {
+      console.error('Cancel listing error:', error);
+      toast.error(error.message || 'Failed to cancel listing');
+    }
+  };
+
+  const getMarkupColor = (markupPercent) => {
+    if (markupPercent > 0) return 'text-red-600 bg-red-100';
+    if (markupPercent < 0) return 'text-green-600 bg-green-100';
+    return 'text-gray-600 bg-gray-100';
+  };
+
+  const views = [
+    { id: 'browse', name: 'Browse Notes' },
+    { id: 'sell', name: 'Sell a Note' },
+    { id: 'mine', name: 'My Listings' }
+  ];
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Secondary Market</h1>
+          <p className="text-gray-600">Buy and sell notes on loans already in repayment</p>
+        </div>
+        <button
+          onClick={loadMarketplace}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <RefreshCw className="w-4 h-4" />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {/* View switcher */}
+      <div className="flex space-x-2 mb-6">
+        {views.map((entry) => (
+          <button
+            key={entry.id}
+            onClick={() => setView(entry.id)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              view === entry.id
+                ? 'bg-blue-600 text-white'
+                : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {entry.name}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="animate-pulse grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {[...Array(3)].map((_, i) => (
+            <div key={i} className="bg-white rounded-lg border p-6">
+              <div className="h-4 bg-gray-200 rounded w-3/4 mb-4"></div>
+              <div className="h-6 bg-gray-200 rounded w-1/2 mb-2"></div>
+              <div className="h-10 bg-gray-200 rounded"></div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <>
+          {view === 'browse' && (
+            <div>
+              {/* Filters */}
+              <div className="bg-white rounded-lg border border-gray-200 p-6 mb-8 grid grid-cols-1 md:grid-cols-3 gap-4">
+                <select
+                  value={filters.grade}
+                  onChange={(e) => setFilters({...filters, grade: e.target.value})}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                >
+                  <option value="">All Grades</option>
+                  {['A', 'B', 'C', 'D', 'E', 'F'].map(grade => (
+                    <option key={grade} value={grade}>Grade {grade}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  placeholder="Min Rate %"
+                  value={filters.minRate}
+                  onChange={(e) => setFilters({...filters, minRate: e.target.value})}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                />
+                <input
+                  type="number"
+                  placeholder="Max Rate %"
+                  value={filters.maxRate}
+                  onChange={(e) => setFilters({...filters, maxRate: e.target.value})}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+                />
+              </div>
+
+              {listings.length === 0 ? (
+                <div className="text-center py-12">
+                  <Repeat className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">No notes for sale</h3>
+                  <p className="text-gray-600">Check back later or adjust your filters</p>
+                </div>
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                  {listings.map((listing) => (
+                    <div key={listing._id} className="bg-white rounded-lg border border-gray-200 hover:shadow-lg transition-shadow p-6">
+                      <div className="flex justify-between items-start mb-4">
+                        <div>
+                          <h3 className="text-lg font-semibold text-gray-900">
+                            {listing.loan?.purpose || 'General Purpose'}
+                          </h3>
+                          <p className="text-sm text-gray-500">Grade {listing.loan?.grade}</p>
+                        </div>
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getMarkupColor(listing.markupPercent)}`}>
+                          {listing.markupPercent > 0 ? '+' : ''}{listing.markupPercent}%
+                        </span>
+                      </div>
+
+                      <div className="space-y-3 mb-6">
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Principal:</span>
+                          <span className="font-semibold">{formatCurrency(listing.principalRemaining)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Asking Price:</span>
+                          <span className="font-semibold">{formatCurrency(listing.askingPrice)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Interest Rate:</span>
+                          <span className="font-semibold text-green-600">{listing.loan?.interestRate}%</span>
+                        </div>
+                      </div>
+
+                      <button
+                        onClick={() => purchaseListing(listing)}
+                        className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center justify-center space-x-2"
+                      >
+                        <ShoppingCart className="w-4 h-4" />
+                        <span>Buy</span>
+                      </button>
+
+                      {listing.loan?.nextPaymentDate && (
+                        <div className="mt-4 flex items-center space-x-2 text-sm text-gray-500">
+                          <Clock className="w-4 h-4" />
+                          <span>Next payment: {new Date(listing.loan.nextPaymentDate).toLocaleDateString()}</span>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {view === 'sell' && (
+            <form onSubmit={createListing} className="bg-white rounded-lg border border-gray-200 p-6 max-w-2xl">
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Investment</label>
+                  <select
+                    value={sellForm.investmentId}
+                    onChange={(e) => setSellForm({...sellForm, investmentId: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    required
+                  >
+                    <option value="">Select an active investment</option>
+                    {investments.map((investment) => (
+                      <option key={investment._id} value={investment._id}>
+                        {investment.loan?.purpose} ({formatCurrency(investment.remainingAmount)} outstanding)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Principal to sell</label>
+                    <input
+                      type="number"
+                      placeholder="All outstanding"
+                      value={sellForm.principalAmount}
+                      onChange={(e) => setSellForm({...sellForm, principalAmount: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Premium / discount %</label>
+                    <input
+                      type="number"
+                      min="-50"
+                      max="20"
+                      step="0.5"
+                      value={sellForm.markupPercent}
+                      onChange={(e) => setSellForm({...sellForm, markupPercent: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+
+                {quote && (
+                  <div className="bg-blue-50 rounded-lg p-4 grid grid-cols-3 gap-4 text-sm">
+                    <div>
+                      <p className="text-blue-700">Sale Price:</p>
+                      <p className="font-semibold text-blue-900">{formatCurrency(quote.price)}</p>
+                    </div>
+                    <div>
+                      <p className="text-blue-700">Accrued Interest:</p>
+                      <p className="font-semibold text-blue-900">{formatCurrency(quote.accruedInterest)}</p>
+                    </div>
+                    <div>
+                      <p className="text-blue-700">Fair Value:</p>
+                      <p className="font-semibold text-blue-900">{formatCurrency(quote.fairValue)}</p>
+                    </div>
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={!sellForm.investmentId}
+                  className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center space-x-2"
+                >
+                  <Tag className="w-4 h-4" />
+                  <span>List for Sale</span>
+                </button>
+              </div>
+            </form>
+          )}
+
+          {view === 'mine' && (
+            myListings.length === 0 ? (
+              <div className="text-center py-12">
+                <Tag className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">No listings yet</h3>
+                <p className="text-gray-600">List an investment to sell it to other lenders</p>
+              </div>
+            ) : (
+              <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Loan</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Listed</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Remaining</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Realized</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                      <th className="px-6 py-3"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {myListings.map((listing) => (
+                      <tr key={listing._id}>
+                        <td className="px-6 py-4 text-sm text-gray-900">{listing.loan?.purpose}</td>
+                        <td className="px-6 py-4 text-sm text-gray-900">{formatCurrency(listing.principalAmount)}</td>
+                        <td className="px-6 py-4 text-sm text-gray-900">{formatCurrency(listing.principalRemaining)}</td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {formatCurrency(listing.trades.reduce((sum, trade) => sum + (trade.sellerRealizedGainLoss || 0), 0))}
+                        </td>
+                        <td className="px-6 py-4 text-sm capitalize text-gray-600">{listing.status}</td>
+                        <td className="px-6 py-4 text-right">
+                          {listing.status === 'active' && (
+                            <button
+                              onClick={() => cancelListing(listing._id)}
+                              className="text-red-600 hover:text-red-800"
+                              title="Cancel listing"
+                            >
+                              <XCircle className="w-5 h-5" />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )
+          )}
+        </>
+      )}
+
+      <div className="mt-8 flex items-start space-x-2 text-sm text-gray-500">
+        <DollarSign className="w-4 h-4 mt-0.5" />
+        <p>
+          Buyers pay the asking price plus interest accrued since the last payment. Future payments on the
+          purchased principal go to the buyer.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SecondaryMarket;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { Navigate } from 'react-router-dom';
+import { BarChart3, RefreshCw } from 'lucide-react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { apiService } from '../services/api';
+import toast from 'react-hot-toast';
+
+const METRICS = [
+  { id: 'cumulativeDefaultRate', name: 'Cumulative Default Rate' },
+  { id: 'cumulativePrepaymentRate', name: 'Cumulative Prepayment Rate' },
+  { id: 'delinquencyRate', name: 'Delinquency Rate' },
+  { id: 'realizedYield', name: 'Realized Yield' },
+  { id: 'rollRates.current', name: 'Roll Rate: Current to Delinquent' }
+];
+
+const COLORS = ['#2563EB', '#DC2626', '#059669', '#D97706', '#7C3AED', '#DB2777', '#0891B2', '#4B5563'];
+
+const metricValue = (point, metric) => metric
+  .split('.')
+  .reduce((value, key) => (value == null ? value : value[key]), point);
+
+const AdminAnalyticsPage = () => {
+  const { isAuthenticated, user } = useSelector((state) => state.auth);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [metric, setMetric] = useState('cumulativeDefaultRate');
+  const [filters, setFilters] = useState({
+    grade: '',
+    period: 'quarter',
+    from: '',
+    to: ''
+  });
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      loadAnalytics();
+    }
+  }, [filters]);
+
+  const loadAnalytics = async () => {
+    setLoading(true);
+    try {
+      const activeFilters = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value !== '')
+      );
+      setAnalytics(await apiService.getVintageAnalytics(activeFilters));
+    } catch (error) {
+      console.error('Error loading vintage analytics:', error);
+      toast.error('Failed to load vintage analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isAuthenticated) {
+    return <Navigate to="/auth" replace />;
+  }
+
+  if (user?.role !== 'admin') {
+    return <Navigate to="/" replace />;
+  }
+
+  const cohorts = analytics?.cohorts || [];
+  const longestCurve = Math.max(0, ...cohorts.map(cohort => cohort.curve.length));
+
+  // One row per month on book with a column per cohort, the shape recharts plots as lines
+  const chartData = Array.from({ length: longestCurve }, (_, index) => cohorts.reduce((row, cohort) => {
+    const point = cohort.curve[index];
+    return point ? { ...row, [`${cohort.cohort} ${cohort.grade}`]: metricValue(point, metric) } : row;
+  }, { monthOnBook: index + 1 }));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <BarChart3 className="w-8 h-8 text-blue-600" />
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Vintage Analytics</h1>
+              <p className="text-gray-600">Loan performance by origination cohort and grade, month by month</p>
+            </div>
+          </div>
+          <button
+            onClick={loadAnalytics}
+            className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Filters */}
+        <div className="bg-white rounded-lg border border-gray-200 p-6 mb-8 grid grid-cols-1 md:grid-cols-5 gap-4">
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          >
+            {METRICS.map(entry => (
+              <option key={entry.id} value={entry.id}>{entry.name}</option>
+            ))}
+          </select>
+          <select
+            value={filters.grade}
+            onChange={(e) => setFilters({...filters, grade: e.target.value})}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          >
+            <option value="">All Grades</option>
+            {['A', 'B', 'C', 'D', 'E', 'F', 'G'].map(grade => (
+              <option key={grade} value={grade}>Grade {grade}</option>
+            ))}
+          </select>
+          <select
+            value={filters.period}
+            onChange={(e) => setFilters({...filters, period: e.target.value})}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          >
+            <option value="month">Monthly cohorts</option>
+            <option value="quarter">Quarterly cohorts</option>
+          </select>
+          <input
+            type="month"
+            value={filters.from}
+            onChange={(e) => setFilters({...filters, from: e.target.value})}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          />
+          <input
+            type="month"
+            value={filters.to}
+            onChange={(e) => setFilters({...filters, to: e.target.value})}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          />
+        </div>
+
+        {loading ? (
+          <div className="animate-pulse bg-white rounded-lg border p-6">
+            <div className="h-4 bg-gray-200 rounded w-1/4 mb-4"></div>
+            <div className="h-80 bg-gray-200 rounded"></div>
+          </div>
+        ) : cohorts.length === 0 ? (
+          <div className="bg-white rounded-lg border border-gray-200 p-12 text-center text-gray-500">
+            No originated loans match these filters yet.
+          </div>
+        ) : (
+          <>
+            <div className="bg-white rounded-lg border border-gray-200 p-6 mb-8">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                {METRICS.find(entry => entry.id === metric).name} (%) by month on book
+              </h2>
+              <ResponsiveContainer width="100%" height={400}>
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="monthOnBook" label={{ value: 'Months on book', position: 'insideBottom', offset: -5 }} />
+                  <YAxis unit="%" />
+                  <Tooltip />
+                  <Legend />
+                  {cohorts.map((cohort, index) => (
+                    <Line
+                      key={`${cohort.cohort} ${cohort.grade}`}
+                      type="monotone"
+                      dataKey={`${cohort.cohort} ${cohort.grade}`}
+                      stroke={COLORS[index % COLORS.length]}
+                      dot={false}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* Latest point of each cohort */}
+            <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Cohort', 'Grade', 'Loans', 'Originated', 'Months', 'Default %', 'Prepaid %', 'Delinquent %', 'Yield %'].map(header => (
+                      <th key={header} className="px-4 py-3 text-left font-medium text-gray-500">{header}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {cohorts.map(cohort => {
+                    const latest = cohort.curve[cohort.curve.length - 1] || {};
+                    return (
+                      <tr key={`${cohort.cohort} ${cohort.grade}`}>
+                        <td className="px-4 py-3 text-gray-900">{cohort.cohort}</td>
+                        <td className="px-4 py-3 text-gray-900">{cohort.grade}</td>
+                        <td className="px-4 py-3 text-gray-700">{cohort.loans}</td>
+                        <td className="px-4 py-3 text-gray-700">${cohort.originated.toLocaleString()}</td>
+                        <td className="px-4 py-3 text-gray-700">{cohort.curve.length}</td>
+                        <td className="px-4 py-3 text-gray-700">{latest.cumulativeDefaultRate ?? '—'}</td>
+                        <td className="px-4 py-3 text-gray-700">{latest.cumulativePrepaymentRate ?? '—'}</td>
+                        <td className="px-4 py-3 text-gray-700">{latest.delinquencyRate ?? '—'}</td>
+                        <td className="px-4 py-3 text-gray-700">{latest.realizedYield ?? '—'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminAnalyticsPage;
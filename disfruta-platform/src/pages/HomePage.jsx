@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import { 
@@ -13,10 +13,33 @@ import {
   Zap,
   Lock
 } from 'lucide-react';
+import {
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { apiService } from '../services/api';
+import { formatCompactNumber } from '../utils/helpers';
 
 const HomePage = () => {
   const navigate = useNavigate();
   const { isAuthenticated, user } = useSelector((state) => state.auth);
+  const [platformStats, setPlatformStats] = useState(null);
+  const [statsHistory, setStatsHistory] = useState([]);
+
+  useEffect(() => {
+    apiService.getPlatformStats()
+      .then(setPlatformStats)
+      .catch((error) => console.error('Error loading platform stats:', error));
+
+    apiService.getPlatformStatsHistory(90)
+      .then((data) => setStatsHistory(data.history || []))
+      .catch((error) => console.error('Error loading platform stats history:', error));
+  }, []);
 
   const features = [
     {
@@ -42,10 +65,10 @@ const HomePage = () => {
   ];
 
   const stats = [
-    { label: 'Total Loans Funded', value: '$2.5M+' },
-    { label: 'Active Users', value: '5,000+' },
-    { label: 'Average Return', value: '12.5%' },
-    { label: 'Success Rate', value: '98%' }
+    { label: 'Total Loans Funded', value: platformStats ? `$${formatCompactNumber(platformStats.totalOriginated)}` : '—' },
+    { label: 'Active Investors', value: platformStats ? platformStats.activeInvestors.toLocaleString() : '—' },
+    { label: 'Average Return', value: platformStats ? `${platformStats.averageReturn.toFixed(1)}%` : '—' },
+    { label: 'Default Rate', value: platformStats ? `${platformStats.defaultRate.toFixed(1)}%` : '—' }
   ];
 
   const testimonials = [
@@ -152,6 +175,25 @@ const HomePage = () => {
               </div>
             ))}
           </div>
+
+          {/* A trend needs at least two daily snapshots */}
+          {statsHistory.length > 1 && (
+            <div className="mt-12">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4 text-center">
+                Loans Funded and Invested, Last 90 Days
+              </h3>
+              <ResponsiveContainer width="100%" height={200}>
+                <AreaChart data={statsHistory}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" tickFormatter={(date) => date.slice(5)} />
+                  <YAxis tickFormatter={(value) => `$${formatCompactNumber(value)}`} />
+                  <Tooltip formatter={(value, name) => [`$${value.toLocaleString()}`, name]} />
+                  <Area type="monotone" dataKey="totalOriginated" name="Loans funded" stroke="#2563EB" fill="#BFDBFE" />
+                  <Area type="monotone" dataKey="totalInvested" name="Invested" stroke="#7C3AED" fill="#DDD6FE" />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+          )}
         </div>
       </section>
 
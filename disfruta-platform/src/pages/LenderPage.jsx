@@ -1,9 +1,10 @@
 import React, { useState } from 'react';
 import { useSelector } from 'react-redux';
 import { Navigate } from 'react-router-dom';
-import { TrendingUp, Search, Eye, DollarSign } from 'lucide-react';
+import { TrendingUp, Search, Eye, DollarSign, Repeat } from 'lucide-react';
 import LenderDashboard from '../components/Lender/LenderDashboard';
 import InvestmentOpportunities from '../components/Lender/InvestmentOpportunities';
+import SecondaryMarket from '../components/Lender/SecondaryMarket';
 
 const LenderPage = () => {
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -48,6 +49,12 @@ const LenderPage = () => {
       name: 'Investment Opportunities',
       icon: Search,
       description: 'Browse and invest in available loans'
+    },
+    {
+      id: 'marketplace',
+      name: 'Secondary Market',
+      icon: Repeat,
+      description: 'Buy and sell notes on loans in repayment'
     }
   ];
 
@@ -163,6 +170,10 @@ const LenderPage = () => {
         {activeTab === 'opportunities' && (
           <InvestmentOpportunities />
         )}
+
+        {activeTab === 'marketplace' && (
+          <SecondaryMarket />
+        )}
       </div>
 
       {/* Help Section */}
@@ -3,17 +3,40 @@ class ApiService {
   constructor() {
     this.baseURL = import.meta.env.VITE_API_URL;// || 'http://localhost:8000/api';
     this.timeout = 10000;
+    // Idempotency keys for POSTs that have not had an answer yet, by request signature
+    this.idempotencyKeys = new Map();
+  }
+
+  generateIdempotencyKey() {
+    if (window.crypto?.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  // The same POST sent again before it got an answer (a double-click, or a retry after a
+  // network error) reuses its key, so the server runs it only once
+  getIdempotencyKey(endpoint, options) {
+    const signature = `${endpoint} ${typeof options.body === 'string' ? options.body : ''}`;
+    if (!this.idempotencyKeys.has(signature)) {
+      this.idempotencyKeys.set(signature, this.generateIdempotencyKey());
+    }
+    return { signature, key: this.idempotencyKeys.get(signature) };
   }
 
   // Helper method to make HTTP requests
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
     const token = localStorage.getItem('token');
+    const idempotency = options.method === 'POST' && !(options.body instanceof FormData)
+      ? this.getIdempotencyKey(endpoint, options)
+      : null;
     
     const config = {
       headers: {
         'Content-Type': 'application/json',
         ...(token && { Authorization: `Bearer ${token}` }),
+        ...(idempotency && { 'Idempotency-Key': idempotency.key }),
         ...options.headers,
       },
       timeout: this.timeout,
@@ -22,6 +45,10 @@ class ApiService {
 
     try {
       const response = await fetch(url, config);
+      // The server answered, so the next identical request is a new one
+      if (idempotency) {
+        this.idempotencyKeys.delete(idempotency.signature);
+      }
       const data = await response.json();
       
       if (!response.ok) {
@@ -35,6 +62,30 @@ class ApiService {
     }
   }
 
+  // Helper for endpoints that answer with a file (PDF, CSV) instead of JSON
+  async requestFile(endpoint) {
+    const url = `${this.baseURL}${endpoint}`;
+    const token = localStorage.getItem('token');
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return response.blob();
+    } catch (error) {
+      console.error('API file request failed:', error);
+      throw error;
+    }
+  }
+
   // Authentication endpoints
   async login(credentials) {
     return this.request('/auth/login', {
@@ -110,6 +161,44 @@ class ApiService {
     });
   }
 
+  async getPayoffQuote(loanId, payoffDate) {
+    const queryParams = payoffDate ? `?payoffDate=${encodeURIComponent(payoffDate)}` : '';
+    return this.request(`/loans/${loanId}/payoff-quote${queryParams}`);
+  }
+
+  async createPayoff(loanId, payoffData = {}) {
+    return this.request(`/loans/${loanId}/payoff`, {
+      method: 'POST',
+      body: JSON.stringify(payoffData),
+    });
+  }
+
+  async getLoanAgreement(loanId) {
+    return this.request(`/loans/${loanId}/agreement`);
+  }
+
+  async downloadLoanAgreement(loanId) {
+    return this.requestFile(`/loans/${loanId}/agreement/download`);
+  }
+
+  async acceptLoanAgreement(loanId, { hash, signature }) {
+    return this.request(`/loans/${loanId}/agreement/accept`, {
+      method: 'POST',
+      body: JSON.stringify({ hash, signature }),
+    });
+  }
+
+  async getLoanModifications(loanId) {
+    return this.request(`/loans/${loanId}/modifications`);
+  }
+
+  async requestLoanModification(loanId, modificationData) {
+    return this.request(`/loans/${loanId}/modifications`, {
+      method: 'POST',
+      body: JSON.stringify(modificationData),
+    });
+  }
+
   // Investment endpoints
   async createInvestment(investmentData) {
     return this.request('/investments', {
@@ -122,10 +211,120 @@ class ApiService {
     return this.request(`/users/${userId}/investments`);
   }
 
+  async getInvestments(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.request(`/investments${queryParams ? `?${queryParams}` : ''}`);
+  }
+
   async getInvestmentDetails(investmentId) {
     return this.request(`/investments/${investmentId}`);
   }
 
+  async getPortfolioProjection(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/investments/portfolio/projection${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async getPortfolioDiversification(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/investments/portfolio/diversification${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  // Tax document endpoints
+  async getTaxDocuments() {
+    return this.request('/investments/tax-documents');
+  }
+
+  async getTaxDocument(year) {
+    return this.request(`/investments/tax-documents/${year}`);
+  }
+
+  async downloadTaxDocument(year, format = 'pdf') {
+    return this.requestFile(`/investments/tax-documents/${year}/download?format=${format}`);
+  }
+
+  // Auto-invest endpoints
+  async getAutoInvestSettings() {
+    return this.request('/investments/auto-invest');
+  }
+
+  async updateAutoInvestSettings(settings) {
+    return this.request('/investments/auto-invest', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  }
+
+  async previewAutoInvest(params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/investments/auto-invest/preview${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  // Secondary market endpoints
+  async getMarketplaceListings(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.request(`/marketplace/listings${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async getMyNoteListings() {
+    return this.request('/marketplace/listings/mine');
+  }
+
+  async getNotePricing(investmentId, params = {}) {
+    const queryParams = new URLSearchParams(params).toString();
+    return this.request(`/marketplace/pricing/${investmentId}${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async createNoteListing(listingData) {
+    return this.request('/marketplace/listings', {
+      method: 'POST',
+      body: JSON.stringify(listingData),
+    });
+  }
+
+  async purchaseNoteListing(listingId, principalAmount) {
+    return this.request(`/marketplace/listings/${listingId}/purchase`, {
+      method: 'POST',
+      body: JSON.stringify({ principalAmount }),
+    });
+  }
+
+  async cancelNoteListing(listingId) {
+    return this.request(`/marketplace/listings/${listingId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Cash account endpoints
+  async getCashAccount() {
+    return this.request('/cash');
+  }
+
+  async getCashTransactions(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.request(`/cash/transactions${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async requestDeposit(depositData) {
+    return this.request('/cash/deposits', {
+      method: 'POST',
+      body: JSON.stringify(depositData),
+    });
+  }
+
+  async requestWithdrawal(withdrawalData) {
+    return this.request('/cash/withdrawals', {
+      method: 'POST',
+      body: JSON.stringify(withdrawalData),
+    });
+  }
+
+  async cancelCashTransaction(transactionId) {
+    return this.request(`/cash/transactions/${transactionId}`, {
+      method: 'DELETE',
+    });
+  }
+
   // Statistics endpoints
   async getUserStats(userId) {
     return this.request(`/users/${userId}/stats`);
@@ -143,6 +342,23 @@ class ApiService {
     return this.request('/stats/platform');
   }
 
+  async getPlatformStatsHistory(days = 90) {
+    return this.request(`/stats/platform/history?days=${days}`);
+  }
+
+  // Monthly statement endpoints
+  async getStatements() {
+    return this.request('/users/statements');
+  }
+
+  async getStatement(year, month) {
+    return this.request(`/users/statements/${year}/${month}`);
+  }
+
+  async downloadStatement(year, month, format = 'pdf') {
+    return this.requestFile(`/users/statements/${year}/${month}/download?format=${format}`);
+  }
+
   // Credit scoring endpoints
   async getCreditScore(userId) {
     return this.request(`/users/${userId}/credit-score`);
@@ -196,6 +412,83 @@ class ApiService {
     });
   }
 
+  async getFeeSchedules() {
+    return this.request('/admin/fees/schedules');
+  }
+
+  async createFeeSchedule(schedule) {
+    return this.request('/admin/fees/schedules', {
+      method: 'POST',
+      body: JSON.stringify(schedule),
+    });
+  }
+
+  async getRevenueReport(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.request(`/admin/reports/revenue${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async getReport(type, filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.request(`/admin/reports/${type}${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async downloadReport(type, format = 'csv', filters = {}) {
+    const queryParams = new URLSearchParams({ ...filters, format }).toString();
+    return this.requestFile(`/admin/reports/${type}?${queryParams}`);
+  }
+
+  async getReportSchedules() {
+    return this.request('/admin/reports/schedules');
+  }
+
+  async createReportSchedule(schedule) {
+    return this.request('/admin/reports/schedules', {
+      method: 'POST',
+      body: JSON.stringify(schedule),
+    });
+  }
+
+  async updateReportSchedule(scheduleId, updates) {
+    return this.request(`/admin/reports/schedules/${scheduleId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async getReportFiles(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.request(`/admin/reports/files${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async createReportFile(report) {
+    return this.request('/admin/reports/files', {
+      method: 'POST',
+      body: JSON.stringify(report),
+    });
+  }
+
+  async downloadReportFile(fileId) {
+    return this.requestFile(`/admin/reports/files/${fileId}/download`);
+  }
+
+  async getVintageAnalytics(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.request(`/admin/analytics/vintages${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async getAdminTaxDocuments(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.request(`/admin/tax-documents${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async runTaxDocuments(year) {
+    return this.request('/admin/tax-documents/run', {
+      method: 'POST',
+      body: JSON.stringify({ year }),
+    });
+  }
+
   // File upload helper
   async uploadFile(file, path) {
     const formData = new FormData();